@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import {
+    runSimulation, saveSnapshot, exportMesh, renderFrame, RecordingPlan, ZipWriter, MeshMetrics, Snapshot, AttractorDetector
+} from '../js/headless.js';
+
+/**
+ * Headless CLI runner
+ * Evolves a mesh from a JSON config file (or resumes a snapshot file) and writes one
+ * JSON record per generation (vertices, edges with acute counts, statistics).
+ *
+ *   node bin/simulate.js <config.json> <generations> [--out <dir>] [--every <n>] [--save <file>]
+ *                        [--export <file>] [--export-options <json>]
+ *                        [--record <file.zip|dir>] [--record-options <json>]
+ *                        [--metrics <file.csv>] [--topology <file.json>] [--auto-pause] [--verbose]
+ *
+ * Without --out, records are written to stdout as JSON Lines.
+ */
+
+const USAGE = `Usage: simulate <config.json|snapshot.json> <generations> [options]
+
+A snapshot file (saved from either page or with --save) resumes that run where it stopped.
+
+Options:
+  --out <dir>    Write generation-NNNNNN.json files into <dir> instead of JSON Lines on stdout
+  --every <n>    Only write every nth generation (the final generation is always written)
+  --save <file>  Write a snapshot of the final generation to <file>
+  --export <file>
+                 Export the final generation; the extension picks the format
+                 (.svg, .geojson, .dxf, .obj, .stl); may be given more than once
+  --export-options <json>
+                 Exporter options, e.g. '{"page": "A4", "lineWidth": 0.3, "fill": "#ffffff"}'
+  --record <file.zip|dir>
+                 Render frames offscreen as PNGs (frame-NNNNNN.png), into a zip archive
+                 or a directory
+  --record-options <json>
+                 Which generations and how, e.g. '{"every": 5, "start": 0, "stop": 200,
+                 "width": 1280, "height": 720, "overlay": true, "lineWidth": 1}'
+  --metrics <file.csv>
+                 Write the dashboard metrics of every generation as CSV (acute counts,
+                 edge length mean/variance, spring and kinetic energy, cell area spread)
+  --topology <file.json>
+                 Write the final generation's cell topology statistics as JSON (p(n),
+                 Lewis and Aboav-Weaire fits, interior angle and edge length histograms)
+  --auto-pause   Stop early once the run is stationary or periodic (a cycle of up to
+                 32 generations), like config "autoPause": true
+  --verbose      Forward engine log messages to stderr
+  --help         Show this message`;
+
+function parseArgs(argv) {
+    const args = { positional: [], out: null, every: 1, save: null, exports: [], exportOptions: '{}', record: null, recordOptions: '{}', metrics: null, topology: null, autoPause: false, verbose: false, help: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) fail(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--out':
+                args.out = value();
+                break;
+            case '--every':
+                args.every = parseInt(value());
+                break;
+            case '--save':
+                args.save = value();
+                break;
+            case '--export':
+                args.exports.push(value());
+                break;
+            case '--export-options':
+                args.exportOptions = value();
+                break;
+            case '--record':
+                args.record = value();
+                break;
+            case '--record-options':
+                args.recordOptions = value();
+                break;
+            case '--metrics':
+                args.metrics = value();
+                break;
+            case '--topology':
+                args.topology = value();
+                break;
+            case '--auto-pause':
+                args.autoPause = true;
+                break;
+            case '--verbose':
+                args.verbose = true;
+                break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) fail(`unknown option "${arg}"`);
+                args.positional.push(arg);
+        }
+    }
+    
+    return args;
+}
+
+function fail(message) {
+    console.error(`simulate: ${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const [configPath, generationArg, ...extra] = args.positional;
+const generations = parseInt(generationArg);
+
+if (!configPath) fail('missing config file');
+if (extra.length > 0) fail(`unexpected argument "${extra[0]}"`);
+if (!Number.isInteger(generations) || generations < 0) fail('generation count must be a non-negative integer');
+if (!Number.isInteger(args.every) || args.every < 1) fail('--every must be a positive integer');
+
+let exportOptions;
+try {
+    exportOptions = JSON.parse(args.exportOptions);
+} catch (error) {
+    fail(`--export-options is not valid JSON: ${error.message}`);
+}
+
+let recordOptions;
+let recordingPlan;
+try {
+    recordOptions = JSON.parse(args.recordOptions);
+    recordingPlan = new RecordingPlan(recordOptions);
+} catch (error) {
+    fail(`--record-options: ${error.message}`);
+}
+
+let config;
+try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+} catch (error) {
+    fail(`cannot read config "${configPath}": ${error.message}`);
+}
+
+if (args.autoPause) {
+    // A snapshot carries its config inside
+    Object.assign(config.format === Snapshot.FORMAT ? config.config : config, { autoPause: true });
+}
+
+// Engine progress goes to stderr (or nowhere); stdout is kept for the JSON output
+const log = args.verbose ? (...messages) => console.error(...messages) : () => {};
+
+if (args.out) {
+    fs.mkdirSync(args.out, { recursive: true });
+}
+
+// Generation 0, or the saved generation of a snapshot
+let firstGeneration = null;
+
+const writeGeneration = (simulation) => {
+    const { generation } = simulation;
+    if (firstGeneration === null) firstGeneration = generation;
+    
+    // Always write the last generation, including one where validation or auto-pause stopped the run
+    if (generation % args.every !== 0 && generation !== firstGeneration + generations && !simulation.paused) return;
+    
+    const json = JSON.stringify(simulation.getState());
+    
+    if (args.out) {
+        const file = path.join(args.out, `generation-${String(generation).padStart(6, '0')}.json`);
+        fs.writeFileSync(file, json);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+};
+
+// Frames go into a zip archive (written at the end) or straight into a directory
+const recordZip = args.record && path.extname(args.record).toLowerCase() === '.zip' ? new ZipWriter() : null;
+if (args.record && !recordZip) {
+    fs.mkdirSync(args.record, { recursive: true });
+}
+
+const recordGeneration = (simulation) => {
+    if (!args.record || !recordingPlan.includes(simulation.generation)) return;
+    
+    const png = renderFrame(simulation, { ...recordOptions, deflate: zlib.deflateSync });
+    const name = RecordingPlan.frameName(simulation.generation);
+    if (recordZip) {
+        recordZip.add(name, png);
+    } else {
+        fs.writeFileSync(path.join(args.record, name), png);
+    }
+};
+
+const metricSamples = [];
+
+try {
+    const simulation = runSimulation(config, generations, (current) => {
+        writeGeneration(current);
+        recordGeneration(current);
+        if (args.metrics) metricSamples.push(current.getMetrics());
+    }, { log });
+    if (simulation.paused && simulation.pauseReason === 'attractor') {
+        console.error(`simulate: stopped at generation ${simulation.generation}: ${AttractorDetector.describe(simulation.lastDetection)}`);
+    } else if (simulation.paused) {
+        console.error(`simulate: paused at generation ${simulation.generation}: ${simulation.validator.describe(simulation.lastValidation)}`);
+    }
+    if (recordZip) {
+        fs.writeFileSync(args.record, recordZip.finish());
+    }
+    if (args.metrics) {
+        fs.writeFileSync(args.metrics, MeshMetrics.toCsv(metricSamples));
+    }
+    if (args.topology) {
+        fs.writeFileSync(args.topology, JSON.stringify(simulation.getTopologyStatistics(), null, 2));
+    }
+    if (args.save) {
+        fs.writeFileSync(args.save, JSON.stringify(saveSnapshot(simulation)));
+    }
+    for (const file of args.exports) {
+        const format = path.extname(file).slice(1).toLowerCase();
+        const content = exportMesh(simulation, format, exportOptions);
+        fs.writeFileSync(file, typeof content === 'string' ? content : new Uint8Array(content));
+    }
+} catch (error) {
+    console.error(`simulate: ${error.message}`);
+    process.exit(1);
+}
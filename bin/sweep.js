@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { runSweep, renderFrame, ParameterSweep } from '../js/headless.js';
+
+/**
+ * Headless parameter sweep
+ * Runs every combination of a sweep spec (a grid or random samples of engine parameters,
+ * times a list of seeds) for a number of generations without rendering, then writes a
+ * summary table of the final generations with a thumbnail of each.
+ *
+ *   node bin/sweep.js <spec.json> [--out <dir>] [--generations <n>] [--thumbnails <WxH|none>] [--verbose]
+ */
+
+const USAGE = `Usage: sweep <spec.json> [options]
+
+The spec is a JSON object: {"engine", "base", "generations", "seeds", and "grid" or "random"}
+(see js/ParameterSweep.js and examples/sweep.json).
+
+Writes into the output directory:
+  summary.csv    One row per run: run, seed, the swept parameters and the final metrics
+  summary.json   The spec and the rows
+  index.html     The table with a thumbnail per run
+  thumbnails/    run-NNNN.png
+
+Options:
+  --out <dir>            Output directory (default: sweep)
+  --generations <n>      Override the spec's generations per run
+  --thumbnails <WxH|none>
+                         Thumbnail size (default: 200x150), or none
+  --verbose              Forward engine log messages to stderr
+  --help                 Show this message`;
+
+function parseArgs(argv) {
+    const args = { positional: [], out: 'sweep', generations: null, thumbnails: '200x150', verbose: false, help: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) fail(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--out':
+                args.out = value();
+                break;
+            case '--generations':
+                args.generations = parseInt(value());
+                break;
+            case '--thumbnails':
+                args.thumbnails = value();
+                break;
+            case '--verbose':
+                args.verbose = true;
+                break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) fail(`unknown option "${arg}"`);
+                args.positional.push(arg);
+        }
+    }
+    
+    return args;
+}
+
+function fail(message) {
+    console.error(`sweep: ${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const [specPath, ...extra] = args.positional;
+if (!specPath) fail('missing spec file');
+if (extra.length > 0) fail(`unexpected argument "${extra[0]}"`);
+
+let thumbnailSize = null;
+if (args.thumbnails !== 'none') {
+    const match = /^(\d+)x(\d+)$/.exec(args.thumbnails || '');
+    if (!match) fail('--thumbnails must be WxH (e.g. 200x150) or none');
+    thumbnailSize = { width: parseInt(match[1]), height: parseInt(match[2]) };
+}
+
+let spec;
+let sweep;
+try {
+    spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+    if (args.generations !== null) spec.generations = args.generations;
+    sweep = new ParameterSweep(spec);
+} catch (error) {
+    fail(`cannot read spec "${specPath}": ${error.message}`);
+}
+
+// Engine progress goes to stderr (or nowhere), like the sweep's own progress lines
+const log = args.verbose ? (...messages) => console.error(...messages) : () => {};
+
+const thumbnailDir = path.join(args.out, 'thumbnails');
+fs.mkdirSync(thumbnailSize ? thumbnailDir : args.out, { recursive: true });
+const thumbnailName = row => `run-${String(row.run).padStart(4, '0')}.png`;
+
+const total = sweep.combinations.length * sweep.seeds.length;
+
+try {
+    const rows = runSweep(sweep, (row, simulation, run) => {
+        if (thumbnailSize) {
+            const png = renderFrame(simulation, { ...thumbnailSize, overlay: false, deflate: zlib.deflateSync });
+            fs.writeFileSync(path.join(thumbnailDir, thumbnailName(row)), png);
+        }
+        
+        const parameters = Object.entries(run.parameters).map(([name, value]) => `${name}=${value}`).join(' ');
+        console.error(`[${row.run}/${total}] ${parameters} seed=${row.seed}: ` +
+            `${(row.acuteFraction * 100).toFixed(1)}% acute, ${row.dynamics || 'watching'} (${row.milliseconds} ms)`);
+    }, { log });
+    
+    fs.writeFileSync(path.join(args.out, 'summary.csv'), sweep.toCsv(rows));
+    fs.writeFileSync(path.join(args.out, 'summary.json'), JSON.stringify({
+        spec,
+        parameters: sweep.parameters,
+        rows
+    }, null, 2));
+    fs.writeFileSync(path.join(args.out, 'index.html'),
+        sweep.toHtml(rows, row => thumbnailSize ? `thumbnails/${thumbnailName(row)}` : null));
+    console.error(`sweep: ${rows.length} runs written to ${args.out}`);
+} catch (error) {
+    console.error(`sweep: ${error.message}`);
+    process.exit(1);
+}
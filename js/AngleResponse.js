@@ -0,0 +1,134 @@
+/**
+ * AngleResponse class turns corner angles into a continuous expand/shrink response
+ * Instead of counting corners below 90°, every corner angle at an edge passes through
+ * a response curve and the edge's target change is the sum of the responses (in %).
+ *
+ * Curves are plain JSON specs so they can live in the config:
+ *   {type: 'linear', at0, at180}                         - straight line from 0° to 180°
+ *   {type: 'sigmoid', center, width, below, above}       - smooth step from `below` to `above` at `center`
+ *   {type: 'gaussian', center, width, peak, base}        - bell around `center` (e.g. 120°), `base` elsewhere
+ *   {type: 'piecewise', points: [[angle, value], ...]}   - linear interpolation between control points
+ * Sigmoid and gaussian curves without a `width` use the one in AngleResponse.defaults.
+ */
+export class AngleResponse {
+    static TYPES = ['linear', 'sigmoid', 'gaussian', 'piecewise'];
+    
+    /**
+     * Starting spec for each curve type
+     */
+    static defaults = {
+        linear: { type: 'linear', at0: 10, at180: -10 },
+        sigmoid: { type: 'sigmoid', center: 90, width: 8, below: 5, above: -5 },
+        gaussian: { type: 'gaussian', center: 120, width: 15, peak: -5, base: 5 },
+        piecewise: { type: 'piecewise', points: [[0, 10], [90, 0], [120, -5], [180, 0]] }
+    };
+    
+    // An edge never shrinks to (or past) zero length, however many corners pull on it
+    static MIN_PERCENT = -99;
+    
+    /**
+     * @param {Object} spec - Curve spec, see above
+     * @throws {Error} If the spec is invalid
+     */
+    constructor(spec) {
+        this.spec = AngleResponse.validate(spec);
+    }
+    
+    /**
+     * Validate a curve spec and return a normalized copy
+     * @param {Object} spec - Curve spec
+     * @returns {Object} Copy with numeric fields and sorted control points
+     * @throws {Error} Describing the first problem found
+     */
+    static validate(spec) {
+        if (!spec || !AngleResponse.TYPES.includes(spec.type)) {
+            throw new Error(`Unknown response type "${spec && spec.type}" (expected one of: ${AngleResponse.TYPES.join(', ')})`);
+        }
+        
+        const number = (key, fallback) => {
+            const value = Number(spec[key] ?? fallback);
+            if (!Number.isFinite(value)) {
+                throw new Error(`${spec.type} response needs a numeric "${key}"`);
+            }
+            return value;
+        };
+        
+        switch (spec.type) {
+            case 'linear':
+                return { type: 'linear', at0: number('at0'), at180: number('at180') };
+            case 'sigmoid':
+            case 'gaussian': {
+                const width = number('width', AngleResponse.defaults[spec.type].width);
+                if (width <= 0) {
+                    throw new Error(`${spec.type} response width must be positive`);
+                }
+                return spec.type === 'sigmoid'
+                    ? { type: 'sigmoid', center: number('center'), width, below: number('below'), above: number('above') }
+                    : { type: 'gaussian', center: number('center'), width, peak: number('peak'), base: number('base') };
+            }
+            case 'piecewise': {
+                if (!Array.isArray(spec.points) || spec.points.length < 2) {
+                    throw new Error('piecewise response needs at least two control points');
+                }
+                const points = spec.points.map(([angle, value]) => [Number(angle), Number(value)]);
+                if (points.some(([angle, value]) => !Number.isFinite(angle) || !Number.isFinite(value))) {
+                    throw new Error('piecewise control points must be [angle, value] number pairs');
+                }
+                points.sort((a, b) => a[0] - b[0]);
+                return { type: 'piecewise', points };
+            }
+        }
+    }
+    
+    /**
+     * Response to a single corner angle
+     * @param {number} angleDegrees - Corner angle in degrees (0-180)
+     * @returns {number} Percentage contribution to the edge's target change
+     */
+    evaluate(angleDegrees) {
+        const s = this.spec;
+        
+        switch (s.type) {
+            case 'linear':
+                return s.at0 + (s.at180 - s.at0) * angleDegrees / 180;
+            case 'sigmoid':
+                return s.below + (s.above - s.below) / (1 + Math.exp(-(angleDegrees - s.center) / s.width));
+            case 'gaussian': {
+                const z = (angleDegrees - s.center) / s.width;
+                return s.base + (s.peak - s.base) * Math.exp(-0.5 * z * z);
+            }
+            case 'piecewise': {
+                const points = s.points;
+                if (angleDegrees <= points[0][0]) return points[0][1];
+                for (let i = 1; i < points.length; i++) {
+                    const [a1, v1] = points[i];
+                    if (angleDegrees <= a1) {
+                        const [a0, v0] = points[i - 1];
+                        return a1 === a0 ? v1 : v0 + (v1 - v0) * (angleDegrees - a0) / (a1 - a0);
+                    }
+                }
+                return points[points.length - 1][1];
+            }
+        }
+    }
+    
+    /**
+     * Target change of an edge from all of its corner angles
+     * @param {Array} angles - Corner angles in degrees
+     * @returns {number} Sum of responses in %, never below MIN_PERCENT
+     */
+    edgeValue(angles) {
+        let sum = 0;
+        for (const angle of angles) {
+            sum += this.evaluate(angle);
+        }
+        return Math.max(AngleResponse.MIN_PERCENT, sum);
+    }
+    
+    /**
+     * Plain spec for saving with the config
+     */
+    toJSON() {
+        return this.spec;
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * AttractorDetector class tells where a run is heading, much as Game of Life programs
+ * spot still lifes and oscillators. It is fed one sample per generation (see
+ * CanvasEngine/Simulation getDynamics) and compares each generation with the last
+ * maxPeriod ones: two generations match when their acute-count vectors hash alike and
+ * their vertices lie within tolerance of each other (RMS distance over the mean edge length).
+ *
+ *   converging  - no recurrence yet, but kinetic energy and drift per generation are falling
+ *                 (or the drift is already below the tolerance)
+ *   stationary  - each generation matches the one before it (a cycle of period 1)
+ *   periodic    - each generation matches the one `period` generations back
+ *   chaotic     - none of these: the state keeps moving without repeating
+ *
+ * A recurrence counts once it has held for `window` generations and the generation also
+ * matches the oldest one a whole number of periods back (so a slow creep is no cycle). A
+ * switch between converging and chaotic counts once it has held for `window` generations.
+ * Until `window` samples have been seen the state is null.
+ */
+export class AttractorDetector {
+    static STATES = ['converging', 'stationary', 'periodic', 'chaotic'];
+    
+    /**
+     * States the run stays in for good once reached (what auto-pause stops at)
+     */
+    static SETTLED = ['stationary', 'periodic'];
+    
+    static DEFAULTS = {
+        window: 20,         // Generations a recurrence must hold; also the energy / drift trend span
+        maxPeriod: 32,      // Longest cycle looked for
+        tolerance: 1e-4,    // RMS vertex distance, relative to the mean edge length, for a match
+        decay: 0.9          // Converging: the recent half of the window below decay × the older half
+    };
+    
+    /**
+     * @param {Object} options - See DEFAULTS
+     */
+    constructor(options = {}) {
+        this.settings = { ...AttractorDetector.DEFAULTS, ...options };
+        this.reset();
+    }
+    
+    /**
+     * Forget the history (a new mesh or a loaded run)
+     */
+    reset() {
+        this.history = [];          // Last maxPeriod samples {generation, hash, positions}
+        this.energies = [];         // Kinetic energy of the last window generations
+        this.drifts = [];           // Relative RMS displacement from the previous generation
+        this.runs = new Array(this.settings.maxPeriod + 1).fill(0);  // Consecutive matches per lag
+        this.trend = null;          // Converging or chaotic, by the latest window
+        this.trendSince = null;
+        this.state = null;
+        this.period = null;
+        this.since = null;
+        this.reached = Object.fromEntries(AttractorDetector.STATES.map(state => [state, null]));
+        this.report = null;
+    }
+    
+    /**
+     * Plain-data copy of the detection state (history, trend, reached states and the
+     * latest report), for snapshots
+     * @returns {Object} {history, energies, drifts, runs, trend, trendSince, state, period, since, reached, report}
+     */
+    getState() {
+        return {
+            history: this.history.map(({ generation, hash, positions }) => ({ generation, hash, positions: Array.from(positions) })),
+            energies: [...this.energies],
+            drifts: [...this.drifts],
+            runs: [...this.runs],
+            trend: this.trend,
+            trendSince: this.trendSince,
+            state: this.state,
+            period: this.period,
+            since: this.since,
+            reached: { ...this.reached },
+            report: this.report
+        };
+    }
+    
+    /**
+     * Restore a state previously returned by getState(), so detection carries on as if
+     * the run had not stopped
+     */
+    setState(saved) {
+        this.reset();
+        this.history = saved.history.map(({ generation, hash, positions }) => ({ generation, hash, positions: Float64Array.from(positions) }));
+        this.energies = [...saved.energies];
+        this.drifts = [...saved.drifts];
+        this.runs = this.runs.map((run, lag) => saved.runs[lag] || 0);
+        this.trend = saved.trend;
+        this.trendSince = saved.trendSince;
+        this.state = saved.state;
+        this.period = saved.period;
+        this.since = saved.since;
+        Object.assign(this.reached, saved.reached);
+        this.report = saved.report;
+    }
+    
+    /**
+     * Add the next generation and classify the run
+     * @param {Object} sample
+     * @param {number} sample.generation
+     * @param {number} sample.kineticEnergy - Σ ½m|v|²
+     * @param {ArrayLike} sample.acuteCounts - Acute count of each edge
+     * @param {ArrayLike} sample.positions - [x0, y0, x1, y1, ...]
+     * @param {number} sample.lengthScale - Mean edge length (distances are relative to it)
+     * @param {Object|null} sample.period - {width, height} of a periodic domain (minimum-image distances)
+     * @returns {Object} Report {generation, state, period, since, entered, reached, kineticEnergy, drift, hash}
+     */
+    update({ generation, kineticEnergy, acuteCounts, positions, lengthScale, period = null }) {
+        const { window, maxPeriod, tolerance, decay } = this.settings;
+        const last = this.history[this.history.length - 1];
+        if (last && generation !== last.generation + 1) this.reset();
+        
+        const hash = AttractorDetector.hash(acuteCounts);
+        const current = { generation, hash, positions: Float64Array.from(positions) };
+        const scale = lengthScale > 0 ? lengthScale : 1;
+        
+        for (let lag = 1; lag <= maxPeriod; lag++) {
+            const earlier = this.history[this.history.length - lag];
+            const match = earlier !== undefined && earlier.hash === hash &&
+                AttractorDetector.distance(current.positions, earlier.positions, period) <= tolerance * scale;
+            this.runs[lag] = match ? this.runs[lag] + 1 : 0;
+        }
+        
+        const drift = this.history.length > 0
+            ? AttractorDetector.distance(current.positions, this.history[this.history.length - 1].positions, period) / scale
+            : 0;
+        
+        this.history.push(current);
+        if (this.history.length > maxPeriod) this.history.shift();
+        this.energies.push(kineticEnergy);
+        this.drifts.push(drift);
+        if (this.energies.length > window) {
+            this.energies.shift();
+            this.drifts.shift();
+        }
+        
+        // The shortest recurrence that has held long enough (period 1 is a still state), if the
+        // generation also matches the oldest one of the repeating stretch a whole number of periods back
+        let cycle = null;
+        const lag = this.runs.findIndex((run, index) => index > 0 && run >= window);
+        if (lag > 0) {
+            const span = lag * Math.floor(Math.min(this.history.length - 1, this.runs[lag] + lag - 1) / lag);
+            const oldest = this.history[this.history.length - 1 - span];
+            if (AttractorDetector.distance(current.positions, oldest.positions, period) <= tolerance * scale) cycle = lag;
+        }
+        
+        if (this.energies.length >= window) {
+            const halves = values => {
+                const half = Math.floor(values.length / 2);
+                return {
+                    older: values.slice(0, half).reduce((sum, value) => sum + value, 0) / half,
+                    recent: values.slice(half).reduce((sum, value) => sum + value, 0) / (values.length - half)
+                };
+            };
+            const energy = halves(this.energies);
+            const motion = halves(this.drifts);
+            // Motion below the match tolerance is settling too, however it fluctuates
+            const trend = motion.recent <= tolerance ||
+                (energy.recent <= decay * energy.older && motion.recent <= decay * motion.older) ? 'converging' : 'chaotic';
+            if (trend !== this.trend) {
+                this.trend = trend;
+                this.trendSince = generation;
+            }
+        }
+        
+        let state = this.state;
+        let since = this.since;
+        if (cycle !== null) {
+            state = cycle === 1 ? 'stationary' : 'periodic';
+            // The first generation of the repeating stretch
+            since = generation - this.runs[cycle] + 1 - cycle;
+        } else if (generation - this.trendSince + 1 >= window || AttractorDetector.SETTLED.includes(this.state) ||
+            this.state === null) {
+            state = this.trend;
+            since = this.trendSince;
+        }
+        
+        const entered = state !== this.state || cycle !== this.period;
+        if (entered) {
+            this.state = state;
+            this.period = cycle;
+            this.since = state === null ? null : since;
+            if (state !== null && this.reached[state] === null) this.reached[state] = this.since;
+        }
+        
+        this.report = {
+            generation,
+            state,
+            period: cycle,
+            since: this.since,
+            entered: entered && state !== null,
+            reached: { ...this.reached },
+            kineticEnergy,
+            drift,
+            hash: hash.toString(16).padStart(8, '0')
+        };
+        return this.report;
+    }
+    
+    /**
+     * One-line description of a report, e.g. "periodic (period 4) since generation 812"
+     */
+    static describe(report) {
+        if (!report || report.state === null) return 'watching';
+        const period = report.state === 'periodic' ? ` (period ${report.period})` : '';
+        return `${report.state}${period} since generation ${report.since}`;
+    }
+    
+    /**
+     * The generation each state was first reached, e.g. "chaotic at 19, periodic at 240"
+     */
+    static describeReached(report) {
+        if (!report) return '';
+        return AttractorDetector.STATES
+            .filter(state => report.reached[state] !== null)
+            .sort((a, b) => report.reached[a] - report.reached[b])
+            .map(state => `${state} at ${report.reached[state]}`)
+            .join(', ');
+    }
+    
+    /**
+     * 32-bit FNV-1a hash of a count vector
+     */
+    static hash(values) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < values.length; i++) {
+            hash ^= values[i] & 0xff;
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash ^ values.length) >>> 0;
+    }
+    
+    /**
+     * RMS distance between matching vertices (Infinity when the vertex counts differ)
+     * @param {Object|null} period - {width, height}: measure across the seams too
+     */
+    static distance(a, b, period = null) {
+        if (a.length !== b.length) return Infinity;
+        if (a.length === 0) return 0;
+        
+        let sum = 0;
+        for (let i = 0; i < a.length; i += 2) {
+            let dx = a[i] - b[i];
+            let dy = a[i + 1] - b[i + 1];
+            if (period) {
+                dx -= period.width * Math.round(dx / period.width);
+                dy -= period.height * Math.round(dy / period.height);
+            }
+            sum += dx * dx + dy * dy;
+        }
+        return Math.sqrt(sum / (a.length / 2));
+    }
+}
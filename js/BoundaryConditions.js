@@ -0,0 +1,226 @@
+/**
+ * BoundaryConditions class decides what happens at each side of the domain. Both engines
+ * run constrain() after every physics substep, add holdMask() to the vertices the physics
+ * leaves alone and hand anchors() to SpringSystem. Each side takes one of:
+ *   'periodic'   - Vertices leaving the side re-enter from the opposite one (all four
+ *                  sides or none: the mesh itself is built on a torus)
+ *   'reflective' - A wall: vertices crossing it are put back and bounce off with the
+ *                  restitution (fraction of the normal speed kept)
+ *   'fixed'      - The outer vertices along the side are clamped where they are
+ *   'free'       - No constraint
+ *   'elastic'    - The outer vertices along the side are tied by springs to where the
+ *                  mesh was built, so the rim gives but keeps its shape
+ * Outer vertices belong to the side nearest their construction position (see findRim).
+ */
+export class BoundaryConditions {
+    static TYPES = ['periodic', 'reflective', 'fixed', 'free', 'elastic'];
+    static SIDES = ['minX', 'maxX', 'minY', 'maxY'];
+    
+    /**
+     * Options used when the engine does not pass its own
+     */
+    static defaults = {
+        restitution: 0.5,       // Fraction of the normal speed kept by a bounce
+        minBounceSpeed: 0,      // Smallest speed a bounce leaves a vertex with
+        margin: 0,              // How far inside the wall a bounced vertex is put back
+        rimStiffness: 0.3       // Spring constant tying 'elastic' outer vertices to their anchors
+    };
+    
+    /**
+     * @param {string|Object} spec - One type for every side, or {minX, maxX, minY, maxY}
+     *                               (missing sides are 'free')
+     * @param {Object} bounds - {minX, maxX, minY, maxY} of the domain
+     * @param {Object} options - Overrides for BoundaryConditions.defaults
+     * @throws {Error} On an unknown type, or periodic sides that do not cover all four
+     */
+    constructor(spec, bounds, options = {}) {
+        const { TYPES, SIDES } = BoundaryConditions;
+        
+        this.sides = {};
+        for (const side of SIDES) {
+            const type = (typeof spec === 'string' ? spec : spec && spec[side]) || 'free';
+            if (!TYPES.includes(type)) {
+                throw new Error(`Unknown boundary condition "${type}" for ${side} (expected one of: ${TYPES.join(', ')})`);
+            }
+            this.sides[side] = type;
+        }
+        
+        const periodicSides = SIDES.filter(side => this.sides[side] === 'periodic').length;
+        if (periodicSides !== 0 && periodicSides !== SIDES.length) {
+            throw new Error('Periodic boundaries wrap the mesh onto a torus, so they must be set on all four sides');
+        }
+        this.periodic = periodicSides === SIDES.length;
+        
+        this.bounds = { ...bounds };
+        for (const [key, value] of Object.entries(BoundaryConditions.defaults)) {
+            this[key] = options[key] ?? value;
+        }
+    }
+    
+    /**
+     * Whether any side uses a condition
+     * @param {string} type - One of BoundaryConditions.TYPES
+     */
+    has(type) {
+        return BoundaryConditions.SIDES.some(side => this.sides[side] === type);
+    }
+    
+    /**
+     * Side nearest to a point
+     * @returns {string} 'minX', 'maxX', 'minY' or 'maxY'
+     */
+    sideOf(x, y) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const distances = [x - minX, maxX - x, y - minY, maxY - y];
+        return BoundaryConditions.SIDES[distances.indexOf(Math.min(...distances))];
+    }
+    
+    /**
+     * Condition acting on a vertex through the rim
+     * @param {Object|null} rim - See findRim
+     * @param {number} index - Vertex index
+     * @returns {string|null} Condition of the side an outer vertex belongs to, or null
+     *                        for inner vertices and periodic domains
+     */
+    rimCondition(rim, index) {
+        const k = rim && !this.periodic ? rim.vertices.indexOf(index) : -1;
+        return k < 0 ? null : this.sides[this.sideOf(rim.anchors[k * 2], rim.anchors[k * 2 + 1])];
+    }
+    
+    /**
+     * Wrap, or bounce off the reflective sides; run after every substep
+     * @param {Float64Array} x - Positions [x0, y0, ...]
+     * @param {Float64Array} v - Velocities, same layout
+     */
+    constrain(x, v) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        
+        if (this.periodic) {
+            for (let i = 0; i < x.length; i += 2) {
+                x[i] = BoundaryConditions.wrapCoordinate(x[i], minX, maxX);
+                x[i + 1] = BoundaryConditions.wrapCoordinate(x[i + 1], minY, maxY);
+            }
+            return;
+        }
+        
+        if (!this.has('reflective')) return;
+        
+        const walls = {};
+        for (const side of BoundaryConditions.SIDES) walls[side] = this.sides[side] === 'reflective';
+        const { restitution, minBounceSpeed, margin } = this;
+        const bounce = speed => Math.max(Math.abs(speed) * restitution, minBounceSpeed);
+        
+        for (let i = 0; i < x.length; i += 2) {
+            if (walls.minX && x[i] <= minX) {
+                x[i] = minX + margin;
+                v[i] = bounce(v[i]);
+            }
+            if (walls.maxX && x[i] >= maxX) {
+                x[i] = maxX - margin;
+                v[i] = -bounce(v[i]);
+            }
+            if (walls.minY && x[i + 1] <= minY) {
+                x[i + 1] = minY + margin;
+                v[i + 1] = bounce(v[i + 1]);
+            }
+            if (walls.maxY && x[i + 1] >= maxY) {
+                x[i + 1] = maxY - margin;
+                v[i + 1] = -bounce(v[i + 1]);
+            }
+        }
+    }
+    
+    /**
+     * Add the outer vertices of 'fixed' sides to a mask of held vertices
+     * @param {Uint8Array|null} mask - Held vertices so far (modified), or null
+     * @param {Object|null} rim - See findRim
+     * @param {number} count - Number of vertices
+     * @returns {Uint8Array|null} The mask, created when needed
+     */
+    holdMask(mask, rim, count) {
+        if (!rim || !this.has('fixed')) return mask;
+        
+        const held = mask || new Uint8Array(count);
+        rim.vertices.forEach((index, k) => {
+            if (index >= count) return;
+            if (this.sides[this.sideOf(rim.anchors[k * 2], rim.anchors[k * 2 + 1])] === 'fixed') held[index] = 1;
+        });
+        return held;
+    }
+    
+    /**
+     * Springs that pull the outer vertices of 'elastic' sides back to their anchors
+     * @param {Object|null} rim - See findRim
+     * @returns {Object|null} {vertices, positions, stiffness} for SpringSystem.anchors, or null
+     */
+    anchors(rim) {
+        if (!rim || !this.has('elastic')) return null;
+        
+        const vertices = [];
+        const positions = [];
+        rim.vertices.forEach((index, k) => {
+            const x = rim.anchors[k * 2];
+            const y = rim.anchors[k * 2 + 1];
+            if (this.sides[this.sideOf(x, y)] !== 'elastic') return;
+            vertices.push(index);
+            positions.push(x, y);
+        });
+        
+        if (vertices.length === 0) return null;
+        return { vertices: Int32Array.from(vertices), positions: Float64Array.from(positions), stiffness: this.rimStiffness };
+    }
+    
+    /**
+     * Find the outer vertices of a mesh: the ends of edges that fewer than two cells share
+     * Each is anchored where it is now, or where it was anchored before a rebuild.
+     * @param {ArrayLike} positions - [x0, y0, x1, y1, ...]
+     * @param {ArrayLike} edgeVertices - [v1, v2, ...]
+     * @param {Array} loops - Vertex indices around each cell
+     * @param {Object|null} carry - {rim, previous} to keep the anchors of vertices that were
+     *                              outer before a rebuild (previous: old index per new vertex)
+     * @returns {Object} {vertices: Int32Array, anchors: Float64Array [x0, y0, ...]}
+     */
+    static findRim(positions, edgeVertices, loops, carry = null) {
+        const edgeKey = (a, b) => a < b ? `${a},${b}` : `${b},${a}`;
+        const shared = new Map();
+        for (const loop of loops) {
+            loop.forEach((index, k) => {
+                const key = edgeKey(index, loop[(k + 1) % loop.length]);
+                shared.set(key, (shared.get(key) || 0) + 1);
+            });
+        }
+        
+        const outer = new Set();
+        for (let e = 0; e < edgeVertices.length; e += 2) {
+            if ((shared.get(edgeKey(edgeVertices[e], edgeVertices[e + 1])) || 0) >= 2) continue;
+            outer.add(edgeVertices[e]);
+            outer.add(edgeVertices[e + 1]);
+        }
+        
+        const oldAnchors = new Map();
+        if (carry && carry.rim) {
+            carry.rim.vertices.forEach((index, k) => oldAnchors.set(index, k));
+        }
+        
+        const vertices = Int32Array.from([...outer].sort((a, b) => a - b));
+        const anchors = new Float64Array(vertices.length * 2);
+        vertices.forEach((index, k) => {
+            const old = carry ? oldAnchors.get(carry.previous[index]) : undefined;
+            const source = old !== undefined ? carry.rim.anchors : positions;
+            const at = old !== undefined ? old : index;
+            anchors[k * 2] = source[at * 2];
+            anchors[k * 2 + 1] = source[at * 2 + 1];
+        });
+        
+        return { vertices, anchors };
+    }
+    
+    /**
+     * Wrap a coordinate into [min, max) (coordinates already inside are returned unchanged)
+     */
+    static wrapCoordinate(coord, min, max) {
+        if (coord >= min && coord < max) return coord;
+        const range = max - min;
+        return min + (((coord - min) % range) + range) % range;
+    }
+}
@@ -0,0 +1,1783 @@
+import { Random } from './Random.js';
+import { EdgeRule } from './EdgeRule.js';
+import { AngleResponse } from './AngleResponse.js';
+import { Integrator } from './Integrator.js';
+import { SpringSystem } from './SpringSystem.js';
+import { MeshValidator } from './MeshValidator.js';
+import { MeshStore } from './MeshStore.js';
+import { DualConstruction } from './DualConstruction.js';
+import { Clipping } from './Clipping.js';
+import { MeshMetrics } from './MeshMetrics.js';
+import { TopologyStatistics } from './TopologyStatistics.js';
+import { AttractorDetector } from './AttractorDetector.js';
+import { VertexPins } from './VertexPins.js';
+import { SeedEditor } from './SeedEditor.js';
+import { BoundaryConditions } from './BoundaryConditions.js';
+import { MeshInspector } from './MeshInspector.js';
+import { Geometry } from './Geometry.js';
+
+/**
+ * CanvasEngine class is the DOM-free simulation core behind index.html
+ * Works directly on mesh vertices and edges (NOT seeds!): generation,
+ * acute angle analysis and spring physics, with no canvas or document access.
+ * Vertex and edge data live in typed arrays (see MeshStore), so meshes of tens of
+ * thousands of cells stay interactive. Runs unchanged in the browser and in Node
+ * (see js/headless.js).
+ */
+export class CanvasEngine {
+    /**
+     * Default configuration, tuned by hand in the browser
+     */
+    static defaults = {
+        width: 800,
+        height: 600,
+        seedCount: 300,  // Changed from 200 to 300
+        expandPercent: 14,  // Changed from 5 to 14
+        shrinkPercent: 15,  // Changed from 5 to 15
+        springStrength: 0.5,  // Changed from 0.1 to 0.5
+        damping: 0.98,  // Fraction of velocity kept per unit of time (linear drag)
+        edgeDamping: 0.1,  // Dashpot on each edge's stretching speed
+        integrator: 'semi-implicit-euler',  // 'semi-implicit-euler', 'velocity-verlet' or 'rk4'
+        timeStep: 1,  // Simulated time per generation (one legacy frame)
+        substeps: 1,  // Substeps per generation (raised automatically for stiff springs)
+        areaStiffness: 0,  // Cell area elasticity K in K·(A − A0)² (0 = off)
+        perimeterContractility: 0,  // Cell perimeter contractility Γ in Γ·(P − P0)² (0 = off)
+        targetArea: null,  // A0 for every cell in px² (null = each cell's area at generation 0)
+        targetPerimeter: 0,  // P0 for every cell in px (0 = pure contractility)
+        validation: 'warn',  // Mesh validity policy: 'off', 'warn', 'pause' or 'correct'
+        minVertexDistance: 0.5,  // Vertices closer than this (px) count as coincident
+        correctionStrength: 1,  // Repulsive correction force scale for the 'correct' policy
+        autoPause: false,  // Pause once the run is stationary or periodic (see AttractorDetector)
+        vertexMass: 4.4,  // Changed from 3.0 to 4.4
+        expansionRate: 0.037,  // Changed from 0.01 to 0.037
+        invertBehavior: true,  // Changed from false to true
+        periodicBoundaries: false,  // Changed from true to false
+        boundaries: null,  // Canvas sides when not periodic: one condition or {minX, maxX, minY, maxY} (null = 'reflective')
+        restitution: 0.5,  // Fraction of the normal speed kept by a bounce off a 'reflective' side
+        rimStiffness: 0.5,  // Spring constant tying the outer vertices of 'elastic' sides to where they were built
+        useBlueNoise: true,
+        dual: 'barycentric',  // Mesh vertex per seed triangle: 'circumcentric', 'barycentric', 'centroidal' or 'power'
+        lloydIterations: 5,  // Lloyd relaxation steps before a 'centroidal' dual
+        seedWeights: null,  // Per-seed weights (px²) for a 'power' dual (null = random, see weightSpread)
+        weightSpread: 0.25,  // Random power weights are (weightSpread · seed spacing · u)², u uniform in [0, 1)
+        t1Threshold: 0,  // Edges shorter than this (px) undergo a T1 neighbour swap (0 = off)
+        rule: '',  // Rule table, e.g. "0:-15, 1:+5, 2:+10, 3+:-5" (empty = use the percentages above)
+        angleResponse: null,  // Continuous angle response curve spec (null = count acute corners)
+        seed: null  // Random seed (null = pick a fresh one on every generate)
+    };
+    
+    /**
+     * @param {Object} config - Overrides for CanvasEngine.defaults (extra keys are kept)
+     * @param {Object} options - {log: function(message)} for progress messages
+     */
+    constructor(config = {}, options = {}) {
+        this.config = { ...CanvasEngine.defaults, ...config };
+        this.log = options.log || (() => {});
+        
+        // Typed-array vertex / edge storage; vertices and edges are views onto it
+        this.store = new MeshStore();
+        this.vertices = this.store.vertices; // Views {x, y, vx, vy, mass} - the actual mesh vertices
+        this.edges = this.store.edges;       // Views {v1, v2, originalLength, targetLength, acuteCount, changePercent, cornerAngles}
+        this.cells = [];             // Array of {id, vertexIndices, targetArea, areaStiffness, ...} - faces of the edge graph
+        this.seeds = [];             // Seeds of the last generation (ghost copies flagged with ghost: true)
+        this.weights = null;         // Power dual weight per seed id (power dual only)
+        this.delaunay = null;        // Triangulation of the seeds ({triangles, halfedges}, d3-delaunay layout)
+        this.delaunayTriangles = null; // Seed triangles for optional rendering (see getDelaunayTriangles)
+        this.directions = null;      // Scratch buffer for getIncidentDirections
+        this.generation = 0;
+        this.t1Count = 0;            // Total T1 transitions since generation 0
+        this.pins = new VertexPins(); // Vertices held in place by the user
+        this.rim = null;             // Outer vertices and their anchors (see BoundaryConditions.findRim)
+        
+        // Parsed form of config.rule
+        this.ruleText = '';
+        this.parsedRule = null;
+        
+        // Built form of config.angleResponse
+        this.responseKey = 'null';
+        this.angleResponse = null;
+        
+        // Built form of the boundary settings
+        this.boundaryKey = null;
+        this.boundaryConditions = null;
+        
+        // Flat-array spring network and integrator used by updatePhysics
+        this.springSystem = new SpringSystem();
+        this.integrator = null;
+        this.lastSubsteps = 0;
+        
+        // Mesh validity checks, run every generation
+        this.validator = new MeshValidator();
+        this.lastValidation = null;      // Latest report (null when validation is off)
+        this.correctionForces = null;    // Forces applied next generation under the 'correct' policy
+        this.paused = false;             // Set under the 'pause' policy or by autoPause; callers stop stepping
+        this.pauseReason = null;         // 'validation' or 'attractor' while paused
+        this.acceptedViolations = 0;     // Violation count the user resumed with
+        
+        // Steady-state and cycle detection, run every generation
+        this.detector = new AttractorDetector();
+        this.lastDetection = null;
+        
+        // Seeded random source - every random draw goes through this
+        this.random = new Random();
+        this.seed = this.random.seed;
+    }
+    
+    /**
+     * Generate a new mesh and reset the generation counter
+     * Uses config.seed when set, otherwise a fresh random seed (see this.seed)
+     */
+    generate() {
+        this.generation = 0;
+        this.t1Count = 0;
+        this.random = new Random(this.config.seed ?? Random.randomSeed());
+        this.seed = this.random.seed;
+        this.pins.clear();
+        this.generateVoronoiMesh();
+        this.getBoundaries();       // Refuse conflicting boundary settings before generation 0
+        
+        this.validator.reset(this.getValidationMesh());
+        this.lastValidation = null;
+        this.correctionForces = null;
+        this.paused = false;
+        this.pauseReason = null;
+        this.acceptedViolations = 0;
+        
+        this.detector.reset();
+        this.detectAttractor();
+    }
+    
+    /**
+     * Advance the simulation by one generation (one physics step + re-analysis)
+     * @returns {Object} Statistics for the new generation
+     */
+    step() {
+        this.updatePhysics();
+        // Collapsed edges swap neighbours instead of shrinking forever (cell loops are
+        // updated with the swap)
+        this.applyT1Transitions();
+        // Re-analyze angles as mesh deforms
+        this.analyzeAcuteAngles();
+        this.generation++;
+        this.validateMesh();
+        this.detectAttractor();
+        
+        return this.getStats();
+    }
+    
+    /**
+     * Mesh data in the form MeshValidator expects
+     */
+    getValidationMesh() {
+        return {
+            vertices: this.vertices,
+            edges: this.edges,
+            cells: this.cells,
+            period: this.getPeriod()
+        };
+    }
+    
+    /**
+     * Check the mesh and apply config.validation to any violations
+     * @returns {Object|null} Validation report, or null when validation is off
+     */
+    validateMesh() {
+        const policy = this.config.validation;
+        if (!MeshValidator.POLICIES.includes(policy)) {
+            throw new Error(`Unknown validation policy "${policy}" (expected one of: ${MeshValidator.POLICIES.join(', ')})`);
+        }
+        
+        this.correctionForces = null;
+        if (policy === 'off') {
+            this.lastValidation = null;
+            return null;
+        }
+        
+        const mesh = this.getValidationMesh();
+        const report = this.validator.validate(mesh, { minVertexDistance: this.config.minVertexDistance });
+        this.lastValidation = report;
+        if (report.valid) return report;
+        
+        this.log(`Generation ${this.generation}: ${this.validator.describe(report)}`);
+        
+        if (policy === 'pause' && report.violationCount > this.acceptedViolations) {
+            this.paused = true;
+            this.pauseReason = 'validation';
+        } else if (policy === 'correct') {
+            this.correctionForces = this.validator.computeCorrections(
+                mesh, report, this.config.correctionStrength, this.config.springStrength
+            );
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Continue after a pause - only violations beyond the current count pause again, and
+     * autoPause only stops at the next stationary or periodic state the run enters
+     */
+    resume() {
+        this.paused = false;
+        this.pauseReason = null;
+        this.acceptedViolations = this.lastValidation ? this.lastValidation.violationCount : 0;
+    }
+    
+    /**
+     * Feed the current generation to the AttractorDetector; under config.autoPause, entering
+     * a stationary or periodic state pauses the run
+     * @returns {Object} Detection report (see AttractorDetector.update)
+     */
+    detectAttractor() {
+        const report = this.detector.update(this.getDynamics());
+        this.lastDetection = report;
+        if (!report.entered || !AttractorDetector.SETTLED.includes(report.state)) return report;
+        
+        this.log(`Generation ${this.generation}: ${AttractorDetector.describe(report)}`);
+        if (this.config.autoPause && !this.paused) {
+            this.paused = true;
+            this.pauseReason = 'attractor';
+        }
+        return report;
+    }
+    
+    /**
+     * Kinetic energy, acute counts and vertex positions of the current generation, as
+     * AttractorDetector samples them
+     * @returns {Object} {generation, kineticEnergy, acuteCounts, positions, lengthScale, period}
+     */
+    getDynamics() {
+        const { store } = this;
+        let kineticEnergy = 0;
+        for (let i = 0; i < store.vertexCount; i++) {
+            const vx = store.velocities[i * 2];
+            const vy = store.velocities[i * 2 + 1];
+            kineticEnergy += 0.5 * store.masses[i] * (vx * vx + vy * vy);
+        }
+        
+        let lengthSum = 0;
+        for (let e = 0; e < store.edgeCount; e++) {
+            const edge = this.edges[e];
+            lengthSum += this.getEdgeVector(this.vertices[edge.v1], this.vertices[edge.v2]).distance;
+        }
+        
+        return {
+            generation: this.generation,
+            kineticEnergy,
+            acuteCounts: store.acuteCounts,
+            positions: store.positions,
+            lengthScale: store.edgeCount > 0 ? lengthSum / store.edgeCount : 1,
+            period: this.getPeriod()
+        };
+    }
+    
+    /**
+     * Get summary statistics for the current mesh
+     * @returns {Object} Edge counts by behaviour
+     */
+    getStats() {
+        const { acuteCounts, changePercents, edgeCount } = this.store;
+        let acuteEdgeCount = 0;
+        let expandingEdgeCount = 0;
+        let shrinkingEdgeCount = 0;
+        for (let e = 0; e < edgeCount; e++) {
+            if (acuteCounts[e] > 0) acuteEdgeCount++;
+            if (changePercents[e] > 0) expandingEdgeCount++;
+            else if (changePercents[e] < 0) shrinkingEdgeCount++;
+        }
+        
+        return {
+            totalVertices: this.vertices.length,
+            totalEdges: this.edges.length,
+            totalCells: this.cells.length,
+            acuteEdgeCount,
+            expandingEdgeCount,
+            shrinkingEdgeCount,
+            t1Count: this.t1Count,
+            violationCount: this.lastValidation ? this.lastValidation.violationCount : 0
+        };
+    }
+    
+    /**
+     * Get the parsed rule table for config.rule (cached until the text changes)
+     * @returns {EdgeRule|null} Parsed rule, or null when the percentage sliders apply
+     * @throws {Error} If config.rule is invalid
+     */
+    getRule() {
+        const text = (this.config.rule || '').trim();
+        
+        if (text !== this.ruleText) {
+            this.parsedRule = text === '' ? null : EdgeRule.parse(text);
+            this.ruleText = text;
+        }
+        
+        return this.parsedRule;
+    }
+    
+    /**
+     * Get the response curve for config.angleResponse (rebuilt only when the spec changes)
+     * @returns {AngleResponse|null} Response curve, or null in acute-count mode
+     * @throws {Error} If config.angleResponse is invalid
+     */
+    getAngleResponse() {
+        const spec = this.config.angleResponse ?? null;
+        const key = JSON.stringify(spec);
+        
+        if (key !== this.responseKey) {
+            this.angleResponse = spec === null ? null : new AngleResponse(spec);
+            this.responseKey = key;
+        }
+        
+        return this.angleResponse;
+    }
+    
+    /**
+     * Get the boundary conditions for the config (rebuilt only when the settings change)
+     * A periodic canvas wraps on every side; otherwise config.boundaries applies.
+     * Bounces keep at least 0.5 px per unit time and put vertices back 0.1 px inside,
+     * so vertices do not stick to the walls.
+     * @returns {BoundaryConditions}
+     * @throws {Error} If config.boundaries is invalid, asks for periodic sides without periodicBoundaries
+     *                 or for other sides with it
+     */
+    getBoundaries() {
+        const { periodicBoundaries, boundaries, restitution, rimStiffness, width, height } = this.config;
+        const spec = boundaries ?? (periodicBoundaries ? 'periodic' : 'reflective');
+        const key = JSON.stringify([spec, restitution, rimStiffness, width, height]);
+        
+        if (key !== this.boundaryKey) {
+            const conditions = new BoundaryConditions(spec, { minX: 0, minY: 0, maxX: width, maxY: height },
+                { restitution, rimStiffness, minBounceSpeed: 0.5, margin: 0.1 });
+            if (conditions.periodic !== Boolean(periodicBoundaries)) {
+                throw new Error(periodicBoundaries
+                    ? 'boundaries requires periodicBoundaries: false (a periodic mesh wraps on every side)'
+                    : 'Periodic sides need periodicBoundaries: true (the mesh is built on a torus)');
+            }
+            this.boundaryConditions = conditions;
+            this.boundaryKey = key;
+        }
+        
+        return this.boundaryConditions;
+    }
+    
+    /**
+     * Outer vertices of the current mesh, anchored where they are
+     * @param {Int32Array|null} previous - Old index per vertex after a rebuild; outer vertices
+     *                                     that were outer before keep their anchors
+     * @returns {Object} {vertices, anchors} (see BoundaryConditions.findRim)
+     */
+    findRim(previous = null) {
+        const store = this.store;
+        return BoundaryConditions.findRim(store.positions, store.edgeVertices,
+            this.cells.map(cell => cell.vertexIndices), previous && { rim: this.rim, previous });
+    }
+    
+    /**
+     * Vertices the physics leaves where they are: pinned and dragged ones, and the outer
+     * vertices of 'fixed' sides
+     * @returns {Uint8Array|null} 1 per held vertex, or null when none is held
+     */
+    getHeldMask() {
+        const count = this.store.vertexCount;
+        return this.getBoundaries().holdMask(this.pins.mask(count), this.rim, count);
+    }
+    
+    /**
+     * Get a plain-data snapshot of the current generation
+     * @returns {Object} {generation, vertices, edges, cells, stats}
+     */
+    getState() {
+        return {
+            generation: this.generation,
+            seed: this.seed,
+            vertices: this.vertices.map(v => ({ x: v.x, y: v.y, vx: v.vx, vy: v.vy })),
+            edges: this.edges.map(e => ({
+                v1: e.v1,
+                v2: e.v2,
+                originalLength: e.originalLength,
+                targetLength: e.targetLength,
+                acuteCount: e.acuteCount,
+                changePercent: e.changePercent
+            })),
+            cells: this.cells.map(c => ({
+                vertexIndices: [...c.vertexIndices],
+                area: this.getCellArea(c),
+                targetArea: c.targetArea,
+                areaStiffness: c.areaStiffness,
+                perimeterContractility: c.perimeterContractility,
+                targetPerimeter: c.targetPerimeter
+            })),
+            stats: this.getStats()
+        };
+    }
+    
+    /**
+     * Measure the current generation for the metrics dashboard (see MeshMetrics)
+     * @returns {Object} Metrics sample
+     */
+    getMetrics() {
+        const { store } = this;
+        const lengths = new Float64Array(store.edgeCount);
+        for (let e = 0; e < store.edgeCount; e++) {
+            const edge = this.edges[e];
+            lengths[e] = this.getEdgeVector(this.vertices[edge.v1], this.vertices[edge.v2]).distance;
+        }
+        
+        return MeshMetrics.measure({
+            generation: this.generation,
+            histogram: MeshMetrics.histogram(store.acuteCounts),
+            lengths,
+            restLengths: store.targetLengths,
+            stiffness: this.config.springStrength,
+            velocities: store.velocities,
+            masses: store.masses,
+            areas: this.cells.map(cell => this.getCellArea(cell))
+        });
+    }
+    
+    /**
+     * Cell side counts, Lewis and Aboav-Weaire fits, angle and edge-length distributions
+     * of the current generation (see TopologyStatistics)
+     * @param {Object} options - TopologyStatistics.DEFAULTS
+     * @returns {Object} {generation, ...statistics}
+     */
+    getTopologyStatistics(options = {}) {
+        return {
+            generation: this.generation,
+            ...TopologyStatistics.analyze({
+                cells: this.cells.map(cell => ({ vertexIndices: cell.vertexIndices, polygon: this.getCellPoints(cell) })),
+                edgeLengths: this.edges.map(edge => this.getEdgeVector(this.vertices[edge.v1], this.vertices[edge.v2]).distance)
+            }, options)
+        };
+    }
+    
+    /**
+     * Vector geometry of the current generation as drawn on the canvas, for the exporters
+     * (see SvgExporter). With periodic boundaries, edges and cells that cross the border
+     * are split into one clipped piece per side.
+     * @returns {Object} {bounds, yUp, edges: [{v1, v2, acuteCount, segments}], cells: [{sides, pieces}],
+     *                   vertices: [[x, y]], triangles: [[[x, y] × 3]], seeds: [[x, y]]}
+     */
+    getDrawing() {
+        const { width, height, periodicBoundaries } = this.config;
+        const bounds = { minX: 0, minY: 0, maxX: width, maxY: height };
+        
+        const edges = this.edges.map(e => {
+            const a = this.vertices[e.v1];
+            const { dx, dy } = this.getEdgeVector(a, this.vertices[e.v2]);
+            return {
+                v1: e.v1,
+                v2: e.v2,
+                acuteCount: e.acuteCount,
+                segments: periodicBoundaries
+                    ? Clipping.wrapSegment(a.x, a.y, a.x + dx, a.y + dy, bounds)
+                    : [[a.x, a.y, a.x + dx, a.y + dy]]
+            };
+        });
+        
+        const cells = this.cells.map(cell => {
+            const points = this.getCellPoints(cell);
+            return {
+                sides: points.length,
+                pieces: periodicBoundaries ? Clipping.wrapPolygon(points, bounds) : [points]
+            };
+        });
+        
+        // Seed triangles inside the canvas, as in the page's Delaunay overlay
+        const triangles = this.getDelaunayTriangles()
+            .map(({ a, b, c }) => [[a.x, a.y], [b.x, b.y], [c.x, c.y]])
+            .filter(corners => Clipping.contains(corners, bounds));
+        
+        return {
+            bounds,
+            yUp: false,
+            edges,
+            cells,
+            vertices: this.vertices.map(v => [v.x, v.y]),
+            triangles,
+            seeds: this.seeds.filter(seed => !seed.ghost).map(seed => [seed.x, seed.y])
+        };
+    }
+    
+    /**
+     * Get everything needed to resume this run exactly (the body of a Snapshot)
+     * @returns {Object} {config, generation, seed, random, t1Count, vertices, edges, cells,
+     *                   seeds, triangles, weights, pinned, rim, validation, dynamics}
+     */
+    getSnapshot() {
+        return {
+            config: { ...this.config },
+            generation: this.generation,
+            seed: this.seed,
+            random: this.random.getState(),
+            t1Count: this.t1Count,
+            vertices: this.vertices.map(v => ({ x: v.x, y: v.y, vx: v.vx, vy: v.vy, mass: v.mass })),
+            edges: this.edges.map(e => ({ ...e.toJSON(), cornerAngles: Array.from(e.cornerAngles) })),
+            cells: this.cells.map(c => ({
+                vertexIndices: [...c.vertexIndices],
+                targetArea: c.targetArea,
+                areaStiffness: c.areaStiffness,
+                perimeterContractility: c.perimeterContractility,
+                targetPerimeter: c.targetPerimeter
+            })),
+            seeds: this.seeds.map(({ x, y, id, ghost }) => ghost ? { x, y, id, ghost } : { x, y, id }),
+            triangles: this.delaunay ? Array.from(this.delaunay.triangles) : [],
+            weights: this.weights && Array.from(this.weights),
+            pinned: this.pins.list(),
+            rim: this.rim && { vertices: Array.from(this.rim.vertices), anchors: Array.from(this.rim.anchors) },
+            validation: {
+                ...this.validator.getState(),
+                report: this.lastValidation,
+                correctionForces: this.correctionForces && Array.from(this.correctionForces),
+                paused: this.paused && this.pauseReason === 'validation',
+                acceptedViolations: this.acceptedViolations
+            },
+            dynamics: {
+                ...this.detector.getState(),
+                paused: this.paused && this.pauseReason === 'attractor'
+            }
+        };
+    }
+    
+    /**
+     * Continue from a snapshot body (see getSnapshot and Snapshot.parse)
+     * Replaces the config and the mesh; the next step() is the one the saved run would have taken.
+     * @param {Object} snapshot - Parsed snapshot
+     */
+    loadSnapshot(snapshot) {
+        this.config = { ...CanvasEngine.defaults, ...snapshot.config };
+        this.generation = snapshot.generation;
+        this.t1Count = snapshot.t1Count || 0;
+        this.random = new Random(snapshot.seed);
+        if (snapshot.random) this.random.setState(snapshot.random);
+        this.seed = this.random.seed;
+        
+        const store = this.store;
+        store.allocate(snapshot.vertices.length, snapshot.edges.length);
+        snapshot.vertices.forEach((v, i) => {
+            store.positions[i * 2] = v.x;
+            store.positions[i * 2 + 1] = v.y;
+            store.velocities[i * 2] = v.vx || 0;
+            store.velocities[i * 2 + 1] = v.vy || 0;
+            store.masses[i] = v.mass ?? this.config.vertexMass;
+        });
+        snapshot.edges.forEach((e, i) => {
+            store.edgeVertices[i * 2] = e.v1;
+            store.edgeVertices[i * 2 + 1] = e.v2;
+            store.originalLengths[i] = e.originalLength;
+            store.targetLengths[i] = e.targetLength;
+            store.acuteCounts[i] = e.acuteCount || 0;
+            store.changePercents[i] = e.changePercent || 0;
+        });
+        store.buildAdjacency();
+        snapshot.edges.forEach((e, i) => {
+            if (e.cornerAngles && e.cornerAngles.length === store.cornerOffsets[i + 1] - store.cornerOffsets[i]) {
+                store.cornerAngles.set(e.cornerAngles, store.cornerOffsets[i]);
+            }
+        });
+        this.vertices = store.vertices;
+        this.edges = store.edges;
+        this.directions = null;
+        
+        this.cells = snapshot.cells.map((c, id) => ({ id, ...c, vertexIndices: [...c.vertexIndices] }));
+        this.seeds = (snapshot.seeds || []).map(seed => ({ ...seed }));
+        this.delaunay = { triangles: Uint32Array.from(snapshot.triangles || []), halfedges: null };
+        this.delaunayTriangles = null;
+        this.weights = snapshot.weights ? Float64Array.from(snapshot.weights) : null;
+        
+        this.pins.clear();
+        (snapshot.pinned || []).forEach(index => this.pins.set(index, true));
+        this.rim = snapshot.rim
+            ? { vertices: Int32Array.from(snapshot.rim.vertices), anchors: Float64Array.from(snapshot.rim.anchors) }
+            : this.findRim();
+        this.getBoundaries();       // Refuse a bad saved config before stepping on
+        this.getRule();
+        this.getAngleResponse();
+        
+        const validation = snapshot.validation || {};
+        if (validation.baselineDegrees) {
+            this.validator.setState(validation);
+        } else {
+            this.validator.reset(this.getValidationMesh());
+        }
+        this.lastValidation = validation.report || null;
+        this.correctionForces = validation.correctionForces ? Float64Array.from(validation.correctionForces) : null;
+        this.paused = Boolean(validation.paused);
+        this.pauseReason = this.paused ? 'validation' : null;
+        this.acceptedViolations = validation.acceptedViolations || 0;
+        
+        // Attractor detection carries on from the saved history (older snapshots start it over)
+        if (snapshot.dynamics) {
+            this.detector.setState(snapshot.dynamics);
+            this.lastDetection = this.detector.report;
+            if (snapshot.dynamics.paused) {
+                this.paused = true;
+                this.pauseReason = 'attractor';
+            }
+        } else {
+            this.detector.reset();
+            this.detectAttractor();
+        }
+        
+        this.log(`Loaded snapshot at generation ${this.generation}: ${this.vertices.length} vertices, ${this.edges.length} edges, ${this.cells.length} cells`);
+    }
+    
+    /**
+     * Generate Poisson disk distributed points (blue noise) - EDGE-COMPLETE VERSION
+     */
+    generatePoissonDiskPoints(width, height, targetCount, minDistance = null) {
+        const points = [];
+        
+        // Calculate optimal grid size to fit target count
+        const aspect = width / height;
+        const gridHeight = Math.sqrt(targetCount / aspect);
+        const gridWidth = gridHeight * aspect;
+        const cellsX = Math.ceil(gridWidth);
+        const cellsY = Math.ceil(gridHeight);
+        
+        const cellWidth = width / cellsX;
+        const cellHeight = height / cellsY;
+        
+        // Auto-calculate minimum distance based on cell size
+        if (!minDistance) {
+            minDistance = Math.min(cellWidth, cellHeight) * 0.5; // Reduced for denser packing
+        }
+        
+        this.log(`Blue noise grid: ${cellsX}x${cellsY}, cell size: ${cellWidth.toFixed(1)}x${cellHeight.toFixed(1)}`);
+        
+        // Place one point per grid cell with EDGE-AWARE positioning
+        for (let i = 0; i < cellsX && points.length < targetCount; i++) {
+            for (let j = 0; j < cellsY && points.length < targetCount; j++) {
+                // Cell bounds
+                const cellLeft = i * cellWidth;
+                const cellTop = j * cellHeight;
+                const cellRight = Math.min((i + 1) * cellWidth, width);
+                const cellBottom = Math.min((j + 1) * cellHeight, height);
+                
+                // Center of cell
+                const centerX = (cellLeft + cellRight) / 2;
+                const centerY = (cellTop + cellBottom) / 2;
+                
+                // Special handling for edge cells
+                const isLeftEdge = (i === 0);
+                const isRightEdge = (i === cellsX - 1);
+                const isTopEdge = (j === 0);
+                const isBottomEdge = (j === cellsY - 1);
+                
+                let x, y;
+                
+                if (isLeftEdge || isRightEdge || isTopEdge || isBottomEdge) {
+                    // Edge cells: bias toward the actual edge with smaller jitter
+                    let jitterX = (this.random.next() - 0.5) * cellWidth * 0.3; // Reduced jitter
+                    let jitterY = (this.random.next() - 0.5) * cellHeight * 0.3;
+                    
+                    if (isLeftEdge) {
+                        // Bias toward left edge
+                        x = Math.max(5, centerX + jitterX - cellWidth * 0.2);
+                    } else if (isRightEdge) {
+                        // Bias toward right edge
+                        x = Math.min(width - 5, centerX + jitterX + cellWidth * 0.2);
+                    } else {
+                        x = centerX + jitterX;
+                    }
+                    
+                    if (isTopEdge) {
+                        // Bias toward top edge
+                        y = Math.max(5, centerY + jitterY - cellHeight * 0.2);
+                    } else if (isBottomEdge) {
+                        // Bias toward bottom edge
+                        y = Math.min(height - 5, centerY + jitterY + cellHeight * 0.2);
+                    } else {
+                        y = centerY + jitterY;
+                    }
+                    
+                    // Ensure within canvas bounds
+                    x = Math.max(2, Math.min(width - 2, x));
+                    y = Math.max(2, Math.min(height - 2, y));
+                } else {
+                    // Interior cells: normal jitter
+                    const jitterX = (this.random.next() - 0.5) * cellWidth * 0.6;
+                    const jitterY = (this.random.next() - 0.5) * cellHeight * 0.6;
+                    
+                    x = Math.max(cellLeft + minDistance * 0.1, 
+                               Math.min(cellRight - minDistance * 0.1, 
+                                       centerX + jitterX));
+                    y = Math.max(cellTop + minDistance * 0.1, 
+                               Math.min(cellBottom - minDistance * 0.1, 
+                                       centerY + jitterY));
+                }
+                
+                points.push({ x, y, id: points.length });
+            }
+        }
+        
+        // EDGE GAP FILLING: Specifically target border areas
+        const edgeMargin = Math.min(cellWidth, cellHeight) * 0.8;
+        const edgeAttempts = Math.min(100, targetCount - points.length);
+        
+        for (let attempt = 0; attempt < edgeAttempts; attempt++) {
+            let x, y;
+            
+            // Generate points specifically near edges
+            const edge = this.random.int(4); // 0=left, 1=right, 2=top, 3=bottom
+            
+            switch (edge) {
+                case 0: // Left edge
+                    x = this.random.next() * edgeMargin;
+                    y = this.random.next() * height;
+                    break;
+                case 1: // Right edge
+                    x = width - this.random.next() * edgeMargin;
+                    y = this.random.next() * height;
+                    break;
+                case 2: // Top edge
+                    x = this.random.next() * width;
+                    y = this.random.next() * edgeMargin;
+                    break;
+                case 3: // Bottom edge
+                    x = this.random.next() * width;
+                    y = height - this.random.next() * edgeMargin;
+                    break;
+            }
+            
+            // Check if this edge point has enough space
+            let valid = true;
+            for (const other of points) {
+                const dist = Math.sqrt((x - other.x) ** 2 + (y - other.y) ** 2);
+                if (dist < minDistance * 0.4) { // Very relaxed for edge filling
+                    valid = false;
+                    break;
+                }
+            }
+            
+            if (valid && points.length < targetCount) {
+                points.push({ x, y, id: points.length });
+            }
+        }
+        
+        // Final random fill for any remaining points
+        let attempts = 0;
+        while (points.length < targetCount && attempts < targetCount * 30) {
+            attempts++;
+            
+            const x = this.random.next() * width;
+            const y = this.random.next() * height;
+            
+            let valid = true;
+            for (const other of points) {
+                const dist = Math.sqrt((x - other.x) ** 2 + (y - other.y) ** 2);
+                if (dist < minDistance * 0.3) { // Even more relaxed
+                    valid = false;
+                    break;
+                }
+            }
+            
+            if (valid) {
+                points.push({ x, y, id: points.length });
+            }
+        }
+        
+        this.log(`Generated ${points.length} blue noise points (target: ${targetCount}, min distance: ${minDistance.toFixed(1)})`);
+        return points;
+    }
+    
+    /**
+     * Generate Voronoi mesh - seeds are ONLY used for initial generation
+     * Triangulates the seeds and joins the dual vertices (see config.dual and
+     * DualConstruction) of the two triangles on either side of every interior half-edge.
+     * Each triangle becomes at most one mesh vertex, so vertices are identified by
+     * triangle index, not coordinates.
+     */
+    generateVoronoiMesh() {
+        const { width, height, dual } = this.config;
+        DualConstruction.validate(dual);
+        this.log(`Generating ${dual} dual mesh...`);
+        
+        // Step 1: Generate seeds using chosen distribution
+        let seeds;
+        if (this.config.useBlueNoise) {
+            seeds = this.generatePoissonDiskPoints(width, height, this.config.seedCount);
+        } else {
+            // Original uniform random distribution
+            seeds = [];
+            for (let i = 0; i < this.config.seedCount; i++) {
+                seeds.push({
+                    x: this.random.next() * width,
+                    y: this.random.next() * height,
+                    id: i
+                });
+            }
+            this.log(`Generated ${seeds.length} random points`);
+        }
+        
+        // Centroidal dual: Lloyd-relax the seeds, then take circumcenters
+        if (dual === 'centroidal' && this.config.lloydIterations > 0) {
+            const points = Float64Array.from(seeds.flatMap(seed => [seed.x, seed.y]));
+            DualConstruction.relax(points, this.config.lloydIterations,
+                { minX: 0, minY: 0, maxX: width, maxY: height }, this.config.periodicBoundaries);
+            seeds.forEach((seed, i) => {
+                seed.x = points[i * 2];
+                seed.y = points[i * 2 + 1];
+            });
+            this.log(`Relaxed seeds with ${this.config.lloydIterations} Lloyd iterations`);
+        }
+        
+        // Power dual: one weight per seed (drawn after the seeds, so they do not change)
+        this.weights = dual !== 'power' ? null : DualConstruction.resolveWeights(
+            seeds.length, this.config.seedWeights, this.config.weightSpread, Math.sqrt(width * height / seeds.length), this.random
+        );
+        
+        // Steps 2-3: Triangulate and join the dual vertices
+        const mesh = this.triangulateSeeds(seeds, this.weights);
+        this.seeds = mesh.seeds;
+        this.delaunay = { triangles: mesh.triangles, halfedges: mesh.halfedges };
+        this.delaunayTriangles = null; // Built on demand by getDelaunayTriangles()
+        
+        // Step 4: Move everything into the typed-array store
+        const store = this.store;
+        store.allocate(mesh.positions.length / 2, mesh.edgeLengths.length);
+        store.positions.set(mesh.positions);
+        store.masses.fill(this.config.vertexMass);
+        store.edgeVertices.set(mesh.edgeVertices);
+        store.originalLengths.set(mesh.edgeLengths);
+        store.targetLengths.set(mesh.edgeLengths);
+        store.buildAdjacency();
+        this.vertices = store.vertices;
+        this.edges = store.edges;
+        
+        this.cells = this.extractCells();
+        this.rim = this.findRim();
+        
+        this.log(`Generated ${dual} dual mesh: ${this.vertices.length} vertices, ${this.edges.length} edges, ${this.cells.length} cells`);
+        
+        // Step 5: Analyze acute angles for each edge
+        this.analyzeAcuteAngles();
+    }
+    
+    /**
+     * Dual mesh of a set of seeds, without touching the engine's state
+     * The same seeds always give the same vertices in the same order, which is what lets
+     * seed edits (see editSeeds) recognise the vertices that did not change.
+     * @param {Array} seeds - Seeds {x, y, id} inside the canvas (ids index seedWeights)
+     * @param {Float64Array|null} seedWeights - Power weight per seed id (power dual only)
+     * @returns {Object} {seeds (with ghost copies when periodic), triangles, halfedges,
+     *                   positions: [x0, y0, ...], edgeVertices: [v1, v2, ...], edgeLengths}
+     */
+    triangulateSeeds(seeds, seedWeights) {
+        const { width, height, dual } = this.config;
+        seeds = [...seeds];
+        
+        // Add ghost seeds for periodic boundaries
+        if (this.config.periodicBoundaries) {
+            // 8 copies around the main canvas for proper toroidal connectivity
+            const offsets = [
+                [-width, -height], [0, -height], [width, -height],
+                [-width, 0],                     [width, 0],
+                [-width, height],  [0, height],  [width, height]
+            ];
+            const originalCount = seeds.length;
+            for (let i = 0; i < originalCount; i++) {
+                const seed = seeds[i];
+                offsets.forEach(([dx, dy]) => {
+                    seeds.push({ x: seed.x + dx, y: seed.y + dy, id: seed.id, ghost: true });
+                });
+            }
+        }
+        
+        // Triangulation as half-edge arrays, with one dual vertex per triangle
+        // (the centroid for the barycentric dual - always inside the triangle!)
+        const points = Float64Array.from(seeds.flatMap(seed => [seed.x, seed.y]));
+        const weights = seedWeights && Float64Array.from(seeds, seed => seedWeights[seed.id]);
+        const { triangles, halfedges, vertices: centroids } = DualConstruction.build(
+            points, dual === 'centroidal' ? 'circumcentric' : dual, weights
+        );
+        const triangleCount = triangles.length / 3;
+        
+        // One dual edge per pair of triangles sharing a half-edge
+        // (only edges with both ends inside the main canvas)
+        const inside = t => {
+            const x = centroids[t * 2];
+            const y = centroids[t * 2 + 1];
+            return x >= 0 && x <= width && y >= 0 && y <= height;
+        };
+        const maxEdgeLength = Math.min(width, height) / 2;
+        const vertexOfTriangle = new Int32Array(triangleCount).fill(-1);
+        const vertexTriangles = [];
+        const vertexFor = t => {
+            if (vertexOfTriangle[t] < 0) {
+                vertexOfTriangle[t] = vertexTriangles.length;
+                vertexTriangles.push(t);
+            }
+            return vertexOfTriangle[t];
+        };
+        
+        const edgeVertices = [];
+        const edgeLengths = [];
+        for (let e = 0; e < halfedges.length; e++) {
+            const opposite = halfedges[e];
+            if (opposite < e) continue; // Hull half-edge (-1) or pair already seen
+            
+            const t1 = Math.floor(e / 3);
+            const t2 = Math.floor(opposite / 3);
+            if (!inside(t1) || !inside(t2)) continue;
+            
+            // Filter out overly long edges during generation
+            const length = Math.hypot(centroids[t2 * 2] - centroids[t1 * 2], centroids[t2 * 2 + 1] - centroids[t1 * 2 + 1]);
+            if (length > maxEdgeLength) continue;
+            
+            edgeVertices.push(vertexFor(t1), vertexFor(t2));
+            edgeLengths.push(length);
+        }
+        
+        const positions = new Float64Array(vertexTriangles.length * 2);
+        vertexTriangles.forEach((t, i) => {
+            positions[i * 2] = centroids[t * 2];
+            positions[i * 2 + 1] = centroids[t * 2 + 1];
+        });
+        
+        return { seeds, triangles, halfedges, positions, edgeVertices, edgeLengths };
+    }
+    
+    /**
+     * Seed triangles of the last generation, for optional rendering (built on first use)
+     * @returns {Array} Triangles {a, b, c} whose corners are seeds {x, y, id, ghost}
+     */
+    getDelaunayTriangles() {
+        if (!this.delaunayTriangles) {
+            const triangles = this.delaunay ? this.delaunay.triangles : [];
+            this.delaunayTriangles = [];
+            for (let t = 0; t < triangles.length; t += 3) {
+                this.delaunayTriangles.push({
+                    a: this.seeds[triangles[t]],
+                    b: this.seeds[triangles[t + 1]],
+                    c: this.seeds[triangles[t + 2]]
+                });
+            }
+        }
+        return this.delaunayTriangles;
+    }
+    
+    /**
+     * Torus size when boundaries are periodic
+     * @returns {Object|null} {width, height}, or null
+     */
+    getPeriod() {
+        return this.config.periodicBoundaries ? { width: this.config.width, height: this.config.height } : null;
+    }
+    
+    /**
+     * Unit vector from every vertex along each of its edges (minimum image when periodic)
+     * Laid out like store.adjacency; zero-length edges get a zero vector.
+     * @returns {Float64Array} [ux, uy] per adjacency slot (reused between calls)
+     */
+    getIncidentDirections() {
+        const { positions, adjacencyOffsets, adjacency, vertexCount } = this.store;
+        const period = this.getPeriod();
+        
+        if (!this.directions || this.directions.length !== adjacency.length * 2) {
+            this.directions = new Float64Array(adjacency.length * 2);
+        }
+        const directions = this.directions;
+        
+        for (let v = 0; v < vertexCount; v++) {
+            for (let k = adjacencyOffsets[v]; k < adjacencyOffsets[v + 1]; k++) {
+                const other = this.store.otherVertex(adjacency[k], v);
+                let dx = positions[other * 2] - positions[v * 2];
+                let dy = positions[other * 2 + 1] - positions[v * 2 + 1];
+                if (period) {
+                    dx -= period.width * Math.round(dx / period.width);
+                    dy -= period.height * Math.round(dy / period.height);
+                }
+                
+                const length = Math.sqrt(dx * dx + dy * dy);
+                directions[k * 2] = length > 0 ? dx / length : 0;
+                directions[k * 2 + 1] = length > 0 ? dy / length : 0;
+            }
+        }
+        
+        return directions;
+    }
+    
+    /**
+     * Analyze acute angles - the core logic!
+     * Corner angles come from the prebuilt vertex → edge adjacency, so one pass is O(E).
+     */
+    analyzeAcuteAngles() {
+        this.log('Analyzing acute angles...');
+        
+        const rule = this.getRule();
+        const response = this.getAngleResponse();
+        const store = this.store;
+        const { edgeVertices, adjacencyOffsets, adjacency, cornerOffsets, cornerAngles,
+            originalLengths, targetLengths, changePercents, acuteCounts } = store;
+        const directions = this.getIncidentDirections();
+        let acuteEdgeCount = 0;
+        
+        for (let e = 0; e < store.edgeCount; e++) {
+            let acuteCount = 0;
+            let corner = cornerOffsets[e];
+            
+            // Angles to every other edge at vertex 1, then at vertex 2
+            for (let end = 0; end < 2; end++) {
+                const vertex = edgeVertices[e * 2 + end];
+                const start = adjacencyOffsets[vertex];
+                const stop = adjacencyOffsets[vertex + 1];
+                
+                let own = start;
+                while (adjacency[own] !== e) own++;
+                const ux = directions[own * 2];
+                const uy = directions[own * 2 + 1];
+                
+                for (let k = start; k < stop; k++) {
+                    if (adjacency[k] === e) continue;
+                    
+                    const vx = directions[k * 2];
+                    const vy = directions[k * 2 + 1];
+                    const degenerate = (ux === 0 && uy === 0) || (vx === 0 && vy === 0);
+                    const angle = degenerate ? Math.PI : Math.acos(Math.max(-1, Math.min(1, ux * vx + uy * vy)));
+                    
+                    cornerAngles[corner++] = angle * 180 / Math.PI;
+                    if (angle < Math.PI / 2) { // Less than 90 degrees
+                        acuteCount++;
+                    }
+                }
+            }
+            
+            acuteCounts[e] = acuteCount;
+            if (acuteCount > 0) acuteEdgeCount++;
+            
+            // Set target length based on acute connections
+            const originalLength = originalLengths[e];
+            let desiredTargetLength;
+            if (response) {
+                // Continuous mode: sum of the responses to every corner angle
+                desiredTargetLength = originalLength * (1 + response.edgeValue(cornerAngles.subarray(cornerOffsets[e], corner)) / 100);
+            } else if (rule) {
+                // Rule table: percentage looked up by acute count
+                desiredTargetLength = originalLength * (1 + rule.valueFor(acuteCount) / 100);
+            } else if (this.config.invertBehavior) {
+                // Inverted mode: Blue (0 acute) expands, others shrink
+                if (acuteCount === 0) {
+                    // Expand if no acute connections
+                    desiredTargetLength = originalLength * (1 + this.config.expandPercent / 100);
+                } else {
+                    // Shrink if has acute connections
+                    desiredTargetLength = originalLength * (1 - (this.config.shrinkPercent / 100) * acuteCount);
+                }
+            } else {
+                // Normal mode: Blue (0 acute) shrinks, others expand
+                if (acuteCount > 0) {
+                    // Expand by percentage per acute connection
+                    desiredTargetLength = originalLength * (1 + (this.config.expandPercent / 100) * acuteCount);
+                } else {
+                    // Shrink if no acute connections
+                    desiredTargetLength = originalLength * (1 - this.config.shrinkPercent / 100);
+                }
+            }
+            
+            changePercents[e] = (desiredTargetLength / originalLength - 1) * 100;
+            
+            // Gradually move towards desired target length
+            targetLengths[e] += (desiredTargetLength - targetLengths[e]) * this.config.expansionRate;
+        }
+        
+        this.log(`Analyzed angles - edges with acute connections: ${acuteEdgeCount}, T1 transitions: ${this.t1Count}`);
+    }
+    
+    /**
+     * Apply spring physics to mesh vertices (NOT seeds!)
+     * Advances config.timeStep of simulated time with the configured integrator,
+     * in config.substeps substeps (more if the springs are too stiff to stay stable)
+     */
+    updatePhysics() {
+        const system = this.springSystem;
+        const store = this.store;
+        
+        // Load vertices and springs into the integrator's arrays
+        system.setVertexCount(store.vertexCount);
+        system.x.set(store.positions);
+        system.v.set(store.velocities);
+        system.mass.set(store.masses);
+        system.setEdgeArrays(store.edgeVertices, store.targetLengths);
+        system.setCells(this.cells);
+        system.externalForces = this.correctionForces;
+        system.fixed = this.getHeldMask();
+        system.anchors = this.getBoundaries().anchors(this.rim);
+        
+        system.stiffness = this.config.springStrength;
+        system.edgeDamping = this.config.edgeDamping;
+        system.drag = SpringSystem.dragFromRetention(this.config.damping, 1);
+        system.period = this.getPeriod();
+        
+        if (!this.integrator || this.integrator.method !== this.config.integrator) {
+            this.integrator = new Integrator(this.config.integrator);
+        }
+        
+        const boundaries = this.getBoundaries();
+        this.lastSubsteps = system.advance(this.integrator, this.config.timeStep, this.config.substeps, (x, v) => {
+            boundaries.constrain(x, v);
+        });
+        
+        // Copy the result back into the store
+        store.positions.set(system.x);
+        store.velocities.set(system.v);
+    }
+    
+    /**
+     * Calculate distance with periodic boundaries (shortest path on torus)
+     */
+    getPeriodicDistance(v1, v2) {
+        let dx = v2.x - v1.x;
+        let dy = v2.y - v1.y;
+        
+        // Wrap dx to shortest distance
+        if (Math.abs(dx) > this.config.width / 2) {
+            dx = dx > 0 ? dx - this.config.width : dx + this.config.width;
+        }
+        
+        // Wrap dy to shortest distance
+        if (Math.abs(dy) > this.config.height / 2) {
+            dy = dy > 0 ? dy - this.config.height : dy + this.config.height;
+        }
+        
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        return { dx, dy, distance };
+    }
+    
+    /**
+     * Wrap coordinate to stay within bounds
+     */
+    wrapCoordinate(coord, limit) {
+        while (coord < 0) coord += limit;
+        while (coord >= limit) coord -= limit;
+        return coord;
+    }
+    
+    /**
+     * Perform T1 neighbour swaps on every edge shorter than config.t1Threshold
+     * The edge is rotated 90° about its midpoint; each of the four outer edges is
+     * reattached to whichever new endpoint lies on its side of the old edge, so the two
+     * cells that shared the edge stop being neighbours and the two at its ends become
+     * neighbours. The rotated edge restarts at 1.5x the threshold. Like
+     * HalfEdgeMesh.canFlipEdge, an edge is only swapped when its four surrounding cells
+     * are distinct closed cells; each cell takes part in at most one swap per step.
+     * @returns {number} Number of transitions performed
+     */
+    applyT1Transitions() {
+        const threshold = this.config.t1Threshold;
+        if (!(threshold > 0)) return 0;
+        
+        const newLength = threshold * 1.5;
+        const store = this.store;
+        const { positions, edgeVertices, adjacencyOffsets, adjacency } = store;
+        const period = this.getPeriod();
+        const held = this.getHeldMask();
+        
+        // Incident edge lists come from store.adjacency and are updated in place as
+        // edges are reconnected (both rotated vertices keep degree 3)
+        const otherVertex = (edge, vertexIndex) => edge.v1 === vertexIndex ? edge.v2 : edge.v1;
+        let count = 0;
+        
+        // Cell of each directed edge (u -> v along a counter-clockwise cell loop). Open faces
+        // along the border are not cells, so their edges have none.
+        const vertexCount = store.vertexCount;
+        const cellOf = new Map();
+        this.cells.forEach((cell, cellIndex) => {
+            const loop = cell.vertexIndices;
+            loop.forEach((u, i) => cellOf.set(u * vertexCount + loop[(i + 1) % loop.length], cellIndex));
+        });
+        // Cell with corners u, v, w in a row (in either direction), or -1
+        const cellAt = (u, v, w) => {
+            for (const [from, mid, to] of [[u, v, w], [w, v, u]]) {
+                const cell = cellOf.get(from * vertexCount + mid);
+                if (cell !== undefined && cellOf.get(mid * vertexCount + to) === cell) return cell;
+            }
+            return -1;
+        };
+        // Cells whose loops changed this step: their cellOf entries are stale until re-extraction
+        const changed = new Uint8Array(this.cells.length);
+        
+        for (let edgeIndex = 0; edgeIndex < store.edgeCount; edgeIndex++) {
+            const a = edgeVertices[edgeIndex * 2];
+            const b = edgeVertices[edgeIndex * 2 + 1];
+            if (store.degree(a) !== 3 || store.degree(b) !== 3) continue;
+            if (held && (held[a] || held[b])) continue;
+            
+            // Cheap length test on the flat arrays before anything else
+            let dx = positions[b * 2] - positions[a * 2];
+            let dy = positions[b * 2 + 1] - positions[a * 2 + 1];
+            if (period) {
+                dx -= period.width * Math.round(dx / period.width);
+                dy -= period.height * Math.round(dy / period.height);
+            }
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance >= threshold) continue;
+            
+            const edge = this.edges[edgeIndex];
+            const va = this.vertices[a];
+            const vb = this.vertices[b];
+            
+            // Unit direction of the edge and its normal (fallback for coincident vertices)
+            const dirX = distance > 0 ? dx / distance : 1;
+            const dirY = distance > 0 ? dy / distance : 0;
+            const normalX = -dirY;
+            const normalY = dirX;
+            const midX = va.x + dx / 2;
+            const midY = va.y + dy / 2;
+            
+            // Which side of the edge line each outer neighbour lies on
+            const side = (outerEdgeIndex, vertexIndex) => {
+                const neighbor = this.vertices[otherVertex(this.edges[outerEdgeIndex], vertexIndex)];
+                const offset = this.getEdgeVector({ x: midX, y: midY }, neighbor);
+                return offset.dx * normalX + offset.dy * normalY;
+            };
+            
+            const outerA = Array.from(store.incidentEdges(a)).filter(i => i !== edgeIndex);
+            const outerB = Array.from(store.incidentEdges(b)).filter(i => i !== edgeIndex);
+            const sidesA = outerA.map(i => side(i, a));
+            const sidesB = outerB.map(i => side(i, b));
+            
+            // Need one neighbour on each side at both ends
+            if (sidesA[0] * sidesA[1] >= 0 || sidesB[0] * sidesB[1] >= 0) continue;
+            
+            const aPlus = sidesA[0] > 0 ? outerA[0] : outerA[1];
+            const aMinus = sidesA[0] > 0 ? outerA[1] : outerA[0];
+            const bPlus = sidesB[0] > 0 ? outerB[0] : outerB[1];
+            const bMinus = sidesB[0] > 0 ? outerB[1] : outerB[0];
+            
+            // The two cells sharing the edge lose it, the two at its ends gain it. None may be an
+            // open border face, and the two losing a side must keep at least three.
+            const xPlusA = otherVertex(this.edges[aPlus], a);
+            const xMinusA = otherVertex(this.edges[aMinus], a);
+            const xPlusB = otherVertex(this.edges[bPlus], b);
+            const xMinusB = otherVertex(this.edges[bMinus], b);
+            const cellPlus = cellAt(xPlusA, a, b);
+            const cellMinus = cellAt(xMinusA, a, b);
+            const cellA = cellAt(xPlusA, a, xMinusA);
+            const cellB = cellAt(xPlusB, b, xMinusB);
+            const around = [cellPlus, cellMinus, cellA, cellB];
+            if (around.includes(-1) || new Set(around).size < 4 || around.some(cell => changed[cell])) continue;
+            if (cellAt(a, b, xPlusB) !== cellPlus || cellAt(a, b, xMinusB) !== cellMinus) continue;
+            if (this.cells[cellPlus].vertexIndices.length <= 3 || this.cells[cellMinus].vertexIndices.length <= 3) continue;
+            around.forEach(cell => { changed[cell] = 1; });
+            
+            // Rotate: a moves to the + side, b to the - side
+            va.x = midX + normalX * newLength / 2;
+            va.y = midY + normalY * newLength / 2;
+            vb.x = midX - normalX * newLength / 2;
+            vb.y = midY - normalY * newLength / 2;
+            
+            if (this.config.periodicBoundaries) {
+                va.x = this.wrapCoordinate(va.x, this.config.width);
+                va.y = this.wrapCoordinate(va.y, this.config.height);
+                vb.x = this.wrapCoordinate(vb.x, this.config.width);
+                vb.y = this.wrapCoordinate(vb.y, this.config.height);
+            }
+            
+            // Reconnect: a keeps its + neighbour and takes b's, b keeps its - neighbour and takes a's
+            const movedToB = this.edges[aMinus];
+            const movedToA = this.edges[bPlus];
+            if (movedToB.v1 === a) movedToB.v1 = b; else movedToB.v2 = b;
+            if (movedToA.v1 === b) movedToA.v1 = a; else movedToA.v2 = a;
+            
+            adjacency.set([edgeIndex, aPlus, bPlus], adjacencyOffsets[a]);
+            adjacency.set([edgeIndex, bMinus, aMinus], adjacencyOffsets[b]);
+            
+            // Same swap on the cell loops: the + cell loses b, the - cell loses a, and the
+            // cells at the ends gain the other endpoint next to the one they had
+            const loopPlus = this.cells[cellPlus].vertexIndices;
+            const loopMinus = this.cells[cellMinus].vertexIndices;
+            loopPlus.splice(loopPlus.indexOf(b), 1);
+            loopMinus.splice(loopMinus.indexOf(a), 1);
+            const insertNext = (loop, vertexIndex, neighbor, inserted) => {
+                const i = loop.indexOf(vertexIndex);
+                loop.splice(loop[(i + 1) % loop.length] === neighbor ? i + 1 : i, 0, inserted);
+            };
+            insertNext(this.cells[cellA].vertexIndices, a, xMinusA, b);
+            insertNext(this.cells[cellB].vertexIndices, b, xPlusB, a);
+            
+            // Share momentum between the two rotated vertices and restart the edge from rest
+            const vx = (va.vx + vb.vx) / 2;
+            const vy = (va.vy + vb.vy) / 2;
+            va.vx = vb.vx = vx;
+            va.vy = vb.vy = vy;
+            edge.originalLength = newLength;
+            edge.targetLength = newLength;
+            
+            count++;
+        }
+        
+        if (count > 0) {
+            // Back to edge-ordered adjacency lists for the angle analysis
+            store.buildAdjacency();
+            this.t1Count += count;
+            this.log(`T1 transitions: ${count} this step, ${this.t1Count} total`);
+        }
+        
+        return count;
+    }
+    
+    /**
+     * Vector from v1 to v2, using the shortest path on the torus when periodic
+     * @returns {Object} {dx, dy, distance}
+     */
+    getEdgeVector(v1, v2) {
+        if (this.config.periodicBoundaries) {
+            return this.getPeriodicDistance(v1, v2);
+        }
+        
+        const dx = v2.x - v1.x;
+        const dy = v2.y - v1.y;
+        return { dx, dy, distance: Math.sqrt(dx * dx + dy * dy) };
+    }
+    
+    /**
+     * Trace the cells (bounded faces) of the edge graph
+     * Walks every directed edge, always turning to the next edge clockwise around the
+     * vertex it arrives at, so each counter-clockwise face is visited once. Open faces
+     * along the canvas border (non-simple or inverted loops) are not cells.
+     * @param {Array} previousCells - Cells before a topology change; each new cell inherits
+     *                                the parameters of the old cell it shares most corners with
+     * @returns {Array} Cells {id, vertexIndices, targetArea, areaStiffness, perimeterContractility, targetPerimeter}
+     */
+    extractCells(previousCells = []) {
+        const { adjacencyOffsets, adjacency, vertexCount } = this.store;
+        
+        // Neighbours of each vertex sorted counter-clockwise by direction, laid out like
+        // store.adjacency (insertion sort - vertices have only a handful of edges)
+        const neighbors = new Int32Array(adjacency.length);
+        const angles = new Float64Array(adjacency.length);
+        const directions = this.getIncidentDirections();
+        for (let v = 0; v < vertexCount; v++) {
+            const start = adjacencyOffsets[v];
+            for (let k = start; k < adjacencyOffsets[v + 1]; k++) {
+                const vertex = this.store.otherVertex(adjacency[k], v);
+                const angle = Math.atan2(directions[k * 2 + 1], directions[k * 2]);
+                let slot = k;
+                while (slot > start && angles[slot - 1] > angle) {
+                    angles[slot] = angles[slot - 1];
+                    neighbors[slot] = neighbors[slot - 1];
+                    slot--;
+                }
+                angles[slot] = angle;
+                neighbors[slot] = vertex;
+            }
+        }
+        
+        const maxSides = 30;
+        const maxArea = this.config.width * this.config.height / 4;
+        const visited = new Uint8Array(adjacency.length); // One flag per directed edge (neighbour slot)
+        const loops = [];
+        
+        for (let start = 0; start < vertexCount; start++) {
+            for (let first = adjacencyOffsets[start]; first < adjacencyOffsets[start + 1]; first++) {
+                if (visited[first]) continue;
+                
+                const loop = [];
+                let from = start;
+                let slot = first;
+                
+                while (!visited[slot] && loop.length <= maxSides) {
+                    visited[slot] = 1;
+                    loop.push(from);
+                    
+                    // Next edge clockwise from the one we arrived on
+                    const to = neighbors[slot];
+                    const begin = adjacencyOffsets[to];
+                    const degree = adjacencyOffsets[to + 1] - begin;
+                    let back = 0;
+                    while (neighbors[begin + back] !== from) back++;
+                    slot = begin + (back - 1 + degree) % degree;
+                    from = to;
+                }
+                
+                // Closed simple loop back at the starting edge
+                const closed = slot === first;
+                if (closed && loop.length >= 3 && new Set(loop).size === loop.length) {
+                    loops.push(loop);
+                }
+            }
+        }
+        
+        // Vertex -> previous cells, for carrying parameters across seed edits
+        const previousByVertex = new Map();
+        previousCells.forEach(cell => {
+            cell.vertexIndices.forEach(index => {
+                if (!previousByVertex.has(index)) previousByVertex.set(index, []);
+                previousByVertex.get(index).push(cell);
+            });
+        });
+        const inherited = new Set();
+        
+        const cells = [];
+        for (const vertexIndices of loops) {
+            const cell = { id: cells.length, vertexIndices };
+            const area = this.getCellArea(cell);
+            if (!(area > 0) || area > maxArea) continue;
+            
+            // Best-matching previous cell (most shared corners, at least half)
+            const votes = new Map();
+            vertexIndices.forEach(index => {
+                (previousByVertex.get(index) || []).forEach(old => votes.set(old, (votes.get(old) || 0) + 1));
+            });
+            let match = null;
+            let best = vertexIndices.length / 2;
+            votes.forEach((count, old) => {
+                if (count >= best && !inherited.has(old)) {
+                    match = old;
+                    best = count;
+                }
+            });
+            
+            if (match) {
+                inherited.add(match);
+                cell.targetArea = match.targetArea;
+                cell.areaStiffness = match.areaStiffness;
+                cell.perimeterContractility = match.perimeterContractility;
+                cell.targetPerimeter = match.targetPerimeter;
+            } else {
+                cell.targetArea = this.config.targetArea ?? area;
+                cell.areaStiffness = this.config.areaStiffness;
+                cell.perimeterContractility = this.config.perimeterContractility;
+                cell.targetPerimeter = this.config.targetPerimeter;
+            }
+            
+            cells.push(cell);
+        }
+        
+        return cells;
+    }
+    
+    /**
+     * Corners of a cell, unwrapped across the periodic seam so the polygon stays whole
+     * @param {Object} cell - Cell object
+     * @returns {Array} Array of [x, y] points in counter-clockwise order
+     */
+    getCellPoints(cell) {
+        const first = this.vertices[cell.vertexIndices[0]];
+        const points = [[first.x, first.y]];
+        
+        for (let i = 1; i < cell.vertexIndices.length; i++) {
+            const [px, py] = points[i - 1];
+            const { dx, dy } = this.getEdgeVector({ x: px, y: py }, this.vertices[cell.vertexIndices[i]]);
+            points.push([px + dx, py + dy]);
+        }
+        
+        return points;
+    }
+    
+    /**
+     * Signed area of a cell (positive when counter-clockwise)
+     * @param {Object} cell - Cell object
+     * @returns {number} Area in px²
+     */
+    getCellArea(cell) {
+        return Geometry.polygonArea(this.getCellPoints(cell));
+    }
+    
+    /**
+     * Change vertex-model parameters of some or all cells
+     * @param {Object} params - Any of {targetArea, areaStiffness, perimeterContractility, targetPerimeter}
+     * @param {Array|null} cellIds - Cells to change (null = all cells)
+     */
+    setCellMechanics(params, cellIds = null) {
+        const targets = cellIds === null ? this.cells : cellIds.map(id => this.cells[id]);
+        
+        for (const cell of targets) {
+            Object.assign(cell, params);
+        }
+    }
+    
+    /**
+     * Nearest vertex to a point (minimum image when periodic)
+     * @param {number} radius - Largest distance to pick from (px)
+     * @returns {number} Vertex index, or -1 when none is that close
+     */
+    findVertex(x, y, radius) {
+        return SeedEditor.nearestVertex(this.store.positions, x, y, radius, this.getPeriod());
+    }
+    
+    /**
+     * Describe the vertex, edge or cell under a point for the hover inspector
+     * An edge comes with its connected edges and the corner angles the last analysis
+     * measured at both ends (MeshInspector.corner, with end: 0 at v1, 1 at v2).
+     * @param {number} radius - Pick radius for vertices and edges (px)
+     * @returns {Object|null} {kind: 'vertex', 'edge' or 'cell', index, ...}, or null off the mesh
+     */
+    inspect(x, y, radius) {
+        const store = this.store;
+        const period = this.getPeriod();
+        const { positions, edgeVertices, adjacencyOffsets, adjacency } = store;
+        const point = index => [positions[index * 2], positions[index * 2 + 1]];
+        const incident = vertex => Array.from(adjacency.subarray(adjacencyOffsets[vertex], adjacencyOffsets[vertex + 1]));
+        const spoke = (at, edge, vertex) => {
+            const far = edgeVertices[edge * 2] === vertex ? edgeVertices[edge * 2 + 1] : edgeVertices[edge * 2];
+            return { index: edge, segment: MeshInspector.segment(at[0], at[1], ...point(far), period) };
+        };
+        
+        const vertex = this.findVertex(x, y, radius);
+        if (vertex >= 0) {
+            const at = point(vertex);
+            const { vx, vy, mass } = this.vertices[vertex];
+            return {
+                kind: 'vertex',
+                index: vertex,
+                x: at[0],
+                y: at[1],
+                speed: Math.hypot(vx, vy),
+                mass,
+                degree: store.degree(vertex),
+                pinned: this.pins.pinned.has(vertex),
+                boundary: this.getBoundaries().rimCondition(this.rim, vertex),
+                edges: incident(vertex).map(edge => spoke(at, edge, vertex))
+            };
+        }
+        
+        const edge = MeshInspector.nearestEdge(positions, edgeVertices, x, y, radius, period);
+        if (edge >= 0) {
+            const v1 = edgeVertices[edge * 2];
+            const v2 = edgeVertices[edge * 2 + 1];
+            const segment = MeshInspector.segment(...point(v1), ...point(v2), period);
+            const ends = [segment.slice(0, 2), segment.slice(2)];
+            const connected = [];
+            const corners = [];
+            
+            // Same order as analyzeAcuteAngles: the other edges at v1, then at v2
+            let corner = store.cornerOffsets[edge];
+            [v1, v2].forEach((vertex, end) => {
+                for (const other of incident(vertex)) {
+                    if (other === edge) continue;
+                    const arm = spoke(ends[end], other, vertex);
+                    connected.push(arm);
+                    corners.push({ ...MeshInspector.corner(ends[end], ends[1 - end], arm.segment.slice(2), store.cornerAngles[corner++]), end });
+                }
+            });
+            
+            return {
+                kind: 'edge',
+                index: edge,
+                v1,
+                v2,
+                segment,
+                length: Math.hypot(segment[2] - segment[0], segment[3] - segment[1]),
+                originalLength: store.originalLengths[edge],
+                targetLength: store.targetLengths[edge],
+                acuteCount: store.acuteCounts[edge],
+                expandValue: store.changePercents[edge],
+                connected,
+                corners
+            };
+        }
+        
+        const cell = this.cells.findIndex(c => MeshInspector.contains(this.getCellPoints(c), x, y, period));
+        if (cell >= 0) {
+            const c = this.cells[cell];
+            const outline = this.getCellPoints(c);
+            return {
+                kind: 'cell',
+                index: cell,
+                outline,
+                sides: outline.length,
+                area: this.getCellArea(c),
+                perimeter: outline.reduce((sum, [x1, y1], i) => {
+                    const [x2, y2] = outline[(i + 1) % outline.length];
+                    return sum + Math.hypot(x2 - x1, y2 - y1);
+                }, 0),
+                targetArea: c.targetArea,
+                areaStiffness: c.areaStiffness,
+                perimeterContractility: c.perimeterContractility,
+                targetPerimeter: c.targetPerimeter
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Hold a vertex in place or let it go (the physics skips pinned vertices)
+     * @param {number} index - Vertex index
+     * @param {boolean} pinned
+     */
+    pinVertex(index, pinned = true) {
+        if (index < 0 || index >= this.store.vertexCount) return;
+        this.pins.set(index, pinned);
+    }
+    
+    /**
+     * Pinned vertex indices in ascending order
+     */
+    getPinnedVertices() {
+        return this.pins.list();
+    }
+    
+    /**
+     * Move a vertex to a point and hold it there until releaseVertex()
+     * Its edges keep their rest lengths, so the springs pull the neighbours along.
+     * @param {number} index - Vertex index
+     */
+    dragVertex(index, x, y) {
+        if (index < 0 || index >= this.store.vertexCount) return;
+        
+        const { width, height } = this.config;
+        const vertex = this.vertices[index];
+        if (this.config.periodicBoundaries) {
+            vertex.x = this.wrapCoordinate(x, width);
+            vertex.y = this.wrapCoordinate(y, height);
+        } else {
+            // Same margin the walls keep, so they do not bounce it away
+            const { margin } = this.getBoundaries();
+            vertex.x = Math.min(Math.max(x, margin), width - margin);
+            vertex.y = Math.min(Math.max(y, margin), height - margin);
+        }
+        vertex.vx = 0;
+        vertex.vy = 0;
+        this.pins.dragged = index;
+    }
+    
+    /**
+     * Let go of the dragged vertex (it stays pinned if it was pinned)
+     */
+    releaseVertex() {
+        this.pins.dragged = null;
+    }
+    
+    /**
+     * Add a seed at a point, splitting the cells around it
+     * A power dual gives the new seed the mean weight of the others.
+     * @returns {number} Number of vertices kept (see editSeeds)
+     */
+    addSeed(x, y) {
+        const { width, height } = this.config;
+        if (this.config.periodicBoundaries) {
+            x = this.wrapCoordinate(x, width);
+            y = this.wrapCoordinate(y, height);
+        } else if (x < 0 || x > width || y < 0 || y > height) {
+            return 0;
+        }
+        
+        return this.editSeeds((seeds, weights) => {
+            seeds.push({ x, y });
+            if (weights) weights.push(weights.length > 0 ? weights.reduce((sum, w) => sum + w, 0) / weights.length : 0);
+        });
+    }
+    
+    /**
+     * Delete the seed nearest to a point, merging its cell into the neighbours
+     * @returns {number} Number of vertices kept (see editSeeds)
+     */
+    removeSeed(x, y) {
+        const seeds = this.seeds.filter(seed => !seed.ghost);
+        const index = SeedEditor.nearestSeed(seeds.map(seed => [seed.x, seed.y]), x, y, this.getPeriod());
+        if (index < 0) return 0;
+        
+        return this.editSeeds((seeds, weights) => {
+            seeds.splice(index, 1);
+            if (weights) weights.splice(index, 1);
+        });
+    }
+    
+    /**
+     * Rebuild the mesh from edited seeds, keeping the evolved state wherever the edit
+     * does not reach (see SeedEditor.carryOver)
+     * Vertices the old seeds also produce keep their positions, velocities, masses and
+     * pins, edges between them keep their lengths and analysis, and cells keep their
+     * mechanics. Only the construction is redone, so T1 swaps since generation 0 are undone.
+     * @param {Function} edit - (seeds [{x, y}], weights [number] or null) => void, edits both lists in place
+     * @returns {number} Number of vertices kept
+     */
+    editSeeds(edit) {
+        const store = this.store;
+        const period = this.getPeriod();
+        const { width, height } = this.config;
+        
+        // The unedited seeds give the construction position of every current vertex
+        const seeds = this.seeds.filter(seed => !seed.ghost).map(({ x, y, id }) => ({ x, y, id }));
+        const oldWeights = this.config.dual !== 'power' ? null : this.weights || new Float64Array(seeds.length);
+        const before = this.triangulateSeeds(seeds, oldWeights);
+        const built = before.positions.length === store.vertexCount * 2 ? before.positions : new Float64Array(0);
+        
+        const weightList = oldWeights && seeds.map(seed => oldWeights[seed.id]);
+        edit(seeds, weightList);
+        seeds.forEach((seed, id) => { seed.id = id; });
+        const weights = weightList && Float64Array.from(weightList);
+        const after = this.triangulateSeeds(seeds, weights);
+        
+        const { previous, positions, matched } = SeedEditor.carryOver({
+            built,
+            evolved: store.positions,
+            rebuilt: after.positions,
+            edgeVertices: after.edgeVertices,
+            period,
+            tolerance: 1e-6 * Math.max(width, height)
+        });
+        
+        // Old arrays (allocate replaces them), old edges by endpoints, and where every old vertex went
+        const old = { ...store };
+        const edgeKey = (a, b) => a < b ? `${a},${b}` : `${b},${a}`;
+        const oldEdges = new Map();
+        for (let e = 0; e < old.edgeCount; e++) {
+            oldEdges.set(edgeKey(old.edgeVertices[e * 2], old.edgeVertices[e * 2 + 1]), e);
+        }
+        const current = new Int32Array(old.vertexCount).fill(-1);
+        previous.forEach((index, i) => { if (index >= 0) current[index] = i; });
+        
+        store.allocate(after.positions.length / 2, after.edgeLengths.length);
+        this.vertices = store.vertices;
+        this.edges = store.edges;
+        this.directions = null;
+        for (let i = 0; i < store.vertexCount; i++) {
+            const x = positions[i * 2];
+            const y = positions[i * 2 + 1];
+            store.positions[i * 2] = period ? this.wrapCoordinate(x, width) : Math.min(Math.max(x, 0), width);
+            store.positions[i * 2 + 1] = period ? this.wrapCoordinate(y, height) : Math.min(Math.max(y, 0), height);
+            
+            const index = previous[i];
+            store.masses[i] = index >= 0 ? old.masses[index] : this.config.vertexMass;
+            if (index >= 0) {
+                store.velocities[i * 2] = old.velocities[index * 2];
+                store.velocities[i * 2 + 1] = old.velocities[index * 2 + 1];
+            }
+        }
+        
+        // Edges that existed before carry on; new ones start at rest
+        store.edgeVertices.set(after.edgeVertices);
+        for (let e = 0; e < store.edgeCount; e++) {
+            const a = store.edgeVertices[e * 2];
+            const b = store.edgeVertices[e * 2 + 1];
+            const match = previous[a] >= 0 && previous[b] >= 0 ? oldEdges.get(edgeKey(previous[a], previous[b])) : undefined;
+            if (match !== undefined) {
+                store.originalLengths[e] = old.originalLengths[match];
+                store.targetLengths[e] = old.targetLengths[match];
+                store.acuteCounts[e] = old.acuteCounts[match];
+                store.changePercents[e] = old.changePercents[match];
+            } else {
+                const { distance } = this.getEdgeVector(this.vertices[a], this.vertices[b]);
+                store.originalLengths[e] = distance;
+                store.targetLengths[e] = distance;
+            }
+        }
+        store.buildAdjacency();
+        
+        const previousCells = this.cells.map(cell => ({
+            ...cell,
+            vertexIndices: cell.vertexIndices.map(index => current[index]).filter(index => index >= 0)
+        }));
+        this.cells = this.extractCells(previousCells);
+        
+        this.seeds = after.seeds;
+        this.weights = weights;
+        this.delaunay = { triangles: after.triangles, halfedges: after.halfedges };
+        this.delaunayTriangles = null;
+        this.pins.remap(previous);
+        this.rim = this.findRim(previous);
+        
+        this.analyzeAcuteAngles();
+        this.validator.reset(this.getValidationMesh());
+        this.lastValidation = null;
+        this.correctionForces = null;
+        this.detector.reset();
+        this.detectAttractor();
+        
+        this.log(`Rebuilt from ${seeds.length} seeds: kept ${matched} of ${store.vertexCount} vertices, ${this.cells.length} cells`);
+        return matched;
+    }
+}
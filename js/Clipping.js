@@ -0,0 +1,145 @@
+/**
+ * Clipping class cuts segments and polygons to a rectangular domain
+ * Shared by the renderers and exporters of both engines. On a torus, a shape given
+ * with unwrapped coordinates (following the minimum image across the seam) is drawn
+ * once per periodic image that overlaps the domain, each clipped to the domain.
+ * Bounds are {minX, minY, maxX, maxY}.
+ */
+export class Clipping {
+    /**
+     * Offsets of the periodic images of a shape that overlap the domain
+     * @param {Array} points - Unwrapped [x, y] points of the shape
+     * @param {Object} bounds - Domain bounds (one period)
+     * @returns {Array} [[ox, oy], ...] among the 3 × 3 neighbouring periods
+     */
+    static periodicImages(points, bounds) {
+        const { minX, maxX, minY, maxY } = bounds;
+        const width = maxX - minX;
+        const height = maxY - minY;
+        let left = Infinity, right = -Infinity, bottom = Infinity, top = -Infinity;
+        
+        for (const [x, y] of points) {
+            left = Math.min(left, x);
+            right = Math.max(right, x);
+            bottom = Math.min(bottom, y);
+            top = Math.max(top, y);
+        }
+        
+        const images = [];
+        for (let i = -1; i <= 1; i++) {
+            for (let j = -1; j <= 1; j++) {
+                const ox = i * width;
+                const oy = j * height;
+                if (right + ox > minX && left + ox < maxX && top + oy > minY && bottom + oy < maxY) {
+                    images.push([ox, oy]);
+                }
+            }
+        }
+        return images;
+    }
+    
+    /**
+     * Is every point inside the domain (borders included)?
+     */
+    static contains(points, bounds) {
+        const { minX, maxX, minY, maxY } = bounds;
+        return points.every(([x, y]) => x >= minX && x <= maxX && y >= minY && y <= maxY);
+    }
+    
+    /**
+     * Pieces of an unwrapped segment as drawn on the torus: one per overlapping image
+     * @returns {Array} Array of [x1, y1, x2, y2]
+     */
+    static wrapSegment(x1, y1, x2, y2, bounds) {
+        const segments = [];
+        for (const [ox, oy] of Clipping.periodicImages([[x1, y1], [x2, y2]], bounds)) {
+            const segment = Clipping.clipSegment(x1 + ox, y1 + oy, x2 + ox, y2 + oy, bounds);
+            if (segment) segments.push(segment);
+        }
+        return segments;
+    }
+    
+    /**
+     * Pieces of an unwrapped polygon as drawn on the torus: one per overlapping image
+     * @returns {Array} Array of polygons ([[x, y], ...], at least 3 points each)
+     */
+    static wrapPolygon(polygon, bounds) {
+        const pieces = [];
+        for (const [ox, oy] of Clipping.periodicImages(polygon, bounds)) {
+            const piece = Clipping.clipPolygon(polygon.map(([x, y]) => [x + ox, y + oy]), bounds);
+            if (piece.length >= 3) pieces.push(piece);
+        }
+        return pieces;
+    }
+    
+    /**
+     * Clip a convex polygon to the domain (Sutherland-Hodgman)
+     * @param {Array} polygon - Array of [x, y] points
+     * @param {Object} bounds - Domain bounds
+     * @returns {Array} Clipped polygon (fewer than 3 points when nothing is left)
+     */
+    static clipPolygon(polygon, bounds) {
+        const { minX, maxX, minY, maxY } = bounds;
+        const planes = [
+            [p => p[0] - minX, 0, minX],
+            [p => maxX - p[0], 0, maxX],
+            [p => p[1] - minY, 1, minY],
+            [p => maxY - p[1], 1, maxY]
+        ];
+        
+        let output = polygon;
+        for (const [inside, axis, value] of planes) {
+            const input = output;
+            output = [];
+            
+            for (let i = 0; i < input.length; i++) {
+                const current = input[i];
+                const next = input[(i + 1) % input.length];
+                const dc = inside(current);
+                const dn = inside(next);
+                
+                if (dc >= 0) output.push(current);
+                if ((dc >= 0) !== (dn >= 0)) {
+                    // Crossing point, snapped exactly onto the border. Computed from the
+                    // endpoints in a fixed order, so the neighbouring cell (which walks the
+                    // edge the other way) gets a bit-identical shared corner
+                    const [p, q] = current[0] < next[0] || (current[0] === next[0] && current[1] < next[1])
+                        ? [current, next] : [next, current];
+                    const dp = inside(p);
+                    const t = dp / (dp - inside(q));
+                    const point = [p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])];
+                    point[axis] = value;
+                    output.push(point);
+                }
+            }
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Clip a segment to the domain (Liang-Barsky)
+     * @param {Object} bounds - Domain bounds
+     * @returns {Array|null} [x1, y1, x2, y2], or null when no part of it is inside
+     */
+    static clipSegment(x1, y1, x2, y2, bounds) {
+        const { minX, maxX, minY, maxY } = bounds;
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        let t0 = 0;
+        let t1 = 1;
+        
+        for (const [p, q] of [[-dx, x1 - minX], [dx, maxX - x1], [-dy, y1 - minY], [dy, maxY - y1]]) {
+            if (p === 0) {
+                if (q < 0) return null;
+                continue;
+            }
+            const t = q / p;
+            if (p < 0) t0 = Math.max(t0, t);
+            else t1 = Math.min(t1, t);
+        }
+        
+        if (t0 >= t1) return null;
+        return [x1 + t0 * dx, y1 + t0 * dy, x1 + t1 * dx, y1 + t1 * dy];
+    }
+}
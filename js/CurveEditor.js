@@ -0,0 +1,293 @@
+import { AngleResponse } from './AngleResponse.js';
+
+/**
+ * CurveEditor class is a small DOM widget for editing an angle response curve
+ * Shows the curve over 0-180° with a type selector and one number field per
+ * parameter. Piecewise curves are edited on the plot itself: click to add a
+ * control point, drag to move it, double-click to remove it.
+ * Used by both index.html and the Three.js app.
+ */
+export class CurveEditor {
+    /**
+     * @param {HTMLElement} container - Element the editor is built into
+     * @param {Object|null} spec - Initial curve spec (null = AngleResponse.defaults.gaussian)
+     * @param {Function} onChange - Called with a validated spec after every edit
+     */
+    constructor(container, spec, onChange = () => {}) {
+        this.container = container;
+        this.onChange = onChange;
+        this.response = new AngleResponse(spec || AngleResponse.defaults.gaussian);
+        
+        // Plot size and padding in pixels
+        this.width = 240;
+        this.height = 120;
+        this.padding = 14;
+        this.dragIndex = -1;
+        
+        this.build();
+        this.render();
+    }
+    
+    /**
+     * Current curve spec (a copy, safe to store in a config)
+     */
+    getSpec() {
+        return JSON.parse(JSON.stringify(this.response.spec));
+    }
+    
+    /**
+     * Replace the curve, e.g. after loading a config
+     * @param {Object} spec - Curve spec
+     */
+    setSpec(spec) {
+        this.response = new AngleResponse(spec);
+        this.typeSelect.value = this.response.spec.type;
+        this.buildParameterFields();
+        this.render();
+    }
+    
+    /**
+     * Create the type selector, plot canvas, parameter fields and error line
+     */
+    build() {
+        this.container.innerHTML = '';
+        
+        this.typeSelect = document.createElement('select');
+        for (const type of AngleResponse.TYPES) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            this.typeSelect.appendChild(option);
+        }
+        this.typeSelect.value = this.response.spec.type;
+        this.typeSelect.addEventListener('change', () => {
+            // Switching type starts from that type's default curve
+            this.update(AngleResponse.defaults[this.typeSelect.value]);
+            this.buildParameterFields();
+        });
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.canvas.style.cssText = 'display: block; margin: 5px 0; background: #222; border: 1px solid #555;';
+        this.ctx = this.canvas.getContext('2d');
+        this.setupPointEditing();
+        
+        this.fields = document.createElement('div');
+        this.fields.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px 8px; font-size: 12px;';
+        
+        this.error = document.createElement('div');
+        this.error.style.cssText = 'color: #ff6666; font-size: 12px;';
+        
+        this.container.append(this.typeSelect, this.canvas, this.fields, this.error);
+        this.buildParameterFields();
+    }
+    
+    /**
+     * One number input per numeric parameter of the current curve type
+     */
+    buildParameterFields() {
+        this.fields.innerHTML = '';
+        
+        const spec = this.response.spec;
+        if (spec.type === 'piecewise') {
+            this.fields.textContent = 'Click to add a point, drag to move, double-click to remove';
+            return;
+        }
+        
+        for (const key of Object.keys(spec)) {
+            if (key === 'type') continue;
+            
+            const label = document.createElement('label');
+            label.style.cssText = 'display: inline-block; margin: 0;';
+            label.textContent = `${key} `;
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.value = spec[key];
+            input.style.cssText = 'width: 50px;';
+            input.addEventListener('input', () => {
+                this.update({ ...this.response.spec, [key]: input.value });
+            });
+            
+            label.appendChild(input);
+            this.fields.appendChild(label);
+        }
+    }
+    
+    /**
+     * Validate an edited spec; keep the last good curve and show the error if invalid
+     * @param {Object} spec - Edited curve spec
+     */
+    update(spec) {
+        try {
+            this.response = new AngleResponse(spec);
+        } catch (error) {
+            this.error.textContent = error.message;
+            return;
+        }
+        
+        this.error.textContent = '';
+        this.render();
+        this.onChange(this.getSpec());
+    }
+    
+    /**
+     * Value range shown on the plot - at least ±20%, widened to fit the curve
+     */
+    getValueRange() {
+        let range = 20;
+        for (let angle = 0; angle <= 180; angle += 2) {
+            range = Math.max(range, Math.abs(this.response.evaluate(angle)) * 1.1);
+        }
+        return range;
+    }
+    
+    /**
+     * Map an angle / value pair to canvas pixels
+     */
+    toCanvas(angle, value) {
+        const plotWidth = this.width - 2 * this.padding;
+        const plotHeight = this.height - 2 * this.padding;
+        return {
+            x: this.padding + (angle / 180) * plotWidth,
+            y: this.padding + (0.5 - value / (2 * this.valueRange)) * plotHeight
+        };
+    }
+    
+    /**
+     * Map canvas pixels back to an angle / value pair (angle clamped to 0-180°)
+     */
+    fromCanvas(x, y) {
+        const plotWidth = this.width - 2 * this.padding;
+        const plotHeight = this.height - 2 * this.padding;
+        const angle = Math.max(0, Math.min(180, ((x - this.padding) / plotWidth) * 180));
+        const value = (0.5 - (y - this.padding) / plotHeight) * 2 * this.valueRange;
+        return [Math.round(angle), Math.round(value * 10) / 10];
+    }
+    
+    /**
+     * Draw axes, the 90° / 120° guides, the curve and any control points
+     */
+    render() {
+        const ctx = this.ctx;
+        // Keep the scale fixed while dragging so points don't jump under the cursor
+        if (this.dragIndex < 0) {
+            this.valueRange = this.getValueRange();
+        }
+        
+        ctx.clearRect(0, 0, this.width, this.height);
+        
+        // Zero line and angle guides
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 2]);
+        for (const angle of [90, 120]) {
+            const top = this.toCanvas(angle, this.valueRange);
+            const bottom = this.toCanvas(angle, -this.valueRange);
+            ctx.beginPath();
+            ctx.moveTo(top.x, top.y);
+            ctx.lineTo(bottom.x, bottom.y);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+        
+        const left = this.toCanvas(0, 0);
+        const right = this.toCanvas(180, 0);
+        ctx.beginPath();
+        ctx.moveTo(left.x, left.y);
+        ctx.lineTo(right.x, right.y);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px Arial';
+        ctx.fillText('0°', 2, this.height - 2);
+        ctx.fillText('90°', this.toCanvas(90, 0).x - 8, this.height - 2);
+        ctx.fillText('180°', this.width - 24, this.height - 2);
+        ctx.fillText(`+${Math.round(this.valueRange)}%`, 2, 10);
+        
+        // The curve itself
+        ctx.strokeStyle = '#4CAF50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let angle = 0; angle <= 180; angle++) {
+            const p = this.toCanvas(angle, this.response.evaluate(angle));
+            if (angle === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        }
+        ctx.stroke();
+        
+        if (this.response.spec.type === 'piecewise') {
+            ctx.fillStyle = '#ffaa00';
+            for (const [angle, value] of this.response.spec.points) {
+                const p = this.toCanvas(angle, value);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+    
+    /**
+     * Mouse handling for piecewise control points
+     */
+    setupPointEditing() {
+        const eventPosition = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
+        
+        const findPoint = ({ x, y }) => {
+            return this.response.spec.points.findIndex(([angle, value]) => {
+                const p = this.toCanvas(angle, value);
+                return Math.hypot(p.x - x, p.y - y) <= 6;
+            });
+        };
+        
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (this.response.spec.type !== 'piecewise') return;
+            
+            const position = eventPosition(e);
+            this.dragIndex = findPoint(position);
+            
+            if (this.dragIndex < 0) {
+                // Add a point and start dragging it straight away
+                const point = this.fromCanvas(position.x, position.y);
+                const points = [...this.response.spec.points, point];
+                this.update({ type: 'piecewise', points });
+                this.dragIndex = this.response.spec.points.findIndex(p => p[0] === point[0] && p[1] === point[1]);
+            }
+        });
+        
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.dragIndex < 0) return;
+            
+            const position = eventPosition(e);
+            const points = this.response.spec.points.map(p => [...p]);
+            const moved = this.fromCanvas(position.x, position.y);
+            points[this.dragIndex] = moved;
+            this.update({ type: 'piecewise', points });
+            // Sorting may have moved the dragged point to a new index
+            this.dragIndex = this.response.spec.points.findIndex(p => p[0] === moved[0] && p[1] === moved[1]);
+        });
+        
+        const endDrag = () => {
+            if (this.dragIndex < 0) return;
+            this.dragIndex = -1;
+            this.render();
+        };
+        this.canvas.addEventListener('mouseup', endDrag);
+        this.canvas.addEventListener('mouseleave', endDrag);
+        
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this.response.spec.type !== 'piecewise') return;
+            
+            const index = findPoint(eventPosition(e));
+            if (index < 0 || this.response.spec.points.length <= 2) return;
+            
+            const points = this.response.spec.points.filter((_, i) => i !== index);
+            this.update({ type: 'piecewise', points });
+        });
+    }
+}
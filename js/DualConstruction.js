@@ -0,0 +1,303 @@
+import { Delaunay } from 'd3-delaunay';
+
+/**
+ * DualConstruction class turns seed points into the vertices of a dual mesh
+ * Both engines triangulate their seeds and place one mesh vertex per triangle;
+ * the dual type decides where that vertex goes:
+ *   'circumcentric' - triangle circumcenter (the Voronoi diagram)
+ *   'barycentric'   - triangle centroid (always inside the triangle)
+ *   'centroidal'    - circumcenters after Lloyd relaxation of the seeds (centroidal Voronoi)
+ *   'power'         - power centers of the weighted (regular) triangulation: a power
+ *                     diagram with one weight per seed
+ * Points are flat arrays [x0, y0, x1, y1, ...] as used by d3-delaunay.
+ */
+export class DualConstruction {
+    static TYPES = ['circumcentric', 'barycentric', 'centroidal', 'power'];
+    
+    /**
+     * @throws {Error} If type is not a known dual type
+     */
+    static validate(type) {
+        if (!DualConstruction.TYPES.includes(type)) {
+            throw new Error(`Unknown dual "${type}" (expected one of: ${DualConstruction.TYPES.join(', ')})`);
+        }
+    }
+    
+    /**
+     * Triangulate points for a dual type and place its vertices
+     * @param {Float64Array|Array} points - Flat point coordinates (ghost copies included)
+     * @param {string} type - One of DualConstruction.TYPES
+     * @param {Float64Array|null} weights - One weight per point ('power' only)
+     * @returns {Object} {triangles, halfedges, inedges} in d3-delaunay layout (flipped to the
+     *                   regular triangulation for 'power') and vertices: [x, y] per triangle
+     */
+    static build(points, type, weights = null) {
+        DualConstruction.validate(type);
+        const delaunay = new Delaunay(points);
+        let { triangles, halfedges, inedges } = delaunay;
+        
+        if (type === 'power') {
+            triangles = Uint32Array.from(triangles);
+            halfedges = Int32Array.from(halfedges);
+            DualConstruction.flipToRegular(points, weights, triangles, halfedges);
+            inedges = DualConstruction.buildInedges(points.length / 2, triangles, halfedges);
+        }
+        
+        const vertices = new Float64Array(triangles.length / 3 * 2);
+        for (let t = 0; t < triangles.length / 3; t++) {
+            const a = triangles[t * 3];
+            const b = triangles[t * 3 + 1];
+            const c = triangles[t * 3 + 2];
+            
+            if (type === 'barycentric') {
+                vertices[t * 2] = (points[a * 2] + points[b * 2] + points[c * 2]) / 3;
+                vertices[t * 2 + 1] = (points[a * 2 + 1] + points[b * 2 + 1] + points[c * 2 + 1]) / 3;
+            } else {
+                const wa = weights ? weights[a] : 0;
+                const wb = weights ? weights[b] : 0;
+                const wc = weights ? weights[c] : 0;
+                DualConstruction.powerCenter(points, a, b, c, wb - wa, wc - wa, vertices, t * 2);
+            }
+        }
+        
+        return { triangles, halfedges, inedges, vertices };
+    }
+    
+    /**
+     * Point with equal power distance |x − p|² − w to the three corners of a triangle
+     * (the circumcenter when all weights are equal). Degenerate triangles get their centroid.
+     * @param {number} dwb - Weight of b minus weight of a
+     * @param {number} dwc - Weight of c minus weight of a
+     */
+    static powerCenter(points, a, b, c, dwb, dwc, out, offset) {
+        const x1 = points[a * 2];
+        const y1 = points[a * 2 + 1];
+        const dx = points[b * 2] - x1;
+        const dy = points[b * 2 + 1] - y1;
+        const ex = points[c * 2] - x1;
+        const ey = points[c * 2 + 1] - y1;
+        const ab = (dx * ey - dy * ex) * 2;
+        
+        if (Math.abs(ab) < 1e-9) {
+            out[offset] = x1 + (dx + ex) / 3;
+            out[offset + 1] = y1 + (dy + ey) / 3;
+            return;
+        }
+        
+        const d = 1 / ab;
+        const bl = dx * dx + dy * dy - dwb;
+        const cl = ex * ex + ey * ey - dwc;
+        out[offset] = x1 + (ey * bl - dy * cl) * d;
+        out[offset + 1] = y1 + (dx * cl - ex * bl) * d;
+    }
+    
+    /**
+     * Lawson-flip a Delaunay triangulation (in place) until every edge is locally regular
+     * under the power criterion. Flips that would fold the quad are skipped; they only
+     * arise for seeds whose weight is so small next to their neighbours' that their power
+     * cell is empty. Such a seed keeps a (folded) cell, which validation reports as inverted,
+     * so keep weight radii below about a third of the seed spacing.
+     */
+    static flipToRegular(points, weights, triangles, halfedges) {
+        const link = (a, b) => {
+            halfedges[a] = b;
+            if (b !== -1) halfedges[b] = a;
+        };
+        const area = (p, q, r) => (points[q * 2] - points[p * 2]) * (points[r * 2 + 1] - points[p * 2 + 1]) -
+            (points[q * 2 + 1] - points[p * 2 + 1]) * (points[r * 2] - points[p * 2]);
+        
+        const stack = [];
+        for (let e = 0; e < halfedges.length; e++) {
+            if (halfedges[e] > e) stack.push(e);
+        }
+        
+        while (stack.length > 0) {
+            const a = stack.pop();
+            const b = halfedges[a];
+            if (b === -1) continue;
+            
+            // Triangles (pr, pl, p0) and (pl, pr, p1) share the edge pr-pl
+            const a0 = a - a % 3;
+            const b0 = b - b % 3;
+            const al = a0 + (a + 1) % 3;
+            const ar = a0 + (a + 2) % 3;
+            const br = b0 + (b + 1) % 3;
+            const bl = b0 + (b + 2) % 3;
+            const p0 = triangles[ar];
+            const pr = triangles[a];
+            const pl = triangles[al];
+            const p1 = triangles[bl];
+            
+            if (!DualConstruction.inPowerCircle(points, weights, p0, pr, pl, p1)) continue;
+            
+            // Only flip a convex quad: both new triangles keep the old orientation
+            const orientation = Math.sign(area(pr, pl, p0));
+            if (Math.sign(area(p1, pl, p0)) !== orientation || Math.sign(area(p0, pr, p1)) !== orientation) continue;
+            
+            const hbl = halfedges[bl];
+            const har = halfedges[ar];
+            triangles[a] = p1;
+            triangles[b] = p0;
+            link(a, hbl);
+            link(b, har);
+            link(ar, bl);
+            
+            for (const e of [a, b, al, br]) {
+                if (halfedges[e] !== -1) stack.push(e);
+            }
+        }
+    }
+    
+    /**
+     * Power version of the in-circle test: is p closer in power to the orthocircle of
+     * (a, b, c) than the triangle's corners (same orientation convention as d3-delaunay)?
+     */
+    static inPowerCircle(points, weights, a, b, c, p) {
+        const px = points[p * 2];
+        const py = points[p * 2 + 1];
+        const wp = weights[p];
+        const dx = points[a * 2] - px;
+        const dy = points[a * 2 + 1] - py;
+        const ex = points[b * 2] - px;
+        const ey = points[b * 2 + 1] - py;
+        const fx = points[c * 2] - px;
+        const fy = points[c * 2 + 1] - py;
+        
+        const ap = dx * dx + dy * dy - (weights[a] - wp);
+        const bp = ex * ex + ey * ey - (weights[b] - wp);
+        const cp = fx * fx + fy * fy - (weights[c] - wp);
+        
+        return dx * (ey * cp - bp * fy) - dy * (ex * cp - bp * fx) + ap * (ex * fy - ey * fx) < 0;
+    }
+    
+    /**
+     * One incoming half-edge per point (a hull half-edge for hull points), as in d3-delaunay
+     */
+    static buildInedges(pointCount, triangles, halfedges) {
+        const inedges = new Int32Array(pointCount).fill(-1);
+        for (let e = 0; e < halfedges.length; e++) {
+            const p = triangles[e % 3 === 2 ? e - 2 : e + 1];
+            if (halfedges[e] === -1 || inedges[p] === -1) inedges[p] = e;
+        }
+        return inedges;
+    }
+    
+    /**
+     * Triangles around a point, in order (stops at the hull)
+     * @returns {Array} Triangle indices
+     */
+    static trianglesAround(point, triangles, halfedges, inedges) {
+        const around = [];
+        const e0 = inedges[point];
+        if (e0 === -1) return around;
+        
+        let e = e0;
+        do {
+            around.push(Math.floor(e / 3));
+            e = e % 3 === 2 ? e - 2 : e + 1;    // Half-edge leaving the point
+            e = halfedges[e];
+        } while (e !== e0 && e !== -1);
+        return around;
+    }
+    
+    /**
+     * Per-seed weights for a power diagram
+     * @param {number} count - Number of seeds
+     * @param {Array|null} seedWeights - Explicit weights (length count), or null for random ones
+     * @param {number} spread - Random weights are (spread · spacing · u)², u uniform in [0, 1)
+     * @param {number} spacing - Mean seed spacing, sqrt(area / count)
+     * @param {Random} random - Source of the random weights
+     * @returns {Float64Array} Weights
+     * @throws {Error} If explicit weights do not match the seed count
+     */
+    static resolveWeights(count, seedWeights, spread, spacing, random) {
+        if (seedWeights) {
+            if (seedWeights.length !== count) {
+                throw new Error(`seedWeights has ${seedWeights.length} entries but there are ${count} seeds`);
+            }
+            return Float64Array.from(seedWeights);
+        }
+        
+        const weights = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const radius = spread * spacing * random.next();
+            weights[i] = radius * radius;
+        }
+        return weights;
+    }
+    
+    /**
+     * Lloyd relaxation: move every seed to the centroid of its Voronoi cell, repeatedly
+     * @param {Float64Array} points - Flat seed coordinates, moved in place
+     * @param {number} iterations - Number of Lloyd steps
+     * @param {Object} bounds - {minX, minY, maxX, maxY}
+     * @param {boolean} periodic - Cells wrap around the bounds (torus) instead of being clipped
+     */
+    static relax(points, iterations, bounds, periodic) {
+        const { minX, minY, maxX, maxY } = bounds;
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const count = points.length / 2;
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            let coordinates = points;
+            let clip = [minX, minY, maxX, maxY];
+            
+            if (periodic) {
+                // Eight translated copies around the domain close every cell
+                coordinates = new Float64Array(points.length * 9);
+                coordinates.set(points);
+                let k = points.length;
+                for (let i = 0; i < count; i++) {
+                    for (const ox of [-width, 0, width]) {
+                        for (const oy of [-height, 0, height]) {
+                            if (ox === 0 && oy === 0) continue;
+                            coordinates[k++] = points[i * 2] + ox;
+                            coordinates[k++] = points[i * 2 + 1] + oy;
+                        }
+                    }
+                }
+                clip = [minX - width, minY - height, maxX + width, maxY + height];
+            }
+            
+            const voronoi = new Delaunay(coordinates).voronoi(clip);
+            for (let i = 0; i < count; i++) {
+                const centroid = DualConstruction.polygonCentroid(voronoi.cellPolygon(i));
+                if (!centroid) continue;
+                
+                let [x, y] = centroid;
+                if (periodic) {
+                    x = minX + (((x - minX) % width) + width) % width;
+                    y = minY + (((y - minY) % height) + height) % height;
+                }
+                points[i * 2] = x;
+                points[i * 2 + 1] = y;
+            }
+        }
+    }
+    
+    /**
+     * Area centroid of a polygon ([[x, y], ...], closed or not)
+     * @returns {Array|null} [x, y], or null for a missing or degenerate polygon
+     */
+    static polygonCentroid(polygon) {
+        if (!polygon || polygon.length < 3) return null;
+        
+        const [x0, y0] = polygon[0];
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const [x1, y1] = polygon[i];
+            const [x2, y2] = polygon[(i + 1) % polygon.length];
+            // Relative to the first corner, for precision far from the origin
+            const cross = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+            area += cross;
+            cx += (x1 + x2 - 2 * x0) * cross;
+            cy += (y1 + y2 - 2 * y0) * cross;
+        }
+        
+        if (Math.abs(area) < 1e-12) return null;
+        return [x0 + cx / (3 * area), y0 + cy / (3 * area)];
+    }
+}
@@ -0,0 +1,119 @@
+import { ModelSpace } from './ModelSpace.js';
+
+/**
+ * DxfExporter class writes a mesh drawing as an ASCII DXF (R12, read by every CAD program)
+ * Each edge piece is a 2-point POLYLINE on the layer of its acute count: ACUTE_0, ACUTE_1,
+ * ACUTE_2 and ACUTE_3 (3 or more), coloured like the canvas view. Cell outlines can be
+ * added as closed polylines on the CELLS layer. Coordinates are model space (see ModelSpace).
+ */
+export class DxfExporter {
+    static EXTENSION = 'dxf';
+    static MIME_TYPE = 'application/dxf';
+    
+    /**
+     * Layers and their AutoCAD colour index: blue, green, orange, red, grey
+     */
+    static LAYERS = [
+        ['ACUTE_0', 5],
+        ['ACUTE_1', 3],
+        ['ACUTE_2', 30],
+        ['ACUTE_3', 1],
+        ['CELLS', 8]
+    ];
+    
+    static DEFAULTS = {
+        size: null,         // Longer side of the domain in model units (null = mesh units)
+        cells: false,       // Add the closed cell outlines on the CELLS layer
+        precision: 6        // Decimals of the written coordinates
+    };
+    
+    /**
+     * @param {Object} drawing - From CanvasEngine/Simulation getDrawing()
+     * @param {Object} options - See DEFAULTS
+     * @returns {string} DXF text
+     */
+    static render(drawing, options = {}) {
+        const settings = { ...DxfExporter.DEFAULTS, ...options };
+        const space = ModelSpace.fromDrawing(drawing, settings.size);
+        const round = value => +value.toFixed(settings.precision);
+        const lines = [];
+        const group = (code, value) => lines.push(String(code), String(value));
+        
+        const polyline = (layer, points, closed) => {
+            group(0, 'POLYLINE');
+            group(8, layer);
+            group(66, 1);
+            group(70, closed ? 1 : 0);
+            group(10, 0);
+            group(20, 0);
+            group(30, 0);
+            for (const [x, y] of points) {
+                group(0, 'VERTEX');
+                group(8, layer);
+                group(10, round(x));
+                group(20, round(y));
+                group(30, 0);
+            }
+            group(0, 'SEQEND');
+            group(8, layer);
+        };
+        
+        group(0, 'SECTION');
+        group(2, 'HEADER');
+        group(9, '$ACADVER');
+        group(1, 'AC1009');
+        group(9, '$EXTMIN');
+        group(10, 0);
+        group(20, 0);
+        group(9, '$EXTMAX');
+        group(10, round(space.width));
+        group(20, round(space.height));
+        group(0, 'ENDSEC');
+        
+        group(0, 'SECTION');
+        group(2, 'TABLES');
+        group(0, 'TABLE');
+        group(2, 'LTYPE');
+        group(70, 1);
+        group(0, 'LTYPE');
+        group(2, 'CONTINUOUS');
+        group(70, 0);
+        group(3, 'Solid line');
+        group(72, 65);
+        group(73, 0);
+        group(40, 0);
+        group(0, 'ENDTAB');
+        group(0, 'TABLE');
+        group(2, 'LAYER');
+        group(70, DxfExporter.LAYERS.length);
+        for (const [name, color] of DxfExporter.LAYERS) {
+            group(0, 'LAYER');
+            group(2, name);
+            group(70, 0);
+            group(62, color);
+            group(6, 'CONTINUOUS');
+        }
+        group(0, 'ENDTAB');
+        group(0, 'ENDSEC');
+        
+        group(0, 'SECTION');
+        group(2, 'ENTITIES');
+        for (const { acuteCount, segments } of drawing.edges) {
+            const layer = DxfExporter.LAYERS[Math.min(acuteCount, 3)][0];
+            for (const [x1, y1, x2, y2] of segments) {
+                polyline(layer, [space.map(x1, y1), space.map(x2, y2)], false);
+            }
+        }
+        if (settings.cells) {
+            for (const { pieces } of drawing.cells) {
+                for (const piece of pieces) {
+                    polyline('CELLS', space.mapPolygon(piece), true);
+                }
+            }
+        }
+        group(0, 'ENDSEC');
+        group(0, 'EOF');
+        
+        return lines.join('\n') + '\n';
+    }
+}
@@ -4,8 +4,16 @@
  * Calculates expand/shrink values based on acute angle count
  */
 export class EdgeAnalyzer {
-    constructor() {
-        console.log('🔍 EdgeAnalyzer initialized');
+    /**
+     * @param {Object} options - {log: function(message)} for progress messages (default console.log)
+     */
+    constructor(options = {}) {
+        this.log = options.log || console.log;
+        
+        // {width, height} when the mesh is a torus, so edge directions use the minimum image
+        this.period = null;
+        
+        this.log('🔍 EdgeAnalyzer initialized');
     }
     
     /**
@@ -26,6 +34,7 @@ export class EdgeAnalyzer {
         for (let i = 0; i < edges.length; i++) {
             const edge = edges[i];
             let acuteConnectionCount = 0;
+            edge.cornerAngles = [];
             
             // Check connections with all other edges that share a vertex
             for (const connectedEdgeIndex of edge.connectedEdges) {
@@ -33,6 +42,7 @@ export class EdgeAnalyzer {
                 
                 // Calculate the angle between the two edges
                 const angle = this.calculateAngleBetweenEdges(edge, connectedEdge);
+                edge.cornerAngles.push(angle);
                 
                 // Check if it's an acute angle (< 90 degrees)
                 if (this.isAcuteAngle(angle)) {
@@ -52,7 +62,7 @@ export class EdgeAnalyzer {
             }
         }
         
-        console.log(`🔬 Analyzed ${edges.length} edges: ${acuteEdgeCount} have acute connections`);
+        this.log(`🔬 Analyzed ${edges.length} edges: ${acuteEdgeCount} have acute connections`);
         
         return {
             totalEdges: edges.length,
@@ -66,33 +76,42 @@ export class EdgeAnalyzer {
      * Calculate expand/shrink values for all edges based on analysis results
      * @param {Array} edges - Array of edge objects from analysis
      * @param {number} changeRate - Base percentage for expand/shrink (default 5%)
+     * @param {EdgeRule|null} rule - Rule table keyed by acute count; overrides changeRate when given
+     * @param {AngleResponse|null} response - Continuous angle response; overrides rule and changeRate when given
      * @returns {Array} Array of edge values for mesh evolution
      */
-    calculateEdgeValues(edges, changeRate = 5) {
+    calculateEdgeValues(edges, changeRate = 5, rule = null, response = null) {
         const edgeValues = [];
         
         // Process each edge and calculate its expand/shrink value
         for (const edge of edges) {
             let value = 0;
             
-            if (edge.acuteAngleCount > 0) {
+            if (response) {
+                // Continuous mode: sum of the responses to every corner angle
+                value = response.edgeValue(edge.cornerAngles);
+            } else if (rule) {
+                // Rule table decides the value for this acute count
+                value = rule.valueFor(edge.acuteAngleCount);
+            } else if (edge.acuteAngleCount > 0) {
                 // Edge has acute connections - expand by changeRate% per connection
                 value = changeRate * edge.acuteAngleCount;
-                edge.expandValue = value;
             } else {
                 // Edge has no acute connections - shrink by changeRate%
                 value = -changeRate;
-                edge.expandValue = value;
             }
             
+            edge.expandValue = value;
+            
             edgeValues.push({
                 edgeId: edge.id,
                 value: value,
-                type: value > 0 ? 'expand' : 'shrink'
+                type: value > 0 ? 'expand' : value < 0 ? 'shrink' : 'hold'
             });
         }
         
-        console.log(`📊 Calculated values for ${edgeValues.length} edges (±${changeRate}% base rate)`);
+        const mode = response ? `${response.spec.type} angle response` : rule ? `rule ${rule}` : `±${changeRate}% base rate`;
+        this.log(`📊 Calculated values for ${edgeValues.length} edges (${mode})`);
         
         return edgeValues;
     }
@@ -104,6 +123,7 @@ export class EdgeAnalyzer {
         for (const edge of edges) {
             edge.acuteAngleCount = 0;
             edge.expandValue = 0;
+            edge.cornerAngles = [];
         }
     }
     
@@ -145,23 +165,16 @@ export class EdgeAnalyzer {
     
     /**
      * Find the shared vertex between two edges
+     * Edges reference shared vertex objects, so this is an index comparison
      * @param {Object} edge1 - First edge
      * @param {Object} edge2 - Second edge
      * @returns {Object|null} Shared vertex or null if none found
      */
     findSharedVertex(edge1, edge2) {
-        const tolerance = 1e-6;
-        
-        if (this.pointsEqual(edge1.start, edge2.start, tolerance)) {
-            return edge1.start;
-        }
-        if (this.pointsEqual(edge1.start, edge2.end, tolerance)) {
+        if (edge1.v1 === edge2.v1 || edge1.v1 === edge2.v2) {
             return edge1.start;
         }
-        if (this.pointsEqual(edge1.end, edge2.start, tolerance)) {
-            return edge1.end;
-        }
-        if (this.pointsEqual(edge1.end, edge2.end, tolerance)) {
+        if (edge1.v2 === edge2.v1 || edge1.v2 === edge2.v2) {
             return edge1.end;
         }
         
@@ -175,28 +188,28 @@ export class EdgeAnalyzer {
      * @returns {Object} Direction vector {x, y}
      */
     getDirectionFromVertex(edge, sharedVertex) {
-        const tolerance = 1e-6;
-        
-        if (this.pointsEqual(edge.start, sharedVertex, tolerance)) {
+        let direction;
+        if (edge.start === sharedVertex) {
             // Direction from start to end
-            return {
+            direction = {
                 x: edge.end.x - edge.start.x,
                 y: edge.end.y - edge.start.y
             };
         } else {
             // Direction from end to start
-            return {
+            direction = {
                 x: edge.start.x - edge.end.x,
                 y: edge.start.y - edge.end.y
             };
         }
-    }
-    
-    /**
-     * Check if two points are equal within tolerance
-     */
-    pointsEqual(p1, p2, tolerance) {
-        return Math.abs(p1.x - p2.x) < tolerance && Math.abs(p1.y - p2.y) < tolerance;
+        
+        // An edge across a periodic seam points the short way round
+        if (this.period) {
+            direction.x -= this.period.width * Math.round(direction.x / this.period.width);
+            direction.y -= this.period.height * Math.round(direction.y / this.period.height);
+        }
+        
+        return direction;
     }
     
     /**
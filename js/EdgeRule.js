@@ -0,0 +1,125 @@
+/**
+ * EdgeRule class maps an edge's acute angle count to an expand/shrink percentage
+ * Written in a compact notation, similar in spirit to Conway's B/S rules:
+ *
+ *     "0:-15, 1:+5, 2:+10, 3+:-5"
+ *
+ * Each term is <count>:<percent>; "<count>+" covers that count and everything above it.
+ * Terms may be separated by commas, semicolons or newlines. Counts that no term
+ * covers leave the edge unchanged (0%).
+ */
+export class EdgeRule {
+    /**
+     * @param {Array} terms - Array of {count, orMore, value}
+     */
+    constructor(terms) {
+        this.terms = [...terms].sort((a, b) => a.count - b.count);
+    }
+    
+    /**
+     * Parse and validate rule notation
+     * @param {string} text - Rule text, e.g. "0:-15, 1:+5, 2:+10, 3+:-5"
+     * @returns {EdgeRule} Parsed rule
+     * @throws {Error} Describing the first invalid term
+     */
+    static parse(text) {
+        const source = String(text ?? '').trim();
+        if (source === '') {
+            throw new Error('Rule is empty');
+        }
+        
+        const terms = [];
+        const parts = source.split(/[,;\n]+/).map(part => part.trim()).filter(part => part !== '');
+        
+        for (const part of parts) {
+            const match = /^(\d+)\s*(\+?)\s*:\s*([+-]?(?:\d+\.?\d*|\.\d+))\s*%?$/.exec(part);
+            if (!match) {
+                throw new Error(`Invalid term "${part}" (expected <count>:<percent>, e.g. "2:+10" or "3+:-5")`);
+            }
+            
+            const count = parseInt(match[1]);
+            const orMore = match[2] === '+';
+            const value = parseFloat(match[3]);
+            
+            if (value <= -100) {
+                throw new Error(`Invalid term "${part}": shrinking by ${-value}% would give a non-positive length`);
+            }
+            
+            terms.push({ count, orMore, value });
+        }
+        
+        // Validate coverage: no count may be claimed by two terms
+        const openTerms = terms.filter(term => term.orMore);
+        if (openTerms.length > 1) {
+            throw new Error(`Only one "<count>+" term is allowed, found ${openTerms.map(t => `${t.count}+`).join(', ')}`);
+        }
+        
+        const seen = new Set();
+        for (const term of terms) {
+            if (seen.has(term.count)) {
+                throw new Error(`Count ${term.count} is defined more than once`);
+            }
+            seen.add(term.count);
+        }
+        
+        if (openTerms.length === 1) {
+            const open = openTerms[0];
+            const overlapping = terms.find(term => !term.orMore && term.count > open.count);
+            if (overlapping) {
+                throw new Error(`Count ${overlapping.count} is already covered by "${open.count}+"`);
+            }
+        }
+        
+        return new EdgeRule(terms);
+    }
+    
+    /**
+     * Build the rule table equivalent to the classic expand/shrink sliders
+     * Normal: 0 acute shrinks by shrinkPercent, n acute expand by n × expandPercent.
+     * Inverted: 0 acute expands by expandPercent, n acute shrink by n × shrinkPercent.
+     * @param {number} expandPercent - Expansion percentage
+     * @param {number} shrinkPercent - Shrinkage percentage
+     * @param {boolean} invert - Inverted behaviour
+     * @param {number} maxCount - Highest count written out explicitly (the last term is open-ended)
+     * @returns {EdgeRule} Equivalent rule
+     */
+    static fromPercentages(expandPercent, shrinkPercent, invert = false, maxCount = 4) {
+        const terms = [];
+        
+        for (let count = 0; count <= maxCount; count++) {
+            let value;
+            if (invert) {
+                value = count === 0 ? expandPercent : -Math.min(shrinkPercent * count, 99);
+            } else {
+                value = count === 0 ? -shrinkPercent : expandPercent * count;
+            }
+            terms.push({ count, orMore: count === maxCount, value });
+        }
+        
+        return new EdgeRule(terms);
+    }
+    
+    /**
+     * Get the expand (+) / shrink (-) percentage for an acute angle count
+     * @param {number} acuteCount - Number of acute angles at the edge
+     * @returns {number} Percentage change of the edge's original length
+     */
+    valueFor(acuteCount) {
+        for (const term of this.terms) {
+            if (term.count === acuteCount || (term.orMore && acuteCount >= term.count)) {
+                return term.value;
+            }
+        }
+        return 0;
+    }
+    
+    /**
+     * Canonical notation for this rule
+     * @returns {string} e.g. "0:-15, 1:+5, 2:+10, 3+:-5"
+     */
+    toString() {
+        return this.terms
+            .map(term => `${term.count}${term.orMore ? '+' : ''}:${term.value > 0 ? '+' : ''}${term.value}`)
+            .join(', ');
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * EngineWorkerClient class runs a simulation engine in a Web Worker (js/engineWorker.js)
+ * Config changes and commands go to the worker as messages; the worker answers with
+ * frames whose typed arrays (vertex positions, edge endpoints, acute counts or
+ * Three.js attribute arrays) are transferred, not copied. The page draws a frame and
+ * then calls frameDone() to ask for the next one, so a slow renderer never queues up
+ * stale frames and the UI stays responsive however large the mesh is.
+ */
+export class EngineWorkerClient {
+    /**
+     * @param {string} engine - 'canvas' or 'voronoi' (see js/headless.js)
+     * @param {Object} config - Initial engine config (must be structured-cloneable)
+     * @param {Object} handlers - {onFrame(frame), onLog(message), onError(message)}; onError
+     *                            hears of failures outside a request, e.g. a step of the
+     *                            running engine (the worker has stopped it)
+     */
+    constructor(engine, config = {}, handlers = {}) {
+        this.engine = engine;
+        this.onFrame = handlers.onFrame || (() => {});
+        this.onLog = handlers.onLog || (() => {});
+        this.onError = handlers.onError || (message => console.error('❌ Engine worker error:', message));
+        
+        this.frame = null;          // Latest frame received
+        this.nextId = 0;
+        this.pending = new Map();   // Request id -> {resolve, reject}
+        
+        this.worker = new Worker(new URL('./engineWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this.handleMessage(data);
+        this.worker.onerror = (event) => this.onError(event.message);
+        
+        this.request('create', { engine, config }).catch((error) => this.onError(error.message));
+    }
+    
+    /**
+     * Send a message and wait for the worker's answer
+     * @returns {Promise} Resolves with the handler's return value, rejects with its error
+     */
+    request(type, message = {}) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, type, id });
+        });
+    }
+    
+    handleMessage(data) {
+        switch (data.type) {
+            case 'frame':
+                this.frame = data;
+                this.onFrame(data);
+                break;
+            case 'log':
+                this.onLog(data.message);
+                break;
+            case 'result':
+            case 'error': {
+                const request = this.pending.get(data.id);
+                this.pending.delete(data.id);
+                if (!request) {
+                    if (data.type === 'error') this.onError(data.message);
+                    break;
+                }
+                if (data.type === 'result') request.resolve(data.value);
+                else request.reject(new Error(data.message));
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Merge a config patch into the engine's config
+     * Rule, angle response and validation changes take effect (and show) immediately.
+     */
+    configure(patch) {
+        return this.request('configure', { config: patch });
+    }
+    
+    /**
+     * Generate a new mesh
+     * @returns {Promise<number>} The seed the mesh was generated from
+     */
+    generate() {
+        return this.request('generate');
+    }
+    
+    /**
+     * Run continuously (accepting the violations present now, as resume() does)
+     * @param {number} generationsPerSecond - Target rate; large meshes may run slower
+     */
+    start(generationsPerSecond) {
+        return this.request('start', { generationsPerSecond });
+    }
+    
+    stop() {
+        return this.request('stop');
+    }
+    
+    /**
+     * Run a number of generations right away
+     * @returns {Promise<Object>} Stats after the last one
+     */
+    step(count = 1) {
+        return this.request('step', { count });
+    }
+    
+    /**
+     * See CanvasEngine.setCellMechanics / Simulation.setCellMechanics
+     */
+    setCellMechanics(params, cellIds = null) {
+        return this.request('setCellMechanics', { params, cellIds });
+    }
+    
+    /**
+     * Call any engine method in the worker, e.g. call('getState')
+     * @returns {Promise} The method's (structured-cloned) return value
+     */
+    call(method, ...args) {
+        return this.request('call', { method, args });
+    }
+    
+    /**
+     * Describe the vertex, edge or cell under a point (no frame is sent)
+     * @param {number} radius - Pick radius in mesh units
+     * @returns {Promise<Object|null>} See CanvasEngine.inspect / Simulation.inspect
+     */
+    inspect(x, y, radius) {
+        return this.request('inspect', { x, y, radius });
+    }
+    
+    /**
+     * Save the current generation
+     * @returns {Promise<Object>} Versioned snapshot (see Snapshot)
+     */
+    save() {
+        return this.request('save');
+    }
+    
+    /**
+     * Replace the run with a saved one; it stays stopped until start()
+     * @param {string|Object} snapshot - Snapshot JSON text or object, for this client's engine
+     * @returns {Promise<Object>} {config, generation, seed} of the loaded run, for refreshing the controls
+     */
+    load(snapshot) {
+        return this.request('load', { snapshot });
+    }
+    
+    /**
+     * Export the current generation as a file (see headless.js EXPORTERS)
+     * @param {string} format - Export format: 'svg', 'geojson', 'dxf', 'obj' or 'stl'
+     * @param {Object} options - Exporter options (e.g. SvgExporter.DEFAULTS)
+     * @returns {Promise<Object>} {content, fileName, type}
+     */
+    exportMesh(format, options = {}) {
+        return this.request('export', { format, options });
+    }
+    
+    /**
+     * Turn per-generation metrics on or off: while on, every frame carries the
+     * MeshMetrics samples of the generations since the previous frame (frame.metrics, with
+     * frame.metricsRestart set when a new mesh or a loaded run replaced the old one)
+     * @param {boolean} enabled
+     */
+    trackMetrics(enabled) {
+        return this.request('trackMetrics', { enabled });
+    }
+    
+    /**
+     * Start or stop flagging frames for recording: frames of the planned generations
+     * arrive with capture: true, and a running engine waits for each to be drawn
+     * @param {Object|null} plan - RecordingPlan options {every, start, stop}, or null to stop
+     */
+    record(plan) {
+        return this.request('record', { plan });
+    }
+    
+    /**
+     * Tell the worker the current frame has been drawn and the next one can be sent
+     */
+    frameDone() {
+        this.worker.postMessage({ type: 'frameDone' });
+    }
+    
+    terminate() {
+        this.worker.terminate();
+        for (const { reject } of this.pending.values()) {
+            reject(new Error('Engine worker terminated'));
+        }
+        this.pending.clear();
+    }
+}
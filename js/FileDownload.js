@@ -0,0 +1,19 @@
+/**
+ * FileDownload class offers generated content (snapshots, exports) as a file download
+ */
+export class FileDownload {
+    /**
+     * @param {string|ArrayBuffer|Blob} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} type - MIME type
+     */
+    static save(content, fileName, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
@@ -0,0 +1,192 @@
+import { SvgExporter } from './SvgExporter.js';
+
+/**
+ * FrameRasterizer class draws a mesh drawing (an engine's getDrawing()) into RGBA pixels
+ * without a canvas, so headless runs can record frames offscreen (see PngEncoder).
+ * Polygons are scan-filled at pixel centres and edges drawn as filled quads, without
+ * antialiasing. Caption lines use a built-in 5 × 7 pixel font (upper case only).
+ */
+export class FrameRasterizer {
+    static DEFAULTS = {
+        width: 800,
+        height: 600,
+        background: '#404040',
+        fill: null,                 // Cell fill colour, or null for no fills
+        lineWidth: 2,               // Edge width in pixels
+        colorByAcute: true,
+        acuteColors: SvgExporter.ACUTE_COLORS,
+        stroke: '#000000',          // Edge colour without colorByAcute
+        vertices: false,
+        vertexRadius: 2,
+        vertexColor: '#000000',
+        caption: [],                // Overlay text lines, top left
+        captionScale: 2             // Font pixel size
+    };
+    
+    /**
+     * 5 × 7 glyphs: seven rows of five bits (high bit on the left), as hex byte pairs
+     */
+    static FONT = {
+        '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f', '3': '1f02040201110e',
+        '4': '02060a121f0202', '5': '1f101e0101110e', '6': '0608101e11110e', '7': '1f010204080808',
+        '8': '0e11110e11110e', '9': '0e11110f01020c', 'A': '0e11111f111111', 'B': '1e11111e11111e',
+        'C': '0e11101010110e', 'D': '1c12111111121c', 'E': '1f10101e10101f', 'F': '1f10101e101010',
+        'G': '0e11101711110f', 'H': '1111111f111111', 'I': '0e04040404040e', 'J': '0702020202120c',
+        'K': '11121418141211', 'L': '1010101010101f', 'M': '111b1515111111', 'N': '11111915131111',
+        'O': '0e11111111110e', 'P': '1e11111e101010', 'Q': '0e11111115120d', 'R': '1e11111e141211',
+        'S': '0f10100e01011e', 'T': '1f040404040404', 'U': '1111111111110e', 'V': '11111111110a04',
+        'W': '1111111515150a', 'X': '11110a040a1111', 'Y': '1111110a040404', 'Z': '1f01020408101f',
+        ' ': '00000000000000', ':': '000c0c000c0c00', '.': '00000000000c0c', ',': '000000000c0408',
+        '-': '0000001f000000', '/': '00010204081000', '%': '18190204081303', '(': '02040808080402',
+        ')': '08040202020408', '+': '0004041f040400', '=': '00001f001f0000'
+    };
+    
+    /**
+     * @param {Object} drawing - From CanvasEngine/Simulation getDrawing()
+     * @param {Object} options - See DEFAULTS
+     * @returns {Object} {width, height, data: Uint8ClampedArray of RGBA pixels}
+     */
+    static render(drawing, options = {}) {
+        const settings = { ...FrameRasterizer.DEFAULTS, ...options };
+        const { width, height } = settings;
+        const image = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        const map = SvgExporter.createTransform(drawing, { width, height }, { margin: 0 });
+        const mapPoint = ([x, y]) => map(x, y);
+        
+        FrameRasterizer.fillRect(image, 0, 0, width, height, FrameRasterizer.parseColor(settings.background));
+        
+        if (settings.fill) {
+            const color = FrameRasterizer.parseColor(settings.fill);
+            for (const { pieces } of drawing.cells) {
+                for (const piece of pieces) {
+                    FrameRasterizer.fillPolygon(image, piece.map(mapPoint), color);
+                }
+            }
+        }
+        
+        const colors = (settings.colorByAcute ? settings.acuteColors : [settings.stroke]).map(FrameRasterizer.parseColor);
+        const halfWidth = Math.max(settings.lineWidth, 1) / 2;
+        for (const { acuteCount, segments } of drawing.edges) {
+            const color = colors[Math.min(acuteCount, colors.length - 1)];
+            for (const [x1, y1, x2, y2] of segments) {
+                FrameRasterizer.strokeSegment(image, map(x1, y1), map(x2, y2), halfWidth, color);
+            }
+        }
+        
+        if (settings.vertices) {
+            const color = FrameRasterizer.parseColor(settings.vertexColor);
+            for (const vertex of drawing.vertices) {
+                FrameRasterizer.fillCircle(image, mapPoint(vertex), settings.vertexRadius, color);
+            }
+        }
+        
+        if (settings.caption.length > 0) {
+            FrameRasterizer.drawCaption(image, settings.caption, settings.captionScale);
+        }
+        
+        return image;
+    }
+    
+    /**
+     * @param {string} color - '#rgb' or '#rrggbb'
+     * @returns {Array} [r, g, b]
+     */
+    static parseColor(color) {
+        let hex = color.replace('#', '');
+        if (hex.length === 3) hex = hex.split('').map(digit => digit + digit).join('');
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+    
+    static fillRect(image, x0, y0, x1, y1, [r, g, b], alpha = 1) {
+        const { width, height, data } = image;
+        for (let y = Math.max(0, y0); y < Math.min(height, y1); y++) {
+            for (let x = Math.max(0, x0); x < Math.min(width, x1); x++) {
+                const i = (y * width + x) * 4;
+                data[i] = data[i] * (1 - alpha) + r * alpha;
+                data[i + 1] = data[i + 1] * (1 - alpha) + g * alpha;
+                data[i + 2] = data[i + 2] * (1 - alpha) + b * alpha;
+                data[i + 3] = 255;
+            }
+        }
+    }
+    
+    /**
+     * Scan-fill a polygon (even-odd), sampling pixel centres
+     * @param {Array} polygon - [[x, y], ...] in pixels
+     */
+    static fillPolygon(image, polygon, color) {
+        const ys = polygon.map(([, y]) => y);
+        const top = Math.max(0, Math.ceil(Math.min(...ys) - 0.5));
+        const bottom = Math.min(image.height - 1, Math.floor(Math.max(...ys) - 0.5));
+        
+        for (let y = top; y <= bottom; y++) {
+            const cy = y + 0.5;
+            const crossings = [];
+            for (let i = 0; i < polygon.length; i++) {
+                const [x1, y1] = polygon[i];
+                const [x2, y2] = polygon[(i + 1) % polygon.length];
+                if ((y1 <= cy) !== (y2 <= cy)) {
+                    crossings.push(x1 + (cy - y1) / (y2 - y1) * (x2 - x1));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                FrameRasterizer.fillRect(image, Math.ceil(crossings[k] - 0.5), y, Math.floor(crossings[k + 1] - 0.5) + 1, y + 1, color);
+            }
+        }
+    }
+    
+    /**
+     * Draw a segment as a quad halfWidth to each side, with square caps
+     */
+    static strokeSegment(image, [x1, y1], [x2, y2], halfWidth, color) {
+        const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+        const ux = (x2 - x1) / length * halfWidth;
+        const uy = (y2 - y1) / length * halfWidth;
+        
+        FrameRasterizer.fillPolygon(image, [
+            [x1 - ux + uy, y1 - uy - ux],
+            [x2 + ux + uy, y2 + uy - ux],
+            [x2 + ux - uy, y2 + uy + ux],
+            [x1 - ux - uy, y1 - uy + ux]
+        ], color);
+    }
+    
+    static fillCircle(image, [cx, cy], radius, color) {
+        const polygon = [];
+        for (let k = 0; k < 12; k++) {
+            const angle = k * Math.PI / 6;
+            polygon.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+        }
+        FrameRasterizer.fillPolygon(image, polygon, color);
+    }
+    
+    /**
+     * White text on a translucent black box in the top-left corner
+     */
+    static drawCaption(image, lines, scale) {
+        const lineHeight = 9 * scale;
+        const boxWidth = Math.max(...lines.map(line => line.length)) * 6 * scale + 6 * scale;
+        FrameRasterizer.fillRect(image, 0, 0, boxWidth, lines.length * lineHeight + 4 * scale, [0, 0, 0], 0.6);
+        
+        lines.forEach((line, row) => {
+            [...line.toUpperCase()].forEach((character, column) => {
+                const glyph = FrameRasterizer.FONT[character];
+                if (!glyph) return;
+                
+                const left = 3 * scale + column * 6 * scale;
+                const top = 3 * scale + row * lineHeight;
+                for (let gy = 0; gy < 7; gy++) {
+                    const bits = parseInt(glyph.slice(gy * 2, gy * 2 + 2), 16);
+                    for (let gx = 0; gx < 5; gx++) {
+                        if (bits & (0x10 >> gx)) {
+                            FrameRasterizer.fillRect(image, left + gx * scale, top + gy * scale,
+                                left + (gx + 1) * scale, top + (gy + 1) * scale, [255, 255, 255]);
+                        }
+                    }
+                }
+            });
+        });
+    }
+}
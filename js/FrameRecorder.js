@@ -0,0 +1,169 @@
+import { RecordingPlan } from './RecordingPlan.js';
+import { ZipWriter } from './ZipWriter.js';
+
+/**
+ * FrameRecorder class records the drawn view, one image per planned generation, as a
+ * zipped PNG sequence or a WebM video (MediaRecorder). Frames are copied from the page's
+ * canvas (2D or WebGL) right after it is drawn, scaled into the output size with
+ * letterboxing, and can carry a caption with the generation number and stats.
+ * A WebM plays back at the pace the frames were recorded.
+ */
+export class FrameRecorder {
+    static FORMATS = ['png', 'webm'];
+    
+    static DEFAULTS = {
+        format: 'png',          // 'png' (zip of frame-NNNNNN.png) or 'webm'
+        every: 1,               // RecordingPlan options
+        start: 0,
+        stop: null,
+        width: null,            // Output size in px (null = the source canvas size)
+        height: null,
+        overlay: true,          // Caption with generation number and stats
+        name: 'recording'       // File name prefix
+    };
+    
+    /**
+     * @param {Object} options - See DEFAULTS
+     * @throws {Error} If the format is unknown or WebM recording is unsupported
+     */
+    constructor(options = {}) {
+        this.settings = { ...FrameRecorder.DEFAULTS, ...options };
+        if (!FrameRecorder.FORMATS.includes(this.settings.format)) {
+            throw new Error(`Unknown recording format "${this.settings.format}" (expected one of: ${FrameRecorder.FORMATS.join(', ')})`);
+        }
+        if (this.settings.format === 'webm' && !FrameRecorder.webmType()) {
+            throw new Error('This browser cannot record WebM video');
+        }
+        
+        this.plan = new RecordingPlan(this.settings);
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+        this.frameCount = 0;
+        this.firstGeneration = null;
+        this.lastGeneration = null;
+        
+        this.zip = new ZipWriter();
+        this.pending = [];          // PNG encodes still running
+        this.mediaRecorder = null;
+        this.chunks = [];
+    }
+    
+    /**
+     * @returns {string|null} A WebM MIME type MediaRecorder supports here
+     */
+    static webmType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+    
+    /**
+     * Record the source canvas if the frame's generation is in the plan
+     * Call right after drawing: a WebGL canvas is only readable until the browser composites it.
+     * @param {HTMLCanvasElement} source - The drawn view
+     * @param {Object} frame - Engine frame ({generation, stats})
+     * @returns {boolean} Whether a frame was recorded
+     */
+    capture(source, frame) {
+        if (!this.plan.includes(frame.generation)) return false;
+        
+        if (this.frameCount === 0) this.begin(source);
+        this.draw(source, frame);
+        
+        if (this.settings.format === 'png') {
+            const name = RecordingPlan.frameName(frame.generation);
+            const saved = new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'))
+                .then(blob => {
+                    // toBlob gives null when the canvas cannot be encoded (e.g. it is too large)
+                    if (!blob) {
+                        throw new Error(`Could not encode ${name} (${this.canvas.width} × ${this.canvas.height} px)`);
+                    }
+                    return blob.arrayBuffer();
+                })
+                .then(buffer => this.zip.add(name, new Uint8Array(buffer)));
+            saved.catch(() => {});      // Reported by finish()
+            this.pending.push(saved);
+        } else {
+            this.track.requestFrame();
+        }
+        
+        this.frameCount++;
+        if (this.firstGeneration === null) this.firstGeneration = frame.generation;
+        this.lastGeneration = frame.generation;
+        return true;
+    }
+    
+    /**
+     * Size the output on the first frame and start the video stream
+     */
+    begin(source) {
+        this.canvas.width = this.settings.width || source.width;
+        this.canvas.height = this.settings.height || source.height;
+        
+        if (this.settings.format === 'webm') {
+            // Frame rate 0: a frame is only added on requestFrame()
+            const stream = this.canvas.captureStream(0);
+            this.track = stream.getVideoTracks()[0];
+            this.mediaRecorder = new MediaRecorder(stream, { mimeType: FrameRecorder.webmType() });
+            this.mediaRecorder.ondataavailable = (e) => {
+                if (e.data.size > 0) this.chunks.push(e.data);
+            };
+            this.mediaRecorder.start();
+        }
+    }
+    
+    draw(source, frame) {
+        const { canvas, context } = this;
+        const scale = Math.min(canvas.width / source.width, canvas.height / source.height);
+        const width = source.width * scale;
+        const height = source.height * scale;
+        
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(source, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+        
+        if (this.settings.overlay) {
+            const lines = RecordingPlan.caption(frame.generation, frame.stats);
+            const fontSize = Math.max(12, Math.round(canvas.height / 40));
+            const padding = fontSize / 2;
+            context.font = `${fontSize}px monospace`;
+            context.textBaseline = 'top';
+            const boxWidth = Math.max(...lines.map(line => context.measureText(line).width)) + padding * 2;
+            
+            context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            context.fillRect(0, 0, boxWidth, lines.length * fontSize * 1.3 + padding * 2);
+            context.fillStyle = '#ffffff';
+            lines.forEach((line, row) => context.fillText(line, padding, padding + row * fontSize * 1.3));
+        }
+    }
+    
+    /**
+     * End the recording
+     * @returns {Promise<Object|null>} {blob, fileName, frameCount}, or null if nothing was recorded;
+     *                                rejects if a PNG frame could not be encoded
+     */
+    finish() {
+        if (this.frameCount === 0) return Promise.resolve(null);
+        
+        const fileName = `${this.settings.name}-gen${this.firstGeneration}-${this.lastGeneration}`;
+        if (this.settings.format === 'png') {
+            return Promise.all(this.pending).then(() => ({
+                blob: new Blob([this.zip.finish()], { type: 'application/zip' }),
+                fileName: `${fileName}.zip`,
+                frameCount: this.frameCount
+            }));
+        }
+        
+        return new Promise((resolve) => {
+            this.mediaRecorder.onstop = resolve;
+            this.mediaRecorder.stop();
+        }).then(() => {
+            this.track.stop();
+            return {
+                blob: new Blob(this.chunks, { type: 'video/webm' }),
+                fileName: `${fileName}.webm`,
+                frameCount: this.frameCount
+            };
+        });
+    }
+}
@@ -0,0 +1,74 @@
+import { ModelSpace } from './ModelSpace.js';
+import { Geometry } from './Geometry.js';
+
+/**
+ * GeoJsonExporter class writes a mesh drawing as a GeoJSON FeatureCollection
+ * Every cell is a Polygon feature (a MultiPolygon when a periodic seam splits it) and,
+ * unless edges are turned off, every edge a LineString (MultiLineString when split).
+ * Coordinates are planar model space (see ModelSpace), not longitude/latitude.
+ *
+ *   cell properties: {kind: 'cell', index, sides, area}
+ *   edge properties: {kind: 'edge', index, v1, v2, acuteCount, length}
+ */
+export class GeoJsonExporter {
+    static EXTENSION = 'geojson';
+    static MIME_TYPE = 'application/geo+json';
+    
+    static DEFAULTS = {
+        size: null,         // Longer side of the domain in model units (null = mesh units)
+        edges: true,        // Include the edge features
+        precision: 6        // Decimals of the written coordinates
+    };
+    
+    /**
+     * @param {Object} drawing - From CanvasEngine/Simulation getDrawing()
+     * @param {Object} options - See DEFAULTS
+     * @returns {string} GeoJSON text
+     */
+    static render(drawing, options = {}) {
+        const settings = { ...GeoJsonExporter.DEFAULTS, ...options };
+        const space = ModelSpace.fromDrawing(drawing, settings.size);
+        const round = value => +value.toFixed(settings.precision);
+        const roundPoint = ([x, y]) => [round(x), round(y)];
+        const features = [];
+        
+        drawing.cells.forEach(({ sides, pieces }, index) => {
+            if (pieces.length === 0) return;
+            
+            // Exterior rings counter-clockwise and closed, as RFC 7946 asks
+            const rings = pieces.map(piece => {
+                const ring = space.mapPolygon(piece);
+                return [...ring, ring[0]].map(roundPoint);
+            });
+            const area = pieces.reduce((sum, piece) => sum + Geometry.polygonArea(space.mapPolygon(piece)), 0);
+            
+            features.push({
+                type: 'Feature',
+                geometry: rings.length === 1
+                    ? { type: 'Polygon', coordinates: [rings[0]] }
+                    : { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) },
+                properties: { kind: 'cell', index, sides, area: round(area) }
+            });
+        });
+        
+        if (settings.edges) {
+            drawing.edges.forEach(({ v1, v2, acuteCount, segments }, index) => {
+                if (segments.length === 0) return;
+                
+                const lines = segments.map(([x1, y1, x2, y2]) => [space.map(x1, y1), space.map(x2, y2)]);
+                const length = lines.reduce((sum, [[x1, y1], [x2, y2]]) => sum + Math.hypot(x2 - x1, y2 - y1), 0);
+                const coordinates = lines.map(line => line.map(roundPoint));
+                
+                features.push({
+                    type: 'Feature',
+                    geometry: coordinates.length === 1
+                        ? { type: 'LineString', coordinates: coordinates[0] }
+                        : { type: 'MultiLineString', coordinates },
+                    properties: { kind: 'edge', index, v1, v2, acuteCount, length: round(length) }
+                });
+            });
+        }
+        
+        return JSON.stringify({ type: 'FeatureCollection', features });
+    }
+}
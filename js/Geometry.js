@@ -0,0 +1,20 @@
+/**
+ * Geometry class holds small plane-geometry helpers shared across the mesh code
+ * Polygons are arrays of [x, y] points.
+ */
+export class Geometry {
+    /**
+     * Signed area of a polygon (positive when counter-clockwise)
+     * @param {Array} polygon - Array of [x, y] points
+     * @returns {number} Area
+     */
+    static polygonArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const [x1, y1] = polygon[i];
+            const [x2, y2] = polygon[(i + 1) % polygon.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return area / 2;
+    }
+}
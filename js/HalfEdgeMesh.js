@@ -0,0 +1,520 @@
+import { Geometry } from './Geometry.js';
+
+/**
+ * HalfEdgeMesh class holds the shared-vertex topology of the Voronoi network
+ * Vertices are stored once and referenced by index from edges and cells,
+ * so moving a single vertex moves every incident edge and cell with it.
+ * On a torus (period set) edges may cross the domain border; all geometry
+ * then uses minimum-image displacements between vertices.
+ */
+export class HalfEdgeMesh {
+    constructor() {
+        this.vertices = [];     // {id, x, y, edges, halfEdge}
+        this.halfEdges = [];    // {id, origin, twin, next, prev, cell, edge}
+        this.edges = [];        // {id, v1, v2, start, end, halfEdge, ...analysis data}
+        this.cells = [];        // {id, seedIndex, center, halfEdge, vertexIndices, edgeIndices}
+        this.period = null;     // {width, height} on a torus, or null
+    }
+    
+    /**
+     * Build the mesh from a list of cell polygons (e.g. d3-delaunay cellPolygon output)
+     * Polygon corners with identical coordinates become one shared vertex.
+     * d3-delaunay emits bit-identical corners for neighbouring cells, so no tolerance is needed.
+     * @param {Array} polygons - Array of {seedIndex, center, polygon: [[x, y], ...]}
+     * @returns {HalfEdgeMesh} The constructed mesh
+     */
+    static fromPolygons(polygons) {
+        const positions = [];
+        const vertexMap = new Map();        // "x,y" -> vertex index
+        const loops = [];
+        
+        const getVertex = (point) => {
+            const key = `${point[0]},${point[1]}`;
+            if (!vertexMap.has(key)) {
+                vertexMap.set(key, positions.length);
+                positions.push(point);
+            }
+            return vertexMap.get(key);
+        };
+        
+        for (const { seedIndex, center, polygon } of polygons) {
+            const vertexIndices = HalfEdgeMesh.cleanPolygon(polygon).map(getVertex);
+            if (vertexIndices.length < 3) continue;
+            loops.push({ seedIndex, center, vertexIndices });
+        }
+        
+        return HalfEdgeMesh.fromLoops(positions, loops);
+    }
+    
+    /**
+     * Build the mesh from shared vertex positions and cell loops of vertex indices
+     * @param {Array} positions - Array of [x, y] vertex positions
+     * @param {Array} loops - Array of {seedIndex, center, vertexIndices} in counter-clockwise order
+     * @param {Object|null} period - {width, height} when the loops tile a torus, or null
+     * @returns {HalfEdgeMesh} The constructed mesh
+     */
+    static fromLoops(positions, loops, period = null) {
+        const mesh = new HalfEdgeMesh();
+        const halfEdgeMap = new Map();      // "origin,target" -> half-edge index
+        mesh.period = period;
+        
+        mesh.vertices = positions.map(([x, y], id) => ({
+            id,
+            x,
+            y,
+            edges: [],          // Incident edge indices
+            halfEdge: -1        // One outgoing half-edge
+        }));
+        
+        // Step 1: Create one half-edge loop per cell
+        for (const { seedIndex, center, vertexIndices: loop } of loops) {
+            const cellIndex = mesh.cells.length;
+            const firstHalfEdge = mesh.halfEdges.length;
+            
+            for (let i = 0; i < loop.length; i++) {
+                const origin = loop[i];
+                const target = loop[(i + 1) % loop.length];
+                const id = mesh.halfEdges.length;
+                
+                mesh.halfEdges.push({
+                    id,
+                    origin,
+                    twin: -1,
+                    next: firstHalfEdge + (i + 1) % loop.length,
+                    prev: firstHalfEdge + (i + loop.length - 1) % loop.length,
+                    cell: cellIndex,
+                    edge: -1
+                });
+                halfEdgeMap.set(`${origin},${target}`, id);
+                mesh.vertices[origin].halfEdge = id;
+            }
+            
+            mesh.cells.push({
+                id: cellIndex,
+                seedIndex,
+                center,
+                halfEdge: firstHalfEdge,
+                vertexIndices: loop,
+                edgeIndices: []
+            });
+        }
+        
+        // Step 2: Pair twins, adding boundary half-edges (cell -1) where no neighbour exists
+        const interiorCount = mesh.halfEdges.length;
+        const boundaryByOrigin = new Map();
+        
+        for (let id = 0; id < interiorCount; id++) {
+            const halfEdge = mesh.halfEdges[id];
+            if (halfEdge.twin !== -1) continue;
+            
+            const target = mesh.halfEdges[halfEdge.next].origin;
+            const twinId = halfEdgeMap.get(`${target},${halfEdge.origin}`);
+            
+            if (twinId !== undefined) {
+                halfEdge.twin = twinId;
+                mesh.halfEdges[twinId].twin = id;
+            } else {
+                const boundaryId = mesh.halfEdges.length;
+                mesh.halfEdges.push({
+                    id: boundaryId,
+                    origin: target,
+                    twin: id,
+                    next: -1,
+                    prev: -1,
+                    cell: -1,
+                    edge: -1
+                });
+                halfEdge.twin = boundaryId;
+                boundaryByOrigin.set(target, boundaryId);
+            }
+        }
+        
+        // Link the boundary half-edges into loops around the outside of the mesh
+        for (let id = interiorCount; id < mesh.halfEdges.length; id++) {
+            const halfEdge = mesh.halfEdges[id];
+            const target = mesh.halfEdges[halfEdge.twin].origin;
+            const next = boundaryByOrigin.get(target);
+            if (next !== undefined) {
+                halfEdge.next = next;
+                mesh.halfEdges[next].prev = id;
+            }
+        }
+        
+        // Step 3: Create one edge per twin pair
+        for (const halfEdge of mesh.halfEdges) {
+            if (halfEdge.edge !== -1) continue;
+            
+            const twin = mesh.halfEdges[halfEdge.twin];
+            const edgeIndex = mesh.edges.length;
+            const start = mesh.vertices[halfEdge.origin];
+            const end = mesh.vertices[twin.origin];
+            
+            halfEdge.edge = edgeIndex;
+            twin.edge = edgeIndex;
+            
+            mesh.edges.push({
+                id: edgeIndex,
+                v1: halfEdge.origin,
+                v2: twin.origin,
+                start,              // Shared vertex object, not a copy
+                end,                // Shared vertex object, not a copy
+                halfEdge: halfEdge.id,
+                length: mesh.distance(start, end),
+                connectedCells: [halfEdge.cell, twin.cell].filter(cell => cell !== -1),
+                connectedEdges: [],  // Populated by buildAdjacency()
+                acuteAngleCount: 0,  // For Step 2 analysis
+                expandValue: 0       // For Step 3 evolution
+            });
+            
+            start.edges.push(edgeIndex);
+            end.edges.push(edgeIndex);
+        }
+        
+        mesh.buildAdjacency();
+        
+        return mesh;
+    }
+    
+    /**
+     * Drop the closing point and consecutive duplicates from a polygon
+     * and orient it counter-clockwise
+     * @param {Array} polygon - Array of [x, y] points
+     * @returns {Array} Cleaned polygon
+     */
+    static cleanPolygon(polygon) {
+        const points = [];
+        
+        for (const point of polygon) {
+            const last = points[points.length - 1];
+            if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+                points.push(point);
+            }
+        }
+        
+        while (points.length > 1 &&
+               points[0][0] === points[points.length - 1][0] &&
+               points[0][1] === points[points.length - 1][1]) {
+            points.pop();
+        }
+        
+        return Geometry.polygonArea(points) < 0 ? points.reverse() : points;
+    }
+    
+    /**
+     * Plain-data copy of the whole structure, half-edges and per-element data included
+     * (analysis results, rest lengths, cell mechanics). Derived fields (object references,
+     * cell loops, connected edges) are left out and rebuilt by fromSnapshot.
+     * @returns {Object} {period, vertices, halfEdges, edges, cells}
+     */
+    toSnapshot() {
+        return {
+            period: this.period,
+            vertices: this.vertices.map(({ id, edges, ...vertex }) => ({ ...vertex, edges: [...edges] })),
+            halfEdges: this.halfEdges.map(({ id, ...halfEdge }) => halfEdge),
+            edges: this.edges.map(({ id, start, end, connectedEdges, ...edge }) => edge),
+            cells: this.cells.map(({ id, vertexIndices, edgeIndices, ...cell }) => cell)
+        };
+    }
+    
+    /**
+     * Rebuild a mesh saved by toSnapshot(), with the same element order and connectivity
+     * @param {Object} data - {period, vertices, halfEdges, edges, cells}
+     * @returns {HalfEdgeMesh} The restored mesh
+     */
+    static fromSnapshot(data) {
+        const mesh = new HalfEdgeMesh();
+        mesh.period = data.period ? { ...data.period } : null;
+        
+        mesh.vertices = data.vertices.map((vertex, id) => ({ id, ...vertex, edges: [...vertex.edges] }));
+        mesh.halfEdges = data.halfEdges.map((halfEdge, id) => ({ id, ...halfEdge }));
+        mesh.edges = data.edges.map((edge, id) => ({
+            id,
+            ...edge,
+            start: mesh.vertices[edge.v1],
+            end: mesh.vertices[edge.v2],
+            connectedCells: [...(edge.connectedCells || [])],
+            connectedEdges: []
+        }));
+        mesh.cells = data.cells.map((cell, id) => ({ id, ...cell, vertexIndices: [], edgeIndices: [] }));
+        
+        mesh.buildAdjacency();
+        
+        return mesh;
+    }
+    
+    /**
+     * Rebuild derived adjacency: cell edge loops and edge-to-edge connectivity
+     * Must be called whenever the half-edge connectivity changes
+     */
+    buildAdjacency() {
+        for (const cell of this.cells) {
+            cell.vertexIndices = [];
+            cell.edgeIndices = [];
+            
+            let id = cell.halfEdge;
+            do {
+                const halfEdge = this.halfEdges[id];
+                cell.vertexIndices.push(halfEdge.origin);
+                cell.edgeIndices.push(halfEdge.edge);
+                id = halfEdge.next;
+            } while (id !== cell.halfEdge);
+        }
+        
+        for (const edge of this.edges) {
+            const connected = new Set([
+                ...this.vertices[edge.v1].edges,
+                ...this.vertices[edge.v2].edges
+            ]);
+            connected.delete(edge.id);
+            edge.connectedEdges = [...connected];
+        }
+    }
+    
+    /**
+     * Get the index of the vertex at the other end of an edge
+     * @param {Object} edge - Edge object
+     * @param {number} vertexIndex - Index of one endpoint
+     * @returns {number} Index of the other endpoint
+     */
+    otherVertex(edge, vertexIndex) {
+        return edge.v1 === vertexIndex ? edge.v2 : edge.v1;
+    }
+    
+    /**
+     * Displacement from point a to point b (minimum image on a torus)
+     * @param {Object} a - {x, y}
+     * @param {Object} b - {x, y}
+     * @returns {Object} {dx, dy}
+     */
+    delta(a, b) {
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        if (this.period) {
+            dx -= this.period.width * Math.round(dx / this.period.width);
+            dy -= this.period.height * Math.round(dy / this.period.height);
+        }
+        return { dx, dy };
+    }
+    
+    /**
+     * Distance between two points (minimum image on a torus)
+     */
+    distance(a, b) {
+        const { dx, dy } = this.delta(a, b);
+        return Math.hypot(dx, dy);
+    }
+    
+    /**
+     * Get the current polygon of a cell from the shared vertex positions
+     * On a torus the loop is unwrapped around its first corner, so it may extend past the border
+     * @param {Object} cell - Cell object
+     * @returns {Array} Array of [x, y] points in counter-clockwise order
+     */
+    getCellPolygon(cell) {
+        const first = this.vertices[cell.vertexIndices[0]];
+        const polygon = [[first.x, first.y]];
+        
+        for (let i = 1; i < cell.vertexIndices.length; i++) {
+            const [x, y] = polygon[i - 1];
+            const { dx, dy } = this.delta({ x, y }, this.vertices[cell.vertexIndices[i]]);
+            polygon.push([x + dx, y + dy]);
+        }
+        
+        return polygon;
+    }
+    
+    /**
+     * Recompute stored edge lengths from the current vertex positions
+     */
+    updateEdgeLengths() {
+        for (const edge of this.edges) {
+            edge.length = this.distance(edge.start, edge.end);
+        }
+    }
+    
+    /**
+     * Check whether an edge can undergo a T1 transition
+     * Both endpoints must be 3-fold junctions, all four surrounding cells must exist,
+     * and the two cells that lose the edge must keep at least three sides
+     * @param {number} edgeIndex - Edge to test
+     * @returns {boolean} True if flipEdge() would succeed
+     */
+    canFlipEdge(edgeIndex) {
+        const edge = this.edges[edgeIndex];
+        const h = this.halfEdges[edge.halfEdge];
+        const t = this.halfEdges[h.twin];
+        
+        if (this.vertices[edge.v1].edges.length !== 3 || this.vertices[edge.v2].edges.length !== 3) {
+            return false;
+        }
+        
+        const cellP = h.cell;
+        const cellQ = t.cell;
+        const cellR = this.halfEdges[this.halfEdges[h.prev].twin].cell;
+        const cellS = this.halfEdges[this.halfEdges[h.next].twin].cell;
+        
+        if (cellP === -1 || cellQ === -1 || cellR === -1 || cellS === -1) return false;
+        if (cellR === cellS || cellP === cellR || cellP === cellS || cellQ === cellR || cellQ === cellS) return false;
+        
+        return this.cells[cellP].vertexIndices.length > 3 && this.cells[cellQ].vertexIndices.length > 3;
+    }
+    
+    /**
+     * Perform a T1 neighbour swap on a short edge
+     * The edge is rotated 90° about its midpoint and reconnected so that the two cells
+     * it separated (P, Q) stop being neighbours and the two cells at its ends (R, S) become
+     * neighbours. Vertex, edge and cell counts are unchanged; only connectivity moves.
+     *
+     *        x       y                 x       y
+     *         \  P  /                   \  P  /
+     *      R   a---b   S      ->         a
+     *         /  Q  \               R   |   S
+     *        w       z                  b
+     *                                  /  Q  \
+     *                                 w       z
+     *
+     * @param {number} edgeIndex - Edge to flip
+     * @param {number} newLength - Length of the edge after the transition
+     * @returns {boolean} True if the transition was performed
+     */
+    flipEdge(edgeIndex, newLength) {
+        if (!this.canFlipEdge(edgeIndex)) return false;
+        
+        const edge = this.edges[edgeIndex];
+        const h = this.halfEdges[edge.halfEdge];    // a -> b, in cell P
+        const t = this.halfEdges[h.twin];           // b -> a, in cell Q
+        const a = this.vertices[h.origin];
+        const b = this.vertices[t.origin];
+        
+        const hp = this.halfEdges[h.prev];          // x -> a, in P
+        const hn = this.halfEdges[h.next];          // b -> y, in P
+        const tp = this.halfEdges[t.prev];          // z -> b, in Q
+        const tn = this.halfEdges[t.next];          // a -> w, in Q
+        const hpTwin = this.halfEdges[hp.twin];     // a -> x, in R
+        const hnTwin = this.halfEdges[hn.twin];     // y -> b, in S
+        const tpTwin = this.halfEdges[tp.twin];     // b -> z, in S
+        const tnTwin = this.halfEdges[tn.twin];     // w -> a, in R
+        
+        const cellP = this.cells[h.cell];
+        const cellQ = this.cells[t.cell];
+        const cellR = hpTwin.cell;
+        const cellS = hnTwin.cell;
+        
+        // Geometry: rotate the edge 90° about its midpoint, a moving to P's side
+        const { dx, dy } = this.delta(a, b);
+        const midX = a.x + dx / 2;
+        const midY = a.y + dy / 2;
+        const length = Math.hypot(dx, dy) || 1;
+        let normalX = -dy / length;
+        let normalY = dx / length;
+        
+        const toCentroid = this.delta({ x: midX, y: midY }, this.getCellCentroid(cellP));
+        if (toCentroid.dx * normalX + toCentroid.dy * normalY < 0) {
+            normalX = -normalX;
+            normalY = -normalY;
+        }
+        
+        a.x = midX + normalX * newLength / 2;
+        a.y = midY + normalY * newLength / 2;
+        b.x = midX - normalX * newLength / 2;
+        b.y = midY - normalY * newLength / 2;
+        
+        // Topology: b -> y becomes a -> y, a -> w becomes b -> w
+        hn.origin = a.id;
+        tn.origin = b.id;
+        this.replaceEdgeVertex(this.edges[hn.edge], b.id, a.id);
+        this.replaceEdgeVertex(this.edges[tn.edge], a.id, b.id);
+        
+        // P: x -> a -> y
+        hp.next = hn.id;
+        hn.prev = hp.id;
+        // Q: z -> b -> w
+        tp.next = tn.id;
+        tn.prev = tp.id;
+        // R: w -> b -> a -> x
+        t.cell = cellR;
+        tnTwin.next = t.id;
+        t.prev = tnTwin.id;
+        t.next = hpTwin.id;
+        hpTwin.prev = t.id;
+        // S: y -> a -> b -> z
+        h.cell = cellS;
+        hnTwin.next = h.id;
+        h.prev = hnTwin.id;
+        h.next = tpTwin.id;
+        tpTwin.prev = h.id;
+        
+        if (cellP.halfEdge === h.id) cellP.halfEdge = hp.id;
+        if (cellQ.halfEdge === t.id) cellQ.halfEdge = tp.id;
+        a.halfEdge = h.id;
+        b.halfEdge = t.id;
+        
+        edge.connectedCells = [cellS, cellR];
+        
+        // Both endpoints moved, so every incident edge changed length
+        for (const id of new Set([...a.edges, ...b.edges])) {
+            const incident = this.edges[id];
+            incident.length = this.distance(incident.start, incident.end);
+        }
+        
+        this.buildAdjacency();
+        
+        return true;
+    }
+    
+    /**
+     * Swap one endpoint of an edge for another vertex, keeping vertex edge lists in sync
+     */
+    replaceEdgeVertex(edge, oldVertex, newVertex) {
+        if (edge.v1 === oldVertex) {
+            edge.v1 = newVertex;
+            edge.start = this.vertices[newVertex];
+        } else {
+            edge.v2 = newVertex;
+            edge.end = this.vertices[newVertex];
+        }
+        
+        const oldEdges = this.vertices[oldVertex].edges;
+        oldEdges.splice(oldEdges.indexOf(edge.id), 1);
+        this.vertices[newVertex].edges.push(edge.id);
+    }
+    
+    /**
+     * Get the vertex centroid of a cell (of its unwrapped polygon on a torus)
+     * @param {Object} cell - Cell object
+     * @returns {Object} {x, y}
+     */
+    getCellCentroid(cell) {
+        let x = 0;
+        let y = 0;
+        const polygon = this.getCellPolygon(cell);
+        for (const [px, py] of polygon) {
+            x += px;
+            y += py;
+        }
+        return { x: x / polygon.length, y: y / polygon.length };
+    }
+    
+    /**
+     * Signed area of a cell (positive for the counter-clockwise loops stored here)
+     * @param {Object} cell - Cell object
+     * @returns {number} Area
+     */
+    getCellArea(cell) {
+        return Geometry.polygonArea(this.getCellPolygon(cell));
+    }
+    
+    /**
+     * Perimeter of a cell
+     * @param {Object} cell - Cell object
+     * @returns {number} Sum of its edge lengths
+     */
+    getCellPerimeter(cell) {
+        let perimeter = 0;
+        const indices = cell.vertexIndices;
+        for (let i = 0; i < indices.length; i++) {
+            perimeter += this.distance(this.vertices[indices[i]], this.vertices[indices[(i + 1) % indices.length]]);
+        }
+        return perimeter;
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Integrator class advances a second-order system x'' = a(x, v) by one time step
+ * Positions and velocities are flat Float64Arrays ([x0, y0, x1, y1, ...]); the
+ * system supplies accelerate(x, v, out), which writes accelerations into out.
+ *
+ * Built-in methods:
+ *   'semi-implicit-euler' - v += a·dt, then x += v·dt (1 force evaluation, symplectic)
+ *   'velocity-verlet'     - half-kick / drift / half-kick (2 force evaluations, symplectic)
+ *   'rk4'                 - classic fourth-order Runge-Kutta (4 force evaluations)
+ * More can be added with Integrator.register().
+ */
+export class Integrator {
+    /**
+     * Step functions by name: (integrator, x, v, dt, accelerate) => void
+     */
+    static methods = {
+        'semi-implicit-euler': (integrator, x, v, dt, accelerate) => {
+            const a = integrator.scratch('a', x.length);
+            accelerate(x, v, a);
+            
+            for (let i = 0; i < x.length; i++) {
+                v[i] += a[i] * dt;
+                x[i] += v[i] * dt;
+            }
+        },
+        
+        'velocity-verlet': (integrator, x, v, dt, accelerate) => {
+            const a = integrator.scratch('a', x.length);
+            accelerate(x, v, a);
+            
+            // Half kick and drift
+            for (let i = 0; i < x.length; i++) {
+                v[i] += 0.5 * a[i] * dt;
+                x[i] += v[i] * dt;
+            }
+            
+            // Second half kick with forces at the new positions
+            // (damping is evaluated at the half-step velocity)
+            accelerate(x, v, a);
+            for (let i = 0; i < x.length; i++) {
+                v[i] += 0.5 * a[i] * dt;
+            }
+        },
+        
+        'rk4': (integrator, x, v, dt, accelerate) => {
+            const n = x.length;
+            const xs = integrator.scratch('xs', n);
+            const vs = integrator.scratch('vs', n);
+            const k1 = integrator.scratch('k1', n);
+            const k2 = integrator.scratch('k2', n);
+            const k3 = integrator.scratch('k3', n);
+            const k4 = integrator.scratch('k4', n);
+            const v2 = integrator.scratch('v2', n);
+            const v3 = integrator.scratch('v3', n);
+            
+            // k = accelerations, the matching velocity slopes are v, v2, v3, vs
+            accelerate(x, v, k1);
+            
+            for (let i = 0; i < n; i++) {
+                xs[i] = x[i] + 0.5 * dt * v[i];
+                v2[i] = v[i] + 0.5 * dt * k1[i];
+            }
+            accelerate(xs, v2, k2);
+            
+            for (let i = 0; i < n; i++) {
+                xs[i] = x[i] + 0.5 * dt * v2[i];
+                v3[i] = v[i] + 0.5 * dt * k2[i];
+            }
+            accelerate(xs, v3, k3);
+            
+            for (let i = 0; i < n; i++) {
+                xs[i] = x[i] + dt * v3[i];
+                vs[i] = v[i] + dt * k3[i];
+            }
+            accelerate(xs, vs, k4);
+            
+            for (let i = 0; i < n; i++) {
+                x[i] += dt / 6 * (v[i] + 2 * v2[i] + 2 * v3[i] + vs[i]);
+                v[i] += dt / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+            }
+        }
+    };
+    
+    /**
+     * Add (or replace) an integration method
+     * @param {string} name - Method name used in configs
+     * @param {Function} stepFunction - (integrator, x, v, dt, accelerate) => void
+     */
+    static register(name, stepFunction) {
+        Integrator.methods[name] = stepFunction;
+    }
+    
+    /**
+     * @param {string} method - Name of a registered method
+     * @throws {Error} If the method is unknown
+     */
+    constructor(method = 'semi-implicit-euler') {
+        if (!Integrator.methods[method]) {
+            throw new Error(`Unknown integrator "${method}" (expected one of: ${Object.keys(Integrator.methods).join(', ')})`);
+        }
+        
+        this.method = method;
+        this.buffers = new Map();
+    }
+    
+    /**
+     * Advance positions and velocities in place by dt
+     * @param {Float64Array} x - Positions
+     * @param {Float64Array} v - Velocities
+     * @param {number} dt - Time step
+     * @param {Function} accelerate - (x, v, out) => void
+     */
+    step(x, v, dt, accelerate) {
+        Integrator.methods[this.method](this, x, v, dt, accelerate);
+    }
+    
+    /**
+     * Reusable work buffer, so stepping does not allocate every substep
+     * @param {string} name - Buffer name
+     * @param {number} length - Required length
+     * @returns {Float64Array} Buffer of exactly that length (contents undefined)
+     */
+    scratch(name, length) {
+        let buffer = this.buffers.get(name);
+        if (!buffer || buffer.length !== length) {
+            buffer = new Float64Array(length);
+            this.buffers.set(name, buffer);
+        }
+        return buffer;
+    }
+}
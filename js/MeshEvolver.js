@@ -1,21 +1,52 @@
+import { Integrator } from './Integrator.js';
+import { SpringSystem } from './SpringSystem.js';
+import { BoundaryConditions } from './BoundaryConditions.js';
+
 /**
  * MeshEvolver class implements Step 3 of the system
  * Direct modification of existing VoronoiMesh - no parallel physics systems!
  * Just move the existing edge vertices based on spring forces
  */
 export class MeshEvolver {
-    constructor() {
+    /**
+     * @param {Object} options - {log: function(message)} for progress messages (default console.log)
+     */
+    constructor(options = {}) {
+        this.log = options.log || console.log;
+        
         // Simple physics parameters
         this.config = {
             springConstant: 0.3,
-            dampingFactor: 0.85,
-            timeStep: 0.1
+            dampingFactor: 0.2,     // Fraction of velocity kept per unit of time (0.85 per 0.1 step)
+            edgeDamping: 0.1,       // Dashpot on each edge's stretching speed
+            integrator: 'semi-implicit-euler',  // 'semi-implicit-euler', 'velocity-verlet' or 'rk4'
+            timeStep: 0.1,          // Simulated time per generation
+            substeps: 1,            // Substeps per generation (raised automatically for stiff springs)
+            t1Threshold: 0          // Edges shorter than this undergo a T1 neighbour swap (0 = off)
         };
         
-        // Track vertex velocities (keyed by position string)
+        // Track vertex velocities (keyed by shared vertex id)
         this.vertexVelocities = new Map();
         
-        console.log('🔄 MeshEvolver - direct mesh modification approach');
+        // Flat-array spring network and integrator
+        this.springSystem = new SpringSystem();
+        this.integrator = null;
+        
+        // Extra per-vertex forces for the next generation (validation corrections), or null
+        this.externalForces = null;
+        
+        // 1 per vertex id the user holds in place (see VertexPins), or null
+        this.fixedVertices = null;
+        
+        // What happens at the domain sides (null = wrap when the mesh is periodic, else free),
+        // and springs holding 'elastic' outer vertices (see BoundaryConditions.anchors)
+        this.boundaries = null;
+        this.anchors = null;
+        
+        // Total number of T1 transitions since the last reset
+        this.t1Count = 0;
+        
+        this.log('🔄 MeshEvolver - direct mesh modification approach');
     }
     
     /**
@@ -24,17 +55,23 @@ export class MeshEvolver {
      */
     applyEdgeValues(voronoiMesh, edgeValues) {
         const edges = voronoiMesh.getEdgeData();
+        const vertices = voronoiMesh.getVertexData();
         
         // Step 1: Update rest lengths based on acute angle values
         this.updateRestLengths(edges, edgeValues);
         
-        // Step 2: Apply spring forces directly to edge vertices
-        this.applySpringForcesToEdges(edges);
+        // Step 2: Apply spring (and cell area/perimeter) forces directly to edge vertices
+        // (wrapping around the torus when the mesh is periodic, see also this.boundaries)
+        const bounds = voronoiMesh.getPeriod() ? voronoiMesh.bounds : null;
+        this.applySpringForcesToEdges(edges, vertices, voronoiMesh.getCellData(), bounds);
+        
+        // Step 2b: Collapsed edges swap neighbours (T1) instead of shrinking forever
+        this.applyT1Transitions(voronoiMesh.getTopology());
         
         // Step 3: Update the visual mesh from modified edge data
         voronoiMesh.updateMesh();
         
-        console.log(`🌊 Direct edge physics applied to ${edges.length} edges`);
+        this.log(`🌊 Direct edge physics applied to ${edges.length} edges`);
     }
     
     /**
@@ -62,115 +99,118 @@ export class MeshEvolver {
     
     /**
      * Apply spring forces directly to edge start/end points
-     * This is the key - modify the ACTUAL edge vertices, not parallel data!
+     * Edges share vertex objects, so each vertex is moved exactly once.
+     * Covers config.timeStep of simulated time in config.substeps substeps.
+     * Cells with areaStiffness / perimeterContractility add vertex-model forces.
+     * With bounds the domain is a torus: displacements use the minimum image and
+     * vertices leaving one side re-enter from the other. this.boundaries, when set,
+     * replaces that wrapping with its own conditions after every substep.
+     * @param {Object|null} bounds - {minX, maxX, minY, maxY} of a periodic domain, or null
      */
-    applySpringForcesToEdges(edges) {
-        // Collect all unique vertices from edges
-        const vertexForces = new Map();
+    applySpringForcesToEdges(edges, vertices, cells = [], bounds = null) {
+        const system = this.springSystem;
+        const period = bounds ? { width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY } : null;
         
-        // Initialize forces for all vertices
-        for (const edge of edges) {
-            const startKey = this.getVertexKey(edge.start);
-            const endKey = this.getVertexKey(edge.end);
-            
-            if (!vertexForces.has(startKey)) {
-                vertexForces.set(startKey, { x: 0, y: 0, vertex: edge.start });
-            }
-            if (!vertexForces.has(endKey)) {
-                vertexForces.set(endKey, { x: 0, y: 0, vertex: edge.end });
-            }
+        // Load shared vertices (indexed by id) and their velocities
+        system.setVertexCount(vertices.length);
+        for (const vertex of vertices) {
+            const velocity = this.vertexVelocities.get(vertex.id) || { x: 0, y: 0 };
+            system.x[vertex.id * 2] = vertex.x;
+            system.x[vertex.id * 2 + 1] = vertex.y;
+            system.v[vertex.id * 2] = velocity.x;
+            system.v[vertex.id * 2 + 1] = velocity.y;
         }
+        system.setEdges(edges);
+        system.setCells(cells);
+        system.externalForces = this.externalForces;
+        system.fixed = this.fixedVertices;
+        system.anchors = this.anchors;
+        system.period = period;
         
-        // Calculate spring forces for each edge
-        for (const edge of edges) {
-            const startKey = this.getVertexKey(edge.start);
-            const endKey = this.getVertexKey(edge.end);
-            
-            const dx = edge.end.x - edge.start.x;
-            const dy = edge.end.y - edge.start.y;
-            const currentLength = Math.sqrt(dx * dx + dy * dy);
-            
-            if (currentLength === 0) continue;
-            
-            // Spring force toward target length
-            const targetLength = edge.targetLength || edge.length;
-            const forceMagnitude = this.config.springConstant * (currentLength - targetLength);
-            
-            // Direction vector (normalized)
-            const dirX = dx / currentLength;
-            const dirY = dy / currentLength;
-            
-            // Force components
-            const forceX = dirX * forceMagnitude;
-            const forceY = dirY * forceMagnitude;
-            
-            // Apply forces to vertices (opposite directions)
-            const startForce = vertexForces.get(startKey);
-            const endForce = vertexForces.get(endKey);
-            
-            startForce.x += forceX;
-            startForce.y += forceY;
-            endForce.x -= forceX;
-            endForce.y -= forceY;
+        system.stiffness = this.config.springConstant;
+        system.edgeDamping = this.config.edgeDamping;
+        system.drag = SpringSystem.dragFromRetention(this.config.dampingFactor, 1);
+        
+        if (!this.integrator || this.integrator.method !== this.config.integrator) {
+            this.integrator = new Integrator(this.config.integrator);
         }
         
-        // Apply forces to actual vertex positions
-        this.updateVertexPositions(vertexForces);
+        const boundaries = this.boundaries || (bounds ? new BoundaryConditions('periodic', bounds) : null);
+        
+        system.advance(this.integrator, this.config.timeStep, this.config.substeps,
+            boundaries ? (x, v) => boundaries.constrain(x, v) : null);
+        
+        // Write back to the actual vertices - edges and cells reference these
+        for (const vertex of vertices) {
+            vertex.x = system.x[vertex.id * 2];
+            vertex.y = system.x[vertex.id * 2 + 1];
+            this.vertexVelocities.set(vertex.id, {
+                x: system.v[vertex.id * 2],
+                y: system.v[vertex.id * 2 + 1]
+            });
+        }
         
         // Update edge lengths after movement
         for (const edge of edges) {
-            const dx = edge.end.x - edge.start.x;
-            const dy = edge.end.y - edge.start.y;
+            let dx = edge.end.x - edge.start.x;
+            let dy = edge.end.y - edge.start.y;
+            if (period) {
+                dx -= period.width * Math.round(dx / period.width);
+                dy -= period.height * Math.round(dy / period.height);
+            }
             edge.length = Math.sqrt(dx * dx + dy * dy);
         }
     }
     
     /**
-     * Update actual vertex positions based on forces
-     * This modifies the REAL edge.start and edge.end objects!
+     * Perform T1 transitions on every edge shorter than config.t1Threshold
+     * The flipped edge restarts at 1.5x the threshold so it is not immediately flipped back.
+     * Edges at a held vertex (fixedVertices) are left alone.
+     * @param {HalfEdgeMesh} topology - Shared-vertex mesh to modify
+     * @returns {number} Number of transitions performed
      */
-    updateVertexPositions(vertexForces) {
-        for (const [vertexKey, force] of vertexForces) {
-            const vertex = force.vertex;
-            
-            // Get or initialize velocity
-            if (!this.vertexVelocities.has(vertexKey)) {
-                this.vertexVelocities.set(vertexKey, { x: 0, y: 0 });
-            }
-            const velocity = this.vertexVelocities.get(vertexKey);
-            
-            // Update velocity with force
-            velocity.x += force.x * this.config.timeStep;
-            velocity.y += force.y * this.config.timeStep;
-            
-            // Apply damping
-            velocity.x *= this.config.dampingFactor;
-            velocity.y *= this.config.dampingFactor;
-            
-            // Update actual vertex position
-            vertex.x += velocity.x * this.config.timeStep;
-            vertex.y += velocity.y * this.config.timeStep;
+    applyT1Transitions(topology) {
+        const threshold = this.config.t1Threshold;
+        if (!topology || !(threshold > 0)) return 0;
+        
+        const newLength = threshold * 1.5;
+        const fixed = this.fixedVertices;
+        let count = 0;
+        
+        for (const edge of topology.edges) {
+            if (edge.length >= threshold) continue;
+            if (fixed && (fixed[edge.v1] || fixed[edge.v2])) continue;
+            if (!topology.flipEdge(edge.id, newLength)) continue;
             
-            // Periodic boundaries
-            vertex.x = this.wrapCoordinate(vertex.x, -8, 8);
-            vertex.y = this.wrapCoordinate(vertex.y, -6, 6);
+            // Start the rotated edge from rest
+            edge.originalLength = newLength;
+            edge.targetLength = newLength;
+            this.vertexVelocities.delete(edge.v1);
+            this.vertexVelocities.delete(edge.v2);
+            count++;
+        }
+        
+        if (count > 0) {
+            this.t1Count += count;
+            this.log(`🔀 ${count} T1 transitions (${this.t1Count} total)`);
         }
+        
+        return count;
     }
     
     /**
-     * Get vertex key for tracking velocities
+     * Forget tracked velocities, e.g. after the mesh has been regenerated
      */
-    getVertexKey(vertex) {
-        return `${vertex.x.toFixed(6)},${vertex.y.toFixed(6)}`;
+    reset() {
+        this.vertexVelocities.clear();
+        this.externalForces = null;
+        this.t1Count = 0;
     }
     
     /**
-     * Wrap coordinate for periodic boundaries
+     * Wrap coordinate for periodic boundaries into [min, max)
      */
     wrapCoordinate(coord, min, max) {
-        const range = max - min;
-        if (coord < min) return coord + range;
-        if (coord > max) return coord - range;
-        return coord;
+        return BoundaryConditions.wrapCoordinate(coord, min, max);
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,155 @@
+/**
+ * MeshInspector class holds the picking and geometry helpers behind the hover inspector
+ * of both engines (see CanvasEngine.inspect and Simulation.inspect). A vertex within the
+ * pick radius wins, then an edge, then the cell around the point. Geometry is unwrapped
+ * around the picked element, so a page can draw it in one piece across a periodic seam.
+ */
+export class MeshInspector {
+    /**
+     * Index of the edge nearest to a point within a radius (minimum image on a torus)
+     * @param {ArrayLike} positions - [x0, y0, x1, y1, ...]
+     * @param {ArrayLike} edgeVertices - [v1, v2, ...]
+     * @param {Object|null} period - {width, height} of a periodic domain
+     * @returns {number} Edge index, or -1 when none is that close
+     */
+    static nearestEdge(positions, edgeVertices, x, y, radius, period = null) {
+        let nearest = -1;
+        let nearestDistance = radius * radius;
+        
+        for (let e = 0; e < edgeVertices.length / 2; e++) {
+            const a = edgeVertices[e * 2];
+            const b = edgeVertices[e * 2 + 1];
+            const [dx, dy] = MeshInspector.delta(positions[a * 2], positions[a * 2 + 1], positions[b * 2], positions[b * 2 + 1], period);
+            const [px, py] = MeshInspector.delta(positions[a * 2], positions[a * 2 + 1], x, y, period);
+            
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSquared)) : 0;
+            const ex = px - t * dx;
+            const ey = py - t * dy;
+            const distance = ex * ex + ey * ey;
+            if (distance <= nearestDistance) {
+                nearest = e;
+                nearestDistance = distance;
+            }
+        }
+        
+        return nearest;
+    }
+    
+    /**
+     * Whether a polygon contains a point (the point is moved to its image nearest the
+     * polygon's first corner, so unwrapped polygons work on a torus)
+     * @param {Array} polygon - [[x, y], ...]
+     * @param {Object|null} period - {width, height} of a periodic domain
+     */
+    static contains(polygon, x, y, period = null) {
+        if (polygon.length < 3) return false;
+        
+        const [dx, dy] = MeshInspector.delta(polygon[0][0], polygon[0][1], x, y, period);
+        const px = polygon[0][0] + dx;
+        const py = polygon[0][1] + dy;
+        
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    /**
+     * Corner an edge makes with another edge at their shared vertex, for drawing its arc
+     * @param {Array} at - [x, y] where the shared vertex is drawn
+     * @param {Array} own - [x, y] far end of the edge
+     * @param {Array} other - [x, y] far end of the other edge
+     * @param {number} angle - Measured angle (degrees), as the analysis stored it
+     * @returns {Object} {x, y, from (direction of the edge), sweep (signed turn to the
+     *                   other edge, both in radians), angle, acute}
+     */
+    static corner(at, own, other, angle, period = null) {
+        const [ox, oy] = MeshInspector.delta(at[0], at[1], own[0], own[1], period);
+        const [tx, ty] = MeshInspector.delta(at[0], at[1], other[0], other[1], period);
+        const from = Math.atan2(oy, ox);
+        const turn = Math.atan2(ty, tx) - from;
+        return {
+            x: at[0],
+            y: at[1],
+            from,
+            sweep: Math.atan2(Math.sin(turn), Math.cos(turn)),
+            angle,
+            acute: angle < 90
+        };
+    }
+    
+    /**
+     * Tooltip text for an inspect() result
+     * @param {Object} info - See CanvasEngine.inspect / Simulation.inspect
+     * @returns {Array} Lines of text, the first naming the element
+     */
+    static describe(info) {
+        const number = value => value === undefined || value === null ? '-' : Number(value.toPrecision(4)).toString();
+        
+        switch (info.kind) {
+            case 'vertex':
+                return [
+                    `Vertex ${info.index}${info.pinned ? ' (pinned)' : ''}`,
+                    `Position: ${number(info.x)}, ${number(info.y)}`,
+                    `Edges: ${info.degree}`,
+                    `Speed: ${number(info.speed)}`,
+                    ...(info.boundary ? [`Rim: ${info.boundary}`] : [])
+                ];
+            case 'edge': {
+                const ends = [0, 1].map(end => info.corners
+                    .filter(corner => corner.end === end)
+                    .map(corner => `${corner.angle.toFixed(1)}°`)
+                    .join(', ') || '-');
+                return [
+                    `Edge ${info.index} (vertices ${info.v1}, ${info.v2})`,
+                    `Length: ${number(info.length)}`,
+                    `Original / target: ${number(info.originalLength)} / ${number(info.targetLength)}`,
+                    `Acute corners: ${info.acuteCount}`,
+                    `Expand value: ${number(info.expandValue)}%`,
+                    `Corners at ${info.v1}: ${ends[0]}`,
+                    `Corners at ${info.v2}: ${ends[1]}`
+                ];
+            }
+            case 'cell':
+                return [
+                    `Cell ${info.index} (${info.sides} sides)`,
+                    `Area: ${number(info.area)} (target ${number(info.targetArea)})`,
+                    `Perimeter: ${number(info.perimeter)}`,
+                    ...(info.areaStiffness > 0 || info.perimeterContractility > 0
+                        ? [`Area stiffness ${number(info.areaStiffness)}, contractility ${number(info.perimeterContractility)} (target perimeter ${number(info.targetPerimeter)})`]
+                        : [])
+                ];
+            default:
+                return [];
+        }
+    }
+    
+    /**
+     * Segment from a point to the nearest image of another
+     * @returns {Array} [x1, y1, x2, y2]
+     */
+    static segment(x1, y1, x2, y2, period = null) {
+        const [dx, dy] = MeshInspector.delta(x1, y1, x2, y2, period);
+        return [x1, y1, x1 + dx, y1 + dy];
+    }
+    
+    /**
+     * Displacement between two points (minimum image on a torus)
+     * @returns {Array} [dx, dy]
+     */
+    static delta(x1, y1, x2, y2, period = null) {
+        let dx = x2 - x1;
+        let dy = y2 - y1;
+        if (period) {
+            dx -= period.width * Math.round(dx / period.width);
+            dy -= period.height * Math.round(dy / period.height);
+        }
+        return [dx, dy];
+    }
+}
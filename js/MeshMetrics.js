@@ -0,0 +1,122 @@
+/**
+ * MeshMetrics class measures one generation for the metrics dashboard and CSV exports
+ * Both engines feed it the same quantities (see CanvasEngine/Simulation getMetrics), so
+ * their series compare directly. Spring energy is Σ ½k(L − L0)² over the edge springs;
+ * kinetic energy Σ ½m|v|² over the vertices.
+ *
+ *   sample: {generation, acuteEdgeCount, acute0, acute1, acute2, acute3 (3 or more),
+ *            edgeLengthMean, edgeLengthVariance, springEnergy, kineticEnergy,
+ *            cellAreaMean, cellAreaStdDev}
+ */
+export class MeshMetrics {
+    /**
+     * Sample keys and labels, in CSV column order (after generation)
+     */
+    static SERIES = [
+        { key: 'acuteEdgeCount', label: 'Acute edges' },
+        { key: 'acute0', label: 'Edges with 0 acute corners' },
+        { key: 'acute1', label: 'Edges with 1 acute corner' },
+        { key: 'acute2', label: 'Edges with 2 acute corners' },
+        { key: 'acute3', label: 'Edges with 3+ acute corners' },
+        { key: 'edgeLengthMean', label: 'Edge length mean' },
+        { key: 'edgeLengthVariance', label: 'Edge length variance' },
+        { key: 'springEnergy', label: 'Spring energy' },
+        { key: 'kineticEnergy', label: 'Kinetic energy' },
+        { key: 'cellAreaMean', label: 'Cell area mean' },
+        { key: 'cellAreaStdDev', label: 'Cell area std. dev.' }
+    ];
+    
+    /**
+     * @param {Object} input
+     * @param {number} input.generation
+     * @param {Object} input.histogram - Edges per acute count, {count: edges} (as
+     *                                   EdgeAnalyzer.getDetailedStatistics().acuteConnections)
+     * @param {ArrayLike} input.lengths - Current length of each edge
+     * @param {ArrayLike} input.restLengths - Spring rest length of each edge
+     * @param {number} input.stiffness - Spring constant
+     * @param {ArrayLike} input.velocities - [vx0, vy0, vx1, vy1, ...]
+     * @param {ArrayLike|null} input.masses - Mass of each vertex (null = unit masses)
+     * @param {ArrayLike} input.areas - Area of each cell
+     * @returns {Object} Sample
+     */
+    static measure({ generation, histogram, lengths, restLengths, stiffness, velocities, masses = null, areas }) {
+        const buckets = [0, 0, 0, 0];
+        for (const [count, edges] of Object.entries(histogram)) {
+            buckets[Math.min(Number(count), 3)] += edges;
+        }
+        
+        const length = MeshMetrics.meanAndVariance(lengths);
+        const area = MeshMetrics.meanAndVariance(areas);
+        
+        let springEnergy = 0;
+        for (let e = 0; e < lengths.length; e++) {
+            const stretch = lengths[e] - restLengths[e];
+            springEnergy += 0.5 * stiffness * stretch * stretch;
+        }
+        
+        let kineticEnergy = 0;
+        for (let i = 0; i < velocities.length / 2; i++) {
+            const vx = velocities[i * 2];
+            const vy = velocities[i * 2 + 1];
+            kineticEnergy += 0.5 * (masses ? masses[i] : 1) * (vx * vx + vy * vy);
+        }
+        
+        return {
+            generation,
+            acuteEdgeCount: buckets[1] + buckets[2] + buckets[3],
+            acute0: buckets[0],
+            acute1: buckets[1],
+            acute2: buckets[2],
+            acute3: buckets[3],
+            edgeLengthMean: length.mean,
+            edgeLengthVariance: length.variance,
+            springEnergy,
+            kineticEnergy,
+            cellAreaMean: area.mean,
+            cellAreaStdDev: Math.sqrt(area.variance)
+        };
+    }
+    
+    /**
+     * Count edges per acute count
+     * @param {ArrayLike} acuteCounts - Acute count of each edge
+     * @returns {Object} {count: edges}
+     */
+    static histogram(acuteCounts) {
+        const histogram = {};
+        for (const count of acuteCounts) {
+            histogram[count] = (histogram[count] || 0) + 1;
+        }
+        return histogram;
+    }
+    
+    /**
+     * Population mean and variance (0 and 0 for no values)
+     */
+    static meanAndVariance(values) {
+        const n = values.length;
+        if (n === 0) return { mean: 0, variance: 0 };
+        
+        let sum = 0;
+        for (let i = 0; i < n; i++) sum += values[i];
+        const mean = sum / n;
+        
+        let squares = 0;
+        for (let i = 0; i < n; i++) squares += (values[i] - mean) * (values[i] - mean);
+        return { mean, variance: squares / n };
+    }
+    
+    /**
+     * Write samples as CSV, one row per generation
+     * @param {Array} samples - Samples from measure()
+     * @param {Array} keys - Columns after generation (default: all SERIES)
+     * @returns {string} CSV text with a header row
+     */
+    static toCsv(samples, keys = MeshMetrics.SERIES.map(series => series.key)) {
+        const rows = [['generation', ...keys].join(',')];
+        for (const sample of samples) {
+            rows.push([sample.generation, ...keys.map(key => sample[key])].join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+}
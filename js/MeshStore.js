@@ -0,0 +1,174 @@
+/**
+ * MeshStore class keeps the canvas engine's vertices and edges in typed arrays
+ * Positions, velocities and masses are flat Float64Arrays ([x0, y0, x1, y1, ...]),
+ * edges are vertex index pairs with per-edge lengths and analysis results, and
+ * vertex → edge adjacency is prebuilt in compressed (offset + list) form so
+ * neighbourhood queries never scan the whole edge list.
+ *
+ * `vertices` and `edges` are arrays of small view objects whose properties
+ * (x, y, vx, vy, mass / v1, v2, originalLength, ...) read and write the arrays,
+ * so rendering and validation code written against plain objects keeps working.
+ */
+export class MeshStore {
+    /**
+     * Prototype of the vertex views (view.index is the vertex index)
+     */
+    static VERTEX_VIEW = {
+        get x() { return this.store.positions[this.index * 2]; },
+        set x(value) { this.store.positions[this.index * 2] = value; },
+        get y() { return this.store.positions[this.index * 2 + 1]; },
+        set y(value) { this.store.positions[this.index * 2 + 1] = value; },
+        get vx() { return this.store.velocities[this.index * 2]; },
+        set vx(value) { this.store.velocities[this.index * 2] = value; },
+        get vy() { return this.store.velocities[this.index * 2 + 1]; },
+        set vy(value) { this.store.velocities[this.index * 2 + 1] = value; },
+        get mass() { return this.store.masses[this.index]; },
+        set mass(value) { this.store.masses[this.index] = value; },
+        toJSON() { return { x: this.x, y: this.y, vx: this.vx, vy: this.vy }; }
+    };
+    
+    /**
+     * Prototype of the edge views (view.index is the edge index)
+     */
+    static EDGE_VIEW = {
+        get v1() { return this.store.edgeVertices[this.index * 2]; },
+        set v1(value) { this.store.edgeVertices[this.index * 2] = value; },
+        get v2() { return this.store.edgeVertices[this.index * 2 + 1]; },
+        set v2(value) { this.store.edgeVertices[this.index * 2 + 1] = value; },
+        get originalLength() { return this.store.originalLengths[this.index]; },
+        set originalLength(value) { this.store.originalLengths[this.index] = value; },
+        get targetLength() { return this.store.targetLengths[this.index]; },
+        set targetLength(value) { this.store.targetLengths[this.index] = value; },
+        get acuteCount() { return this.store.acuteCounts[this.index]; },
+        set acuteCount(value) { this.store.acuteCounts[this.index] = value; },
+        get changePercent() { return this.store.changePercents[this.index]; },
+        set changePercent(value) { this.store.changePercents[this.index] = value; },
+        get cornerAngles() {
+            const { cornerOffsets, cornerAngles } = this.store;
+            return cornerAngles.subarray(cornerOffsets[this.index], cornerOffsets[this.index + 1]);
+        },
+        toJSON() {
+            return {
+                v1: this.v1,
+                v2: this.v2,
+                originalLength: this.originalLength,
+                targetLength: this.targetLength,
+                acuteCount: this.acuteCount,
+                changePercent: this.changePercent
+            };
+        }
+    };
+    
+    constructor() {
+        this.allocate(0, 0);
+    }
+    
+    /**
+     * Allocate zeroed storage for a new mesh and rebuild the views
+     * @param {number} vertexCount - Number of vertices
+     * @param {number} edgeCount - Number of edges
+     */
+    allocate(vertexCount, edgeCount) {
+        this.vertexCount = vertexCount;
+        this.positions = new Float64Array(vertexCount * 2);
+        this.velocities = new Float64Array(vertexCount * 2);
+        this.masses = new Float64Array(vertexCount);
+        
+        this.edgeCount = edgeCount;
+        this.edgeVertices = new Int32Array(edgeCount * 2);   // [v1, v2, v1, v2, ...]
+        this.originalLengths = new Float64Array(edgeCount);
+        this.targetLengths = new Float64Array(edgeCount);
+        this.changePercents = new Float64Array(edgeCount);
+        this.acuteCounts = new Uint16Array(edgeCount);
+        
+        // Vertex v touches edges adjacency[adjacencyOffsets[v]..adjacencyOffsets[v + 1]), in edge order
+        this.adjacencyOffsets = new Int32Array(vertexCount + 1);
+        this.adjacency = new Int32Array(edgeCount * 2);
+        
+        // Edge e has corner angles (degrees) cornerAngles[cornerOffsets[e]..cornerOffsets[e + 1]):
+        // the angles to every other edge at v1, then at v2
+        this.cornerOffsets = new Int32Array(edgeCount + 1);
+        this.cornerAngles = new Float64Array(0);
+        
+        this.createViews();
+    }
+    
+    /**
+     * Build the view arrays (one object per vertex / edge, sharing a prototype per store)
+     */
+    createViews() {
+        const vertexView = Object.create(MeshStore.VERTEX_VIEW);
+        const edgeView = Object.create(MeshStore.EDGE_VIEW);
+        vertexView.store = this;
+        edgeView.store = this;
+        
+        this.vertices = new Array(this.vertexCount);
+        for (let i = 0; i < this.vertexCount; i++) {
+            const view = Object.create(vertexView);
+            view.index = i;
+            this.vertices[i] = view;
+        }
+        
+        this.edges = new Array(this.edgeCount);
+        for (let e = 0; e < this.edgeCount; e++) {
+            const view = Object.create(edgeView);
+            view.index = e;
+            this.edges[e] = view;
+        }
+    }
+    
+    /**
+     * Rebuild vertex → edge adjacency and the corner angle layout from edgeVertices
+     * Call after any change of edge endpoints (generation, T1 transitions).
+     */
+    buildAdjacency() {
+        const { vertexCount, edgeCount, edgeVertices, adjacencyOffsets, adjacency } = this;
+        
+        adjacencyOffsets.fill(0);
+        for (let k = 0; k < edgeCount * 2; k++) {
+            adjacencyOffsets[edgeVertices[k] + 1]++;
+        }
+        for (let v = 0; v < vertexCount; v++) {
+            adjacencyOffsets[v + 1] += adjacencyOffsets[v];
+        }
+        
+        // Fill in edge order, so every list is sorted by edge index
+        const cursor = adjacencyOffsets.slice(0, vertexCount);
+        for (let e = 0; e < edgeCount; e++) {
+            adjacency[cursor[edgeVertices[e * 2]]++] = e;
+            adjacency[cursor[edgeVertices[e * 2 + 1]]++] = e;
+        }
+        
+        // One corner per other edge at each end
+        for (let e = 0; e < edgeCount; e++) {
+            const corners = this.degree(edgeVertices[e * 2]) + this.degree(edgeVertices[e * 2 + 1]) - 2;
+            this.cornerOffsets[e + 1] = this.cornerOffsets[e] + corners;
+        }
+        if (this.cornerAngles.length !== this.cornerOffsets[edgeCount]) {
+            this.cornerAngles = new Float64Array(this.cornerOffsets[edgeCount]);
+        }
+    }
+    
+    /**
+     * Number of edges at a vertex
+     */
+    degree(vertex) {
+        return this.adjacencyOffsets[vertex + 1] - this.adjacencyOffsets[vertex];
+    }
+    
+    /**
+     * Edges at a vertex (a view into the adjacency array, do not modify)
+     * @returns {Int32Array} Edge indices
+     */
+    incidentEdges(vertex) {
+        return this.adjacency.subarray(this.adjacencyOffsets[vertex], this.adjacencyOffsets[vertex + 1]);
+    }
+    
+    /**
+     * The other endpoint of an edge
+     */
+    otherVertex(edge, vertex) {
+        const v1 = this.edgeVertices[edge * 2];
+        return v1 === vertex ? this.edgeVertices[edge * 2 + 1] : v1;
+    }
+}
@@ -0,0 +1,326 @@
+import { SpatialGrid } from './SpatialGrid.js';
+
+/**
+ * MeshValidator class checks that an evolving mesh is still a valid planar network
+ * Runs once per generation on plain mesh data ({vertices, edges, cells}) from either engine:
+ *   - Euler characteristic V − E + F against the value at generation 0 (T1 keeps it fixed)
+ *   - vertex degrees against their degree at generation 0
+ *   - coincident vertices (closer than minVertexDistance)
+ *   - signed cell areas (inverted or collapsed cells)
+ *   - crossing edges, found with a SpatialGrid
+ * It can also turn a report into repulsive correction forces.
+ */
+export class MeshValidator {
+    static POLICIES = ['off', 'warn', 'pause', 'correct'];
+    
+    constructor() {
+        this.baselineEuler = null;
+        this.baselineDegrees = null;
+    }
+    
+    /**
+     * Remember the Euler characteristic and vertex degrees of a freshly generated mesh
+     * @param {Object} mesh - {vertices, edges, cells}
+     */
+    reset(mesh) {
+        this.baselineEuler = this.eulerCharacteristic(mesh);
+        this.baselineDegrees = this.vertexDegrees(mesh);
+    }
+    
+    /**
+     * Get the generation-0 baseline so a saved run validates the same after loading
+     * @returns {Object} {baselineEuler, baselineDegrees}
+     */
+    getState() {
+        return { baselineEuler: this.baselineEuler, baselineDegrees: this.baselineDegrees };
+    }
+    
+    /**
+     * Restore a baseline previously returned by getState()
+     */
+    setState(saved) {
+        this.baselineEuler = saved.baselineEuler;
+        this.baselineDegrees = saved.baselineDegrees ? [...saved.baselineDegrees] : null;
+    }
+    
+    /**
+     * Check a mesh
+     * @param {Object} mesh - {vertices: [{x, y}], edges: [{v1, v2}], cells: [{vertexIndices}], period: {width, height}|null}
+     * @param {Object} options - {minVertexDistance}
+     * @returns {Object} Report: {valid, violationCount, euler, expectedEuler, degreeViolations,
+     *                   coincidentVertices, invertedCells, crossingEdges, vertices, edges, cells}
+     *                   where vertices / edges / cells list every offending element index
+     */
+    validate(mesh, options = {}) {
+        if (this.baselineDegrees === null || this.baselineDegrees.length !== mesh.vertices.length) {
+            this.reset(mesh);
+        }
+        
+        const euler = this.eulerCharacteristic(mesh);
+        const degrees = this.vertexDegrees(mesh);
+        const degreeViolations = [];
+        degrees.forEach((degree, index) => {
+            if (degree !== this.baselineDegrees[index]) degreeViolations.push(index);
+        });
+        
+        const coincidentVertices = this.findCoincidentVertices(mesh, options.minVertexDistance || 0);
+        const invertedCells = this.findInvertedCells(mesh);
+        const crossingEdges = this.findCrossingEdges(mesh);
+        
+        // Every offending element, for highlighting
+        const vertices = new Set(degreeViolations);
+        coincidentVertices.forEach(([a, b]) => { vertices.add(a); vertices.add(b); });
+        const edges = new Set();
+        crossingEdges.forEach(([a, b]) => { edges.add(a); edges.add(b); });
+        
+        const violationCount = (euler !== this.baselineEuler ? 1 : 0) + degreeViolations.length +
+            coincidentVertices.length + invertedCells.length + crossingEdges.length;
+        
+        return {
+            valid: violationCount === 0,
+            violationCount,
+            euler,
+            expectedEuler: this.baselineEuler,
+            degreeViolations,
+            coincidentVertices,
+            invertedCells,
+            crossingEdges,
+            vertices: [...vertices],
+            edges: [...edges],
+            cells: [...invertedCells]
+        };
+    }
+    
+    /**
+     * One-line summary of a report for logs
+     */
+    describe(report) {
+        const parts = [];
+        if (report.euler !== report.expectedEuler) parts.push(`Euler characteristic ${report.euler} (expected ${report.expectedEuler})`);
+        if (report.degreeViolations.length) parts.push(`${report.degreeViolations.length} vertex degree changes`);
+        if (report.coincidentVertices.length) parts.push(`${report.coincidentVertices.length} coincident vertex pairs`);
+        if (report.invertedCells.length) parts.push(`${report.invertedCells.length} inverted cells`);
+        if (report.crossingEdges.length) parts.push(`${report.crossingEdges.length} edge crossings`);
+        return parts.length ? parts.join(', ') : 'mesh valid';
+    }
+    
+    /**
+     * V − E + F, counting only the cells the mesh reports
+     */
+    eulerCharacteristic(mesh) {
+        return mesh.vertices.length - mesh.edges.length + mesh.cells.length;
+    }
+    
+    /**
+     * Number of edges at every vertex
+     */
+    vertexDegrees(mesh) {
+        const degrees = new Array(mesh.vertices.length).fill(0);
+        for (const edge of mesh.edges) {
+            degrees[edge.v1]++;
+            degrees[edge.v2]++;
+        }
+        return degrees;
+    }
+    
+    /**
+     * Displacement from a to b (minimum image on a torus)
+     */
+    delta(mesh, a, b) {
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        if (mesh.period) {
+            dx -= mesh.period.width * Math.round(dx / mesh.period.width);
+            dy -= mesh.period.height * Math.round(dy / mesh.period.height);
+        }
+        return { dx, dy };
+    }
+    
+    /**
+     * Mean edge length, used to size the spatial grid
+     */
+    meanEdgeLength(mesh) {
+        let total = 0;
+        for (const edge of mesh.edges) {
+            const { dx, dy } = this.delta(mesh, mesh.vertices[edge.v1], mesh.vertices[edge.v2]);
+            total += Math.sqrt(dx * dx + dy * dy);
+        }
+        return mesh.edges.length ? total / mesh.edges.length : 1;
+    }
+    
+    /**
+     * Signed area of a cell, unwrapped around its first corner
+     */
+    cellArea(mesh, cell) {
+        const indices = cell.vertexIndices;
+        let x = mesh.vertices[indices[0]].x;
+        let y = mesh.vertices[indices[0]].y;
+        let area = 0;
+        
+        for (let i = 1; i <= indices.length; i++) {
+            const { dx, dy } = this.delta(mesh, { x, y }, mesh.vertices[indices[i % indices.length]]);
+            area += x * (y + dy) - (x + dx) * y;
+            x += dx;
+            y += dy;
+        }
+        return area / 2;
+    }
+    
+    /**
+     * Cells with zero or negative signed area
+     * @returns {Array} Cell indices
+     */
+    findInvertedCells(mesh) {
+        const inverted = [];
+        mesh.cells.forEach((cell, index) => {
+            if (!(this.cellArea(mesh, cell) > 0)) inverted.push(index);
+        });
+        return inverted;
+    }
+    
+    /**
+     * Pairs of vertices closer than minDistance
+     * @returns {Array} [a, b] vertex index pairs
+     */
+    findCoincidentVertices(mesh, minDistance) {
+        if (!(minDistance > 0)) return [];
+        
+        const grid = new SpatialGrid(Math.max(minDistance, this.meanEdgeLength(mesh)), mesh.period);
+        mesh.vertices.forEach((vertex, index) => grid.insertPoint(index, vertex.x, vertex.y));
+        
+        const pairs = [];
+        grid.forEachCandidatePair((a, b) => {
+            const { dx, dy } = this.delta(mesh, mesh.vertices[a], mesh.vertices[b]);
+            if (dx * dx + dy * dy < minDistance * minDistance) pairs.push([a, b]);
+        });
+        return pairs;
+    }
+    
+    /**
+     * Pairs of edges that properly intersect (edges sharing a vertex are not compared)
+     * @returns {Array} [a, b] edge index pairs
+     */
+    findCrossingEdges(mesh) {
+        const grid = new SpatialGrid(this.meanEdgeLength(mesh), mesh.period);
+        
+        // Segments as start point + minimum-image direction, [x, y, dx, dy] per edge
+        const segments = new Float64Array(mesh.edges.length * 4);
+        const ends = new Int32Array(mesh.edges.length * 2);
+        mesh.edges.forEach((edge, index) => {
+            const start = mesh.vertices[edge.v1];
+            const { dx, dy } = this.delta(mesh, start, mesh.vertices[edge.v2]);
+            segments[index * 4] = start.x;
+            segments[index * 4 + 1] = start.y;
+            segments[index * 4 + 2] = dx;
+            segments[index * 4 + 3] = dy;
+            ends[index * 2] = edge.v1;
+            ends[index * 2 + 1] = edge.v2;
+            grid.insertSegment(index, start.x, start.y, start.x + dx, start.y + dy);
+        });
+        
+        const { width, height } = mesh.period || {};
+        const crossings = [];
+        grid.forEachCandidatePair((a, b) => {
+            const a1 = ends[a * 2];
+            const a2 = ends[a * 2 + 1];
+            const b1 = ends[b * 2];
+            const b2 = ends[b * 2 + 1];
+            if (a1 === b1 || a1 === b2 || a2 === b1 || a2 === b2) return;
+            
+            // Move b next to a on the torus
+            const ax = segments[a * 4];
+            const ay = segments[a * 4 + 1];
+            let offsetX = segments[b * 4] - ax;
+            let offsetY = segments[b * 4 + 1] - ay;
+            if (mesh.period) {
+                offsetX -= width * Math.round(offsetX / width);
+                offsetY -= height * Math.round(offsetY / height);
+            }
+            if (this.segmentsIntersect(ax, ay, segments[a * 4 + 2], segments[a * 4 + 3],
+                ax + offsetX, ay + offsetY, segments[b * 4 + 2], segments[b * 4 + 3])) {
+                crossings.push([a, b]);
+            }
+        });
+        return crossings;
+    }
+    
+    /**
+     * Proper intersection test for segments p + t·r and q + u·s (0 < t, u < 1)
+     */
+    segmentsIntersect(px, py, rx, ry, qx, qy, sx, sy) {
+        const denominator = rx * sy - ry * sx;
+        if (denominator === 0) return false; // Parallel or collinear
+        
+        const qpx = qx - px;
+        const qpy = qy - py;
+        const t = (qpx * sy - qpy * sx) / denominator;
+        const u = (qpx * ry - qpy * rx) / denominator;
+        return t > 0 && t < 1 && u > 0 && u < 1;
+    }
+    
+    /**
+     * Repulsive correction forces for the violations in a report
+     * Inverted cells are inflated along their area gradient, crossing edges are pushed
+     * apart along the line between their midpoints and coincident vertices repel.
+     * @param {Object} mesh - Mesh the report was made for
+     * @param {Object} report - Result of validate()
+     * @param {number} strength - Force scale, in units of (spring constant × mean edge length)
+     * @param {number} stiffness - The engine's spring constant
+     * @returns {Float64Array} Forces [fx0, fy0, fx1, fy1, ...]
+     */
+    computeCorrections(mesh, report, strength, stiffness) {
+        const forces = new Float64Array(mesh.vertices.length * 2);
+        const magnitude = strength * stiffness * this.meanEdgeLength(mesh);
+        
+        const push = (index, dx, dy, scale) => {
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length === 0) return;
+            forces[index * 2] += dx / length * scale;
+            forces[index * 2 + 1] += dy / length * scale;
+        };
+        
+        for (const cellIndex of report.invertedCells) {
+            const indices = mesh.cells[cellIndex].vertexIndices;
+            const n = indices.length;
+            for (let k = 0; k < n; k++) {
+                const prev = mesh.vertices[indices[(k + n - 1) % n]];
+                const next = mesh.vertices[indices[(k + 1) % n]];
+                // ∂A/∂x_k = ½(y_next − y_prev, x_prev − x_next)
+                const { dx, dy } = this.delta(mesh, prev, next);
+                push(indices[k], dy, -dx, magnitude);
+            }
+        }
+        
+        for (const [a, b] of report.crossingEdges) {
+            const ea = mesh.edges[a];
+            const eb = mesh.edges[b];
+            const midA = this.midpoint(mesh, ea);
+            const midB = this.midpoint(mesh, eb);
+            const { dx, dy } = this.delta(mesh, midB, midA);
+            for (const index of [ea.v1, ea.v2]) push(index, dx, dy, magnitude / 2);
+            for (const index of [eb.v1, eb.v2]) push(index, -dx, -dy, magnitude / 2);
+        }
+        
+        report.coincidentVertices.forEach(([a, b], pairIndex) => {
+            let { dx, dy } = this.delta(mesh, mesh.vertices[b], mesh.vertices[a]);
+            if (dx === 0 && dy === 0) {
+                // Exactly on top of each other - pick a fixed direction per pair
+                dx = Math.cos(pairIndex);
+                dy = Math.sin(pairIndex);
+            }
+            push(a, dx, dy, magnitude);
+            push(b, -dx, -dy, magnitude);
+        });
+        
+        return forces;
+    }
+    
+    /**
+     * Midpoint of an edge (minimum image)
+     */
+    midpoint(mesh, edge) {
+        const start = mesh.vertices[edge.v1];
+        const { dx, dy } = this.delta(mesh, start, mesh.vertices[edge.v2]);
+        return { x: start.x + dx / 2, y: start.y + dy / 2 };
+    }
+}
@@ -0,0 +1,219 @@
+import { MeshMetrics } from './MeshMetrics.js';
+import { FileDownload } from './FileDownload.js';
+
+/**
+ * MetricsDashboard class is a DOM widget of rolling charts over generations
+ * Fed with MeshMetrics samples (frame.metrics from the engine worker), it plots the
+ * latest generations of each chart's series and keeps a longer history for CSV
+ * downloads, per chart or every series at once. Used by both index.html and the Three.js app.
+ */
+export class MetricsDashboard {
+    static CHARTS = [
+        { title: 'Acute edges', keys: ['acuteEdgeCount'] },
+        { title: 'Edges by acute count (0 / 1 / 2 / 3+)', keys: ['acute0', 'acute1', 'acute2', 'acute3'] },
+        { title: 'Edge length mean', keys: ['edgeLengthMean'] },
+        { title: 'Edge length variance', keys: ['edgeLengthVariance'] },
+        { title: 'Spring energy', keys: ['springEnergy'] },
+        { title: 'Kinetic energy', keys: ['kineticEnergy'] },
+        { title: 'Cell area std. dev.', keys: ['cellAreaStdDev'] }
+    ];
+    
+    /**
+     * Generations shown (0 = the whole history)
+     */
+    static WINDOWS = [100, 250, 1000, 0];
+    
+    static LINE_COLOR = '#4CAF50';
+    
+    /**
+     * @param {HTMLElement} container - Element the dashboard is built into
+     * @param {Object} options - {acuteColors: colours of the acute-count series (0, 1, 2, 3+),
+     *                           prefix: CSV file name prefix, capacity: samples kept (20000)}
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.acuteColors = options.acuteColors || ['#0066ff', '#00ff00', '#ffaa00', '#ff0000'];
+        this.prefix = options.prefix || 'mesh';
+        this.capacity = options.capacity || 20000;
+        
+        this.samples = [];
+        this.window = 250;
+        
+        // Chart size and padding in pixels
+        this.width = 240;
+        this.height = 60;
+        this.padding = 4;
+        
+        this.build();
+        this.render();
+    }
+    
+    /**
+     * Append samples and redraw
+     * @param {Array} samples - MeshMetrics samples in generation order
+     * @param {boolean} restart - Start a new history (a new mesh or a loaded snapshot); a
+     *                            generation at or before the last one also starts one
+     */
+    add(samples, restart = false) {
+        if (restart) this.samples = [];
+        for (const sample of samples) {
+            const last = this.samples[this.samples.length - 1];
+            if (last && sample.generation <= last.generation) this.samples = [];
+            this.samples.push(sample);
+        }
+        if (this.samples.length > this.capacity) {
+            this.samples.splice(0, this.samples.length - this.capacity);
+        }
+        if (restart || samples.length > 0) this.render();
+    }
+    
+    clear() {
+        this.samples = [];
+        this.render();
+    }
+    
+    /**
+     * Create the window selector, the export-all button and one plot per chart
+     */
+    build() {
+        this.container.innerHTML = '';
+        
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 12px;';
+        
+        const windowSelect = document.createElement('select');
+        for (const size of MetricsDashboard.WINDOWS) {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = size ? `Last ${size}` : 'All';
+            windowSelect.appendChild(option);
+        }
+        windowSelect.value = this.window;
+        windowSelect.addEventListener('change', () => {
+            this.window = parseInt(windowSelect.value);
+            this.render();
+        });
+        
+        const exportAll = document.createElement('button');
+        exportAll.textContent = 'Export CSV';
+        exportAll.addEventListener('click', () => this.exportCsv(MeshMetrics.SERIES.map(series => series.key), 'metrics'));
+        
+        toolbar.append(windowSelect, exportAll);
+        this.container.appendChild(toolbar);
+        
+        this.charts = MetricsDashboard.CHARTS.map(({ title, keys }) => {
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; align-items: baseline; gap: 6px; margin-top: 6px; font-size: 12px;';
+            
+            const label = document.createElement('span');
+            label.textContent = title;
+            
+            const colors = keys.length > 1 ? this.acuteColors : [MetricsDashboard.LINE_COLOR];
+            const values = keys.map((key, k) => {
+                const value = document.createElement('span');
+                value.style.cssText = `color: ${colors[k]}; font-weight: bold;`;
+                return value;
+            });
+            
+            const csv = document.createElement('a');
+            csv.href = '#';
+            csv.textContent = 'CSV';
+            csv.style.cssText = 'margin-left: auto; color: #aaa;';
+            csv.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportCsv(keys, keys.length > 1 ? 'acuteCounts' : keys[0]);
+            });
+            
+            header.append(label, ...values, csv);
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = this.width;
+            canvas.height = this.height;
+            canvas.style.cssText = 'display: block; background: #222; border: 1px solid #555;';
+            
+            this.container.append(header, canvas);
+            return { keys, colors, values, ctx: canvas.getContext('2d') };
+        });
+    }
+    
+    /**
+     * Redraw every chart over the current window
+     */
+    render() {
+        const visible = this.window ? this.samples.slice(-this.window) : this.samples;
+        for (const chart of this.charts) {
+            this.renderChart(chart, visible);
+        }
+    }
+    
+    renderChart({ keys, colors, values, ctx }, samples) {
+        const { width, height, padding } = this;
+        ctx.clearRect(0, 0, width, height);
+        
+        const latest = samples[samples.length - 1];
+        keys.forEach((key, k) => {
+            values[k].textContent = latest ? MetricsDashboard.format(latest[key]) : '-';
+        });
+        if (samples.length < 2) return;
+        
+        let min = Infinity;
+        let max = -Infinity;
+        for (const sample of samples) {
+            for (const key of keys) {
+                min = Math.min(min, sample[key]);
+                max = Math.max(max, sample[key]);
+            }
+        }
+        if (max === min) {
+            max += 1;
+            min -= 1;
+        }
+        
+        const x = index => padding + index / (samples.length - 1) * (width - padding * 2);
+        const y = value => height - padding - (value - min) / (max - min) * (height - padding * 2);
+        
+        // At most about one point per pixel column
+        const stride = Math.max(1, Math.floor(samples.length / width));
+        ctx.lineWidth = 1.5;
+        keys.forEach((key, k) => {
+            ctx.strokeStyle = colors[k];
+            ctx.beginPath();
+            ctx.moveTo(x(0), y(samples[0][key]));
+            for (let i = stride; i < samples.length; i += stride) {
+                ctx.lineTo(x(i), y(samples[i][key]));
+            }
+            ctx.lineTo(x(samples.length - 1), y(latest[key]));
+            ctx.stroke();
+        });
+        
+        ctx.fillStyle = '#888';
+        ctx.font = '10px sans-serif';
+        ctx.fillText(MetricsDashboard.format(max), padding, 10);
+        ctx.fillText(MetricsDashboard.format(min), padding, height - 2);
+        ctx.textAlign = 'right';
+        ctx.fillText(`gen ${samples[0].generation}-${latest.generation}`, width - padding, height - 2);
+        ctx.textAlign = 'left';
+    }
+    
+    /**
+     * Download the history of some series
+     * @param {Array} keys - Sample keys (columns after generation)
+     * @param {string} name - Part of the file name
+     */
+    exportCsv(keys, name) {
+        if (this.samples.length === 0) return;
+        
+        const first = this.samples[0].generation;
+        const last = this.samples[this.samples.length - 1].generation;
+        FileDownload.save(MeshMetrics.toCsv(this.samples, keys), `${this.prefix}-${name}-gen${first}-${last}.csv`, 'text/csv');
+    }
+    
+    /**
+     * Short display form of a value
+     */
+    static format(value) {
+        if (!Number.isFinite(value)) return String(value);
+        if (Number.isInteger(value) || Math.abs(value) >= 1000) return String(Math.round(value));
+        return String(+value.toPrecision(3));
+    }
+}
@@ -0,0 +1,54 @@
+import { Geometry } from './Geometry.js';
+
+/**
+ * ModelSpace class maps a mesh drawing into the coordinates of the geometry exports
+ * (GeoJSON, DXF, OBJ, STL): the domain's lower-left corner at the origin, y pointing up
+ * (the canvas engine's y-down drawings are flipped), and an optional uniform scale.
+ */
+export class ModelSpace {
+    /**
+     * @param {Object} bounds - Drawing bounds {minX, minY, maxX, maxY}
+     * @param {boolean} yUp - Whether the drawing's y axis already points up
+     * @param {number|null} size - Length of the domain's longer side in model units,
+     *                             or null to keep mesh units
+     */
+    constructor(bounds, yUp, size = null) {
+        this.bounds = bounds;
+        this.yUp = yUp;
+        
+        const meshWidth = bounds.maxX - bounds.minX;
+        const meshHeight = bounds.maxY - bounds.minY;
+        this.scale = size ? size / Math.max(meshWidth, meshHeight) : 1;
+        this.width = meshWidth * this.scale;
+        this.height = meshHeight * this.scale;
+    }
+    
+    /**
+     * @param {Object} drawing - From CanvasEngine/Simulation getDrawing()
+     * @param {number|null} size - See constructor
+     */
+    static fromDrawing(drawing, size = null) {
+        return new ModelSpace(drawing.bounds, drawing.yUp, size);
+    }
+    
+    /**
+     * @returns {Array} [x, y] in model space
+     */
+    map(x, y) {
+        const { minX, minY, maxY } = this.bounds;
+        return [
+            (x - minX) * this.scale,
+            (this.yUp ? y - minY : maxY - y) * this.scale
+        ];
+    }
+    
+    /**
+     * Map a polygon and orient it counter-clockwise
+     * @param {Array} polygon - [[x, y], ...] in drawing coordinates
+     * @returns {Array} [[x, y], ...] in model space
+     */
+    mapPolygon(polygon) {
+        const mapped = polygon.map(([x, y]) => this.map(x, y));
+        return Geometry.polygonArea(mapped) < 0 ? mapped.reverse() : mapped;
+    }
+}
@@ -0,0 +1,35 @@
+import { WallExtruder } from './WallExtruder.js';
+
+/**
+ * ObjExporter class writes the extruded edge network (see WallExtruder) as a Wavefront OBJ
+ * Walls are grouped by acute count (g acute_0 ... acute_3, plus g base), so they can get
+ * different materials or filaments. Faces are quads.
+ */
+export class ObjExporter {
+    static EXTENSION = 'obj';
+    static MIME_TYPE = 'model/obj';
+    
+    /**
+     * @param {Object} drawing - From CanvasEngine/Simulation getDrawing()
+     * @param {Object} options - WallExtruder.DEFAULTS plus precision (decimals, default 6)
+     * @returns {string} OBJ text
+     */
+    static render(drawing, options = {}) {
+        const { precision = 6, ...extrusion } = options;
+        const { positions, parts } = WallExtruder.build(drawing, extrusion);
+        const round = value => +value.toFixed(precision);
+        const lines = ['# Acute edge mesh, extruded walls (units as exported)'];
+        
+        for (let i = 0; i < positions.length; i += 3) {
+            lines.push(`v ${round(positions[i])} ${round(positions[i + 1])} ${round(positions[i + 2])}`);
+        }
+        for (const { name, quads } of parts) {
+            lines.push(`g ${name}`);
+            for (const quad of quads) {
+                lines.push(`f ${quad.map(index => index + 1).join(' ')}`);
+            }
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+}
@@ -0,0 +1,260 @@
+import { Random } from './Random.js';
+
+/**
+ * ParameterSweep class expands an experiment spec into runs and sums up the final
+ * generation of each for the sweep table (see runSweep in js/headless.js and bin/sweep.js).
+ *
+ *   {
+ *     engine: 'canvas',                       // or 'voronoi'
+ *     base: {seedCount: 200},                 // Config shared by every run
+ *     generations: 500,                       // Steps per run (autoPause in base may stop earlier)
+ *     seeds: [1, 2, 3],                       // Every combination runs once per seed
+ *     grid: {expandPercent: [5, 10, 14], shrinkPercent: [5, 15]},
+ *     random: {samples: 20, seed: 7, parameters: {
+ *         springStrength: {min: 0.1, max: 1, log: true},
+ *         seedCount: {min: 100, max: 400, integer: true},
+ *         dual: ['barycentric', 'circumcentric']           // A list picks one value
+ *     }}
+ *   }
+ *
+ * grid runs every combination of its values; random draws `samples` combinations from
+ * the ranges with its own seed, so the same spec always gives the same runs. Give one
+ * of the two, or neither for one run of the base config per seed.
+ */
+export class ParameterSweep {
+    static DEFAULTS = {
+        engine: 'canvas',
+        base: {},
+        generations: 500,
+        seeds: [1],
+        grid: null,
+        random: null
+    };
+    
+    /**
+     * Summary columns after the run, seed and parameter columns
+     */
+    static COLUMNS = [
+        { key: 'generation', label: 'Final generation' },
+        { key: 'acuteFraction', label: 'Acute edge fraction' },
+        { key: 'springEnergy', label: 'Spring energy' },
+        { key: 'kineticEnergy', label: 'Kinetic energy' },
+        { key: 'edgeLengthMean', label: 'Edge length mean' },
+        { key: 'cellAreaStdDev', label: 'Cell area std. dev.' },
+        { key: 'meanSides', label: '⟨n⟩' },
+        { key: 'sidesMu2', label: 'μ2' },
+        { key: 'hexagonFraction', label: 'p(6)' },
+        { key: 'lewisSlope', label: 'Lewis slope' },
+        { key: 'aboavA', label: 'Aboav-Weaire a' },
+        { key: 't1Count', label: 'T1 transitions' },
+        { key: 'violationCount', label: 'Violations' },
+        { key: 'dynamics', label: 'Dynamics' },
+        { key: 'dynamicsSince', label: 'Since' },
+        { key: 'milliseconds', label: 'Run time (ms)' }
+    ];
+    
+    /**
+     * @param {Object} spec - See the class comment
+     * @throws {Error} If the spec is malformed
+     */
+    constructor(spec = {}) {
+        const settings = { ...ParameterSweep.DEFAULTS, ...spec };
+        if (!Number.isInteger(settings.generations) || settings.generations < 0) {
+            throw new Error(`Sweep "generations" must be a non-negative integer (got ${settings.generations})`);
+        }
+        if (!Array.isArray(settings.seeds) || settings.seeds.length === 0) {
+            throw new Error('Sweep "seeds" must be a non-empty list');
+        }
+        if (settings.grid && settings.random) {
+            throw new Error('Give a sweep either "grid" or "random", not both');
+        }
+        
+        this.engine = settings.engine;
+        this.base = { ...settings.base };
+        this.generations = settings.generations;
+        this.seeds = [...settings.seeds];
+        this.combinations = settings.grid ? ParameterSweep.expandGrid(settings.grid)
+            : settings.random ? ParameterSweep.sample(settings.random)
+            : [{}];
+        this.parameters = Object.keys(settings.grid || (settings.random && settings.random.parameters) || {});
+    }
+    
+    /**
+     * Every combination of the grid's values, the first parameter varying slowest
+     * @param {Object} grid - {name: [values]}
+     * @returns {Array} [{name: value}]
+     */
+    static expandGrid(grid) {
+        let combinations = [{}];
+        for (const [name, values] of Object.entries(grid)) {
+            if (!Array.isArray(values) || values.length === 0) {
+                throw new Error(`Sweep grid "${name}" must be a non-empty list of values`);
+            }
+            combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value })));
+        }
+        return combinations;
+    }
+    
+    /**
+     * Random combinations
+     * @param {Object} random - {samples, seed, parameters: {name: {min, max, integer, log} or [values]}}
+     * @returns {Array} [{name: value}]
+     */
+    static sample({ samples, seed = 1, parameters = {} }) {
+        if (!Number.isInteger(samples) || samples < 1) {
+            throw new Error(`Sweep random "samples" must be a positive integer (got ${samples})`);
+        }
+        for (const [name, range] of Object.entries(parameters)) {
+            if (Array.isArray(range)) {
+                if (range.length === 0) throw new Error(`Sweep random "${name}" has no values to pick from`);
+            } else if (!range || !(range.min <= range.max)) {
+                throw new Error(`Sweep random "${name}" needs {min, max} with min <= max, or a list of values`);
+            } else if (range.log && !(range.min > 0)) {
+                throw new Error(`Sweep random "${name}" is log-scaled, so min must be above 0`);
+            }
+        }
+        
+        const random = new Random(seed);
+        const combinations = [];
+        for (let i = 0; i < samples; i++) {
+            const combination = {};
+            for (const [name, range] of Object.entries(parameters)) {
+                if (Array.isArray(range)) {
+                    combination[name] = range[random.int(range.length)];
+                } else if (range.integer) {
+                    combination[name] = Math.ceil(range.min) + random.int(Math.floor(range.max) - Math.ceil(range.min) + 1);
+                } else if (range.log) {
+                    combination[name] = Math.exp(random.range(Math.log(range.min), Math.log(range.max)));
+                } else {
+                    combination[name] = random.range(range.min, range.max);
+                }
+            }
+            combinations.push(combination);
+        }
+        return combinations;
+    }
+    
+    /**
+     * Every combination once per seed, in run order
+     * @returns {Array} [{run (from 1), seed, parameters, config (for runSimulation)}]
+     */
+    runs() {
+        const runs = [];
+        for (const parameters of this.combinations) {
+            for (const seed of this.seeds) {
+                runs.push({
+                    run: runs.length + 1,
+                    seed,
+                    parameters,
+                    config: { ...this.base, ...parameters, engine: this.engine, seed }
+                });
+            }
+        }
+        return runs;
+    }
+    
+    /**
+     * Final measurements of a finished run (see COLUMNS)
+     * @param {CanvasEngine|Simulation} simulation
+     * @returns {Object} {key: value}
+     */
+    static summarize(simulation) {
+        const stats = simulation.getStats();
+        const metrics = simulation.getMetrics();
+        const topology = simulation.getTopologyStatistics();
+        const hexagons = topology.sides.distribution.find(({ n }) => n === 6);
+        const detection = simulation.lastDetection;
+        
+        return {
+            generation: simulation.generation,
+            acuteFraction: stats.totalEdges > 0 ? stats.acuteEdgeCount / stats.totalEdges : 0,
+            springEnergy: metrics.springEnergy,
+            kineticEnergy: metrics.kineticEnergy,
+            edgeLengthMean: metrics.edgeLengthMean,
+            cellAreaStdDev: metrics.cellAreaStdDev,
+            meanSides: topology.sides.mean,
+            sidesMu2: topology.sides.mu2,
+            hexagonFraction: hexagons ? hexagons.p : 0,
+            lewisSlope: topology.lewis.slope,
+            aboavA: topology.aboav.a,
+            t1Count: stats.t1Count,
+            violationCount: stats.violationCount,
+            dynamics: detection && detection.state ? (detection.period > 1 ? `periodic ${detection.period}` : detection.state) : '',
+            dynamicsSince: detection ? detection.since : null
+        };
+    }
+    
+    /**
+     * Column keys of the summary table: run, seed, the swept parameters, then COLUMNS
+     */
+    columns() {
+        return ['run', 'seed', ...this.parameters, ...ParameterSweep.COLUMNS.map(column => column.key)];
+    }
+    
+    /**
+     * Flatten a run and its summary into one table row
+     * @param {Object} run - From runs()
+     * @param {Object} summary - From summarize(), plus milliseconds
+     */
+    static row(run, summary) {
+        return { run: run.run, seed: run.seed, ...run.parameters, ...summary };
+    }
+    
+    /**
+     * @param {Array} rows - From row()
+     * @returns {string} CSV text with a header row
+     */
+    toCsv(rows) {
+        const keys = this.columns();
+        const cell = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [keys.join(','), ...rows.map(row => keys.map(key => cell(row[key])).join(','))].join('\n') + '\n';
+    }
+    
+    /**
+     * Stand-alone HTML page of the summary table with a thumbnail per run
+     * @param {Array} rows - From row()
+     * @param {Function} thumbnail - (row) => image path relative to the page, or null
+     * @returns {string} HTML text
+     */
+    toHtml(rows, thumbnail = () => null) {
+        const escape = value => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const format = value => typeof value === 'number' && !Number.isInteger(value) ? String(+value.toPrecision(4)) : value;
+        const labels = { run: 'Run', seed: 'Seed' };
+        for (const column of ParameterSweep.COLUMNS) labels[column.key] = column.label;
+        const keys = this.columns();
+        
+        const header = ['<th></th>', ...keys.map(key => `<th>${escape(labels[key] || key)}</th>`)].join('');
+        const body = rows.map((row) => {
+            const image = thumbnail(row);
+            const cells = keys.map(key => `<td>${escape(format(row[key]))}</td>`).join('');
+            return `<tr><td>${image ? `<img src="${escape(image)}" alt="Run ${row.run}">` : ''}</td>${cells}</tr>`;
+        }).join('\n');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Parameter sweep (${escape(this.engine)}, ${rows.length} runs)</title>
+<style>
+body { font-family: Arial, sans-serif; background: #222; color: #eee; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { border: 1px solid #555; padding: 4px 6px; text-align: right; }
+th { background: #333; position: sticky; top: 0; }
+img { display: block; }
+</style>
+</head>
+<body>
+<h1>Parameter sweep</h1>
+<p>Engine ${escape(this.engine)}, ${this.generations} generations per run, base config ${escape(JSON.stringify(this.base))}</p>
+<table>
+<tr>${header}</tr>
+${body}
+</table>
+</body>
+</html>
+`;
+    }
+}
@@ -0,0 +1,91 @@
+import { ZipWriter } from './ZipWriter.js';
+
+/**
+ * PngEncoder class turns RGBA pixels into a PNG file without a canvas
+ * Compression is pluggable: pass a zlib deflate (e.g. Node's zlib.deflateSync) for small
+ * files; without one the image data is stored uncompressed (still a valid PNG).
+ */
+export class PngEncoder {
+    static SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    
+    /**
+     * @param {Uint8Array|Uint8ClampedArray} rgba - width × height × 4 bytes, rows top to bottom
+     * @param {number} width
+     * @param {number} height
+     * @param {Function|null} deflate - (Uint8Array) => zlib stream bytes
+     * @returns {Uint8Array} PNG file
+     */
+    static encode(rgba, width, height, deflate = null) {
+        // Each row starts with filter type 0 (none)
+        const raw = new Uint8Array(height * (width * 4 + 1));
+        for (let y = 0; y < height; y++) {
+            raw.set(rgba.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+        }
+        
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header.set([8, 6, 0, 0, 0], 8);     // 8-bit RGBA, no interlace
+        
+        const chunks = [
+            PngEncoder.chunk('IHDR', header),
+            PngEncoder.chunk('IDAT', new Uint8Array(deflate ? deflate(raw) : PngEncoder.store(raw))),
+            PngEncoder.chunk('IEND', new Uint8Array(0))
+        ];
+        
+        const png = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        png.set(PngEncoder.SIGNATURE);
+        let offset = 8;
+        for (const chunk of chunks) {
+            png.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return png;
+    }
+    
+    /**
+     * Length, type, data and CRC of one PNG chunk
+     */
+    static chunk(type, data) {
+        const bytes = new Uint8Array(12 + data.length);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+        bytes.set(data, 8);
+        view.setUint32(8 + data.length, ZipWriter.crc32(bytes.subarray(4, 8 + data.length)));
+        return bytes;
+    }
+    
+    /**
+     * zlib stream of uncompressed (stored) deflate blocks
+     */
+    static store(data) {
+        const blockCount = Math.max(1, Math.ceil(data.length / 65535));
+        const bytes = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+        const view = new DataView(bytes.buffer);
+        bytes[0] = 0x78;
+        bytes[1] = 0x01;
+        
+        let offset = 2;
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * 65535;
+            const length = Math.min(65535, data.length - start);
+            bytes[offset] = block === blockCount - 1 ? 1 : 0;
+            view.setUint16(offset + 1, length, true);
+            view.setUint16(offset + 3, ~length & 0xffff, true);
+            bytes.set(data.subarray(start, start + length), offset + 5);
+            offset += 5 + length;
+        }
+        
+        // Adler-32 of the uncompressed data
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < data.length; i++) {
+            a = (a + data[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        view.setUint32(offset, ((b << 16) | a) >>> 0);
+        return bytes;
+    }
+}
@@ -0,0 +1,117 @@
+import { Geometry } from './Geometry.js';
+
+/**
+ * PolygonTriangulator class turns cell polygons into triangles for rendering
+ * Uses ear clipping so concave cells are filled correctly; degenerate
+ * (zero-area) cells produce no triangles instead of garbage
+ */
+export class PolygonTriangulator {
+    constructor() {
+        // Areas / cross products below this are treated as zero
+        this.epsilon = 1e-12;
+    }
+    
+    /**
+     * Triangulate a simple polygon
+     * @param {Array} points - Array of [x, y] points in either winding order
+     * @returns {Array} Flat array of local point indices, three per triangle
+     */
+    triangulate(points) {
+        const n = points.length;
+        if (n < 3) return [];
+        
+        const area = Geometry.polygonArea(points);
+        if (Math.abs(area) < this.epsilon) return [];
+        
+        // Work in counter-clockwise order, so inverted cells are still filled
+        const remaining = [];
+        for (let i = 0; i < n; i++) remaining.push(i);
+        if (area < 0) remaining.reverse();
+        
+        const indices = [];
+        
+        while (remaining.length > 3) {
+            let clipped = false;
+            
+            for (let i = 0; i < remaining.length; i++) {
+                const prev = remaining[(i + remaining.length - 1) % remaining.length];
+                const curr = remaining[i];
+                const next = remaining[(i + 1) % remaining.length];
+                
+                const cross = this.cross(points[prev], points[curr], points[next]);
+                
+                if (Math.abs(cross) <= this.epsilon) {
+                    // Collinear or coincident corner - drop it without emitting a triangle
+                    remaining.splice(i, 1);
+                    clipped = true;
+                    break;
+                }
+                
+                if (cross < 0) continue; // Reflex corner, not an ear
+                
+                if (this.containsOtherPoint(points, remaining, prev, curr, next)) continue;
+                
+                indices.push(prev, curr, next);
+                remaining.splice(i, 1);
+                clipped = true;
+                break;
+            }
+            
+            if (!clipped) {
+                // Self-intersecting polygon - no ear exists, fall back to a fan
+                for (let i = 1; i < remaining.length - 1; i++) {
+                    indices.push(remaining[0], remaining[i], remaining[i + 1]);
+                }
+                return indices;
+            }
+        }
+        
+        if (Math.abs(this.cross(points[remaining[0]], points[remaining[1]], points[remaining[2]])) > this.epsilon) {
+            indices.push(remaining[0], remaining[1], remaining[2]);
+        }
+        
+        return indices;
+    }
+    
+    /**
+     * Z component of (b - a) × (c - b)
+     */
+    cross(a, b, c) {
+        return (b[0] - a[0]) * (c[1] - b[1]) - (b[1] - a[1]) * (c[0] - b[0]);
+    }
+    
+    /**
+     * Check if any other remaining polygon point lies inside triangle (a, b, c)
+     */
+    containsOtherPoint(points, remaining, a, b, c) {
+        for (const index of remaining) {
+            if (index === a || index === b || index === c) continue;
+            
+            const p = points[index];
+            if (this.samePoint(p, points[a]) || this.samePoint(p, points[b]) || this.samePoint(p, points[c])) {
+                continue;
+            }
+            
+            if (this.pointInTriangle(p, points[a], points[b], points[c])) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Check if point p lies inside or on counter-clockwise triangle (a, b, c)
+     */
+    pointInTriangle(p, a, b, c) {
+        return this.cross(a, b, p) >= 0 &&
+               this.cross(b, c, p) >= 0 &&
+               this.cross(c, a, p) >= 0;
+    }
+    
+    /**
+     * Check if two points are exactly equal
+     */
+    samePoint(p1, p2) {
+        return p1[0] === p2[0] && p1[1] === p2[1];
+    }
+}
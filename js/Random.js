@@ -0,0 +1,87 @@
+/**
+ * Random class is a small seedable PRNG (mulberry32) used by every seed generator
+ * The same seed always yields the same sequence, on every platform, so meshes
+ * and evolutions can be reproduced bit for bit. The whole state is one
+ * 32-bit integer, which makes it easy to save and restore.
+ */
+export class Random {
+    /**
+     * @param {number|string} seed - Seed value; strings are hashed, omitted means a fresh random seed
+     */
+    constructor(seed = Random.randomSeed()) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Pick a fresh seed when the user did not ask for one
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Convert user input into an unsigned 32-bit seed
+     * Integers are used as-is, anything else is hashed (FNV-1a) so text seeds work too
+     * @param {number|string} value - Seed input
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static normalizeSeed(value) {
+        const text = String(value).trim();
+        
+        if (/^\d+$/.test(text)) {
+            return Number(BigInt(text) % 0x100000000n) >>> 0;
+        }
+        
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number} Pseudo-random float
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Integer in [0, n)
+     */
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+    
+    /**
+     * Get the generator state so a run can be resumed later
+     * @returns {Object} {seed, state}
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+    
+    /**
+     * Restore a state previously returned by getState()
+     * @param {Object} saved - {seed, state}
+     */
+    setState(saved) {
+        this.seed = saved.seed >>> 0;
+        this.state = saved.state >>> 0;
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * RecordingPlan class decides which generations a recording captures, and what the
+ * caption overlay on each frame says. Shared by the page recorder (FrameRecorder), the
+ * engine worker (which holds stepping until a captured frame is drawn) and headless runs.
+ */
+export class RecordingPlan {
+    static DEFAULTS = {
+        every: 1,       // Capture every nth generation, counted from start
+        start: 0,       // First generation to capture
+        stop: null      // Last generation (null = until stopped)
+    };
+    
+    /**
+     * @param {Object} options - See DEFAULTS
+     * @throws {Error} If every is not a positive integer or stop comes before start
+     */
+    constructor(options = {}) {
+        const { every, start, stop } = { ...RecordingPlan.DEFAULTS, ...options };
+        if (!Number.isInteger(every) || every < 1) {
+            throw new Error(`Recording "every" must be a positive integer (got ${every})`);
+        }
+        if (stop !== null && stop < start) {
+            throw new Error(`Recording stop generation ${stop} is before start ${start}`);
+        }
+        
+        this.every = every;
+        this.start = start;
+        this.stop = stop;
+    }
+    
+    /**
+     * @returns {boolean} Whether the generation is one to capture
+     */
+    includes(generation) {
+        return generation >= this.start && (this.stop === null || generation <= this.stop) &&
+            (generation - this.start) % this.every === 0;
+    }
+    
+    /**
+     * @returns {boolean} Whether no generation from this one on is captured
+     */
+    isComplete(generation) {
+        return this.stop !== null && generation >= this.stop;
+    }
+    
+    /**
+     * Name of a generation's image in a frame sequence, e.g. frame-000120.png
+     */
+    static frameName(generation) {
+        return `frame-${String(generation).padStart(6, '0')}.png`;
+    }
+    
+    /**
+     * Caption lines for a frame's overlay
+     * @param {number} generation
+     * @param {Object} stats - From getStats()
+     * @returns {Array} Lines of text
+     */
+    static caption(generation, stats) {
+        return [
+            `Generation ${generation}`,
+            `Acute edges ${stats.acuteEdgeCount} / ${stats.totalEdges}`,
+            `Expanding ${stats.expandingEdgeCount}, shrinking ${stats.shrinkingEdgeCount}`,
+            `Cells ${stats.totalCells}, T1 ${stats.t1Count}`
+        ];
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * SeedEditor class holds the helpers both engines use to add and delete seeds in a
+ * running mesh. The mesh is rebuilt from the edited seeds, but only the cells around
+ * the edit should change: every rebuilt vertex that the old seeds also produced (same
+ * construction position) takes over the evolved position of that old vertex, and the
+ * vertices that are new move with the kept vertices they are joined to.
+ */
+export class SeedEditor {
+    /**
+     * Match the rebuilt vertices to the old ones and place them
+     * @param {Object} meshes
+     * @param {ArrayLike} meshes.built - Where the old seeds put each old vertex [x0, y0, ...]
+     * @param {ArrayLike} meshes.evolved - Where each old vertex is now
+     * @param {ArrayLike} meshes.rebuilt - Where the edited seeds put each new vertex
+     * @param {ArrayLike} meshes.edgeVertices - New edges [v1, v2, ...] (new vertices follow their neighbours)
+     * @param {Object|null} meshes.period - {width, height} of a periodic domain
+     * @param {number} meshes.tolerance - Largest construction distance that counts as the same vertex
+     * @returns {Object} {previous: Int32Array old index per new vertex (-1 if new), positions: Float64Array
+     *                   (unwrapped; callers wrap or clamp them), matched: number of vertices kept}
+     */
+    static carryOver({ built, evolved, rebuilt, edgeVertices, period = null, tolerance }) {
+        const oldCount = built.length / 2;
+        const count = rebuilt.length / 2;
+        const previous = new Int32Array(count).fill(-1);
+        
+        // Old construction positions bucketed on a grid of tolerance-sized cells
+        const cellKey = (cx, cy) => `${cx},${cy}`;
+        const grid = new Map();
+        for (let i = 0; i < oldCount; i++) {
+            const key = cellKey(Math.round(built[i * 2] / tolerance), Math.round(built[i * 2 + 1] / tolerance));
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(i);
+        }
+        
+        const taken = new Uint8Array(oldCount);
+        let matched = 0;
+        for (let i = 0; i < count; i++) {
+            const x = rebuilt[i * 2];
+            const y = rebuilt[i * 2 + 1];
+            const cx = Math.round(x / tolerance);
+            const cy = Math.round(y / tolerance);
+            let best = -1;
+            let bestDistance = tolerance;
+            for (let ox = -1; ox <= 1; ox++) {
+                for (let oy = -1; oy <= 1; oy++) {
+                    for (const old of grid.get(cellKey(cx + ox, cy + oy)) || []) {
+                        const distance = Math.hypot(built[old * 2] - x, built[old * 2 + 1] - y);
+                        if (!taken[old] && distance <= bestDistance) {
+                            best = old;
+                            bestDistance = distance;
+                        }
+                    }
+                }
+            }
+            if (best >= 0) {
+                previous[i] = best;
+                taken[best] = 1;
+                matched++;
+            }
+        }
+        
+        // How far evolution has carried each kept vertex from where it was built
+        const displacement = new Float64Array(count * 2);
+        const known = new Uint8Array(count);
+        previous.forEach((old, i) => {
+            if (old < 0) return;
+            let dx = evolved[old * 2] - built[old * 2];
+            let dy = evolved[old * 2 + 1] - built[old * 2 + 1];
+            if (period) {
+                dx -= period.width * Math.round(dx / period.width);
+                dy -= period.height * Math.round(dy / period.height);
+            }
+            displacement[i * 2] = dx;
+            displacement[i * 2 + 1] = dy;
+            known[i] = 1;
+        });
+        
+        // New vertices take the mean displacement of their placed neighbours, spreading
+        // outward from the kept ones
+        const sums = new Float64Array(count * 3);
+        let spreading = true;
+        while (spreading) {
+            spreading = false;
+            sums.fill(0);
+            for (let e = 0; e < edgeVertices.length; e += 2) {
+                const a = edgeVertices[e];
+                const b = edgeVertices[e + 1];
+                if (known[b] && !known[a]) {
+                    sums[a * 3] += displacement[b * 2];
+                    sums[a * 3 + 1] += displacement[b * 2 + 1];
+                    sums[a * 3 + 2]++;
+                }
+                if (known[a] && !known[b]) {
+                    sums[b * 3] += displacement[a * 2];
+                    sums[b * 3 + 1] += displacement[a * 2 + 1];
+                    sums[b * 3 + 2]++;
+                }
+            }
+            for (let i = 0; i < count; i++) {
+                if (known[i] || sums[i * 3 + 2] === 0) continue;
+                displacement[i * 2] = sums[i * 3] / sums[i * 3 + 2];
+                displacement[i * 2 + 1] = sums[i * 3 + 1] / sums[i * 3 + 2];
+                known[i] = 1;
+                spreading = true;
+            }
+        }
+        
+        const positions = new Float64Array(count * 2);
+        for (let i = 0; i < count * 2; i++) {
+            positions[i] = rebuilt[i] + displacement[i];
+        }
+        
+        return { previous, positions, matched };
+    }
+    
+    /**
+     * Index of the seed nearest to a point (minimum image on a torus)
+     * @param {Array} seeds - [[x, y], ...]
+     * @param {Object|null} period - {width, height} of a periodic domain
+     * @returns {number} Seed index, or -1 when there are no seeds
+     */
+    static nearestSeed(seeds, x, y, period = null) {
+        let nearest = -1;
+        let nearestDistance = Infinity;
+        seeds.forEach(([sx, sy], index) => {
+            let dx = sx - x;
+            let dy = sy - y;
+            if (period) {
+                dx -= period.width * Math.round(dx / period.width);
+                dy -= period.height * Math.round(dy / period.height);
+            }
+            const distance = dx * dx + dy * dy;
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+    
+    /**
+     * Index of the vertex nearest to a point within a radius (minimum image on a torus)
+     * @param {ArrayLike} positions - [x0, y0, x1, y1, ...]
+     * @returns {number} Vertex index, or -1 when none is that close
+     */
+    static nearestVertex(positions, x, y, radius, period = null) {
+        let nearest = -1;
+        let nearestDistance = radius * radius;
+        for (let i = 0; i < positions.length / 2; i++) {
+            let dx = positions[i * 2] - x;
+            let dy = positions[i * 2 + 1] - y;
+            if (period) {
+                dx -= period.width * Math.round(dx / period.width);
+                dy -= period.height * Math.round(dy / period.height);
+            }
+            const distance = dx * dx + dy * dy;
+            if (distance <= nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+}
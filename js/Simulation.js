@@ -0,0 +1,847 @@
+import { VoronoiMesh } from './VoronoiMesh.js';
+import { EdgeAnalyzer } from './EdgeAnalyzer.js';
+import { MeshEvolver } from './MeshEvolver.js';
+import { Random } from './Random.js';
+import { EdgeRule } from './EdgeRule.js';
+import { AngleResponse } from './AngleResponse.js';
+import { MeshValidator } from './MeshValidator.js';
+import { MeshMetrics } from './MeshMetrics.js';
+import { TopologyStatistics } from './TopologyStatistics.js';
+import { AttractorDetector } from './AttractorDetector.js';
+import { VertexPins } from './VertexPins.js';
+import { SeedEditor } from './SeedEditor.js';
+import { BoundaryConditions } from './BoundaryConditions.js';
+import { MeshInspector } from './MeshInspector.js';
+
+/**
+ * Simulation class runs the Step 1-3 loop of the Three.js app without any DOM
+ * Pass a THREE.Scene to render, or nothing to run headless (Node, workers)
+ */
+export class Simulation {
+    /**
+     * Default configuration, matching the Three.js app controls
+     */
+    static defaults = {
+        cellCount: 50,          // Number of Voronoi cells
+        periodicBoundaries: true,   // Toroidal domain (seams stitched) instead of a clipped rectangle
+        boundaries: null,       // Sides of a clipped rectangle: one condition or {minX, maxX, minY, maxY} (null = 'free')
+        restitution: 0.5,       // Fraction of the normal speed kept by a bounce off a 'reflective' side
+        rimStiffness: 0.3,      // Spring constant tying the outer vertices of 'elastic' sides to where they were built
+        dual: 'circumcentric',  // Dual construction: 'circumcentric', 'barycentric', 'centroidal' or 'power'
+        lloydIterations: 5,     // Lloyd relaxation steps for the 'centroidal' dual
+        seedWeights: null,      // Power dual weights, one per seed (null = random, see weightSpread)
+        weightSpread: 0.25,     // Random power weights are (weightSpread · seed spacing · u)²
+        changeRate: 5,          // Percentage for expand/shrink operations
+        rule: '',               // Rule table, e.g. "0:-15, 1:+5, 2:+10, 3+:-5" (empty = use changeRate)
+        angleResponse: null,    // Continuous angle response curve spec (null = count acute corners)
+        t1Threshold: 0,         // Edge length that triggers a T1 neighbour swap (0 = off)
+        integrator: 'semi-implicit-euler',  // 'semi-implicit-euler', 'velocity-verlet' or 'rk4'
+        timeStep: 0.1,          // Simulated time per generation
+        substeps: 1,            // Substeps per generation (raised automatically for stiff springs)
+        edgeDamping: 0.1,       // Dashpot on each edge's stretching speed
+        areaStiffness: 0,       // Cell area elasticity K in K·(A − A0)² (0 = off)
+        perimeterContractility: 0,  // Cell perimeter contractility Γ in Γ·(P − P0)² (0 = off)
+        targetArea: null,       // A0 for every cell (null = each cell's area at generation 0)
+        targetPerimeter: 0,     // P0 for every cell (0 = pure contractility)
+        validation: 'warn',     // Mesh validity policy: 'off', 'warn', 'pause' or 'correct'
+        minVertexDistance: 0.005,   // Vertices closer than this count as coincident
+        correctionStrength: 1,  // Repulsive correction force scale for the 'correct' policy
+        autoPause: false,       // Pause once the run is stationary or periodic (see AttractorDetector)
+        seed: null              // Random seed (null = pick a fresh one on every generate)
+    };
+    
+    /**
+     * @param {Object} config - Overrides for Simulation.defaults (extra keys are kept)
+     * @param {THREE.Scene|null} scene - Scene to render into, or null for headless use
+     * @param {Object} options - {log: function(message)} for progress messages (default console.log)
+     */
+    constructor(config = {}, scene = null, options = {}) {
+        this.config = { ...Simulation.defaults, ...config };
+        this.log = options.log || console.log;
+        
+        this.voronoiMesh = new VoronoiMesh(scene, options);
+        this.edgeAnalyzer = new EdgeAnalyzer(options);
+        this.meshEvolver = new MeshEvolver(options);
+        
+        this.generation = 0;
+        this.lastAnalysis = null;
+        this.seed = null;
+        this.pins = new VertexPins();   // Vertices held in place by the user
+        this.rim = null;                // Outer vertices and their anchors (see BoundaryConditions.findRim)
+        
+        // Built form of the boundary settings
+        this.boundaryKey = null;
+        this.boundaryConditions = null;
+        
+        // Parsed form of config.rule
+        this.ruleText = '';
+        this.parsedRule = null;
+        
+        // Built form of config.angleResponse
+        this.responseKey = 'null';
+        this.angleResponse = null;
+        
+        // Mesh validity checks, run every generation
+        this.validator = new MeshValidator();
+        this.lastValidation = null;      // Latest report (null when validation is off)
+        this.paused = false;             // Set under the 'pause' policy or by autoPause; callers stop stepping
+        this.pauseReason = null;         // 'validation' or 'attractor' while paused
+        this.acceptedViolations = 0;     // Violation count the user resumed with
+        
+        // Steady-state and cycle detection, run every generation
+        this.detector = new AttractorDetector();
+        this.lastDetection = null;
+    }
+    
+    /**
+     * Step 1: Generate a new random Voronoi mesh and reset the generation counter
+     * Uses config.seed when set, otherwise a fresh random seed (see this.seed)
+     */
+    generate() {
+        this.generation = 0;
+        this.lastAnalysis = null;
+        this.pins.clear();
+        
+        this.seed = this.config.seed ?? Random.randomSeed();
+        this.configureMesh();
+        this.voronoiMesh.generate(this.config.cellCount, this.seed);
+        this.seed = this.voronoiMesh.getSeed();
+        this.edgeAnalyzer.period = this.voronoiMesh.getPeriod();
+        this.meshEvolver.reset();
+        this.initializeCellMechanics();
+        this.rim = this.findRim();
+        this.getBoundaries();       // Refuse conflicting boundary settings before generation 0
+        this.getRule();             // ... and an invalid rule or angle response
+        this.getAngleResponse();
+        
+        this.validator.reset(this.getValidationMesh());
+        this.lastValidation = null;
+        this.paused = false;
+        this.pauseReason = null;
+        this.acceptedViolations = 0;
+        
+        this.detector.reset();
+        this.detectAttractor();
+    }
+    
+    /**
+     * Copy the mesh construction settings from the config onto the VoronoiMesh
+     */
+    configureMesh() {
+        this.voronoiMesh.periodicBoundaries = this.config.periodicBoundaries;
+        this.voronoiMesh.dual = this.config.dual;
+        this.voronoiMesh.lloydIterations = this.config.lloydIterations;
+        this.voronoiMesh.seedWeights = this.config.seedWeights;
+        this.voronoiMesh.weightSpread = this.config.weightSpread;
+    }
+    
+    /**
+     * Evolve the mesh by one generation
+     * Step 2: Analyze acute angles and assign expand/shrink values
+     * Step 3: Apply physical changes to the mesh
+     * @returns {Object} Analysis results for this generation
+     */
+    step() {
+        this.generation++;
+        
+        const edgeData = this.voronoiMesh.getEdgeData();
+        
+        const analysisResults = this.edgeAnalyzer.analyzeAcuteAngles(edgeData);
+        const edgeValues = this.edgeAnalyzer.calculateEdgeValues(
+            edgeData, this.config.changeRate, this.getRule(), this.getAngleResponse()
+        );
+        
+        // The rule, not the acute count alone, decides which edges expand
+        analysisResults.expandingEdgeCount = edgeValues.filter(v => v.type === 'expand').length;
+        analysisResults.shrinkingEdgeCount = edgeValues.filter(v => v.type === 'shrink').length;
+        
+        Object.assign(this.meshEvolver.config, {
+            t1Threshold: this.config.t1Threshold,
+            integrator: this.config.integrator,
+            timeStep: this.config.timeStep,
+            substeps: this.config.substeps,
+            edgeDamping: this.config.edgeDamping
+        });
+        const boundaries = this.getBoundaries();
+        this.meshEvolver.fixedVertices = this.getHeldMask();
+        this.meshEvolver.boundaries = boundaries;
+        this.meshEvolver.anchors = boundaries.anchors(this.rim);
+        this.meshEvolver.applyEdgeValues(this.voronoiMesh, edgeValues);
+        
+        this.lastAnalysis = analysisResults;
+        this.validateMesh();
+        this.detectAttractor();
+        return analysisResults;
+    }
+    
+    /**
+     * Mesh data in the form MeshValidator expects
+     */
+    getValidationMesh() {
+        const topology = this.voronoiMesh.getTopology();
+        return {
+            vertices: topology.vertices,
+            edges: topology.edges,
+            cells: topology.cells,
+            period: this.voronoiMesh.getPeriod()
+        };
+    }
+    
+    /**
+     * Check the mesh and apply config.validation to any violations
+     * @returns {Object|null} Validation report, or null when validation is off
+     */
+    validateMesh() {
+        const policy = this.config.validation;
+        if (!MeshValidator.POLICIES.includes(policy)) {
+            throw new Error(`Unknown validation policy "${policy}" (expected one of: ${MeshValidator.POLICIES.join(', ')})`);
+        }
+        
+        this.meshEvolver.externalForces = null;
+        if (policy === 'off') {
+            this.lastValidation = null;
+            return null;
+        }
+        
+        const mesh = this.getValidationMesh();
+        const report = this.validator.validate(mesh, { minVertexDistance: this.config.minVertexDistance });
+        this.lastValidation = report;
+        if (report.valid) return report;
+        
+        this.log(`⚠️ Generation ${this.generation}: ${this.validator.describe(report)}`);
+        
+        if (policy === 'pause' && report.violationCount > this.acceptedViolations) {
+            this.paused = true;
+            this.pauseReason = 'validation';
+        } else if (policy === 'correct') {
+            this.meshEvolver.externalForces = this.validator.computeCorrections(
+                mesh, report, this.config.correctionStrength, this.meshEvolver.config.springConstant
+            );
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Continue after a pause - only violations beyond the current count pause again, and
+     * autoPause only stops at the next stationary or periodic state the run enters
+     */
+    resume() {
+        this.paused = false;
+        this.pauseReason = null;
+        this.acceptedViolations = this.lastValidation ? this.lastValidation.violationCount : 0;
+    }
+    
+    /**
+     * Give every cell its own vertex-model parameters from the config
+     * Cells keep their parameters through T1 transitions; use setCellMechanics() to change them
+     */
+    initializeCellMechanics() {
+        const topology = this.voronoiMesh.getTopology();
+        
+        for (const cell of topology.cells) {
+            cell.targetArea = this.config.targetArea ?? topology.getCellArea(cell);
+            cell.areaStiffness = this.config.areaStiffness;
+            cell.perimeterContractility = this.config.perimeterContractility;
+            cell.targetPerimeter = this.config.targetPerimeter;
+        }
+    }
+    
+    /**
+     * Change vertex-model parameters of some or all cells
+     * @param {Object} params - Any of {targetArea, areaStiffness, perimeterContractility, targetPerimeter}
+     * @param {Array|null} cellIds - Cells to change (null = all cells)
+     */
+    setCellMechanics(params, cellIds = null) {
+        const cells = this.voronoiMesh.getCellData();
+        const targets = cellIds === null ? cells : cellIds.map(id => cells[id]);
+        
+        for (const cell of targets) {
+            Object.assign(cell, params);
+        }
+    }
+    
+    /**
+     * Nearest vertex to a point (minimum image with periodic boundaries)
+     * @param {number} radius - Largest distance to pick from
+     * @returns {number} Vertex index, or -1 when none is that close
+     */
+    findVertex(x, y, radius) {
+        const positions = this.voronoiMesh.getVertexData().flatMap(vertex => [vertex.x, vertex.y]);
+        return SeedEditor.nearestVertex(positions, x, y, radius, this.voronoiMesh.getPeriod());
+    }
+    
+    /**
+     * Describe the vertex, edge or cell under a point for the hover inspector
+     * An edge comes with its connected edges and the corner angles EdgeAnalyzer
+     * measured at both ends (MeshInspector.corner, with end: 0 at v1, 1 at v2).
+     * @param {number} radius - Pick radius for vertices and edges
+     * @returns {Object|null} {kind: 'vertex', 'edge' or 'cell', index, ...}, or null off the mesh
+     */
+    inspect(x, y, radius) {
+        const topology = this.voronoiMesh.getTopology();
+        if (!topology) return null;
+        
+        const period = this.voronoiMesh.getPeriod();
+        const { vertices, edges } = topology;
+        const spoke = (at, edgeIndex, vertex) => {
+            const far = vertices[topology.otherVertex(edges[edgeIndex], vertex)];
+            return { index: edgeIndex, segment: MeshInspector.segment(at[0], at[1], far.x, far.y, period) };
+        };
+        
+        const vertexIndex = this.findVertex(x, y, radius);
+        if (vertexIndex >= 0) {
+            const vertex = vertices[vertexIndex];
+            const velocity = this.meshEvolver.vertexVelocities.get(vertex.id) || { x: 0, y: 0 };
+            return {
+                kind: 'vertex',
+                index: vertexIndex,
+                x: vertex.x,
+                y: vertex.y,
+                speed: Math.hypot(velocity.x, velocity.y),
+                degree: vertex.edges.length,
+                pinned: this.pins.pinned.has(vertexIndex),
+                boundary: this.getBoundaries().rimCondition(this.rim, vertexIndex),
+                edges: vertex.edges.map(edgeIndex => spoke([vertex.x, vertex.y], edgeIndex, vertexIndex))
+            };
+        }
+        
+        const positions = vertices.flatMap(vertex => [vertex.x, vertex.y]);
+        const edgeVertices = edges.flatMap(edge => [edge.v1, edge.v2]);
+        const edgeIndex = MeshInspector.nearestEdge(positions, edgeVertices, x, y, radius, period);
+        if (edgeIndex >= 0) {
+            const edge = edges[edgeIndex];
+            const segment = MeshInspector.segment(edge.start.x, edge.start.y, edge.end.x, edge.end.y, period);
+            const ends = [segment.slice(0, 2), segment.slice(2)];
+            const connected = [];
+            const corners = [];
+            
+            // cornerAngles follow connectedEdges (EdgeAnalyzer.findSharedVertex picks the end)
+            edge.connectedEdges.forEach((otherIndex, k) => {
+                const other = edges[otherIndex];
+                const end = other.v1 === edge.v1 || other.v2 === edge.v1 ? 0 : 1;
+                const arm = spoke(ends[end], otherIndex, end === 0 ? edge.v1 : edge.v2);
+                connected.push(arm);
+                if (edge.cornerAngles && edge.cornerAngles[k] !== undefined) {
+                    corners.push({ ...MeshInspector.corner(ends[end], ends[1 - end], arm.segment.slice(2), edge.cornerAngles[k]), end });
+                }
+            });
+            
+            return {
+                kind: 'edge',
+                index: edgeIndex,
+                v1: edge.v1,
+                v2: edge.v2,
+                segment,
+                length: edge.length,
+                originalLength: edge.originalLength ?? edge.length,
+                targetLength: edge.targetLength ?? edge.length,
+                acuteCount: edge.acuteAngleCount,
+                expandValue: edge.expandValue,
+                connected,
+                corners
+            };
+        }
+        
+        const cellIndex = topology.cells.findIndex(cell => MeshInspector.contains(topology.getCellPolygon(cell), x, y, period));
+        if (cellIndex >= 0) {
+            const cell = topology.cells[cellIndex];
+            const outline = topology.getCellPolygon(cell);
+            return {
+                kind: 'cell',
+                index: cellIndex,
+                outline,
+                sides: outline.length,
+                area: topology.getCellArea(cell),
+                perimeter: topology.getCellPerimeter(cell),
+                targetArea: cell.targetArea,
+                areaStiffness: cell.areaStiffness,
+                perimeterContractility: cell.perimeterContractility,
+                targetPerimeter: cell.targetPerimeter
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Hold a vertex in place or let it go (the physics skips pinned vertices)
+     * @param {number} index - Vertex index
+     * @param {boolean} pinned
+     */
+    pinVertex(index, pinned = true) {
+        if (index < 0 || index >= this.voronoiMesh.getVertexData().length) return;
+        this.pins.set(index, pinned);
+    }
+    
+    /**
+     * Pinned vertex indices in ascending order
+     */
+    getPinnedVertices() {
+        return this.pins.list();
+    }
+    
+    /**
+     * Move a vertex to a point and hold it there until releaseVertex()
+     * Its edges keep their rest lengths, so the springs pull the neighbours along.
+     * @param {number} index - Vertex index
+     */
+    dragVertex(index, x, y) {
+        const vertex = this.voronoiMesh.getVertexData()[index];
+        if (!vertex) return;
+        
+        [vertex.x, vertex.y] = this.voronoiMesh.getPeriod() ? this.voronoiMesh.wrapPoint(x, y) : [x, y];
+        this.meshEvolver.vertexVelocities.delete(vertex.id);
+        this.pins.dragged = index;
+        
+        this.voronoiMesh.getTopology().updateEdgeLengths();
+        this.voronoiMesh.updateMesh();
+    }
+    
+    /**
+     * Let go of the dragged vertex (it stays pinned if it was pinned)
+     */
+    releaseVertex() {
+        this.pins.dragged = null;
+    }
+    
+    /**
+     * Add a seed at a point, splitting the cells around it
+     * @returns {number} Number of vertices kept (see editSeeds)
+     */
+    addSeed(x, y) {
+        const { minX, maxX, minY, maxY } = this.voronoiMesh.bounds;
+        if (!this.voronoiMesh.getPeriod() && (x < minX || x > maxX || y < minY || y > maxY)) return 0;
+        
+        return this.editSeeds(() => this.voronoiMesh.addSeed(x, y), seedIndex => seedIndex);
+    }
+    
+    /**
+     * Delete the seed nearest to a point, merging its cell into the neighbours
+     * @returns {number} Number of vertices kept (see editSeeds)
+     */
+    removeSeed(x, y) {
+        const index = this.voronoiMesh.nearestSeed(x, y);
+        if (index < 0) return 0;
+        
+        return this.editSeeds(() => this.voronoiMesh.removeSeed(index),
+            seedIndex => seedIndex === index ? -1 : seedIndex > index ? seedIndex - 1 : seedIndex);
+    }
+    
+    /**
+     * Rebuild the mesh from edited seeds, keeping the evolved state wherever the edit
+     * does not reach (see SeedEditor.carryOver)
+     * Vertices the old seeds also produce keep their positions, velocities and pins, edges
+     * between them keep their rest lengths and analysis, and cells keep their mechanics.
+     * Only the construction is redone, so T1 swaps since generation 0 are undone.
+     * @param {Function} edit - Changes the seeds and rebuilds (VoronoiMesh.addSeed or removeSeed)
+     * @param {Function} seedIndexOf - Old seed index => new seed index (-1 for a deleted seed)
+     * @returns {number} Number of vertices kept
+     */
+    editSeeds(edit, seedIndexOf) {
+        const mesh = this.voronoiMesh;
+        const period = mesh.getPeriod();
+        const { minX, maxX, minY, maxY } = mesh.bounds;
+        const old = mesh.getTopology();
+        const flat = vertices => Float64Array.from(vertices.flatMap(vertex => [vertex.x, vertex.y]));
+        
+        // The unedited seeds give the construction position of every current vertex
+        mesh.regenerateFromSeeds();
+        const built = mesh.getVertexData().length === old.vertices.length ? flat(mesh.getVertexData()) : new Float64Array(0);
+        
+        edit();
+        const topology = mesh.getTopology();
+        const { previous, positions, matched } = SeedEditor.carryOver({
+            built,
+            evolved: flat(old.vertices),
+            rebuilt: flat(topology.vertices),
+            edgeVertices: topology.edges.flatMap(edge => [edge.v1, edge.v2]),
+            period,
+            tolerance: 1e-6 * Math.max(maxX - minX, maxY - minY)
+        });
+        
+        // Vertices: evolved positions and velocities
+        const velocities = new Map(this.meshEvolver.vertexVelocities);
+        this.meshEvolver.vertexVelocities.clear();
+        topology.vertices.forEach((vertex, i) => {
+            [vertex.x, vertex.y] = period ? mesh.wrapPoint(positions[i * 2], positions[i * 2 + 1]) : [positions[i * 2], positions[i * 2 + 1]];
+            const velocity = previous[i] >= 0 && velocities.get(previous[i]);
+            if (velocity) this.meshEvolver.vertexVelocities.set(vertex.id, velocity);
+        });
+        topology.updateEdgeLengths();
+        
+        // Edges that existed before carry on; new ones start at rest
+        const edgeKey = (a, b) => a < b ? `${a},${b}` : `${b},${a}`;
+        const oldEdges = new Map(old.edges.map(edge => [edgeKey(edge.v1, edge.v2), edge]));
+        for (const edge of topology.edges) {
+            const match = previous[edge.v1] >= 0 && previous[edge.v2] >= 0 && oldEdges.get(edgeKey(previous[edge.v1], previous[edge.v2]));
+            if (match) {
+                edge.originalLength = match.originalLength;
+                edge.targetLength = match.targetLength;
+                edge.acuteAngleCount = match.acuteAngleCount;
+                edge.cornerAngles = match.cornerAngles;
+                edge.expandValue = match.expandValue;
+            } else {
+                edge.originalLength = edge.length;
+                edge.targetLength = edge.length;
+            }
+        }
+        
+        // Cells keep their mechanics by seed; new cells start from the config at their current area
+        const oldCells = new Map(old.cells.map(cell => [seedIndexOf(cell.seedIndex), cell]));
+        for (const cell of topology.cells) {
+            const match = oldCells.get(cell.seedIndex);
+            cell.targetArea = match ? match.targetArea : this.config.targetArea ?? topology.getCellArea(cell);
+            cell.areaStiffness = match ? match.areaStiffness : this.config.areaStiffness;
+            cell.perimeterContractility = match ? match.perimeterContractility : this.config.perimeterContractility;
+            cell.targetPerimeter = match ? match.targetPerimeter : this.config.targetPerimeter;
+        }
+        
+        this.pins.remap(previous);
+        this.rim = this.findRim(previous);
+        mesh.updateMesh();
+        
+        this.validator.reset(this.getValidationMesh());
+        this.lastValidation = null;
+        this.meshEvolver.externalForces = null;
+        this.detector.reset();
+        this.detectAttractor();
+        
+        this.log(`✏️ Rebuilt from ${mesh.getSeedPoints().length} seeds: kept ${matched} of ${topology.vertices.length} vertices`);
+        return matched;
+    }
+    
+    /**
+     * Get the parsed rule table for config.rule (cached until the text changes)
+     * @returns {EdgeRule|null} Parsed rule, or null when no rule is set
+     * @throws {Error} If config.rule is invalid
+     */
+    getRule() {
+        const text = (this.config.rule || '').trim();
+        
+        if (text !== this.ruleText) {
+            this.parsedRule = text === '' ? null : EdgeRule.parse(text);
+            this.ruleText = text;
+        }
+        
+        return this.parsedRule;
+    }
+    
+    /**
+     * Get the response curve for config.angleResponse (rebuilt only when the spec changes)
+     * @returns {AngleResponse|null} Response curve, or null in acute-count mode
+     * @throws {Error} If config.angleResponse is invalid
+     */
+    getAngleResponse() {
+        const spec = this.config.angleResponse ?? null;
+        const key = JSON.stringify(spec);
+        
+        if (key !== this.responseKey) {
+            this.angleResponse = spec === null ? null : new AngleResponse(spec);
+            this.responseKey = key;
+        }
+        
+        return this.angleResponse;
+    }
+    
+    /**
+     * Get the boundary conditions for the config (rebuilt only when the settings change)
+     * A periodic mesh wraps on every side; otherwise config.boundaries applies.
+     * @returns {BoundaryConditions}
+     * @throws {Error} If config.boundaries is invalid, asks for periodic sides without periodicBoundaries
+     *                 or for other sides with it
+     */
+    getBoundaries() {
+        const { periodicBoundaries, boundaries, restitution, rimStiffness } = this.config;
+        const spec = boundaries ?? (periodicBoundaries ? 'periodic' : 'free');
+        const bounds = this.voronoiMesh.bounds;
+        const key = JSON.stringify([spec, restitution, rimStiffness, bounds]);
+        
+        if (key !== this.boundaryKey) {
+            const conditions = new BoundaryConditions(spec, bounds, { restitution, rimStiffness });
+            if (conditions.periodic !== Boolean(periodicBoundaries)) {
+                throw new Error(periodicBoundaries
+                    ? 'boundaries requires periodicBoundaries: false (a periodic mesh wraps on every side)'
+                    : 'Periodic sides need periodicBoundaries: true (the mesh is built on a torus)');
+            }
+            this.boundaryConditions = conditions;
+            this.boundaryKey = key;
+        }
+        
+        return this.boundaryConditions;
+    }
+    
+    /**
+     * Outer vertices of the current mesh, anchored where they are
+     * @param {Int32Array|null} previous - Old index per vertex after a rebuild; outer vertices
+     *                                     that were outer before keep their anchors
+     * @returns {Object} {vertices, anchors} (see BoundaryConditions.findRim)
+     */
+    findRim(previous = null) {
+        const topology = this.voronoiMesh.getTopology();
+        return BoundaryConditions.findRim(
+            topology.vertices.flatMap(vertex => [vertex.x, vertex.y]),
+            topology.edges.flatMap(edge => [edge.v1, edge.v2]),
+            topology.cells.map(cell => cell.vertexIndices),
+            previous && { rim: this.rim, previous }
+        );
+    }
+    
+    /**
+     * Vertices the physics leaves where they are: pinned and dragged ones, and the outer
+     * vertices of 'fixed' sides
+     * @returns {Uint8Array|null} 1 per held vertex, or null when none is held
+     */
+    getHeldMask() {
+        const count = this.voronoiMesh.getVertexData().length;
+        return this.getBoundaries().holdMask(this.pins.mask(count), this.rim, count);
+    }
+    
+    /**
+     * Feed the current generation to the AttractorDetector; under config.autoPause, entering
+     * a stationary or periodic state pauses the run
+     * @returns {Object} Detection report (see AttractorDetector.update)
+     */
+    detectAttractor() {
+        const report = this.detector.update(this.getDynamics());
+        this.lastDetection = report;
+        if (!report.entered || !AttractorDetector.SETTLED.includes(report.state)) return report;
+        
+        this.log(`🎯 Generation ${this.generation}: ${AttractorDetector.describe(report)}`);
+        if (this.config.autoPause && !this.paused) {
+            this.paused = true;
+            this.pauseReason = 'attractor';
+        }
+        return report;
+    }
+    
+    /**
+     * Kinetic energy (unit masses), acute counts and vertex positions of the current
+     * generation, as AttractorDetector samples them
+     * @returns {Object} {generation, kineticEnergy, acuteCounts, positions, lengthScale, period}
+     */
+    getDynamics() {
+        const vertices = this.voronoiMesh.getVertexData();
+        const edges = this.voronoiMesh.getEdgeData();
+        
+        const positions = new Float64Array(vertices.length * 2);
+        let kineticEnergy = 0;
+        vertices.forEach((vertex, i) => {
+            positions[i * 2] = vertex.x;
+            positions[i * 2 + 1] = vertex.y;
+            const velocity = this.meshEvolver.vertexVelocities.get(vertex.id);
+            if (velocity) kineticEnergy += 0.5 * (velocity.x * velocity.x + velocity.y * velocity.y);
+        });
+        
+        let lengthSum = 0;
+        for (const edge of edges) lengthSum += edge.length;
+        
+        return {
+            generation: this.generation,
+            kineticEnergy,
+            acuteCounts: edges.map(edge => edge.acuteAngleCount || 0),
+            positions,
+            lengthScale: edges.length > 0 ? lengthSum / edges.length : 1,
+            period: this.voronoiMesh.getPeriod()
+        };
+    }
+    
+    /**
+     * Get summary statistics for the current mesh
+     * @returns {Object} Edge counts by behaviour
+     */
+    getStats() {
+        return {
+            totalVertices: this.voronoiMesh.getVertexData().length,
+            totalEdges: this.voronoiMesh.getEdgeData().length,
+            totalCells: this.voronoiMesh.getCellData().length,
+            acuteEdgeCount: this.lastAnalysis ? this.lastAnalysis.acuteEdgeCount : 0,
+            expandingEdgeCount: this.lastAnalysis ? this.lastAnalysis.expandingEdgeCount : 0,
+            shrinkingEdgeCount: this.lastAnalysis ? this.lastAnalysis.shrinkingEdgeCount : 0,
+            t1Count: this.meshEvolver.t1Count,
+            violationCount: this.lastValidation ? this.lastValidation.violationCount : 0
+        };
+    }
+    
+    /**
+     * Get a plain-data snapshot of the current generation
+     * @returns {Object} {generation, vertices, edges, cells, stats}
+     */
+    getState() {
+        return {
+            generation: this.generation,
+            seed: this.seed,
+            bounds: { ...this.voronoiMesh.bounds },
+            period: this.voronoiMesh.getPeriod(),
+            vertices: this.voronoiMesh.getVertexData().map(v => ({ x: v.x, y: v.y })),
+            edges: this.voronoiMesh.getEdgeData().map(e => ({
+                v1: e.v1,
+                v2: e.v2,
+                length: e.length,
+                originalLength: e.originalLength,
+                targetLength: e.targetLength,
+                acuteCount: e.acuteAngleCount,
+                expandValue: e.expandValue
+            })),
+            cells: this.voronoiMesh.getCellData().map(c => ({
+                seedIndex: c.seedIndex,
+                vertexIndices: [...c.vertexIndices],
+                area: this.voronoiMesh.getTopology().getCellArea(c),
+                targetArea: c.targetArea,
+                areaStiffness: c.areaStiffness,
+                perimeterContractility: c.perimeterContractility,
+                targetPerimeter: c.targetPerimeter
+            })),
+            stats: this.getStats()
+        };
+    }
+    
+    /**
+     * Measure the current generation for the metrics dashboard (see MeshMetrics)
+     * Edges that have not been evolved yet count as at rest.
+     * @returns {Object} Metrics sample
+     */
+    getMetrics() {
+        const edges = this.voronoiMesh.getEdgeData();
+        const topology = this.voronoiMesh.getTopology();
+        const velocities = [];
+        for (const vertex of this.voronoiMesh.getVertexData()) {
+            const velocity = this.meshEvolver.vertexVelocities.get(vertex.id) || { x: 0, y: 0 };
+            velocities.push(velocity.x, velocity.y);
+        }
+        
+        return MeshMetrics.measure({
+            generation: this.generation,
+            histogram: this.edgeAnalyzer.getDetailedStatistics(edges).acuteConnections,
+            lengths: edges.map(edge => edge.length),
+            restLengths: edges.map(edge => edge.targetLength ?? edge.length),
+            stiffness: this.meshEvolver.config.springConstant,
+            velocities,
+            areas: this.voronoiMesh.getCellData().map(cell => topology.getCellArea(cell))
+        });
+    }
+    
+    /**
+     * Cell side counts, Lewis and Aboav-Weaire fits, angle and edge-length distributions
+     * of the current generation (see TopologyStatistics)
+     * @param {Object} options - TopologyStatistics.DEFAULTS
+     * @returns {Object} {generation, ...statistics}
+     */
+    getTopologyStatistics(options = {}) {
+        const topology = this.voronoiMesh.getTopology();
+        return {
+            generation: this.generation,
+            ...TopologyStatistics.analyze({
+                cells: this.voronoiMesh.getCellData().map(cell => ({
+                    vertexIndices: cell.vertexIndices,
+                    polygon: topology.getCellPolygon(cell)
+                })),
+                edgeLengths: this.voronoiMesh.getEdgeData().map(edge => edge.length)
+            }, options)
+        };
+    }
+    
+    /**
+     * Vector geometry of the current generation, for the exporters (see VoronoiMesh.getDrawing)
+     */
+    getDrawing() {
+        return this.voronoiMesh.getDrawing();
+    }
+    
+    /**
+     * Get everything needed to resume this run exactly (the body of a Snapshot)
+     * Vertices carry their velocities; edges their rest lengths and analysis; cells their mechanics.
+     * @returns {Object} {config, generation, seed, t1Count, analysis, pinned, rim, validation, dynamics, ...VoronoiMesh.getSnapshot()}
+     */
+    getSnapshot() {
+        const mesh = this.voronoiMesh.getSnapshot();
+        mesh.vertices.forEach((vertex, id) => {
+            const velocity = this.meshEvolver.vertexVelocities.get(id) || { x: 0, y: 0 };
+            vertex.vx = velocity.x;
+            vertex.vy = velocity.y;
+        });
+        
+        return {
+            config: { ...this.config },
+            generation: this.generation,
+            seed: this.seed,
+            t1Count: this.meshEvolver.t1Count,
+            ...mesh,
+            analysis: this.lastAnalysis,
+            pinned: this.pins.list(),
+            rim: this.rim && { vertices: Array.from(this.rim.vertices), anchors: Array.from(this.rim.anchors) },
+            validation: {
+                ...this.validator.getState(),
+                report: this.lastValidation,
+                correctionForces: this.meshEvolver.externalForces && Array.from(this.meshEvolver.externalForces),
+                paused: this.paused && this.pauseReason === 'validation',
+                acceptedViolations: this.acceptedViolations
+            },
+            dynamics: {
+                ...this.detector.getState(),
+                paused: this.paused && this.pauseReason === 'attractor'
+            }
+        };
+    }
+    
+    /**
+     * Continue from a snapshot body (see getSnapshot and Snapshot.parse)
+     * Replaces the config and the mesh; the next step() is the one the saved run would have taken.
+     * @param {Object} snapshot - Parsed snapshot
+     */
+    loadSnapshot(snapshot) {
+        this.config = { ...Simulation.defaults, ...snapshot.config };
+        this.generation = snapshot.generation;
+        this.lastAnalysis = snapshot.analysis || null;
+        
+        this.configureMesh();
+        this.voronoiMesh.loadSnapshot({
+            ...snapshot,
+            vertices: snapshot.vertices.map(({ vx, vy, ...vertex }) => vertex)
+        });
+        this.seed = this.voronoiMesh.getSeed();
+        this.edgeAnalyzer.period = this.voronoiMesh.getPeriod();
+        
+        this.pins.clear();
+        (snapshot.pinned || []).forEach(index => this.pins.set(index, true));
+        this.rim = snapshot.rim
+            ? { vertices: Int32Array.from(snapshot.rim.vertices), anchors: Float64Array.from(snapshot.rim.anchors) }
+            : this.findRim();
+        this.getBoundaries();       // Refuse a bad saved config before stepping on
+        this.getRule();
+        this.getAngleResponse();
+        
+        this.meshEvolver.reset();
+        this.meshEvolver.t1Count = snapshot.t1Count || 0;
+        snapshot.vertices.forEach((vertex, id) => {
+            if (vertex.vx !== undefined) {
+                this.meshEvolver.vertexVelocities.set(id, { x: vertex.vx, y: vertex.vy });
+            }
+        });
+        
+        const validation = snapshot.validation || {};
+        if (validation.baselineDegrees) {
+            this.validator.setState(validation);
+        } else {
+            this.validator.reset(this.getValidationMesh());
+        }
+        this.lastValidation = validation.report || null;
+        this.meshEvolver.externalForces = validation.correctionForces ? Float64Array.from(validation.correctionForces) : null;
+        this.paused = Boolean(validation.paused);
+        this.pauseReason = this.paused ? 'validation' : null;
+        this.acceptedViolations = validation.acceptedViolations || 0;
+        
+        // Attractor detection carries on from the saved history (older snapshots start it over)
+        if (snapshot.dynamics) {
+            this.detector.setState(snapshot.dynamics);
+            this.lastDetection = this.detector.report;
+            if (snapshot.dynamics.paused) {
+                this.paused = true;
+                this.pauseReason = 'attractor';
+            }
+        } else {
+            this.detector.reset();
+            this.detectAttractor();
+        }
+    }
+}
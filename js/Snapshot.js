@@ -0,0 +1,87 @@
+/**
+ * Snapshot class defines the versioned JSON format that saves a run and resumes it
+ * A snapshot holds everything an engine needs to carry on bit for bit where it
+ * stopped: vertex positions and velocities, edges with their rest lengths and
+ * analysis, cells with their mechanics, the seeds, the full config, the generation,
+ * the random generator state, the validation baseline and the attractor detector's
+ * history and auto-pause. Engines fill in the body (getSnapshot / loadSnapshot); this
+ * class adds the header and checks and migrates it.
+ *
+ *   {format: 'acute-edge-snapshot', version, engine, savedAt, config, generation, seed, ...}
+ */
+export class Snapshot {
+    static FORMAT = 'acute-edge-snapshot';
+    static VERSION = 1;
+    
+    /**
+     * Upgrades of older files: MIGRATIONS[n] turns a version n snapshot into a version
+     * n + 1 one. Add an entry whenever VERSION goes up, so every old file still loads.
+     */
+    static MIGRATIONS = {};
+    
+    /**
+     * Keys every snapshot body has, whatever the engine
+     */
+    static REQUIRED = ['engine', 'config', 'generation', 'vertices', 'edges', 'cells'];
+    
+    /**
+     * Snapshot of a simulation's current generation
+     * @param {string} engine - Engine name, as for createSimulation ('canvas' or 'voronoi')
+     * @param {CanvasEngine|Simulation} simulation - Generated simulation
+     * @returns {Object} Plain-data snapshot (JSON-safe)
+     */
+    static create(engine, simulation) {
+        return {
+            format: Snapshot.FORMAT,
+            version: Snapshot.VERSION,
+            engine,
+            savedAt: new Date().toISOString(),
+            ...simulation.getSnapshot()
+        };
+    }
+    
+    /**
+     * Check a snapshot and bring it up to the current version
+     * @param {string|Object} input - JSON text or an already parsed object
+     * @returns {Object} Snapshot in the current format
+     * @throws {Error} If the input is not a snapshot, is from a newer version, or is incomplete
+     */
+    static parse(input) {
+        let snapshot = typeof input === 'string' ? JSON.parse(input) : input;
+        
+        if (!snapshot || snapshot.format !== Snapshot.FORMAT) {
+            throw new Error(`Not a simulation snapshot (expected "format": "${Snapshot.FORMAT}")`);
+        }
+        if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+            throw new Error(`Invalid snapshot version ${JSON.stringify(snapshot.version)}`);
+        }
+        if (snapshot.version > Snapshot.VERSION) {
+            throw new Error(`Snapshot version ${snapshot.version} is newer than this program supports (${Snapshot.VERSION})`);
+        }
+        
+        for (let version = snapshot.version; version < Snapshot.VERSION; version++) {
+            snapshot = { ...Snapshot.MIGRATIONS[version](snapshot), version: version + 1 };
+        }
+        
+        const missing = Snapshot.REQUIRED.filter(key => snapshot[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Snapshot is missing ${missing.join(', ')}`);
+        }
+        
+        return snapshot;
+    }
+    
+    /**
+     * @returns {string} JSON text of a snapshot
+     */
+    static stringify(snapshot) {
+        return JSON.stringify(snapshot);
+    }
+    
+    /**
+     * Default file name, e.g. "voronoi-seed1234-gen500.json"
+     */
+    static fileName(snapshot) {
+        return `${snapshot.engine}-seed${snapshot.seed}-gen${snapshot.generation}.json`;
+    }
+}
@@ -0,0 +1,55 @@
+import { Snapshot } from './Snapshot.js';
+import { FileDownload } from './FileDownload.js';
+
+/**
+ * SnapshotFile class moves snapshots between the browser and the user's files
+ * Saving downloads a .json file; loading takes one from a file picker or from files
+ * dropped onto the page. Parsing and checking happen in Snapshot.parse (in the worker).
+ */
+export class SnapshotFile {
+    /**
+     * Offer a snapshot as a JSON download
+     * @param {Object} snapshot - Snapshot from EngineWorkerClient.save()
+     */
+    static download(snapshot) {
+        FileDownload.save(Snapshot.stringify(snapshot), Snapshot.fileName(snapshot), 'application/json');
+    }
+    
+    /**
+     * Ask the user for a snapshot file
+     * @param {Function} onFile - Called with the chosen File
+     */
+    static choose(onFile) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) onFile(input.files[0]);
+        });
+        input.click();
+    }
+    
+    /**
+     * Accept snapshot files dropped onto an element (outlined while a file is dragged over it)
+     * @param {HTMLElement} element - Drop target
+     * @param {Function} onFile - Called with the first dropped File
+     */
+    static acceptDrops(element, onFile) {
+        const setHighlight = (on) => {
+            element.style.outline = on ? '3px dashed #4CAF50' : '';
+        };
+        
+        element.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            setHighlight(true);
+        });
+        element.addEventListener('dragleave', () => setHighlight(false));
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            setHighlight(false);
+            if (e.dataTransfer.files.length > 0) onFile(e.dataTransfer.files[0]);
+        });
+    }
+}
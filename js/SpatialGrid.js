@@ -0,0 +1,232 @@
+/**
+ * SpatialGrid class is a uniform bucket grid for finding nearby points and segments
+ * Items are inserted into every bucket their bounding box touches; queries return
+ * the ids stored in the buckets a box touches (candidates, not exact hits).
+ * With a period ({width, height}) bucket coordinates wrap, so items near opposite
+ * edges of a torus share buckets.
+ *
+ * Inserts only record boxes; the buckets are built once, on the first query, as a
+ * dense offset + list table (no per-bucket objects). If the items spread over far
+ * more buckets than there are items, buckets are made coarser - results stay
+ * correct candidates, there are just more of them.
+ */
+export class SpatialGrid {
+    /**
+     * @param {number} cellSize - Bucket size (roughly the typical item size)
+     * @param {Object|null} period - {width, height} for toroidal wrapping, or null
+     */
+    constructor(cellSize, period = null) {
+        this.period = period;
+        this.cellSize = cellSize;
+        
+        this.ids = [];      // Item ids in insertion order
+        this.boxes = [];    // [minX, minY, maxX, maxY] per item
+        this.built = false;
+    }
+    
+    /**
+     * Insert an item covering a box
+     * @param {number} id - Item id
+     */
+    insert(id, minX, minY, maxX, maxY) {
+        this.ids.push(id);
+        this.boxes.push(minX, minY, maxX, maxY);
+        this.built = false;
+    }
+    
+    /**
+     * Insert a segment (endpoints may lie outside the period; they are wrapped per bucket)
+     */
+    insertSegment(id, x1, y1, x2, y2) {
+        this.insert(id, Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2));
+    }
+    
+    /**
+     * Insert a point
+     */
+    insertPoint(id, x, y) {
+        this.insert(id, x, y, x, y);
+    }
+    
+    /**
+     * Choose the bucket layout and fill the bucket table
+     */
+    build() {
+        const count = this.ids.length;
+        const boxes = this.boxes;
+        const maxBuckets = Math.max(1024, count * 4);
+        
+        if (this.period) {
+            // Whole number of buckets across the torus
+            let size = this.cellSize;
+            do {
+                this.columns = Math.max(1, Math.floor(this.period.width / size));
+                this.rows = Math.max(1, Math.floor(this.period.height / size));
+                size *= 2;
+            } while (this.columns * this.rows > maxBuckets);
+            this.cellWidth = this.period.width / this.columns;
+            this.cellHeight = this.period.height / this.rows;
+            this.originI = 0;
+            this.originJ = 0;
+        } else {
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (let k = 0; k < count * 4; k += 4) {
+                minX = Math.min(minX, boxes[k]);
+                minY = Math.min(minY, boxes[k + 1]);
+                maxX = Math.max(maxX, boxes[k + 2]);
+                maxY = Math.max(maxY, boxes[k + 3]);
+            }
+            if (count === 0) minX = minY = maxX = maxY = 0;
+            
+            let size = this.cellSize;
+            do {
+                this.cellWidth = this.cellHeight = size;
+                this.originI = Math.floor(minX / size);
+                this.originJ = Math.floor(minY / size);
+                this.columns = Math.floor(maxX / size) - this.originI + 1;
+                this.rows = Math.floor(maxY / size) - this.originJ + 1;
+                size *= 2;
+            } while (this.columns * this.rows > maxBuckets);
+        }
+        
+        // First bucket (relative to the origin) and bucket span of every item
+        this.startI = new Int32Array(count);
+        this.startJ = new Int32Array(count);
+        this.spanI = new Int32Array(count);
+        this.spanJ = new Int32Array(count);
+        const bucketCounts = new Int32Array(this.columns * this.rows + 1);
+        
+        for (let item = 0; item < count; item++) {
+            const [i0, j0, i1, j1] = this.bucketRange(boxes[item * 4], boxes[item * 4 + 1], boxes[item * 4 + 2], boxes[item * 4 + 3]);
+            this.startI[item] = i0;
+            this.startJ[item] = j0;
+            this.spanI[item] = i1 - i0 + 1;
+            this.spanJ[item] = j1 - j0 + 1;
+            this.forEachBucketIndex(i0, j0, i1, j1, bucket => bucketCounts[bucket + 1]++);
+        }
+        
+        // Bucket b holds items bucketItems[bucketOffsets[b]..bucketOffsets[b + 1])
+        for (let b = 0; b < this.columns * this.rows; b++) {
+            bucketCounts[b + 1] += bucketCounts[b];
+        }
+        this.bucketOffsets = bucketCounts;
+        this.bucketItems = new Int32Array(bucketCounts[this.columns * this.rows]);
+        
+        const cursor = bucketCounts.slice(0, this.columns * this.rows);
+        for (let item = 0; item < count; item++) {
+            const i0 = this.startI[item];
+            const j0 = this.startJ[item];
+            this.forEachBucketIndex(i0, j0, i0 + this.spanI[item] - 1, j0 + this.spanJ[item] - 1, bucket => {
+                this.bucketItems[cursor[bucket]++] = item;
+            });
+        }
+        
+        this.built = true;
+    }
+    
+    /**
+     * Bucket range [i0..i1] x [j0..j1] covered by a box, relative to the origin
+     * (at most one lap of buckets on a torus, unwrapped)
+     */
+    bucketRange(minX, minY, maxX, maxY) {
+        const i0 = Math.floor(minX / this.cellWidth) - this.originI;
+        const j0 = Math.floor(minY / this.cellHeight) - this.originJ;
+        let i1 = Math.floor(maxX / this.cellWidth) - this.originI;
+        let j1 = Math.floor(maxY / this.cellHeight) - this.originJ;
+        if (this.period) {
+            i1 = Math.min(i1, i0 + this.columns - 1);
+            j1 = Math.min(j1, j0 + this.rows - 1);
+        }
+        return [i0, j0, i1, j1];
+    }
+    
+    /**
+     * Call fn(bucketIndex) for every bucket in a range (wrapped on a torus,
+     * clipped to the grid otherwise)
+     */
+    forEachBucketIndex(i0, j0, i1, j1, fn) {
+        const { columns, rows } = this;
+        
+        for (let i = i0; i <= i1; i++) {
+            let wi = i;
+            if (this.period) wi = ((i % columns) + columns) % columns;
+            else if (i < 0 || i >= columns) continue;
+            
+            for (let j = j0; j <= j1; j++) {
+                let wj = j;
+                if (this.period) wj = ((j % rows) + rows) % rows;
+                else if (j < 0 || j >= rows) continue;
+                
+                fn(wi * rows + wj);
+            }
+        }
+    }
+    
+    /**
+     * Ids of all items whose buckets overlap a box (each id once)
+     * @returns {Array} Candidate ids
+     */
+    query(minX, minY, maxX, maxY) {
+        if (!this.built) this.build();
+        
+        const found = new Set();
+        const [i0, j0, i1, j1] = this.bucketRange(minX, minY, maxX, maxY);
+        this.forEachBucketIndex(i0, j0, i1, j1, bucket => {
+            for (let k = this.bucketOffsets[bucket]; k < this.bucketOffsets[bucket + 1]; k++) {
+                found.add(this.ids[this.bucketItems[k]]);
+            }
+        });
+        return [...found];
+    }
+    
+    /**
+     * Offset of a wrapped bucket coordinate from an item's first bucket along one axis
+     */
+    offset(coordinate, start, size) {
+        return this.period ? (((coordinate - start) % size) + size) % size : coordinate - start;
+    }
+    
+    /**
+     * Call fn(a, b) once for every pair of ids sharing at least one bucket (a < b)
+     * A pair is reported in the first bucket of the overlap of its two bucket ranges,
+     * i.e. where each axis starts at the first bucket of a or b, so no pair set is needed.
+     * On a torus two ranges can overlap in two separate pieces; those rare pairs
+     * (spans adding up to more than a lap) are deduplicated with a set instead.
+     */
+    forEachCandidatePair(fn) {
+        if (!this.built) this.build();
+        
+        const { ids, startI, startJ, spanI, spanJ, columns, rows, bucketOffsets, bucketItems } = this;
+        const seen = new Set();
+        
+        for (let bucket = 0; bucket < columns * rows; bucket++) {
+            const i = Math.floor(bucket / rows);
+            const j = bucket - i * rows;
+            const end = bucketOffsets[bucket + 1];
+            
+            for (let p = bucketOffsets[bucket]; p < end; p++) {
+                const itemA = bucketItems[p];
+                const firstColumnA = this.offset(i, startI[itemA], columns) === 0;
+                const firstRowA = this.offset(j, startJ[itemA], rows) === 0;
+                
+                for (let q = p + 1; q < end; q++) {
+                    const itemB = bucketItems[q];
+                    const a = Math.min(ids[itemA], ids[itemB]);
+                    const b = Math.max(ids[itemA], ids[itemB]);
+                    if (a === b) continue;
+                    
+                    if (this.period && (spanI[itemA] + spanI[itemB] > columns || spanJ[itemA] + spanJ[itemB] > rows)) {
+                        const pairKey = a * 0x100000 + b;
+                        if (seen.has(pairKey)) continue;
+                        seen.add(pairKey);
+                    } else if (!(firstColumnA || this.offset(i, startI[itemB], columns) === 0) ||
+                               !(firstRowA || this.offset(j, startJ[itemB], rows) === 0)) {
+                        continue;
+                    }
+                    
+                    fn(a, b);
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,373 @@
+/**
+ * SpringSystem class holds the mass-spring network that both engines integrate
+ * Every edge is a Hookean spring toward its target length plus a dashpot acting on
+ * the relative velocity of its endpoints along the edge; an optional linear drag
+ * acts on every vertex. Cells can add vertex-model terms, each with its own
+ * parameters: area elasticity K·(A − A0)² and perimeter contractility Γ·(P − P0)².
+ * One call to advance() covers a fixed span of simulated time in equal substeps,
+ * so results do not depend on how often it is called.
+ */
+export class SpringSystem {
+    constructor() {
+        this.count = 0;                      // Number of vertices
+        this.x = new Float64Array(0);        // Positions [x0, y0, x1, y1, ...]
+        this.v = new Float64Array(0);        // Velocities, same layout
+        this.mass = new Float64Array(0);     // Per-vertex mass
+        
+        this.edgeVertices = new Int32Array(0);   // [i0, j0, i1, j1, ...]
+        this.restLengths = new Float64Array(0);
+        
+        // Cell loops with vertex-model parameters (only cells with a non-zero term)
+        this.cellOffsets = new Int32Array(1);    // Cell c uses cellVertices[cellOffsets[c]..cellOffsets[c + 1])
+        this.cellVertices = new Int32Array(0);
+        this.targetAreas = new Float64Array(0);
+        this.areaStiffness = new Float64Array(0);
+        this.contractility = new Float64Array(0);
+        this.targetPerimeters = new Float64Array(0);
+        this.cellPoints = new Float64Array(0);   // Unwrapped corners of the cell being evaluated
+        
+        this.stiffness = 0.5;    // Spring constant k
+        this.edgeDamping = 0;    // Dashpot coefficient c (force per unit relative speed)
+        this.drag = 0;           // Linear drag γ on every vertex (per unit time)
+        this.period = null;      // {width, height} for minimum-image displacements, or null
+        this.externalForces = null;  // Constant extra forces [fx0, fy0, ...] (e.g. validation corrections), or null
+        this.fixed = null;       // 1 per vertex held in place (pinned or dragged), or null
+        this.anchors = null;     // {vertices, positions, stiffness}: springs to fixed points (elastic rim), or null
+        
+        this.maxSubsteps = 1000; // Hard cap so a pathological setting cannot freeze the page
+    }
+    
+    /**
+     * Resize the vertex arrays (contents are reset)
+     * @param {number} count - Number of vertices
+     */
+    setVertexCount(count) {
+        if (count !== this.count) {
+            this.count = count;
+            this.x = new Float64Array(count * 2);
+            this.v = new Float64Array(count * 2);
+            this.mass = new Float64Array(count);
+        }
+        this.mass.fill(1);
+    }
+    
+    /**
+     * Copy the spring list from edge objects
+     * @param {Array} edges - Edges with v1, v2 (vertex indices) and targetLength
+     */
+    setEdges(edges) {
+        if (this.restLengths.length !== edges.length) {
+            this.edgeVertices = new Int32Array(edges.length * 2);
+            this.restLengths = new Float64Array(edges.length);
+        }
+        
+        edges.forEach((edge, e) => {
+            this.edgeVertices[e * 2] = edge.v1;
+            this.edgeVertices[e * 2 + 1] = edge.v2;
+            this.restLengths[e] = edge.targetLength;
+        });
+    }
+    
+    /**
+     * Copy the spring list from flat arrays (no per-edge objects)
+     * @param {Int32Array} edgeVertices - [i0, j0, i1, j1, ...]
+     * @param {Float64Array} restLengths - Rest length per edge
+     */
+    setEdgeArrays(edgeVertices, restLengths) {
+        if (this.restLengths.length !== restLengths.length) {
+            this.edgeVertices = new Int32Array(restLengths.length * 2);
+            this.restLengths = new Float64Array(restLengths.length);
+        }
+        
+        this.edgeVertices.set(edgeVertices);
+        this.restLengths.set(restLengths);
+    }
+    
+    /**
+     * Copy cell loops and their vertex-model parameters
+     * @param {Array} cells - Cells with vertexIndices (counter-clockwise), targetArea,
+     *                        areaStiffness, perimeterContractility and targetPerimeter
+     */
+    setCells(cells) {
+        const active = cells.filter(cell => cell.areaStiffness > 0 || cell.perimeterContractility > 0);
+        const total = active.reduce((sum, cell) => sum + cell.vertexIndices.length, 0);
+        
+        this.cellOffsets = new Int32Array(active.length + 1);
+        this.cellVertices = new Int32Array(total);
+        this.targetAreas = new Float64Array(active.length);
+        this.areaStiffness = new Float64Array(active.length);
+        this.contractility = new Float64Array(active.length);
+        this.targetPerimeters = new Float64Array(active.length);
+        
+        let offset = 0;
+        let largest = 0;
+        active.forEach((cell, c) => {
+            this.cellOffsets[c] = offset;
+            this.cellVertices.set(cell.vertexIndices, offset);
+            offset += cell.vertexIndices.length;
+            largest = Math.max(largest, cell.vertexIndices.length);
+            
+            this.targetAreas[c] = cell.targetArea;
+            this.areaStiffness[c] = cell.areaStiffness || 0;
+            this.contractility[c] = cell.perimeterContractility || 0;
+            this.targetPerimeters[c] = cell.targetPerimeter || 0;
+        });
+        this.cellOffsets[active.length] = offset;
+        
+        if (this.cellPoints.length < largest * 2) {
+            this.cellPoints = new Float64Array(largest * 2);
+        }
+    }
+    
+    /**
+     * Write spring, dashpot and drag accelerations into out
+     * @param {Float64Array} x - Positions
+     * @param {Float64Array} v - Velocities
+     * @param {Float64Array} out - Accelerations (overwritten)
+     */
+    accelerate(x, v, out) {
+        out.fill(0);
+        
+        const { edgeVertices, restLengths, stiffness, edgeDamping, period } = this;
+        
+        for (let e = 0; e < restLengths.length; e++) {
+            const i = edgeVertices[e * 2] * 2;
+            const j = edgeVertices[e * 2 + 1] * 2;
+            
+            let dx = x[j] - x[i];
+            let dy = x[j + 1] - x[i + 1];
+            if (period) {
+                dx -= period.width * Math.round(dx / period.width);
+                dy -= period.height * Math.round(dy / period.height);
+            }
+            
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length === 0) continue;
+            
+            const ux = dx / length;
+            const uy = dy / length;
+            
+            // Spring pulls the endpoints together when stretched; dashpot resists
+            // the endpoints separating or approaching along the edge
+            const relativeSpeed = (v[j] - v[i]) * ux + (v[j + 1] - v[i + 1]) * uy;
+            const force = stiffness * (length - restLengths[e]) + edgeDamping * relativeSpeed;
+            
+            out[i] += force * ux;
+            out[i + 1] += force * uy;
+            out[j] -= force * ux;
+            out[j + 1] -= force * uy;
+        }
+        
+        this.addCellForces(x, out);
+        
+        const external = this.externalForces;
+        if (external && external.length === out.length) {
+            for (let i = 0; i < out.length; i++) out[i] += external[i];
+        }
+        
+        const anchors = this.anchors;
+        if (anchors) {
+            for (let a = 0; a < anchors.vertices.length; a++) {
+                const i = anchors.vertices[a] * 2;
+                out[i] -= anchors.stiffness * (x[i] - anchors.positions[a * 2]);
+                out[i + 1] -= anchors.stiffness * (x[i + 1] - anchors.positions[a * 2 + 1]);
+            }
+        }
+        
+        const fixed = this.fixed;
+        for (let k = 0; k < this.count; k++) {
+            if (fixed && fixed[k]) {
+                out[k * 2] = 0;
+                out[k * 2 + 1] = 0;
+                continue;
+            }
+            const m = this.mass[k];
+            out[k * 2] = out[k * 2] / m - this.drag * v[k * 2];
+            out[k * 2 + 1] = out[k * 2 + 1] / m - this.drag * v[k * 2 + 1];
+        }
+    }
+    
+    /**
+     * Add vertex-model forces -∂E/∂x for E = K·(A − A0)² + Γ·(P − P0)² of every cell
+     * @param {Float64Array} x - Positions
+     * @param {Float64Array} out - Forces to add to
+     */
+    addCellForces(x, out) {
+        const { cellOffsets, cellVertices, period } = this;
+        const points = this.cellPoints;
+        
+        for (let c = 0; c < this.targetAreas.length; c++) {
+            const start = cellOffsets[c];
+            const n = cellOffsets[c + 1] - start;
+            
+            // Unwrap the loop around its first corner so cells across a periodic seam stay whole
+            points[0] = x[cellVertices[start] * 2];
+            points[1] = x[cellVertices[start] * 2 + 1];
+            for (let k = 1; k < n; k++) {
+                const i = cellVertices[start + k] * 2;
+                let dx = x[i] - points[k * 2 - 2];
+                let dy = x[i + 1] - points[k * 2 - 1];
+                if (period) {
+                    dx -= period.width * Math.round(dx / period.width);
+                    dy -= period.height * Math.round(dy / period.height);
+                }
+                points[k * 2] = points[k * 2 - 2] + dx;
+                points[k * 2 + 1] = points[k * 2 - 1] + dy;
+            }
+            
+            let area = 0;
+            let perimeter = 0;
+            for (let k = 0; k < n; k++) {
+                const next = ((k + 1) % n) * 2;
+                area += points[k * 2] * points[next + 1] - points[next] * points[k * 2 + 1];
+                perimeter += Math.hypot(points[next] - points[k * 2], points[next + 1] - points[k * 2 + 1]);
+            }
+            area /= 2;
+            
+            const areaPressure = 2 * this.areaStiffness[c] * (area - this.targetAreas[c]);
+            const tension = 2 * this.contractility[c] * (perimeter - this.targetPerimeters[c]);
+            
+            for (let k = 0; k < n; k++) {
+                const prev = ((k + n - 1) % n) * 2;
+                const next = ((k + 1) % n) * 2;
+                const px = points[k * 2];
+                const py = points[k * 2 + 1];
+                
+                // ∂A/∂x_k = ½(y_next − y_prev), ∂A/∂y_k = ½(x_prev − x_next)
+                let fx = -areaPressure * 0.5 * (points[next + 1] - points[prev + 1]);
+                let fy = -areaPressure * 0.5 * (points[prev] - points[next]);
+                
+                // ∂P/∂x_k = unit vectors from both neighbours toward this corner
+                if (tension !== 0) {
+                    const lengthPrev = Math.hypot(px - points[prev], py - points[prev + 1]);
+                    const lengthNext = Math.hypot(px - points[next], py - points[next + 1]);
+                    if (lengthPrev > 0) {
+                        fx -= tension * (px - points[prev]) / lengthPrev;
+                        fy -= tension * (py - points[prev + 1]) / lengthPrev;
+                    }
+                    if (lengthNext > 0) {
+                        fx -= tension * (px - points[next]) / lengthNext;
+                        fy -= tension * (py - points[next + 1]) / lengthNext;
+                    }
+                }
+                
+                const i = cellVertices[start + k] * 2;
+                out[i] += fx;
+                out[i + 1] += fy;
+            }
+        }
+    }
+    
+    /**
+     * Number of substeps needed to keep explicit integration stable
+     * Bounds the stiffest mode from the highest vertex degree and lowest mass
+     * (Gershgorin), then keeps dt·(ω + ζ) below 1.
+     * @param {number} timeStep - Simulated time to cover
+     * @param {number} substeps - Requested substeps
+     * @returns {number} At least `substeps`, more when the springs are too stiff
+     */
+    stableSubsteps(timeStep, substeps) {
+        if (this.count === 0) return substeps;
+        
+        const degree = new Uint16Array(this.count);
+        let maxDegree = 0;
+        for (const index of this.edgeVertices) {
+            maxDegree = Math.max(maxDegree, ++degree[index]);
+        }
+        
+        let minMass = Infinity;
+        for (const m of this.mass) minMass = Math.min(minMass, m);
+        
+        // Each vertex sits in up to maxDegree cells; bound their stiffness from the
+        // longest edge (area term) and the shortest edge (perimeter curvature)
+        const cellStiffness = maxDegree * this.maxCellStiffness();
+        
+        const anchorStiffness = this.anchors ? this.anchors.stiffness : 0;
+        
+        const omega = Math.sqrt((2 * maxDegree * this.stiffness + cellStiffness + anchorStiffness) / minMass);
+        const zeta = 2 * maxDegree * this.edgeDamping / minMass + this.drag;
+        const rate = omega + zeta;
+        
+        if (!(rate > 0)) return substeps;
+        
+        return Math.min(this.maxSubsteps, Math.max(substeps, Math.ceil(timeStep * rate)));
+    }
+    
+    /**
+     * Largest per-vertex stiffness any single cell term can contribute
+     * @returns {number} Upper bound on ∂²E/∂x² for one cell
+     */
+    maxCellStiffness() {
+        const { cellOffsets, cellVertices, period, x } = this;
+        let maxStiffness = 0;
+        
+        for (let c = 0; c < this.targetAreas.length; c++) {
+            let longest = 0;
+            let shortest = Infinity;
+            let perimeter = 0;
+            
+            for (let k = cellOffsets[c]; k < cellOffsets[c + 1]; k++) {
+                const i = cellVertices[k] * 2;
+                const j = cellVertices[k + 1 < cellOffsets[c + 1] ? k + 1 : cellOffsets[c]] * 2;
+                let dx = x[j] - x[i];
+                let dy = x[j + 1] - x[i + 1];
+                if (period) {
+                    dx -= period.width * Math.round(dx / period.width);
+                    dy -= period.height * Math.round(dy / period.height);
+                }
+                const length = Math.sqrt(dx * dx + dy * dy);
+                longest = Math.max(longest, length);
+                shortest = Math.min(shortest, length);
+                perimeter += length;
+            }
+            
+            const areaTerm = 2 * this.areaStiffness[c] * longest * longest;
+            const perimeterTerm = 2 * this.contractility[c] *
+                (4 + 2 * Math.abs(perimeter - this.targetPerimeters[c]) / Math.max(shortest, 0.01 * longest, 1e-9));
+            maxStiffness = Math.max(maxStiffness, areaTerm + perimeterTerm);
+        }
+        
+        return maxStiffness;
+    }
+    
+    /**
+     * Integrate over timeStep of simulated time
+     * Fixed vertices start at rest and get no acceleration, so they stay where they are.
+     * @param {Integrator} integrator - Integration method
+     * @param {number} timeStep - Simulated time per call
+     * @param {number} substeps - Requested number of equal substeps (raised if unstable)
+     * @param {Function} constrain - Optional (x, v) => void run after every substep (boundaries)
+     * @returns {number} Substeps actually taken
+     */
+    advance(integrator, timeStep, substeps = 1, constrain = null) {
+        const steps = this.stableSubsteps(timeStep, Math.max(1, Math.floor(substeps)));
+        const dt = timeStep / steps;
+        const accelerate = (x, v, out) => this.accelerate(x, v, out);
+        
+        if (this.fixed) {
+            for (let k = 0; k < this.count; k++) {
+                if (!this.fixed[k]) continue;
+                this.v[k * 2] = 0;
+                this.v[k * 2 + 1] = 0;
+            }
+        }
+        
+        for (let s = 0; s < steps; s++) {
+            integrator.step(this.x, this.v, dt, accelerate);
+            if (constrain) constrain(this.x, this.v);
+        }
+        
+        return steps;
+    }
+    
+    /**
+     * Convert a "fraction of velocity kept per time step" setting into a drag rate
+     * so the old per-frame damping sliders keep their meaning at any substep count
+     * @param {number} retention - Fraction of velocity kept per time step (0-1]
+     * @param {number} timeStep - Time step the fraction refers to
+     * @returns {number} Drag rate γ
+     */
+    static dragFromRetention(retention, timeStep) {
+        return -Math.log(Math.max(1e-6, Math.min(1, retention))) / timeStep;
+    }
+}
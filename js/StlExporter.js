@@ -0,0 +1,58 @@
+import { WallExtruder } from './WallExtruder.js';
+
+/**
+ * StlExporter class writes the extruded edge network (see WallExtruder) as a binary STL
+ * Each wall quad becomes two triangles with their facet normal.
+ */
+export class StlExporter {
+    static EXTENSION = 'stl';
+    static MIME_TYPE = 'model/stl';
+    
+    /**
+     * @param {Object} drawing - From CanvasEngine/Simulation getDrawing()
+     * @param {Object} options - See WallExtruder.DEFAULTS
+     * @returns {ArrayBuffer} Binary STL
+     */
+    static render(drawing, options = {}) {
+        const { positions, parts } = WallExtruder.build(drawing, options);
+        const triangles = [];
+        for (const { quads } of parts) {
+            for (const [a, b, c, d] of quads) {
+                triangles.push([a, b, c], [a, c, d]);
+            }
+        }
+        
+        // 80-byte header, triangle count, then 50 bytes per triangle
+        const buffer = new ArrayBuffer(84 + triangles.length * 50);
+        const view = new DataView(buffer);
+        const header = 'Acute edge mesh, extruded walls';
+        for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+        view.setUint32(80, triangles.length, true);
+        
+        let offset = 84;
+        const write = value => {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        };
+        for (const corners of triangles) {
+            const [p, q, r] = corners.map(index => positions.slice(index * 3, index * 3 + 3));
+            const ux = q[0] - p[0], uy = q[1] - p[1], uz = q[2] - p[2];
+            const vx = r[0] - p[0], vy = r[1] - p[1], vz = r[2] - p[2];
+            const nx = uy * vz - uz * vy;
+            const ny = uz * vx - ux * vz;
+            const nz = ux * vy - uy * vx;
+            const length = Math.hypot(nx, ny, nz) || 1;
+            
+            write(nx / length);
+            write(ny / length);
+            write(nz / length);
+            for (const point of [p, q, r]) {
+                point.forEach(write);
+            }
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        }
+        
+        return buffer;
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * SvgExporter class writes a mesh drawing (an engine's getDrawing()) as SVG vector art
+ * Layers, bottom to top: cell fills, Delaunay overlay, edges (one path per acute-count
+ * colour, or one monochrome path), vertices. Each layer is a <g> with an id, so it can be
+ * picked out in a vector editor.
+ *
+ * Paper pages (A4, letter, ...) are sized in millimetres, with the mesh scaled to fit
+ * inside the margins; the file converts to PDF at print size with any SVG tool. The 'fit'
+ * page is in pixels, fitSize px along the mesh's longer side. Line widths, radii and the
+ * margin are in page units (mm on paper, px for 'fit'); line width and vertex radius
+ * default to a size that suits the unit (UNIT_DEFAULTS).
+ */
+export class SvgExporter {
+    static EXTENSION = 'svg';
+    static MIME_TYPE = 'image/svg+xml';
+    
+    /**
+     * Paper sizes in millimetres, portrait
+     */
+    static PAGE_SIZES = {
+        A5: [148, 210],
+        A4: [210, 297],
+        A3: [297, 420],
+        A2: [420, 594],
+        letter: [215.9, 279.4],
+        legal: [215.9, 355.6],
+        tabloid: [279.4, 431.8]
+    };
+    
+    /**
+     * Edge colours by acute count (0, 1, 2, 3+), as drawn in index.html
+     */
+    static ACUTE_COLORS = ['#0066ff', '#00ff00', '#ffaa00', '#ff0000'];
+    
+    /**
+     * Line width and vertex radius by page unit, for options left null
+     */
+    static UNIT_DEFAULTS = {
+        px: { lineWidth: 2, vertexRadius: 2 },
+        mm: { lineWidth: 0.25, vertexRadius: 0.4 }
+    };
+    
+    static DEFAULTS = {
+        page: 'fit',                // 'fit', a PAGE_SIZES name, or {width, height} in mm
+        orientation: 'auto',        // Paper: 'portrait', 'landscape' or 'auto' (follows the mesh)
+        fitSize: 800,               // 'fit' page: px along the mesh's longer side
+        margin: 0,                  // Blank border around the mesh
+        lineWidth: null,            // Edge stroke width (null: UNIT_DEFAULTS for the page)
+        colorByAcute: true,         // Colour edges by acute count; false draws them all in `stroke`
+        acuteColors: SvgExporter.ACUTE_COLORS,  // By acute count (exportMesh passes the engine's palette)
+        stroke: '#000000',          // Monochrome edge colour
+        fill: null,                 // Cell fill colour, or null for no fills
+        background: null,           // Page background colour, or null for transparent
+        vertices: false,            // Draw the mesh vertices as dots
+        vertexRadius: null,         // Null: UNIT_DEFAULTS for the page
+        vertexColor: '#000000',
+        delaunay: false,            // Draw the seed triangles (dashed) and seeds underneath
+        delaunayColor: '#cccccc',
+        seedColor: '#ff6666',
+        precision: 3                // Decimals of the written coordinates
+    };
+    
+    /**
+     * @param {Object} drawing - From CanvasEngine/Simulation getDrawing()
+     * @param {Object} options - See DEFAULTS
+     * @returns {string} SVG document
+     * @throws {Error} If the page is unknown
+     */
+    static render(drawing, options = {}) {
+        const settings = { ...SvgExporter.DEFAULTS, ...options };
+        const page = SvgExporter.resolvePage(drawing.bounds, settings);
+        for (const [key, value] of Object.entries(SvgExporter.UNIT_DEFAULTS[page.unit || 'px'])) {
+            settings[key] = settings[key] ?? value;
+        }
+        const map = SvgExporter.createTransform(drawing, page, settings);
+        const number = value => +value.toFixed(settings.precision);
+        const point = ([x, y]) => map(x, y).map(number).join(' ');
+        const attr = SvgExporter.escape;
+        
+        const polygonPath = polygon => `M${polygon.map(point).join(' L')} Z`;
+        const segmentPath = ([x1, y1, x2, y2]) => `M${point([x1, y1])} L${point([x2, y2])}`;
+        const lineWidth = number(settings.lineWidth);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${page.width}${page.unit}" height="${page.height}${page.unit}" viewBox="0 0 ${page.width} ${page.height}">`
+        ];
+        
+        if (settings.background) {
+            lines.push(`<rect id="background" width="${page.width}" height="${page.height}" fill="${attr(settings.background)}"/>`);
+        }
+        
+        if (settings.fill) {
+            lines.push(`<g id="cells" fill="${attr(settings.fill)}" stroke="none">`);
+            for (const { pieces } of drawing.cells) {
+                if (pieces.length > 0) lines.push(`<path d="${pieces.map(polygonPath).join(' ')}"/>`);
+            }
+            lines.push('</g>');
+        }
+        
+        if (settings.delaunay) {
+            const width = number(settings.lineWidth / 2);
+            lines.push(`<g id="delaunay" fill="none" stroke="${attr(settings.delaunayColor)}" stroke-width="${width}" stroke-dasharray="${width * 2} ${width * 2}">`);
+            if (drawing.triangles.length > 0) {
+                lines.push(`<path d="${drawing.triangles.map(polygonPath).join(' ')}"/>`);
+            }
+            lines.push('</g>');
+            
+            const radius = number(settings.vertexRadius * 1.5);
+            lines.push(`<g id="seeds" fill="${attr(settings.seedColor)}" stroke="none">`);
+            for (const seed of drawing.seeds) {
+                const [cx, cy] = map(...seed).map(number);
+                lines.push(`<circle cx="${cx}" cy="${cy}" r="${radius}"/>`);
+            }
+            lines.push('</g>');
+        }
+        
+        // One path per colour, like the canvas renderer
+        const groups = settings.colorByAcute
+            ? settings.acuteColors.map((color, index) => ({ id: `edges-acute-${index}`, color, edges: [] }))
+            : [{ id: 'edges-all', color: settings.stroke, edges: [] }];
+        for (const edge of drawing.edges) {
+            const index = settings.colorByAcute ? Math.min(edge.acuteCount, groups.length - 1) : 0;
+            groups[index].edges.push(...edge.segments);
+        }
+        
+        lines.push(`<g id="edges" fill="none" stroke-width="${lineWidth}" stroke-linecap="round">`);
+        for (const { id, color, edges } of groups) {
+            if (edges.length > 0) {
+                lines.push(`<path id="${id}" stroke="${attr(color)}" d="${edges.map(segmentPath).join(' ')}"/>`);
+            }
+        }
+        lines.push('</g>');
+        
+        if (settings.vertices) {
+            const radius = number(settings.vertexRadius);
+            lines.push(`<g id="vertices" fill="${attr(settings.vertexColor)}" stroke="none">`);
+            for (const vertex of drawing.vertices) {
+                const [cx, cy] = map(...vertex).map(number);
+                lines.push(`<circle cx="${cx}" cy="${cy}" r="${radius}"/>`);
+            }
+            lines.push('</g>');
+        }
+        
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Page size and unit for the options
+     * @returns {Object} {width, height, unit: 'mm' or ''}
+     */
+    static resolvePage(bounds, settings) {
+        const meshWidth = bounds.maxX - bounds.minX;
+        const meshHeight = bounds.maxY - bounds.minY;
+        
+        if (settings.page === 'fit') {
+            const scale = settings.fitSize / Math.max(meshWidth, meshHeight);
+            return {
+                width: +(meshWidth * scale + settings.margin * 2).toFixed(3),
+                height: +(meshHeight * scale + settings.margin * 2).toFixed(3),
+                unit: ''
+            };
+        }
+        
+        let size = settings.page;
+        if (typeof size === 'string') {
+            size = SvgExporter.PAGE_SIZES[size];
+            if (!size) {
+                throw new Error(`Unknown page "${settings.page}" (expected fit, {width, height} or one of: ${Object.keys(SvgExporter.PAGE_SIZES).join(', ')})`);
+            }
+            size = { width: size[0], height: size[1] };
+        }
+        
+        let { width, height } = size;
+        const landscape = settings.orientation === 'landscape' ||
+            (settings.orientation === 'auto' && meshWidth > meshHeight);
+        if (landscape !== width > height) [width, height] = [height, width];
+        
+        return { width, height, unit: 'mm' };
+    }
+    
+    /**
+     * Map from mesh coordinates to page coordinates: the mesh bounds scaled uniformly
+     * into the page inside the margins, centred, with y pointing down
+     * @returns {Function} (x, y) => [px, py]
+     */
+    static createTransform(drawing, page, settings) {
+        const { minX, minY, maxX, maxY } = drawing.bounds;
+        const innerWidth = page.width - settings.margin * 2;
+        const innerHeight = page.height - settings.margin * 2;
+        const scale = Math.min(innerWidth / (maxX - minX), innerHeight / (maxY - minY));
+        const left = (page.width - (maxX - minX) * scale) / 2;
+        const top = (page.height - (maxY - minY) * scale) / 2;
+        
+        return drawing.yUp
+            ? (x, y) => [left + (x - minX) * scale, top + (maxY - y) * scale]
+            : (x, y) => [left + (x - minX) * scale, top + (y - minY) * scale];
+    }
+    
+    /**
+     * Escape a value for use inside a double-quoted attribute
+     */
+    static escape(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+}
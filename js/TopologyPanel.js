@@ -0,0 +1,241 @@
+import { FileDownload } from './FileDownload.js';
+
+/**
+ * TopologyPanel class is a DOM widget showing TopologyStatistics: the side-count
+ * distribution p(n), Lewis and Aboav-Weaire plots with their fitted lines, and the
+ * interior angle and edge length histograms. "Analyze" measures the current generation;
+ * "Live" re-measures whenever a new generation is shown. The last result downloads as JSON.
+ * Used by both index.html and the Three.js app.
+ */
+export class TopologyPanel {
+    static BAR_COLOR = '#4CAF50';
+    static FIT_COLOR = '#ffaa00';
+    
+    /**
+     * @param {HTMLElement} container - Element the panel is built into
+     * @param {Function} request - () => Promise of {generation, ...statistics}
+     *                             (an engine's getTopologyStatistics, e.g. through the worker)
+     * @param {Object} options - {prefix: JSON file name prefix}
+     */
+    constructor(container, request, options = {}) {
+        this.container = container;
+        this.request = request;
+        this.prefix = options.prefix || 'mesh';
+        this.statistics = null;
+        this.pending = false;
+        
+        // Plot size and padding in pixels
+        this.width = 240;
+        this.height = 80;
+        this.padding = 14;
+        
+        this.build();
+        this.render();
+    }
+    
+    /**
+     * Create the buttons, the summary lines and one plot per statistic
+     */
+    build() {
+        this.container.innerHTML = '';
+        
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 12px;';
+        
+        const analyze = document.createElement('button');
+        analyze.textContent = 'Analyze';
+        analyze.addEventListener('click', () => this.analyze());
+        
+        const live = document.createElement('label');
+        live.style.cssText = 'display: inline; margin: 0;';
+        this.liveCheckbox = document.createElement('input');
+        this.liveCheckbox.type = 'checkbox';
+        this.liveCheckbox.addEventListener('change', () => {
+            if (this.liveCheckbox.checked) this.analyze();
+        });
+        live.append(this.liveCheckbox, ' Live');
+        
+        const download = document.createElement('a');
+        download.href = '#';
+        download.textContent = 'JSON';
+        download.style.cssText = 'margin-left: auto; color: #aaa;';
+        download.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.download();
+        });
+        
+        toolbar.append(analyze, live, download);
+        this.container.appendChild(toolbar);
+        
+        this.plots = {};
+        for (const [name, title] of [['sides', 'Side counts p(n)'], ['lewis', 'Lewis: A(n) / ⟨A⟩'],
+            ['aboav', 'Aboav-Weaire: n · m(n)'], ['angles', 'Interior angles (°)'], ['lengths', 'Edge lengths']]) {
+            const header = document.createElement('div');
+            header.style.cssText = 'margin-top: 6px; font-size: 12px;';
+            header.textContent = title;
+            
+            const summary = document.createElement('div');
+            summary.style.cssText = 'font-size: 11px; color: #aaa;';
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = this.width;
+            canvas.height = this.height;
+            canvas.style.cssText = 'display: block; background: #222; border: 1px solid #555;';
+            
+            this.container.append(header, summary, canvas);
+            this.plots[name] = { summary, ctx: canvas.getContext('2d') };
+        }
+    }
+    
+    /**
+     * Measure the current generation (skipped while a measurement is running)
+     */
+    analyze() {
+        if (this.pending) return;
+        this.pending = true;
+        this.request()
+            .then((statistics) => this.show(statistics))
+            .catch((error) => {
+                this.plots.sides.summary.textContent = `Analysis failed: ${error.message}`;
+            })
+            .finally(() => {
+                this.pending = false;
+            });
+    }
+    
+    /**
+     * Call with every shown generation; re-measures in live mode when it changed
+     */
+    update(generation) {
+        if (this.liveCheckbox.checked && (!this.statistics || this.statistics.generation !== generation)) {
+            this.analyze();
+        }
+    }
+    
+    show(statistics) {
+        this.statistics = statistics;
+        this.render();
+    }
+    
+    render() {
+        const s = this.statistics;
+        const { sides, lewis, aboav, angles, lengths } = this.plots;
+        const number = (value, digits = 3) => value === null ? '-' : value.toFixed(digits);
+        const line = ({ slope, intercept }) => slope === null ? 'No fit' :
+            `Fit ${number(slope)} n ${intercept < 0 ? '−' : '+'} ${number(Math.abs(intercept))}`;
+        
+        for (const { summary, ctx } of Object.values(this.plots)) {
+            ctx.clearRect(0, 0, this.width, this.height);
+            summary.textContent = '';
+        }
+        if (!s) {
+            sides.summary.textContent = 'Press Analyze to measure the current generation';
+            return;
+        }
+        
+        sides.summary.textContent = `Generation ${s.generation}: ${s.interiorCellCount} of ${s.cellCount} cells ` +
+            `(border cells excluded), ⟨n⟩ ${number(s.sides.mean)}, μ2 ${number(s.sides.mu2)}`;
+        this.drawBars(sides.ctx, s.sides.distribution.map(({ n, p }) => [n, p]));
+        
+        lewis.summary.textContent = `${line(s.lewis)}, R² ${number(s.lewis.r2)}, n0 ${number(s.lewis.n0, 2)}`;
+        this.drawFit(lewis.ctx, s.lewis.points.map(({ n, relativeArea }) => [n, relativeArea]), s.lewis);
+        
+        aboav.summary.textContent = `${line(s.aboav)}, a ${number(s.aboav.a)}, R² ${number(s.aboav.r2)}`;
+        this.drawFit(aboav.ctx, s.aboav.points.map(({ n, meanNeighbourSides }) => [n, n * meanNeighbourSides]), s.aboav);
+        
+        angles.summary.textContent = `Mean ${number(s.angles.mean, 1)}°, std. dev. ${number(s.angles.stdDev, 1)}°`;
+        this.drawBars(angles.ctx, s.angles.counts.map((count, i) => [i * s.angles.binWidth, count]), s.angles.binWidth);
+        
+        lengths.summary.textContent = `Mean ${number(s.lengths.mean)}, std. dev. ${number(s.lengths.stdDev)}`;
+        this.drawBars(lengths.ctx, s.lengths.counts.map((count, i) => [i * s.lengths.binWidth, count]), s.lengths.binWidth);
+    }
+    
+    /**
+     * Bar chart with the first and last x labelled
+     * @param {Array} bars - [[x, value], ...] in x order
+     * @param {number|null} binWidth - Label the upper end of the last bin too
+     */
+    drawBars(ctx, bars, binWidth = null) {
+        if (bars.length === 0) return;
+        
+        const { width, height, padding } = this;
+        const max = Math.max(...bars.map(([, value]) => value)) || 1;
+        const barWidth = (width - padding) / bars.length;
+        
+        ctx.fillStyle = TopologyPanel.BAR_COLOR;
+        bars.forEach(([, value], i) => {
+            const barHeight = value / max * (height - padding - 4);
+            ctx.fillRect(padding / 2 + i * barWidth + 1, height - padding - barHeight, Math.max(1, barWidth - 2), barHeight);
+        });
+        
+        ctx.fillStyle = '#888';
+        ctx.font = '10px sans-serif';
+        const label = value => String(+value.toPrecision(3));
+        if (binWidth === null) {
+            // One label per bar (side counts)
+            ctx.textAlign = 'center';
+            bars.forEach(([x], i) => ctx.fillText(label(x), padding / 2 + (i + 0.5) * barWidth, height - 3));
+        } else {
+            ctx.textAlign = 'left';
+            ctx.fillText(label(bars[0][0]), padding / 2, height - 3);
+            ctx.textAlign = 'right';
+            ctx.fillText(label(bars[bars.length - 1][0] + binWidth), width - padding / 2, height - 3);
+        }
+        ctx.textAlign = 'left';
+    }
+    
+    /**
+     * Scatter of points per side class with the fitted line
+     * @param {Array} points - [[n, y], ...]
+     * @param {Object} fit - {slope, intercept}
+     */
+    drawFit(ctx, points, fit) {
+        if (points.length === 0) return;
+        
+        const { width, height, padding } = this;
+        const xs = points.map(([x]) => x);
+        const ys = points.map(([, y]) => y);
+        const minX = Math.min(...xs) - 0.5;
+        const maxX = Math.max(...xs) + 0.5;
+        let minY = Math.min(...ys);
+        let maxY = Math.max(...ys);
+        if (maxY === minY) {
+            maxY += 1;
+            minY -= 1;
+        }
+        const x = value => padding + (value - minX) / (maxX - minX) * (width - padding * 2);
+        const y = value => height - padding - (value - minY) / (maxY - minY) * (height - padding * 2);
+        
+        if (fit.slope !== null) {
+            ctx.strokeStyle = TopologyPanel.FIT_COLOR;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x(minX), y(fit.slope * minX + fit.intercept));
+            ctx.lineTo(x(maxX), y(fit.slope * maxX + fit.intercept));
+            ctx.stroke();
+        }
+        
+        ctx.fillStyle = TopologyPanel.BAR_COLOR;
+        for (const [px, py] of points) {
+            ctx.beginPath();
+            ctx.arc(x(px), y(py), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        ctx.fillStyle = '#888';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        for (const n of xs) ctx.fillText(String(n), x(n), height - 3);
+        ctx.textAlign = 'left';
+        ctx.fillText(String(+maxY.toPrecision(3)), 2, 10);
+    }
+    
+    /**
+     * Download the last result as JSON
+     */
+    download() {
+        if (!this.statistics) return;
+        FileDownload.save(JSON.stringify(this.statistics, null, 2),
+            `${this.prefix}-topology-gen${this.statistics.generation}.json`, 'application/json');
+    }
+}
@@ -0,0 +1,240 @@
+import { Geometry } from './Geometry.js';
+
+/**
+ * TopologyStatistics class computes the cell statistics used for foams and tissues
+ * from a mesh's cell loops (see CanvasEngine/Simulation getTopologyStatistics):
+ *
+ *   - sides:    distribution p(n) of cell side counts, with ⟨n⟩ and μ2 = ⟨(n − ⟨n⟩)²⟩
+ *   - lewis:    mean area of n-sided cells over the mean cell area, with the weighted
+ *               least-squares line A(n)/⟨A⟩ = slope·n + intercept (Lewis's law; n0 = −intercept/slope)
+ *   - aboav:    mean side count m(n) of the neighbours of n-sided cells, with the line
+ *               n·m(n) = (6 − a)·n + 6a + μ2 (Aboav-Weaire law; a = 6 − slope)
+ *   - angles:   histogram of the interior angles of the cells in p(n), in degrees
+ *   - lengths:  histogram of edge lengths
+ *
+ * Cells with an edge no other cell shares (on the border of a non-periodic mesh) are
+ * truncated, so they never count in p(n), Lewis or the angles. Their side counts are
+ * clipping artefacts, so Aboav-Weaire only uses the cells whose neighbours are all interior too.
+ */
+export class TopologyStatistics {
+    static DEFAULTS = {
+        angleBinWidth: 10,      // Degrees per interior angle bin
+        lengthBins: 20          // Bins between 0 and the longest edge
+    };
+    
+    /**
+     * @param {Object} mesh
+     * @param {Array} mesh.cells - [{vertexIndices, polygon}]: each cell's vertex loop and its
+     *                             corners unwrapped around the first ([[x, y], ...])
+     * @param {ArrayLike} mesh.edgeLengths - Length of every edge
+     * @param {Object} options - See DEFAULTS
+     * @returns {Object} {cellCount, interiorCellCount, sides, lewis, aboav, angles, lengths}
+     */
+    static analyze({ cells, edgeLengths }, options = {}) {
+        const settings = { ...TopologyStatistics.DEFAULTS, ...options };
+        const { neighbours, interior } = TopologyStatistics.findNeighbours(cells);
+        const sideCounts = cells.map(cell => cell.vertexIndices.length);
+        const areas = cells.map(cell => Math.abs(Geometry.polygonArea(cell.polygon)));
+        
+        // Per side class: cell count, summed area, and the cells with only interior neighbours
+        // with their summed neighbour side counts
+        const classes = new Map();
+        let interiorCount = 0;
+        let sideSum = 0;
+        let areaSum = 0;
+        cells.forEach((cell, index) => {
+            if (!interior[index]) return;
+            
+            const n = sideCounts[index];
+            if (!classes.has(n)) classes.set(n, { count: 0, area: 0, surroundedCount: 0, neighbourSides: 0, neighbourCount: 0 });
+            const entry = classes.get(n);
+            entry.count++;
+            entry.area += areas[index];
+            if ([...neighbours[index]].every(other => interior[other])) {
+                entry.surroundedCount++;
+                for (const other of neighbours[index]) {
+                    entry.neighbourSides += sideCounts[other];
+                    entry.neighbourCount++;
+                }
+            }
+            
+            interiorCount++;
+            sideSum += n;
+            areaSum += areas[index];
+        });
+        
+        const sideClasses = [...classes.keys()].sort((a, b) => a - b);
+        const meanSides = interiorCount > 0 ? sideSum / interiorCount : 0;
+        const meanArea = interiorCount > 0 ? areaSum / interiorCount : 0;
+        let mu2 = 0;
+        for (const n of sideClasses) {
+            mu2 += classes.get(n).count / interiorCount * (n - meanSides) ** 2;
+        }
+        
+        const lewisPoints = sideClasses.map(n => {
+            const { count, area } = classes.get(n);
+            return { n, count, meanArea: area / count, relativeArea: meanArea > 0 ? area / count / meanArea : 0 };
+        });
+        const lewisFit = TopologyStatistics.fitLine(lewisPoints.map(({ n, count, relativeArea }) => [n, relativeArea, count]));
+        
+        const aboavPoints = sideClasses
+            .filter(n => classes.get(n).neighbourCount > 0)
+            .map(n => {
+                const { surroundedCount, neighbourSides, neighbourCount } = classes.get(n);
+                return { n, count: surroundedCount, meanNeighbourSides: neighbourSides / neighbourCount };
+            });
+        const aboavFit = TopologyStatistics.fitLine(aboavPoints.map(({ n, count, meanNeighbourSides }) => [n, n * meanNeighbourSides, count]));
+        
+        // Clipped corners of border cells are not the mesh's own, like their side counts
+        const angles = [];
+        cells.forEach((cell, index) => {
+            if (interior[index]) angles.push(...TopologyStatistics.interiorAngles(cell.polygon));
+        });
+        
+        // Loops rather than Math.max(...values): large meshes exceed the argument limit
+        let maxAngle = 180;
+        for (const angle of angles) maxAngle = Math.max(maxAngle, angle);
+        let maxLength = 0;
+        for (const length of edgeLengths) maxLength = Math.max(maxLength, length);
+        
+        return {
+            cellCount: cells.length,
+            interiorCellCount: interiorCount,
+            sides: {
+                distribution: sideClasses.map(n => ({ n, count: classes.get(n).count, p: classes.get(n).count / interiorCount })),
+                mean: meanSides,
+                mu2
+            },
+            lewis: {
+                meanArea,
+                points: lewisPoints,
+                ...lewisFit,
+                n0: lewisFit.slope ? -lewisFit.intercept / lewisFit.slope : null
+            },
+            aboav: {
+                points: aboavPoints,
+                ...aboavFit,
+                a: aboavFit.slope === null ? null : 6 - aboavFit.slope,
+                mu2
+            },
+            angles: TopologyStatistics.histogram(angles, settings.angleBinWidth,
+                Math.ceil(maxAngle / settings.angleBinWidth) * settings.angleBinWidth),
+            lengths: TopologyStatistics.histogram(edgeLengths, (maxLength || 1) / settings.lengthBins, maxLength || 1)
+        };
+    }
+    
+    /**
+     * Cells sharing an edge, and which cells have every edge shared
+     * @returns {Object} {neighbours: [Set of cell indices], interior: [boolean]}
+     */
+    static findNeighbours(cells) {
+        const edgeCells = new Map();
+        cells.forEach((cell, index) => {
+            const loop = cell.vertexIndices;
+            loop.forEach((a, k) => {
+                const b = loop[(k + 1) % loop.length];
+                const key = a < b ? `${a},${b}` : `${b},${a}`;
+                if (!edgeCells.has(key)) edgeCells.set(key, []);
+                edgeCells.get(key).push(index);
+            });
+        });
+        
+        const neighbours = cells.map(() => new Set());
+        const interior = cells.map(() => true);
+        for (const sharing of edgeCells.values()) {
+            if (sharing.length < 2) {
+                interior[sharing[0]] = false;
+                continue;
+            }
+            for (const a of sharing) {
+                for (const b of sharing) {
+                    if (a !== b) neighbours[a].add(b);
+                }
+            }
+        }
+        
+        return { neighbours, interior };
+    }
+    
+    /**
+     * Interior angle at each corner, in degrees (over 180 at reflex corners)
+     * @param {Array} polygon - [[x, y], ...] in either orientation
+     */
+    static interiorAngles(polygon) {
+        const n = polygon.length;
+        const orientation = Geometry.polygonArea(polygon) < 0 ? -1 : 1;
+        const angles = [];
+        
+        for (let k = 0; k < n; k++) {
+            const [px, py] = polygon[k];
+            const [ax, ay] = polygon[(k + 1) % n];
+            const [bx, by] = polygon[(k + n - 1) % n];
+            const nextX = ax - px;
+            const nextY = ay - py;
+            const prevX = bx - px;
+            const prevY = by - py;
+            
+            // Turning from the next corner to the previous one through the cell's inside
+            const angle = Math.atan2(orientation * (nextX * prevY - nextY * prevX), nextX * prevX + nextY * prevY);
+            angles.push((angle < 0 ? angle + Math.PI * 2 : angle) * 180 / Math.PI);
+        }
+        
+        return angles;
+    }
+    
+    /**
+     * Weighted least-squares line through points
+     * @param {Array} points - [[x, y, weight], ...]
+     * @returns {Object} {slope, intercept, r2}; all null with fewer than two distinct x
+     */
+    static fitLine(points) {
+        let w = 0;
+        let sx = 0;
+        let sy = 0;
+        for (const [x, y, weight] of points) {
+            w += weight;
+            sx += weight * x;
+            sy += weight * y;
+        }
+        const mx = sx / w;
+        const my = sy / w;
+        
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        for (const [x, y, weight] of points) {
+            sxx += weight * (x - mx) ** 2;
+            sxy += weight * (x - mx) * (y - my);
+            syy += weight * (y - my) ** 2;
+        }
+        if (!(sxx > 0)) return { slope: null, intercept: null, r2: null };
+        
+        const slope = sxy / sxx;
+        return {
+            slope,
+            intercept: my - slope * mx,
+            r2: syy > 0 ? sxy * sxy / (sxx * syy) : 1
+        };
+    }
+    
+    /**
+     * @param {ArrayLike} values
+     * @param {number} binWidth
+     * @param {number} max - Upper end of the last bin (larger values go in the last bin)
+     * @returns {Object} {binWidth, counts, mean, stdDev}; bin i covers [i·binWidth, (i + 1)·binWidth)
+     */
+    static histogram(values, binWidth, max) {
+        const counts = new Array(Math.max(1, Math.ceil(max / binWidth - 1e-9))).fill(0);
+        let sum = 0;
+        for (const value of values) {
+            counts[Math.min(counts.length - 1, Math.max(0, Math.floor(value / binWidth)))]++;
+            sum += value;
+        }
+        
+        const mean = values.length > 0 ? sum / values.length : 0;
+        let squares = 0;
+        for (const value of values) squares += (value - mean) ** 2;
+        
+        return { binWidth, counts, mean, stdDev: values.length > 0 ? Math.sqrt(squares / values.length) : 0 };
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * VertexPins class keeps track of the vertices the user holds in place: pinned ones
+ * stay put until unpinned, and the one being dragged follows the pointer. Both engines
+ * hand the physics a mask of these (see SpringSystem.fixed) and skip T1 transitions on
+ * their edges, so the rest of the mesh reacts to them as to walls.
+ */
+export class VertexPins {
+    constructor() {
+        this.pinned = new Set();    // Vertex indices
+        this.dragged = null;        // Vertex index being dragged, or null
+    }
+    
+    clear() {
+        this.pinned.clear();
+        this.dragged = null;
+    }
+    
+    /**
+     * @param {number} index - Vertex index
+     * @param {boolean} pinned
+     */
+    set(index, pinned) {
+        if (pinned) this.pinned.add(index);
+        else this.pinned.delete(index);
+    }
+    
+    /**
+     * Whether the physics must leave a vertex where it is
+     */
+    isHeld(index) {
+        return index === this.dragged || this.pinned.has(index);
+    }
+    
+    /**
+     * @param {number} count - Number of vertices
+     * @returns {Uint8Array|null} 1 per held vertex, or null when none is held
+     */
+    mask(count) {
+        if (this.pinned.size === 0 && this.dragged === null) return null;
+        
+        const mask = new Uint8Array(count);
+        for (const index of this.pinned) {
+            if (index < count) mask[index] = 1;
+        }
+        if (this.dragged !== null && this.dragged < count) mask[this.dragged] = 1;
+        return mask;
+    }
+    
+    /**
+     * Follow the vertices into a rebuilt mesh; pins on vertices that are gone are dropped
+     * @param {Int32Array} previous - Old index of every new vertex (-1 for new vertices)
+     */
+    remap(previous) {
+        const pinned = new Set();
+        let dragged = null;
+        previous.forEach((old, index) => {
+            if (old < 0) return;
+            if (this.pinned.has(old)) pinned.add(index);
+            if (old === this.dragged) dragged = index;
+        });
+        this.pinned = pinned;
+        this.dragged = dragged;
+    }
+    
+    /**
+     * Pinned vertex indices in ascending order
+     */
+    list() {
+        return [...this.pinned].sort((a, b) => a - b);
+    }
+}
@@ -1,23 +1,56 @@
 import * as THREE from 'three';
 import { Delaunay } from 'd3-delaunay';
+import { HalfEdgeMesh } from './HalfEdgeMesh.js';
+import { PolygonTriangulator } from './PolygonTriangulator.js';
+import { Random } from './Random.js';
+import { DualConstruction } from './DualConstruction.js';
+import { Clipping } from './Clipping.js';
+import { SeedEditor } from './SeedEditor.js';
+import { Geometry } from './Geometry.js';
 
 /**
  * VoronoiMesh class handles the generation and management of the Voronoi diagram
  * Step 1: Creates random Voronoi mesh with black edges and white cells
+ * With periodic boundaries the mesh is a true torus: cells and edges that cross
+ * the domain border are stitched to their other side and drawn split at the border.
  */
 export class VoronoiMesh {
-    constructor(scene) {
+    /**
+     * Ghost copy offsets around the domain, in periods (in the order ghosts are created)
+     */
+    static GHOST_OFFSETS = [
+        [-1, -1], [0, -1], [1, -1],     // bottom-left, bottom, bottom-right
+        [-1, 0], [1, 0],                // left, right
+        [-1, 1], [0, 1], [1, 1]         // top-left, top, top-right
+    ];
+    
+    /**
+     * @param {THREE.Scene|null} scene - Scene to render into, or null for headless use
+     * @param {Object} options - {log: function(message)} for progress messages (default console.log)
+     */
+    constructor(scene = null, options = {}) {
         this.scene = scene;
+        this.log = options.log || console.log;
         
         // Mesh components
         this.cellMesh = null;       // White filled cells
         this.edgeMesh = null;       // Black edge lines
         
+        // Seeded random source for point generation
+        this.random = new Random();
+        
         // Voronoi data structures
         this.points = [];           // Original seed points
+        this.delaunay = null;       // Delaunay triangulation of seeds and ghosts
         this.voronoi = null;        // Delaunay/Voronoi structure
-        this.cells = [];            // Cell polygon data
-        this.edges = [];            // Edge line data with connectivity info
+        this.dualTriangulation = null;  // DualConstruction.build() result for the barycentric and power duals
+        this.topology = null;       // HalfEdgeMesh built from the Voronoi diagram
+        this.vertices = [];         // Shared mesh vertices
+        this.cells = [];            // Cell loops referencing vertex/edge indices
+        this.edges = [];            // Edges referencing shared vertices, with connectivity info
+        
+        // Ear-clipping triangulation for (possibly concave) cell fills
+        this.triangulator = new PolygonTriangulator();
         
         // Mesh bounds for generation
         this.bounds = {
@@ -30,28 +63,47 @@ export class VoronoiMesh {
         this.boundaryWidth = this.bounds.maxX - this.bounds.minX;  // 16
         this.boundaryHeight = this.bounds.maxY - this.bounds.minY; // 12
         
-        console.log('🔶 VoronoiMesh initialized');
+        // Dual construction (see DualConstruction)
+        this.dual = 'circumcentric';
+        this.lloydIterations = 5;   // Lloyd steps for the 'centroidal' dual
+        this.seedWeights = null;    // Power dual weights per seed (null = random, see weightSpread)
+        this.weightSpread = 0.25;   // Random weights are (weightSpread · seed spacing · u)², u uniform in [0, 1)
+        this.weights = null;        // Weights of the current seeds (power dual only)
+        
+        this.log('🔶 VoronoiMesh initialized');
     }
     
     /**
      * Generate a new random Voronoi mesh with specified number of cells
      * @param {number} cellCount - Number of Voronoi cells to generate
+     * @param {number|string} seed - Random seed; the same seed always gives the same mesh
      */
-    generate(cellCount) {
+    generate(cellCount, seed = Random.randomSeed()) {
+        DualConstruction.validate(this.dual);
+        this.random = new Random(seed);
+        
         // Step 1a: Generate random seed points
         this.generateRandomPoints(cellCount);
         
+        // Centroidal dual: Lloyd-relax the seeds; power dual: draw the weights
+        if (this.dual === 'centroidal') {
+            this.relaxPoints(this.lloydIterations);
+        }
+        this.weights = this.dual !== 'power' ? null : DualConstruction.resolveWeights(
+            cellCount, this.seedWeights, this.weightSpread,
+            Math.sqrt(this.boundaryWidth * this.boundaryHeight / cellCount), this.random
+        );
+        
         // Step 1b: Create Voronoi diagram using Delaunay triangulation
         this.createVoronoiDiagram();
         
-        // Step 1c: Extract cell and edge data
-        this.extractCellData();
-        this.extractEdgeData();
+        // Step 1c: Extract shared vertex/edge/cell topology
+        this.extractTopology();
         
         // Step 1d: Create visual mesh (white cells, black edges)
         this.createVisualMesh();
         
-        console.log(`📐 Generated Voronoi mesh: ${cellCount} cells, ${this.edges.length} edges`);
+        this.log(`📐 Generated ${this.dual} mesh: ${cellCount} cells, ${this.edges.length} edges (seed ${this.random.seed})`);
     }
     
     /**
@@ -62,14 +114,91 @@ export class VoronoiMesh {
         // Step 1b: Create Voronoi diagram using current points
         this.createVoronoiDiagram();
         
-        // Step 1c: Extract cell and edge data
-        this.extractCellData();
-        this.extractEdgeData();
+        // Step 1c: Extract shared vertex/edge/cell topology
+        this.extractTopology();
         
         // Step 1d: Update visual mesh
         this.createVisualMesh();
         
-        console.log(`🔄 Regenerated mesh from moved seeds: ${this.cells.length} cells, ${this.edges.length} edges`);
+        this.log(`🔄 Regenerated mesh from moved seeds: ${this.cells.length} cells, ${this.edges.length} edges`);
+    }
+    
+    /**
+     * Add a seed point and rebuild the mesh from the seeds (see regenerateFromSeeds)
+     * A power dual gives the new seed the mean weight of the others.
+     * @returns {number} Index of the new seed
+     */
+    addSeed(x, y) {
+        this.points.push(this.periodicBoundaries ? this.wrapPoint(x, y) : [x, y]);
+        if (this.weights) {
+            const mean = this.weights.length > 0 ? this.weights.reduce((sum, w) => sum + w, 0) / this.weights.length : 0;
+            this.weights = Float64Array.from([...this.weights, mean]);
+        }
+        
+        this.regenerateFromSeeds();
+        return this.points.length - 1;
+    }
+    
+    /**
+     * Delete a seed point and rebuild the mesh from the seeds; later seeds move down one index
+     * @param {number} index - Seed index
+     */
+    removeSeed(index) {
+        this.points.splice(index, 1);
+        if (this.weights) this.weights = this.weights.filter((_, i) => i !== index);
+        
+        this.regenerateFromSeeds();
+    }
+    
+    /**
+     * Index of the seed nearest to a point (minimum image with periodic boundaries)
+     * @returns {number} Seed index, or -1 when there are no seeds
+     */
+    nearestSeed(x, y) {
+        return SeedEditor.nearestSeed(this.points, x, y, this.getPeriod());
+    }
+    
+    /**
+     * Get the mesh as plain data for a Snapshot
+     * @returns {Object} {bounds, random, seeds, weights, period, vertices, halfEdges, edges, cells}
+     */
+    getSnapshot() {
+        return {
+            bounds: { ...this.bounds },
+            random: this.random.getState(),
+            seeds: this.points.map(([x, y]) => [x, y]),
+            weights: this.weights && Array.from(this.weights),
+            ...this.topology.toSnapshot()
+        };
+    }
+    
+    /**
+     * Restore a mesh saved by getSnapshot() (set periodicBoundaries and the dual first)
+     * @param {Object} data - Mesh part of a snapshot
+     */
+    loadSnapshot(data) {
+        this.bounds = { ...data.bounds };
+        this.boundaryWidth = this.bounds.maxX - this.bounds.minX;
+        this.boundaryHeight = this.bounds.maxY - this.bounds.minY;
+        
+        this.random = new Random(data.random.seed);
+        this.random.setState(data.random);
+        this.points = data.seeds.map(([x, y]) => [x, y]);
+        this.weights = data.weights ? Float64Array.from(data.weights) : null;
+        
+        // The triangulation is only needed to build a mesh, not to evolve one
+        this.delaunay = null;
+        this.voronoi = null;
+        this.dualTriangulation = null;
+        
+        this.topology = HalfEdgeMesh.fromSnapshot(data);
+        this.vertices = this.topology.vertices;
+        this.edges = this.topology.edges;
+        this.cells = this.topology.cells;
+        
+        this.createVisualMesh();
+        
+        this.log(`📂 Loaded mesh: ${this.cells.length} cells, ${this.edges.length} edges (seed ${this.random.seed})`);
     }
     
     /**
@@ -80,6 +209,14 @@ export class VoronoiMesh {
         return this.points;
     }
     
+    /**
+     * Get the seed the current mesh was generated from
+     * @returns {number} Unsigned 32-bit seed
+     */
+    getSeed() {
+        return this.random.seed;
+    }
+    
     /**
      * Generate random points within the mesh bounds
      */
@@ -87,32 +224,58 @@ export class VoronoiMesh {
         this.points = [];
         
         for (let i = 0; i < count; i++) {
-            const x = Math.random() * (this.bounds.maxX - this.bounds.minX) + this.bounds.minX;
-            const y = Math.random() * (this.bounds.maxY - this.bounds.minY) + this.bounds.minY;
+            const x = this.random.range(this.bounds.minX, this.bounds.maxX);
+            const y = this.random.range(this.bounds.minY, this.bounds.maxY);
             this.points.push([x, y]);
         }
     }
     
+    /**
+     * Move the seed points to their Voronoi cell centroids (Lloyd relaxation)
+     * @param {number} iterations - Number of Lloyd steps
+     */
+    relaxPoints(iterations) {
+        const points = Float64Array.from(this.points.flat());
+        DualConstruction.relax(points, iterations, this.bounds, this.periodicBoundaries);
+        this.points = this.points.map((_, i) => [points[i * 2], points[i * 2 + 1]]);
+    }
+    
     /**
      * Create Voronoi diagram using D3 Delaunay
+     * The barycentric and power duals also get their own triangulation and vertices
+     * (this.dualTriangulation); without periodic boundaries they triangulate mirror
+     * images of the seeds too, so every real seed has a closed cell to clip.
      */
     createVoronoiDiagram() {
         let allPoints = [...this.points];
+        const ownDual = this.dual === 'barycentric' || this.dual === 'power';
         
         // For periodic boundaries, create ghost points around the edges
         if (this.periodicBoundaries) {
             const ghostPoints = this.createGhostPoints();
             allPoints = allPoints.concat(ghostPoints);
+        } else if (ownDual) {
+            allPoints = allPoints.concat(this.createMirrorPoints());
         }
         
         // Create Delaunay triangulation with all points (real + ghosts)
         const delaunay = Delaunay.from(allPoints);
+        this.delaunay = delaunay;
         
         // Create Voronoi diagram with bounds
         this.voronoi = delaunay.voronoi([
             this.bounds.minX, this.bounds.minY, 
             this.bounds.maxX, this.bounds.maxY
         ]);
+        
+        this.dualTriangulation = null;
+        if (ownDual) {
+            // Ghosts and mirrors come in blocks of 8 per seed and share its weight
+            const n = this.points.length;
+            const weights = this.weights && Float64Array.from(allPoints, (_, j) =>
+                this.weights[j < n ? j : Math.floor((j - n) / 8)]);
+            this.dualTriangulation = DualConstruction.build(delaunay.points, this.dual, weights);
+        }
     }
     
     /**
@@ -125,19 +288,8 @@ export class VoronoiMesh {
             const [x, y] = this.points[i];
             
             // Create 8 ghost copies around the main domain
-            const offsets = [
-                [-this.boundaryWidth, -this.boundaryHeight], // bottom-left
-                [0, -this.boundaryHeight],                   // bottom
-                [this.boundaryWidth, -this.boundaryHeight],  // bottom-right
-                [-this.boundaryWidth, 0],                    // left
-                [this.boundaryWidth, 0],                     // right
-                [-this.boundaryWidth, this.boundaryHeight],  // top-left
-                [0, this.boundaryHeight],                    // top
-                [this.boundaryWidth, this.boundaryHeight]    // top-right
-            ];
-            
-            for (const [dx, dy] of offsets) {
-                ghostPoints.push([x + dx, y + dy]);
+            for (const [ox, oy] of VoronoiMesh.GHOST_OFFSETS) {
+                ghostPoints.push([x + ox * this.boundaryWidth, y + oy * this.boundaryHeight]);
             }
         }
         
@@ -145,84 +297,208 @@ export class VoronoiMesh {
     }
     
     /**
-     * Extract cell polygon data for rendering white filled areas
+     * Mirror images of the seeds across the sides and corners of the bounds
+     * (in GHOST_OFFSETS order, 8 per seed)
      */
-    extractCellData() {
-        this.cells = [];
+    createMirrorPoints() {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const mirror = (value, side, min, max) => side < 0 ? 2 * min - value : side > 0 ? 2 * max - value : value;
+        const mirrorPoints = [];
         
-        for (let i = 0; i < this.points.length; i++) {
-            const cellPolygon = this.voronoi.cellPolygon(i);
-            if (cellPolygon) {
-                this.cells.push({
-                    id: i,
-                    polygon: cellPolygon,
-                    center: this.points[i]
-                });
+        for (const [x, y] of this.points) {
+            for (const [ox, oy] of VoronoiMesh.GHOST_OFFSETS) {
+                mirrorPoints.push([mirror(x, ox, minX, maxX), mirror(y, oy, minY, maxY)]);
             }
         }
+        
+        return mirrorPoints;
     }
     
     /**
-     * Extract edge data with connectivity information
-     * This is crucial for Step 2 acute angle analysis
+     * Get the torus period of the mesh
+     * @returns {Object|null} {width, height} with periodic boundaries, otherwise null
      */
-    extractEdgeData() {
-        this.edges = [];
-        this.extractEdgesFromCells();
-        
-        // Now find connected edges for each edge (edges that share vertices)
-        this.findConnectedEdges();
+    getPeriod() {
+        return this.periodicBoundaries ? { width: this.boundaryWidth, height: this.boundaryHeight } : null;
+    }
+    
+    /**
+     * Extract the shared-vertex topology (vertices, edges, cells) from the Voronoi diagram
+     * Edges and cells reference vertices by index, so one vertex move updates all of them
+     */
+    extractTopology() {
+        if (this.periodicBoundaries) {
+            this.topology = this.extractPeriodicTopology();
+        } else if (this.dualTriangulation) {
+            this.topology = this.extractClippedTopology();
+        } else {
+            const polygons = [];
+            
+            for (let i = 0; i < this.points.length; i++) {
+                const cellPolygon = this.voronoi.cellPolygon(i);
+                if (cellPolygon) {
+                    polygons.push({
+                        seedIndex: i,
+                        center: this.points[i],
+                        polygon: cellPolygon
+                    });
+                }
+            }
+            
+            this.topology = HalfEdgeMesh.fromPolygons(polygons);
+        }
         
-        console.log(`📐 Extracted ${this.edges.length} edges with connectivity info`);
+        this.vertices = this.topology.vertices;
+        this.edges = this.topology.edges;
+        this.cells = this.topology.cells;
         
         // Debug: Log some connectivity stats
         let totalConnections = 0;
         for (const edge of this.edges) {
             totalConnections += edge.connectedEdges.length;
         }
-        console.log(`🔗 Total edge connections: ${totalConnections}, Average: ${(totalConnections / this.edges.length).toFixed(2)} per edge`);
+        this.log(`🔗 Extracted ${this.vertices.length} vertices, ${this.edges.length} edges, ${this.cells.length} cells. Average: ${(totalConnections / this.edges.length).toFixed(2)} connections per edge`);
     }
     
     /**
-     * Fallback method: Extract edges from cell polygons
+     * Build the bounded topology of the barycentric or power dual
+     * Each seed's cell joins the dual vertices of the triangles around it (mirror seeds
+     * close the cells along the border) and is clipped to the bounds.
+     * @returns {HalfEdgeMesh} Mesh with a boundary along the bounds
      */
-    extractEdgesFromCells() {
-        const edgeMap = new Map();
+    extractClippedTopology() {
+        const { triangles, halfedges, inedges, vertices } = this.dualTriangulation;
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const polygons = [];
+        
+        // Corners that belong on the border (power centers of a seed and its mirror
+        // image) are put there exactly, so the cells along it share them
+        const snap = (value, min, max) => Math.abs(value - min) < 1e-9 ? min : Math.abs(value - max) < 1e-9 ? max : value;
         
-        // Iterate through all cells to find edges
-        for (let cellIndex = 0; cellIndex < this.cells.length; cellIndex++) {
-            const cell = this.cells[cellIndex];
-            if (!cell.polygon) continue;
+        // Two seeds and their mirror images are cocircular, so both triangles of that quad
+        // have the same corner; merge them so rounding leaves no zero-length border edge
+        const merged = Int32Array.from({ length: triangles.length / 3 }, (_, t) => t);
+        const find = t => merged[t] === t ? t : (merged[t] = find(merged[t]));
+        for (let e = 0; e < halfedges.length; e++) {
+            if (halfedges[e] < e) continue;
+            const t = find(Math.floor(e / 3));
+            const u = find(Math.floor(halfedges[e] / 3));
+            if (Math.hypot(vertices[t * 2] - vertices[u * 2], vertices[t * 2 + 1] - vertices[u * 2 + 1]) < 1e-9) {
+                merged[u] = t;
+            }
+        }
+        
+        for (let i = 0; i < this.points.length; i++) {
+            const corners = DualConstruction.trianglesAround(i, triangles, halfedges, inedges)
+                .map(find)
+                .map(t => [snap(vertices[t * 2], minX, maxX), snap(vertices[t * 2 + 1], minY, maxY)]);
+            if (Geometry.polygonArea(corners) < 0) corners.reverse();
             
-            // Process each edge of the cell polygon
-            for (let i = 0; i < cell.polygon.length; i++) {
-                const start = cell.polygon[i];
-                const end = cell.polygon[(i + 1) % cell.polygon.length];
-                
-                // Create edge identifier (sorted to avoid duplicates)
-                const edgeKey = this.createEdgeKey(start, end);
-                
-                if (!edgeMap.has(edgeKey)) {
-                    const edge = {
-                        id: this.edges.length,
-                        start: { x: start[0], y: start[1] },
-                        end: { x: end[0], y: end[1] },
-                        length: Math.sqrt((end[0] - start[0]) ** 2 + (end[1] - start[1]) ** 2),
-                        connectedCells: [cellIndex],
-                        connectedEdges: [],  // Will be populated later
-                        acuteAngleCount: 0,  // For Step 2 analysis
-                        expandValue: 0       // For Step 3 evolution
-                    };
-                    
-                    this.edges.push(edge);
-                    edgeMap.set(edgeKey, edge);
-                } else {
-                    // Edge already exists, add this cell as connected
-                    const existingEdge = edgeMap.get(edgeKey);
-                    existingEdge.connectedCells.push(cellIndex);
-                }
+            const polygon = this.clipPolygon(corners);
+            if (polygon.length >= 3) {
+                polygons.push({ seedIndex: i, center: this.points[i], polygon });
             }
         }
+        
+        return HalfEdgeMesh.fromPolygons(polygons);
+    }
+    
+    /**
+     * Build the toroidal topology from the triangulation of seeds and ghosts
+     * Every cell corner is the dual vertex of a triangle (the circumcenter for Voronoi
+     * duals). The triangles around a real seed give its cell; a triangle and its
+     * translates across the border are the same corner, so seam edges are shared by the
+     * cells on both sides.
+     * The mesh geometry finds a neighbour's image across the seam by the minimum-image rule
+     * (see HalfEdgeMesh.delta), which is only right for edges shorter than half the period;
+     * with too few cells for that the mesh is refused.
+     * @returns {HalfEdgeMesh} Mesh without boundary
+     */
+    extractPeriodicTopology() {
+        const { triangles, halfedges, inedges } = this.dualTriangulation || this.delaunay;
+        const circumcenters = this.dualTriangulation ? this.dualTriangulation.vertices : this.voronoi.circumcenters;
+        const { width, height } = this.getPeriod();
+        const positions = [];
+        const vertexByKey = new Map();      // Canonical triangle key -> vertex index
+        const loops = [];
+        
+        const getVertex = (t) => {
+            const key = this.triangleKey(triangles, t);
+            if (!vertexByKey.has(key)) {
+                vertexByKey.set(key, positions.length);
+                positions.push(this.wrapPoint(circumcenters[t * 2], circumcenters[t * 2 + 1]));
+            }
+            return vertexByKey.get(key);
+        };
+        
+        for (let i = 0; i < this.points.length; i++) {
+            // Walk the triangles around seed i (ghosts surround it, so the walk never hits the hull)
+            const vertexIndices = [];
+            const corners = [];
+            const e0 = inedges[i];
+            let e = e0;
+            do {
+                const t = Math.floor(e / 3);
+                vertexIndices.push(getVertex(t));
+                corners.push([circumcenters[t * 2], circumcenters[t * 2 + 1]]);
+                e = e % 3 === 2 ? e - 2 : e + 1;    // Half-edge leaving seed i
+                e = halfedges[e];
+            } while (e !== e0 && e !== -1);
+            
+            if (vertexIndices.length < 3) continue;
+            if (Geometry.polygonArea(corners) < 0) vertexIndices.reverse();
+            
+            corners.forEach(([x, y], k) => {
+                const [nextX, nextY] = corners[(k + 1) % corners.length];
+                if (Math.abs(nextX - x) >= width / 2 || Math.abs(nextY - y) >= height / 2) {
+                    throw new Error(`Too few cells for a periodic mesh: an edge of cell ${i} spans half the domain or more (use more cells or turn periodic boundaries off)`);
+                }
+            });
+            
+            loops.push({ seedIndex: i, center: this.points[i], vertexIndices });
+        }
+        
+        return HalfEdgeMesh.fromLoops(positions, loops, this.getPeriod());
+    }
+    
+    /**
+     * Key that is the same for a Delaunay triangle and all its periodic translates
+     * Each corner becomes (seed index, ghost offset); offsets are taken relative to one
+     * corner, and the smallest key over the three choices of that corner is used.
+     * @param {Uint32Array} triangles - Delaunay triangle corner indices
+     * @param {number} t - Triangle index
+     * @returns {string} Canonical key
+     */
+    triangleKey(triangles, t) {
+        const n = this.points.length;
+        const corners = [0, 1, 2].map(k => {
+            const index = triangles[t * 3 + k];
+            if (index < n) return [index, 0, 0];
+            const [ox, oy] = VoronoiMesh.GHOST_OFFSETS[(index - n) % 8];
+            return [Math.floor((index - n) / 8), ox, oy];
+        });
+        
+        let best = null;
+        for (const [, anchorX, anchorY] of corners) {
+            const key = corners
+                .map(([index, ox, oy]) => `${index}:${ox - anchorX}:${oy - anchorY}`)
+                .sort()
+                .join('|');
+            if (best === null || key < best) best = key;
+        }
+        return best;
+    }
+    
+    /**
+     * Wrap a point into the domain
+     * @returns {Array} [x, y] inside the bounds
+     */
+    wrapPoint(x, y) {
+        const { minX, minY } = this.bounds;
+        return [
+            minX + (((x - minX) % this.boundaryWidth) + this.boundaryWidth) % this.boundaryWidth,
+            minY + (((y - minY) % this.boundaryHeight) + this.boundaryHeight) % this.boundaryHeight
+        ];
     }
     
     /**
@@ -246,173 +522,221 @@ export class VoronoiMesh {
     }
     
     /**
-     * Find edges that are connected to each edge (share vertices)
-     * This is needed for acute angle analysis in Step 2
+     * Create the visual mesh with white cells and black edges
      */
-    findConnectedEdges() {
-        // Use a spatial grid approach to handle floating-point precision issues
-        const vertexGrid = new Map();
-        const gridSize = 0.01; // Grid cell size for grouping vertices
+    createVisualMesh() {
+        // Headless meshes have nothing to draw
+        if (!this.scene) return;
         
-        // Function to get grid key for a vertex
-        const getGridKey = (vertex) => {
-            const gridX = Math.round(vertex.x / gridSize);
-            const gridY = Math.round(vertex.y / gridSize);
-            return `${gridX},${gridY}`;
-        };
+        // Remove existing meshes
+        this.clearMesh();
         
-        // Group all edge endpoints by grid position
-        for (let i = 0; i < this.edges.length; i++) {
-            const edge = this.edges[i];
-            
-            // Add start vertex
-            const startKey = getGridKey(edge.start);
-            if (!vertexGrid.has(startKey)) {
-                vertexGrid.set(startKey, []);
-            }
-            vertexGrid.get(startKey).push({ edgeIndex: i, isStart: true });
-            
-            // Add end vertex
-            const endKey = getGridKey(edge.end);
-            if (!vertexGrid.has(endKey)) {
-                vertexGrid.set(endKey, []);
-            }
-            vertexGrid.get(endKey).push({ edgeIndex: i, isStart: false });
+        // Create white filled cells
+        this.createCellMesh();
+        
+        // Create black edge lines
+        this.createEdgeMesh();
+    }
+    
+    /**
+     * Create mesh for white filled cells
+     * The geometry shares one position per mesh vertex, indexed by the cell triangulations
+     */
+    createCellMesh() {
+        const geometry = new THREE.BufferGeometry();
+        const { positions, indices } = this.triangulateCells();
+        
+        this.setCellPositions(geometry, positions);
+        geometry.setIndex(indices);
+        
+        // White material for cells
+        const material = new THREE.MeshBasicMaterial({ 
+            color: 0xffffff,
+            side: THREE.DoubleSide
+        });
+        
+        this.cellMesh = new THREE.Mesh(geometry, material);
+        this.scene.add(this.cellMesh);
+    }
+    
+    /**
+     * Triangulate every cell from the current vertex positions
+     * Concave cells are ear-clipped; degenerate cells contribute no triangles.
+     * The first positions are the shared mesh vertices. Cells that cross the border of a
+     * torus are clipped to the domain once per periodic image, with the pieces' corners
+     * appended after the shared vertices.
+     * @returns {Object} {positions: [x, y, z, ...], indices: triangle indices into positions}
+     */
+    triangulateCells() {
+        const positions = [];
+        const indices = [];
+        
+        for (const vertex of this.vertices) {
+            positions.push(vertex.x, vertex.y, 0);
         }
         
-        // Now connect edges that share grid positions
-        for (let i = 0; i < this.edges.length; i++) {
-            const edge = this.edges[i];
-            edge.connectedEdges = [];
+        for (const cell of this.cells) {
+            const polygon = this.topology.getCellPolygon(cell);
+            const triangles = this.triangulator.triangulate(polygon);
+            const images = this.getPeriodicImages(polygon, cell.vertexIndices.map(index => this.vertices[index]));
             
-            // Check connections at start vertex
-            const startKey = getGridKey(edge.start);
-            const startNeighbors = vertexGrid.get(startKey) || [];
-            for (const neighbor of startNeighbors) {
-                if (neighbor.edgeIndex !== i) {
-                    edge.connectedEdges.push(neighbor.edgeIndex);
+            if (!images) {
+                for (const localIndex of triangles) {
+                    indices.push(cell.vertexIndices[localIndex]);
                 }
+                continue;
             }
             
-            // Check connections at end vertex
-            const endKey = getGridKey(edge.end);
-            const endNeighbors = vertexGrid.get(endKey) || [];
-            for (const neighbor of endNeighbors) {
-                if (neighbor.edgeIndex !== i && !edge.connectedEdges.includes(neighbor.edgeIndex)) {
-                    edge.connectedEdges.push(neighbor.edgeIndex);
+            for (const [ox, oy] of images) {
+                for (let k = 0; k < triangles.length; k += 3) {
+                    const triangle = [0, 1, 2].map(j => {
+                        const [x, y] = polygon[triangles[k + j]];
+                        return [x + ox, y + oy];
+                    });
+                    const piece = this.clipPolygon(triangle);
+                    const base = positions.length / 3;
+                    
+                    for (const [x, y] of piece) {
+                        positions.push(x, y, 0);
+                    }
+                    for (let j = 1; j + 1 < piece.length; j++) {
+                        indices.push(base, base + j, base + j + 1);
+                    }
                 }
             }
         }
         
-        // Debug: Count successful connections
-        let connectedEdges = 0;
-        let totalConnections = 0;
-        for (const edge of this.edges) {
-            if (edge.connectedEdges.length > 0) {
-                connectedEdges++;
-            }
-            totalConnections += edge.connectedEdges.length;
+        return { positions, indices };
+    }
+    
+    /**
+     * Copy cell positions into the geometry, growing the buffer when pieces of
+     * border-crossing cells need more room
+     */
+    setCellPositions(geometry, positions) {
+        let attribute = geometry.attributes.position;
+        
+        if (!attribute || attribute.array.length < positions.length) {
+            // Headroom so cells drifting across the border do not reallocate every frame
+            attribute = new THREE.BufferAttribute(new Float32Array(Math.ceil(positions.length * 1.5 / 3) * 3), 3);
+            geometry.setAttribute('position', attribute);
         }
         
-        console.log(`🔗 Connectivity Analysis: ${connectedEdges}/${this.edges.length} edges have connections, ${totalConnections} total connections`);
+        attribute.array.set(positions);
+        attribute.needsUpdate = true;
     }
     
     /**
-     * Create a unique key for an edge based on its endpoints
+     * Offsets of the periodic images of a shape that overlap the domain
+     * @param {Array} points - Unwrapped [x, y] points of the shape
+     * @param {Array} vertices - Mesh vertices ({x, y}) the points were unwrapped from
+     * @returns {Array|null} [[ox, oy], ...], or null when the shape lies inside the
+     *                       domain exactly at its vertices' positions and needs no clipping
      */
-    createEdgeKey(start, end) {
-        // Sort coordinates to ensure consistent key regardless of direction
-        const p1 = start[0] < end[0] || (start[0] === end[0] && start[1] < end[1]) ? start : end;
-        const p2 = start[0] < end[0] || (start[0] === end[0] && start[1] < end[1]) ? end : start;
+    getPeriodicImages(points, vertices) {
+        if (!this.periodicBoundaries) return null;
         
-        return `${p1[0].toFixed(6)},${p1[1].toFixed(6)}-${p2[0].toFixed(6)},${p2[1].toFixed(6)}`;
+        const unwrapped = points.some(([x, y], i) => vertices[i].x !== x || vertices[i].y !== y);
+        if (!unwrapped && Clipping.contains(points, this.bounds)) {
+            return null;
+        }
+        
+        return Clipping.periodicImages(points, this.bounds);
     }
     
     /**
-     * Create the visual mesh with white cells and black edges
+     * Clip a convex polygon to the domain (see Clipping.clipPolygon)
+     * @param {Array} polygon - Array of [x, y] points
+     * @returns {Array} Clipped polygon (fewer than 3 points when nothing is left)
      */
-    createVisualMesh() {
-        // Remove existing meshes
-        this.clearMesh();
+    clipPolygon(polygon) {
+        return Clipping.clipPolygon(polygon, this.bounds);
+    }
+    
+    /**
+     * Pieces of the segment from a to b as drawn in the domain
+     * On a torus the segment follows the minimum image and is split where it
+     * leaves the domain, continuing from the opposite border.
+     * @param {Object} a - {x, y}
+     * @param {Object} b - {x, y}
+     * @returns {Array} Array of [x1, y1, x2, y2]
+     */
+    getEdgeSegments(a, b) {
+        const { dx, dy } = this.topology.delta(a, b);
+        const images = this.getPeriodicImages([[a.x, a.y], [a.x + dx, a.y + dy]], [a, b]);
         
-        // Create white filled cells
-        this.createCellMesh();
+        if (!images) return [[a.x, a.y, b.x, b.y]];
         
-        // Create black edge lines
-        this.createEdgeMesh();
+        return Clipping.wrapSegment(a.x, a.y, a.x + dx, a.y + dy, this.bounds);
     }
     
     /**
-     * Create mesh for white filled cells
+     * Pieces of a cell as drawn in the domain (several when it crosses a periodic seam)
+     * @param {Object} cell - Cell object
+     * @returns {Array} Array of polygons ([[x, y], ...])
      */
-    createCellMesh() {
-        const geometry = new THREE.BufferGeometry();
-        const vertices = [];
-        const indices = [];
+    getCellPieces(cell) {
+        const polygon = this.topology.getCellPolygon(cell);
+        const images = this.getPeriodicImages(polygon, cell.vertexIndices.map(index => this.vertices[index]));
         
-        let vertexIndex = 0;
-        
-        // Convert each cell polygon to triangulated mesh
-        for (const cell of this.cells) {
-            if (!cell.polygon || cell.polygon.length < 3) continue;
-            
-            const startVertexIndex = vertexIndex;
-            
-            // Add vertices for this cell
-            for (const point of cell.polygon) {
-                vertices.push(point[0], point[1], 0);
-                vertexIndex++;
-            }
-            
-            // Triangulate the polygon (simple fan triangulation)
-            for (let i = 1; i < cell.polygon.length - 1; i++) {
-                indices.push(
-                    startVertexIndex,
-                    startVertexIndex + i,
-                    startVertexIndex + i + 1
-                );
+        return images ? Clipping.wrapPolygon(polygon, this.bounds) : [polygon];
+    }
+    
+    /**
+     * Vector geometry of the mesh as drawn, for the exporters (see SvgExporter)
+     * The seed triangulation is only known for a generated mesh, not one loaded from a snapshot.
+     * @returns {Object} {bounds, yUp, edges: [{v1, v2, acuteCount, segments}], cells: [{sides, pieces}],
+     *                   vertices: [[x, y]], triangles: [[[x, y] × 3]], seeds: [[x, y]]}
+     */
+    getDrawing() {
+        const triangles = [];
+        const triangulation = this.dualTriangulation || this.delaunay;
+        if (triangulation && this.delaunay) {
+            // Triangles of real seeds only, not the ghost or mirror copies outside the domain
+            const points = this.delaunay.points;
+            for (let t = 0; t < triangulation.triangles.length; t += 3) {
+                const corners = [0, 1, 2].map(k => {
+                    const p = triangulation.triangles[t + k];
+                    return [points[p * 2], points[p * 2 + 1]];
+                });
+                if (Clipping.contains(corners, this.bounds)) triangles.push(corners);
             }
         }
         
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setIndex(indices);
-        geometry.computeVertexNormals();
-        
-        // White material for cells
-        const material = new THREE.MeshBasicMaterial({ 
-            color: 0xffffff,
-            side: THREE.DoubleSide
-        });
-        
-        this.cellMesh = new THREE.Mesh(geometry, material);
-        this.scene.add(this.cellMesh);
+        return {
+            bounds: { ...this.bounds },
+            yUp: true,
+            edges: this.edges.map(edge => ({
+                v1: edge.v1,
+                v2: edge.v2,
+                acuteCount: edge.acuteAngleCount || 0,
+                segments: this.getEdgeSegments(edge.start, edge.end)
+            })),
+            cells: this.cells.map(cell => ({ sides: cell.vertexIndices.length, pieces: this.getCellPieces(cell) })),
+            vertices: this.vertices.map(vertex => [vertex.x, vertex.y]),
+            triangles,
+            seeds: this.points.map(([x, y]) => [x, y])
+        };
+    }
+    
+    /**
+     * Clip a segment to the domain (see Clipping.clipSegment)
+     * @returns {Array|null} [x1, y1, x2, y2], or null when no part of it is inside
+     */
+    clipSegment(x1, y1, x2, y2) {
+        return Clipping.clipSegment(x1, y1, x2, y2, this.bounds);
     }
     
     /**
      * Create mesh for colored edge lines based on acute angle count
+     * Room is reserved for three pieces per edge (an edge split by both seams of a torus)
      */
     createEdgeMesh() {
         const geometry = new THREE.BufferGeometry();
-        const vertices = [];
-        const colors = [];
-        
-        // Add all edge vertices and colors
-        for (const edge of this.edges) {
-            vertices.push(
-                edge.start.x, edge.start.y, 0.01,  // Slightly above cells
-                edge.end.x, edge.end.y, 0.01
-            );
-            
-            // Get color based on acute angle count
-            const color = this.getEdgeColor(edge.acuteAngleCount || 0);
-            
-            // Add color for both vertices of the edge
-            colors.push(color.r, color.g, color.b);
-            colors.push(color.r, color.g, color.b);
-        }
+        const capacity = this.edges.length * 3 * 2;
         
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
         
         // Use vertex colors instead of uniform color
         const material = new THREE.LineBasicMaterial({ 
@@ -421,9 +745,21 @@ export class VoronoiMesh {
         });
         
         this.edgeMesh = new THREE.LineSegments(geometry, material);
+        this.updateEdgeVertices();
         this.scene.add(this.edgeMesh);
     }
     
+    /**
+     * Smallest cell count the app offers with periodic boundaries on; below about 25
+     * random seeds regularly give edges too long for a periodic mesh
+     */
+    static MIN_PERIODIC_CELLS = 30;
+    
+    /**
+     * The getEdgeColor colours as CSS hex, for exports and recordings
+     */
+    static ACUTE_COLORS = ['#0000ff', '#00cc00', '#ff9900', '#ff0000'];
+    
     /**
      * Get color based on acute angle count
      * 0 = blue (contracting), 1 = green, 2 = orange, 3+ = red (expanding)
@@ -452,33 +788,27 @@ export class VoronoiMesh {
     }
     
     /**
-     * Update cell mesh vertices based on edge deformations
+     * Update cell mesh vertices from the shared vertex positions
+     * Cells are re-triangulated and the index buffer replaced when the triangulation changes
      */
     updateCellVertices() {
-        const positions = this.cellMesh.geometry.attributes.position;
+        const geometry = this.cellMesh.geometry;
         
-        // Apply edge deformations to cell vertices
-        // This is where the spring-damper physics gets applied
-        let vertexIndex = 0;
+        // The vertex positions are updated by the MeshEvolver
+        // Here we just update the Three.js geometry
+        const { positions, indices } = this.triangulateCells();
+        this.setCellPositions(geometry, positions);
         
-        for (const cell of this.cells) {
-            if (!cell.polygon || cell.polygon.length < 3) continue;
-            
-            for (let i = 0; i < cell.polygon.length; i++) {
-                // The vertex positions are updated by the MeshEvolver
-                // Here we just update the Three.js geometry
-                positions.setXYZ(
-                    vertexIndex,
-                    cell.polygon[i][0],
-                    cell.polygon[i][1],
-                    0
-                );
-                vertexIndex++;
-            }
+        const currentIndex = geometry.index;
+        let changed = !currentIndex || currentIndex.count !== indices.length;
+        
+        for (let i = 0; !changed && i < indices.length; i++) {
+            changed = currentIndex.getX(i) !== indices[i];
         }
         
-        positions.needsUpdate = true;
-        this.cellMesh.geometry.computeVertexNormals();
+        if (changed) {
+            geometry.setIndex(indices);
+        }
     }
     
     /**
@@ -487,35 +817,115 @@ export class VoronoiMesh {
     updateEdgeVertices() {
         const positions = this.edgeMesh.geometry.attributes.position;
         const colors = this.edgeMesh.geometry.attributes.color;
+        const count = this.writeEdgeVertices(positions.array, colors.array);
         
-        for (let i = 0; i < this.edges.length; i++) {
-            const edge = this.edges[i];
-            const baseIndex = i * 2;
-            
-            // Update positions
-            positions.setXYZ(
-                baseIndex,
-                edge.start.x,
-                edge.start.y,
-                0.01
-            );
-            
-            positions.setXYZ(
-                baseIndex + 1,
-                edge.end.x,
-                edge.end.y,
-                0.01
-            );
-            
+        this.edgeMesh.geometry.setDrawRange(0, count);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+    
+    /**
+     * Write the edge line pieces into flat arrays, two line vertices per piece
+     * @param {Float32Array} positions - [x, y, z, ...] per line vertex
+     * @param {Float32Array} colors - [r, g, b, ...] per line vertex
+     * @returns {number} Number of line vertices written (stops when the arrays are full)
+     */
+    writeEdgeVertices(positions, colors) {
+        let count = 0;
+        
+        for (const edge of this.edges) {
             // Update colors based on current acute angle count
             const color = this.getEdgeColor(edge.acuteAngleCount || 0);
             
-            colors.setXYZ(baseIndex, color.r, color.g, color.b);
-            colors.setXYZ(baseIndex + 1, color.r, color.g, color.b);
+            // Seam-crossing edges on a torus come back as several pieces
+            for (const [x1, y1, x2, y2] of this.getEdgeSegments(edge.start, edge.end)) {
+                if ((count + 2) * 3 > positions.length) return count;
+                
+                const k = count * 3;
+                positions[k] = x1;
+                positions[k + 1] = y1;
+                positions[k + 2] = 0.01;  // Slightly above cells
+                positions[k + 3] = x2;
+                positions[k + 4] = y2;
+                positions[k + 5] = 0.01;
+                colors[k] = colors[k + 3] = color.r;
+                colors[k + 1] = colors[k + 4] = color.g;
+                colors[k + 2] = colors[k + 5] = color.b;
+                count += 2;
+            }
         }
         
-        positions.needsUpdate = true;
-        colors.needsUpdate = true;
+        return count;
+    }
+    
+    /**
+     * Edge line attribute arrays for a renderer elsewhere (e.g. from the engine worker)
+     * @returns {Object} {positions: Float32Array, colors: Float32Array}, exactly sized
+     */
+    getEdgeBuffers() {
+        const capacity = this.edges.length * 3 * 2 * 3;
+        const positions = new Float32Array(capacity);
+        const colors = new Float32Array(capacity);
+        const count = this.writeEdgeVertices(positions, colors);
+        
+        return { positions: positions.slice(0, count * 3), colors: colors.slice(0, count * 3) };
+    }
+    
+    /**
+     * Show geometry computed elsewhere instead of this mesh's own topology
+     * Used by the Three.js app, whose mesh lives in the engine worker. The typed
+     * arrays become the attribute storage as they are (no copy).
+     * @param {Object} buffers - {cellPositions, cellIndices, edgePositions, edgeColors}
+     */
+    setRenderBuffers(buffers) {
+        if (!this.scene) return;
+        
+        if (!this.cellMesh) {
+            this.cellMesh = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({
+                color: 0xffffff,
+                side: THREE.DoubleSide
+            }));
+            this.edgeMesh = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({
+                vertexColors: true,
+                linewidth: 2
+            }));
+            this.scene.add(this.cellMesh);
+            this.scene.add(this.edgeMesh);
+        }
+        
+        this.setGeometryArrays(this.cellMesh, { position: buffers.cellPositions }, buffers.cellIndices);
+        this.setGeometryArrays(this.edgeMesh, { position: buffers.edgePositions, color: buffers.edgeColors });
+    }
+    
+    /**
+     * Point an object's geometry at new attribute arrays (3 components each)
+     * Arrays of the same length replace the old ones in place; otherwise the geometry is
+     * rebuilt, so its GPU buffers are released rather than orphaned.
+     */
+    setGeometryArrays(object, attributes, index = null) {
+        const geometry = object.geometry;
+        const fits = Object.entries(attributes).every(([name, array]) =>
+            geometry.attributes[name] && geometry.attributes[name].array.length === array.length) &&
+            (!index || (geometry.index && geometry.index.array.length === index.length));
+        
+        if (fits) {
+            for (const [name, array] of Object.entries(attributes)) {
+                geometry.attributes[name].array = array;
+                geometry.attributes[name].needsUpdate = true;
+            }
+            if (index) {
+                geometry.index.array = index;
+                geometry.index.needsUpdate = true;
+            }
+            return;
+        }
+        
+        geometry.dispose();
+        object.geometry = new THREE.BufferGeometry();
+        for (const [name, array] of Object.entries(attributes)) {
+            object.geometry.setAttribute(name, new THREE.BufferAttribute(array, 3));
+        }
+        if (index) object.geometry.setIndex(new THREE.BufferAttribute(index, 1));
     }
     
     /**
@@ -534,6 +944,22 @@ export class VoronoiMesh {
         return this.cells;
     }
     
+    /**
+     * Get the shared vertices that edges and cells reference
+     * @returns {Array} Array of vertex objects
+     */
+    getVertexData() {
+        return this.vertices;
+    }
+    
+    /**
+     * Get the half-edge topology of the current mesh
+     * @returns {HalfEdgeMesh} Shared-vertex mesh
+     */
+    getTopology() {
+        return this.topology;
+    }
+    
     /**
      * Clear existing mesh from scene
      */
@@ -0,0 +1,84 @@
+import { ModelSpace } from './ModelSpace.js';
+
+/**
+ * WallExtruder class turns the edge network of a mesh drawing into 3D walls for printing
+ * Every edge piece becomes a box wallThickness wide and wallHeight tall, lengthened by
+ * half the thickness at each end so walls meeting at a vertex overlap into a solid joint
+ * (ends on the domain border stay flush with it). The boxes are separate closed shells
+ * that overlap at the joints, which slicers merge. An optional base plate covers the
+ * whole domain under the walls. Model space is in ModelSpace coordinates, z up.
+ */
+export class WallExtruder {
+    static DEFAULTS = {
+        size: 100,              // Longer side of the domain in model units (e.g. mm)
+        wallThickness: 0.8,
+        wallHeight: 5,
+        baseHeight: 0           // Thickness of a base plate under the walls (0 = none)
+    };
+    
+    /**
+     * @param {Object} drawing - From CanvasEngine/Simulation getDrawing()
+     * @param {Object} options - See DEFAULTS
+     * @returns {Object} {positions: [x, y, z, ...], parts: [{name, quads: [[a, b, c, d], ...]}]}
+     *                   with quads wound counter-clockwise seen from outside; parts are
+     *                   'base' and one 'acute_N' per acute count (3 = 3 or more)
+     */
+    static build(drawing, options = {}) {
+        const settings = { ...WallExtruder.DEFAULTS, ...options };
+        const space = ModelSpace.fromDrawing(drawing, settings.size);
+        const positions = [];
+        const parts = [];
+        const bottom = settings.baseHeight;
+        const top = settings.baseHeight + settings.wallHeight;
+        const halfWidth = settings.wallThickness / 2;
+        
+        // Eight corners (the outline CCW from above, at the bottom then the top) and six faces
+        const addBox = (outline, z0, z1, quads) => {
+            const base = positions.length / 3;
+            for (const z of [z0, z1]) {
+                for (const [x, y] of outline) positions.push(x, y, z);
+            }
+            quads.push([base, base + 3, base + 2, base + 1]);
+            quads.push([base + 4, base + 5, base + 6, base + 7]);
+            for (let i = 0; i < 4; i++) {
+                const j = (i + 1) % 4;
+                quads.push([base + i, base + j, base + j + 4, base + i + 4]);
+            }
+        };
+        
+        if (settings.baseHeight > 0) {
+            const base = { name: 'base', quads: [] };
+            addBox([[0, 0], [space.width, 0], [space.width, space.height], [0, space.height]], 0, bottom, base.quads);
+            parts.push(base);
+        }
+        
+        const onBorder = ([x, y]) => Math.abs(x) < 1e-9 || Math.abs(y) < 1e-9 ||
+            Math.abs(x - space.width) < 1e-9 || Math.abs(y - space.height) < 1e-9;
+        const walls = [0, 1, 2, 3].map(count => ({ name: `acute_${count}`, quads: [] }));
+        
+        for (const { acuteCount, segments } of drawing.edges) {
+            const { quads } = walls[Math.min(acuteCount, 3)];
+            for (const [x1, y1, x2, y2] of segments) {
+                const a = space.map(x1, y1);
+                const b = space.map(x2, y2);
+                const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+                if (length < 1e-12) continue;
+                
+                // Unit direction, and the left normal scaled to half the wall thickness
+                const ux = (b[0] - a[0]) / length;
+                const uy = (b[1] - a[1]) / length;
+                const nx = -uy * halfWidth;
+                const ny = ux * halfWidth;
+                const startCap = onBorder(a) ? 0 : halfWidth;
+                const endCap = onBorder(b) ? 0 : halfWidth;
+                const ax = a[0] - ux * startCap, ay = a[1] - uy * startCap;
+                const bx = b[0] + ux * endCap, by = b[1] + uy * endCap;
+                
+                addBox([[ax - nx, ay - ny], [bx - nx, by - ny], [bx + nx, by + ny], [ax + nx, ay + ny]], bottom, top, quads);
+            }
+        }
+        
+        parts.push(...walls.filter(part => part.quads.length > 0));
+        return { positions, parts };
+    }
+}
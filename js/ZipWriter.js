@@ -0,0 +1,103 @@
+/**
+ * ZipWriter class bundles files into a zip archive (stored, uncompressed)
+ * Enough for frame sequences: PNGs are compressed already. Timestamps are fixed, so
+ * the same files always give the same archive.
+ */
+export class ZipWriter {
+    static CRC_TABLE = ZipWriter.createCrcTable();
+    
+    constructor() {
+        this.entries = [];      // {name, data, crc, offset}
+        this.size = 0;
+    }
+    
+    /**
+     * @param {string} name - Path inside the archive (ASCII)
+     * @param {Uint8Array} data - File content
+     */
+    add(name, data) {
+        this.entries.push({ name: new TextEncoder().encode(name), data, crc: ZipWriter.crc32(data), offset: this.size });
+        this.size += 30 + this.entries[this.entries.length - 1].name.length + data.length;
+    }
+    
+    /**
+     * @returns {Uint8Array} The zip archive
+     */
+    finish() {
+        const centralSize = this.entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(this.size + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        
+        // Local header, then the data, per file
+        for (const { name, data, crc } of this.entries) {
+            view.setUint32(offset, 0x04034b50, true);
+            ZipWriter.writeFileInfo(view, offset + 4, name, data, crc);
+            bytes.set(name, offset + 30);
+            bytes.set(data, offset + 30 + name.length);
+            offset += 30 + name.length + data.length;
+        }
+        
+        // Central directory
+        const centralOffset = offset;
+        for (const entry of this.entries) {
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 20, true);       // Made by
+            ZipWriter.writeFileInfo(view, offset + 6, entry.name, entry.data, entry.crc);
+            view.setUint32(offset + 42, entry.offset, true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        }
+        
+        // End of central directory
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, this.entries.length, true);
+        view.setUint16(offset + 10, this.entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        
+        return bytes;
+    }
+    
+    /**
+     * Fields shared by the local and central headers, from "version needed" to the
+     * file name length (the central header's extra fields stay zero)
+     */
+    static writeFileInfo(view, offset, name, data, crc) {
+        view.setUint16(offset, 20, true);               // Version needed
+        view.setUint16(offset + 2, 0, true);            // Flags
+        view.setUint16(offset + 4, 0, true);            // Stored
+        view.setUint16(offset + 6, 0, true);            // Time 00:00
+        view.setUint16(offset + 8, 0x21, true);         // Date 1980-01-01
+        view.setUint32(offset + 10, crc, true);
+        view.setUint32(offset + 14, data.length, true);
+        view.setUint32(offset + 18, data.length, true);
+        view.setUint16(offset + 22, name.length, true);
+    }
+    
+    /**
+     * CRC-32 (as used by zip and PNG)
+     * @param {Uint8Array} bytes
+     * @param {number} crc - Running CRC of preceding bytes (internal form), for chunked use
+     * @returns {number} CRC as an unsigned 32-bit integer
+     */
+    static crc32(bytes, crc = 0) {
+        let c = ~crc;
+        for (let i = 0; i < bytes.length; i++) {
+            c = ZipWriter.CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+        }
+        return ~c >>> 0;
+    }
+    
+    static createCrcTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+}
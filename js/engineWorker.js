@@ -0,0 +1,428 @@
+import { createSimulation, saveSnapshot, loadSnapshot, exportMesh, EXPORTERS } from './headless.js';
+import { Snapshot } from './Snapshot.js';
+import { RecordingPlan } from './RecordingPlan.js';
+
+/**
+ * Web Worker host for either simulation engine (see EngineWorkerClient)
+ * The engine steps here, off the main thread; the page only renders the frames it
+ * receives. Every message is {type, id, ...}; a message with an id is answered with
+ * {type: 'result', id, value} or {type: 'error', id, message}.
+ *
+ * Messages in:
+ *   'create'           {engine, config}   - Build an (ungenerated) engine
+ *   'configure'        {config}           - Merge a config patch
+ *   'generate'                            - New mesh; answers with the seed
+ *   'start'            {generationsPerSecond} / 'stop'
+ *   'step'             {count}            - Run generations now, running or not
+ *   'setCellMechanics' {params, cellIds}
+ *   'call'             {method, args}     - Any engine method with cloneable results
+ *   'save'                                - Answers with a Snapshot of the current generation
+ *   'load'             {snapshot}         - Resume from a Snapshot (JSON text or object); answers
+ *                                           with {config, generation, seed}
+ *   'export'           {format, options}  - Answers with {content, fileName, type} (see exportMesh)
+ *   'trackMetrics'     {enabled}          - Measure every generation (see getMetrics); frames carry
+ *                                           the samples taken since the previous frame, and
+ *                                           metricsRestart after a new mesh or a load
+ *   'record'           {plan}             - Flag the frames of the RecordingPlan options' generations
+ *                                           with capture: true (null plan stops recording)
+ *   'frameDone'                           - The page is ready for the next frame
+ *
+ * Messages out: 'frame' (see buildFrame), 'log', 'result', 'error'. An 'error' without an id
+ * means a generation of the running engine failed: the run has stopped, and the frame
+ * that follows shows the mesh as the failed step left it.
+ * Frames carry their typed arrays as transferables, and only one is in flight at a
+ * time: a mesh that steps faster than the page draws just skips frames. While recording,
+ * a running engine holds at each planned generation until its capture frame is drawn,
+ * so none are skipped.
+ */
+
+// Generations run back to back for at most this long before messages are handled again
+const TICK_BUDGET = 16;
+const MAX_GENERATIONS_PER_TICK = 5;
+
+// Config keys whose effect must show before the next step
+const REFRESH_ON = {
+    rule: 'analyze',
+    angleResponse: 'analyze',
+    invertBehavior: 'analyze',
+    validation: 'validate'
+};
+
+let engineName = null;
+let simulation = null;
+
+const log = message => self.postMessage({ type: 'log', message });
+
+let running = false;
+let generationsPerSecond = 60;
+let timer = null;
+let lastTickTime = null;
+let pendingTime = 0;
+
+let frameInFlight = false;
+let frameDirty = false;
+
+let recording = null;
+let captureHeld = false;       // Stepping waits for the capture frame to be drawn
+let captureInFlight = false;
+let lastCapture = null;        // Generation of the last capture frame sent
+
+// Samples kept while the page is not taking frames (e.g. in a background tab)
+const MAX_PENDING_METRICS = 10000;
+let metricsEnabled = false;
+let metricSamples = [];        // Taken since the last frame
+let metricsRestart = false;    // A new mesh or a loaded run replaced the measured one
+
+const handlers = {
+    create({ engine, config }) {
+        stop();
+        engineName = engine;
+        simulation = createSimulation({ ...config, engine }, { log });
+        metricSamples = [];
+    },
+    
+    configure({ config }) {
+        Object.assign(simulation.config, config);
+        
+        const refresh = new Set(Object.keys(config).map(key => REFRESH_ON[key]));
+        if (refresh.has('analyze') && simulation.analyzeAcuteAngles) simulation.analyzeAcuteAngles();
+        if (refresh.has('validate')) simulation.validateMesh();
+        invalidate();
+    },
+    
+    generate() {
+        simulation.generate();
+        restartMetrics();
+        invalidate();
+        return simulation.seed;
+    },
+    
+    start(message) {
+        generationsPerSecond = message.generationsPerSecond || generationsPerSecond;
+        if (!running) {
+            // Violations present now are accepted; only new ones pause again
+            simulation.resume();
+            running = true;
+            lastTickTime = null;
+            pendingTime = 0;
+        }
+        schedule(0);
+    },
+    
+    stop() {
+        stop();
+        invalidate();
+    },
+    
+    step({ count = 1 }) {
+        for (let i = 0; i < count && !simulation.paused; i++) {
+            simulation.step();
+            sampleMetrics();
+        }
+        invalidate();
+        return simulation.getStats();
+    },
+    
+    setCellMechanics({ params, cellIds = null }) {
+        simulation.setCellMechanics(params, cellIds);
+    },
+    
+    call({ method, args = [] }) {
+        if (typeof simulation[method] !== 'function') {
+            throw new Error(`Unknown engine method "${method}"`);
+        }
+        const value = simulation[method](...args);
+        invalidate();
+        return value;
+    },
+    
+    // Read-only, so no frame follows (the page asks on every pointer move)
+    inspect({ x, y, radius }) {
+        return simulation.inspect(x, y, radius);
+    },
+    
+    save() {
+        return saveSnapshot(simulation);
+    },
+    
+    load({ snapshot }) {
+        const data = Snapshot.parse(snapshot);
+        if (data.engine !== engineName) {
+            throw new Error(`Snapshot is for the "${data.engine}" engine, this page runs "${engineName}"`);
+        }
+        
+        stop();
+        simulation = loadSnapshot(data, { log });
+        restartMetrics();
+        invalidate();
+        return { config: simulation.config, generation: simulation.generation, seed: simulation.seed };
+    },
+    
+    export({ format, options = {} }) {
+        const content = exportMesh(simulation, format, options);
+        const exporter = EXPORTERS[format];
+        return {
+            content,
+            fileName: `${engineName}-seed${simulation.seed}-gen${simulation.generation}.${exporter.EXTENSION}`,
+            type: exporter.MIME_TYPE
+        };
+    },
+    
+    trackMetrics({ enabled }) {
+        metricsEnabled = enabled;
+        metricSamples = [];
+        
+        // Start from the current generation, if there is a mesh yet
+        if (simulation.getStats().totalEdges > 0) sampleMetrics();
+        invalidate();
+    },
+    
+    record({ plan = null }) {
+        recording = plan && new RecordingPlan(plan);
+        captureHeld = false;
+        lastCapture = null;
+        invalidate();
+        if (running) schedule(0);
+    },
+    
+    frameDone() {
+        frameInFlight = false;
+        if (captureInFlight && captureHeld) {
+            captureHeld = false;
+            lastTickTime = null;
+            if (running) schedule(0);
+        }
+        captureInFlight = false;
+        postFrame();
+    }
+};
+
+self.onmessage = ({ data }) => {
+    try {
+        const handler = handlers[data.type];
+        if (!handler) throw new Error(`Unknown message type "${data.type}"`);
+        if (data.type !== 'create' && !simulation) throw new Error('No engine - send "create" first');
+        
+        const value = handler(data);
+        if (data.id !== undefined) self.postMessage({ type: 'result', id: data.id, value });
+    } catch (error) {
+        self.postMessage({ type: 'error', id: data.id, message: error.message });
+    }
+};
+
+function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+}
+
+function schedule(delay) {
+    clearTimeout(timer);
+    timer = setTimeout(tick, delay);
+}
+
+/**
+ * Run the generations that are due at generationsPerSecond (capped, so a slow
+ * mesh runs flat out instead of piling up a backlog)
+ * Runs from a timer, outside self.onmessage, so a failing step is reported here.
+ */
+function tick() {
+    timer = null;
+    if (!running || captureHeld) return;
+    
+    try {
+        runDueGenerations();
+    } catch (error) {
+        stop();
+        self.postMessage({ type: 'error', message: `Generation ${simulation.generation + 1} failed: ${error.message}` });
+        invalidate();
+    }
+}
+
+function runDueGenerations() {
+    const now = performance.now();
+    pendingTime += lastTickTime === null ? 1000 / generationsPerSecond : now - lastTickTime;
+    lastTickTime = now;
+    
+    const due = Math.floor(pendingTime * generationsPerSecond / 1000);
+    let count = 0;
+    while (count < Math.min(due, MAX_GENERATIONS_PER_TICK)) {
+        simulation.step();
+        sampleMetrics();
+        count++;
+        
+        if (simulation.paused) {
+            running = false;
+            break;
+        }
+        if (recording && recording.includes(simulation.generation)) {
+            captureHeld = true;
+            break;
+        }
+        if (performance.now() - now > TICK_BUDGET) break;
+    }
+    pendingTime = due > MAX_GENERATIONS_PER_TICK ? 0 : pendingTime - count * 1000 / generationsPerSecond;
+    
+    if (count > 0) invalidate();
+    if (running && !captureHeld) schedule(Math.max(0, 1000 / generationsPerSecond - pendingTime));
+}
+
+/**
+ * Measure the current generation for the next frame, when tracking metrics
+ */
+function sampleMetrics() {
+    if (!metricsEnabled) return;
+    
+    metricSamples.push(simulation.getMetrics());
+    if (metricSamples.length > MAX_PENDING_METRICS) metricSamples.shift();
+}
+
+/**
+ * Drop the samples of the previous mesh and measure the new one
+ */
+function restartMetrics() {
+    metricSamples = [];
+    metricsRestart = true;
+    sampleMetrics();
+}
+
+/**
+ * Mark the page's view as stale and send a frame if it is ready for one
+ */
+function invalidate() {
+    frameDirty = true;
+    postFrame();
+}
+
+function postFrame() {
+    if (frameInFlight || !frameDirty || !simulation) return;
+    
+    const transfer = [];
+    const frame = buildFrame(transfer);
+    frameInFlight = true;
+    frameDirty = false;
+    captureInFlight = frame.capture;
+    self.postMessage(frame, transfer);
+}
+
+/**
+ * Snapshot of everything the page draws and displays
+ * @param {Array} transfer - Collects the ArrayBuffers to hand over
+ * @returns {Object} {type: 'frame', engine, generation, seed, running, paused, pauseReason,
+ *                   capture, stats, validation, validationSummary, attractor (the
+ *                   AttractorDetector report), pinned (vertex indices), dragged (vertex
+ *                   index or null), metrics and metricsRestart (when tracking),
+ *                   ...engine-specific buffers}
+ */
+function buildFrame(transfer) {
+    const report = simulation.lastValidation;
+    const frame = {
+        type: 'frame',
+        engine: engineName,
+        generation: simulation.generation,
+        seed: simulation.seed,
+        running,
+        paused: simulation.paused,
+        pauseReason: simulation.pauseReason,
+        capture: recording !== null && recording.includes(simulation.generation) &&
+            simulation.generation !== lastCapture,
+        stats: simulation.getStats(),
+        validation: report,
+        validationSummary: report ? simulation.validator.describe(report) : null,
+        attractor: simulation.lastDetection,
+        pinned: Uint32Array.from(simulation.getPinnedVertices()),
+        dragged: simulation.pins.dragged
+    };
+    
+    if (frame.capture) lastCapture = simulation.generation;
+    if (metricsEnabled) {
+        frame.metrics = metricSamples;
+        frame.metricsRestart = metricsRestart;
+        metricSamples = [];
+        metricsRestart = false;
+    }
+    
+    Object.assign(frame, engineName === 'canvas' ? canvasBuffers(report) : voronoiBuffers(report));
+    for (const value of Object.values(frame)) {
+        if (ArrayBuffer.isView(value)) transfer.push(value.buffer);
+    }
+    return frame;
+}
+
+/**
+ * CanvasEngine frame: vertex positions, edge endpoints and acute counts, plus the
+ * outlines of flagged cells and (when shown) the seed triangles
+ */
+function canvasBuffers(report) {
+    const { store } = simulation;
+    const buffers = {
+        vertexCount: store.vertexCount,
+        edgeCount: store.edgeCount,
+        positions: new Float32Array(store.positions),       // [x0, y0, x1, y1, ...]
+        edgeVertices: store.edgeVertices.slice(),           // [v1, v2, ...] per edge
+        acuteCounts: store.acuteCounts.slice()
+    };
+    
+    if (report && !report.valid) {
+        buffers.violationCells = report.cells.map(index => simulation.getCellPoints(simulation.cells[index]));
+    }
+    
+    if (simulation.config.showDelaunayTriangles) {
+        const triangles = simulation.getDelaunayTriangles();
+        buffers.triangles = new Float32Array(triangles.length * 6);     // [ax, ay, bx, by, cx, cy] per triangle
+        buffers.triangleGhosts = new Uint8Array(triangles.length * 3);  // 1 for ghost seeds
+        triangles.forEach(({ a, b, c }, t) => {
+            [a, b, c].forEach((seed, k) => {
+                buffers.triangles[t * 6 + k * 2] = seed.x;
+                buffers.triangles[t * 6 + k * 2 + 1] = seed.y;
+                buffers.triangleGhosts[t * 3 + k] = seed.ghost ? 1 : 0;
+            });
+        });
+    }
+    
+    return buffers;
+}
+
+/**
+ * Simulation frame: ready-made Three.js attribute arrays for the cell fills, the
+ * coloured edge lines and the violation overlay
+ */
+function voronoiBuffers(report) {
+    const mesh = simulation.voronoiMesh;
+    const cells = mesh.triangulateCells();
+    const edges = mesh.getEdgeBuffers();
+    const buffers = {
+        vertexCount: mesh.getVertexData().length,
+        cellPositions: new Float32Array(cells.positions),   // Shared vertices first, then border pieces
+        cellIndices: new Uint32Array(cells.indices),
+        edgePositions: edges.positions,
+        edgeColors: edges.colors,
+        analysis: simulation.lastAnalysis
+    };
+    
+    if (report && !report.valid) {
+        const topology = mesh.getTopology();
+        const z = 0.02; // Above the edge lines
+        
+        const segments = [];
+        const addSegment = (a, b) => {
+            // Split where the edge crosses a periodic seam
+            for (const [x1, y1, x2, y2] of mesh.getEdgeSegments(topology.vertices[a], topology.vertices[b])) {
+                segments.push(x1, y1, z, x2, y2, z);
+            }
+        };
+        report.edges.forEach(index => addSegment(topology.edges[index].v1, topology.edges[index].v2));
+        report.cells.forEach(index => {
+            const indices = topology.cells[index].vertexIndices;
+            indices.forEach((a, k) => addSegment(a, indices[(k + 1) % indices.length]));
+        });
+        
+        const points = [];
+        report.vertices.forEach(index => points.push(topology.vertices[index].x, topology.vertices[index].y, z));
+        
+        buffers.violationSegments = new Float32Array(segments);
+        buffers.violationPoints = new Float32Array(points);
+    }
+    
+    return buffers;
+}
@@ -0,0 +1,196 @@
+import { CanvasEngine } from './CanvasEngine.js';
+import { Simulation } from './Simulation.js';
+import { Snapshot } from './Snapshot.js';
+import { SvgExporter } from './SvgExporter.js';
+import { GeoJsonExporter } from './GeoJsonExporter.js';
+import { DxfExporter } from './DxfExporter.js';
+import { ObjExporter } from './ObjExporter.js';
+import { StlExporter } from './StlExporter.js';
+import { VoronoiMesh } from './VoronoiMesh.js';
+import { RecordingPlan } from './RecordingPlan.js';
+import { FrameRasterizer } from './FrameRasterizer.js';
+import { PngEncoder } from './PngEncoder.js';
+import { ZipWriter } from './ZipWriter.js';
+import { MeshMetrics } from './MeshMetrics.js';
+import { TopologyStatistics } from './TopologyStatistics.js';
+import { AttractorDetector } from './AttractorDetector.js';
+import { ParameterSweep } from './ParameterSweep.js';
+
+/**
+ * Headless entry point - DOM-free access to both simulation engines
+ *
+ * Engines:
+ *   'canvas'  - CanvasEngine, the per-frame vertex physics behind index.html
+ *   'voronoi' - Simulation, the generation-based VoronoiMesh/EdgeAnalyzer/MeshEvolver loop of main.js
+ *
+ * Both expose generate(), step(), getStats(), getState(), getDrawing(), getMetrics(),
+ * getTopologyStatistics(), getSnapshot() / loadSnapshot(), a generation counter and the
+ * latest AttractorDetector report (lastDetection).
+ */
+export {
+    CanvasEngine, Simulation, Snapshot, SvgExporter, GeoJsonExporter, DxfExporter, ObjExporter, StlExporter,
+    RecordingPlan, FrameRasterizer, PngEncoder, ZipWriter, MeshMetrics, TopologyStatistics, AttractorDetector,
+    ParameterSweep
+};
+
+export const ENGINES = ['canvas', 'voronoi'];
+
+/**
+ * How each engine's page draws the mesh, as FrameRasterizer options (the edge palette
+ * also colours SVG exports)
+ */
+export const VIEW_STYLES = {
+    canvas: { background: '#404040', vertices: true, acuteColors: SvgExporter.ACUTE_COLORS },
+    voronoi: { background: '#111111', fill: '#ffffff', acuteColors: VoronoiMesh.ACUTE_COLORS }
+};
+
+/**
+ * Export formats: each exporter has render(drawing, options), EXTENSION and MIME_TYPE
+ */
+export const EXPORTERS = {
+    svg: SvgExporter,
+    geojson: GeoJsonExporter,
+    dxf: DxfExporter,
+    obj: ObjExporter,
+    stl: StlExporter
+};
+
+/**
+ * Create a simulation from a plain config object
+ * @param {Object} config - Engine parameters plus an optional `engine` name (default 'canvas')
+ * @param {Object} options - Engine options: {log: function(message)} for progress messages
+ * @returns {CanvasEngine|Simulation} Ungenerated simulation
+ */
+export function createSimulation(config = {}, options = {}) {
+    const { engine = 'canvas', ...engineConfig } = config;
+    
+    switch (engine) {
+        case 'canvas':
+            return new CanvasEngine(engineConfig, options);
+        case 'voronoi':
+            return new Simulation(engineConfig, null, options);
+        default:
+            throw new Error(`Unknown engine "${engine}" (expected one of: ${ENGINES.join(', ')})`);
+    }
+}
+
+/**
+ * Generate a mesh (or resume a snapshot) and evolve it for a number of generations
+ * @param {Object} config - See createSimulation, or a snapshot object to carry on from
+ * @param {number} generations - Number of generations to run after the first one
+ * @param {Function} onGeneration - Called with (simulation) for the first generation and after every
+ *                                  step (the run stops early if the simulation pauses itself)
+ * @param {Object} options - Engine options, see createSimulation
+ * @returns {CanvasEngine|Simulation} The simulation in its final state
+ */
+export function runSimulation(config, generations, onGeneration = () => {}, options = {}) {
+    let simulation;
+    if (config.format === Snapshot.FORMAT) {
+        simulation = loadSnapshot(config, options);
+    } else {
+        simulation = createSimulation(config, options);
+        simulation.generate();
+    }
+    onGeneration(simulation);
+    
+    for (let i = 0; i < generations; i++) {
+        simulation.step();
+        onGeneration(simulation);
+        
+        // The 'pause' validation policy stops the run on the first invalid generation, and
+        // autoPause once it is stationary or periodic
+        if (simulation.paused) break;
+    }
+    
+    return simulation;
+}
+
+/**
+ * Name of a simulation's engine, as accepted by createSimulation
+ * @param {CanvasEngine|Simulation} simulation
+ * @returns {string} 'canvas' or 'voronoi'
+ */
+export function engineName(simulation) {
+    return simulation instanceof CanvasEngine ? 'canvas' : 'voronoi';
+}
+
+/**
+ * Save a simulation's current generation
+ * @param {CanvasEngine|Simulation} simulation - Generated simulation
+ * @returns {Object} Versioned snapshot (see Snapshot); JSON.stringify it to write a file
+ */
+export function saveSnapshot(simulation) {
+    return Snapshot.create(engineName(simulation), simulation);
+}
+
+/**
+ * Recreate a simulation from a snapshot, ready to step on from the saved generation
+ * @param {string|Object} snapshot - Snapshot JSON text or object (older versions are migrated)
+ * @param {Object} options - See createSimulation
+ * @returns {CanvasEngine|Simulation} The restored simulation
+ * @throws {Error} If the snapshot is invalid or from a newer format version
+ */
+export function loadSnapshot(snapshot, options = {}) {
+    const data = Snapshot.parse(snapshot);
+    const simulation = createSimulation({ ...data.config, engine: data.engine }, options);
+    simulation.loadSnapshot(data);
+    return simulation;
+}
+
+/**
+ * Export a simulation's current generation (see EXPORTERS)
+ * Edges are coloured with the engine's own palette (VIEW_STYLES) unless options say otherwise.
+ * @param {CanvasEngine|Simulation} simulation - Generated simulation
+ * @param {string} format - Export format: 'svg', 'geojson', 'dxf', 'obj' or 'stl'
+ * @param {Object} options - Exporter options (e.g. SvgExporter.DEFAULTS, WallExtruder.DEFAULTS)
+ * @returns {string|ArrayBuffer} File content (binary for 'stl')
+ * @throws {Error} If the format is unknown
+ */
+export function exportMesh(simulation, format, options = {}) {
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format "${format}" (expected one of: ${Object.keys(EXPORTERS).join(', ')})`);
+    }
+    const { acuteColors } = VIEW_STYLES[engineName(simulation)];
+    return exporter.render(simulation.getDrawing(), { acuteColors, ...options });
+}
+
+/**
+ * Run every combination of a parameter sweep, without rendering
+ * @param {Object|ParameterSweep} spec - Sweep spec (see ParameterSweep)
+ * @param {Function} onRun - Called with (row, simulation, run) after each run, e.g. to draw a thumbnail
+ * @param {Object} options - Engine options, see createSimulation
+ * @returns {Array} Summary rows in run order (see ParameterSweep.row)
+ */
+export function runSweep(spec, onRun = () => {}, options = {}) {
+    const sweep = spec instanceof ParameterSweep ? spec : new ParameterSweep(spec);
+    return sweep.runs().map((run) => {
+        const started = performance.now();
+        const simulation = runSimulation(run.config, sweep.generations, () => {}, options);
+        const row = ParameterSweep.row(run, {
+            ...ParameterSweep.summarize(simulation),
+            milliseconds: Math.round(performance.now() - started)
+        });
+        onRun(row, simulation, run);
+        return row;
+    });
+}
+
+/**
+ * Draw a simulation's current generation offscreen as a PNG, styled like its page
+ * @param {CanvasEngine|Simulation} simulation - Generated simulation
+ * @param {Object} options - FrameRasterizer options (width, height, lineWidth, ...) plus
+ *                           overlay (default true: caption with generation and stats) and
+ *                           deflate (a zlib compressor, e.g. Node's zlib.deflateSync)
+ * @returns {Uint8Array} PNG file
+ */
+export function renderFrame(simulation, options = {}) {
+    const { overlay = true, deflate = null, ...style } = options;
+    const caption = overlay ? RecordingPlan.caption(simulation.generation, simulation.getStats()) : [];
+    const image = FrameRasterizer.render(simulation.getDrawing(), {
+        ...VIEW_STYLES[engineName(simulation)],
+        ...style,
+        caption
+    });
+    return PngEncoder.encode(image.data, image.width, image.height, deflate);
+}
@@ -1,7 +1,18 @@
 import * as THREE from 'three';
+import { Simulation } from './Simulation.js';
 import { VoronoiMesh } from './VoronoiMesh.js';
-import { EdgeAnalyzer } from './EdgeAnalyzer.js';
-import { MeshEvolver } from './MeshEvolver.js';
+import { EngineWorkerClient } from './EngineWorkerClient.js';
+import { EdgeRule } from './EdgeRule.js';
+import { CurveEditor } from './CurveEditor.js';
+import { Snapshot } from './Snapshot.js';
+import { SnapshotFile } from './SnapshotFile.js';
+import { FileDownload } from './FileDownload.js';
+import { FrameRecorder } from './FrameRecorder.js';
+import { MetricsDashboard } from './MetricsDashboard.js';
+import { TopologyPanel } from './TopologyPanel.js';
+import { AttractorDetector } from './AttractorDetector.js';
+import { SvgExporter } from './SvgExporter.js';
+import { MeshInspector } from './MeshInspector.js';
 
 /**
  * Main application class that orchestrates the dynamic Voronoi mesh system
@@ -19,19 +30,44 @@ class AcuteEdgeVoronoiApp {
         };
         
         // Evolution state
-        this.generation = 0;
         this.isEvolutionRunning = false;
-        this.evolutionTimer = null;
         
         // Three.js components
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         
-        // Custom components for our Voronoi system
+        // The simulation (VoronoiMesh + EdgeAnalyzer + MeshEvolver) runs in a worker;
+        // the local VoronoiMesh only displays the frames it sends
+        this.engine = null;
         this.voronoiMesh = null;
-        this.edgeAnalyzer = null;
-        this.meshEvolver = null;
+        this.frame = null;          // Latest frame, drawn on the next animation frame
+        this.frameDrawn = true;
+        
+        // Active FrameRecorder; the worker flags the frames it should capture
+        this.recorder = null;
+        
+        // Rolling charts of the worker's per-generation metrics
+        this.dashboard = null;
+        
+        // Cell topology statistics of the shown generation
+        this.topologyPanel = null;
+        
+        // Red overlay marking the elements flagged by mesh validation
+        this.violationLines = null;
+        this.violationPoints = null;
+        
+        // Yellow markers on the pinned vertices and the dragged one
+        this.pinPoints = null;
+        
+        // Hover inspector: pointer position (mesh and page), pick radius in mesh units, the
+        // worker's answer (see Simulation.inspect) and its overlay lines
+        this.hover = { enabled: true, point: null, client: null, radius: 0, result: null, pending: false, stale: false };
+        this.inspectorLines = null;
+        
+        // Picks vertices under the mouse via the edge lines (see pickVertex)
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.params.Line.threshold = 0.15;
         
         this.init();
     }
@@ -44,6 +80,7 @@ class AcuteEdgeVoronoiApp {
         this.setupVoronoiSystem();
         this.setupControls();
         this.setupEventListeners();
+        this.setupMouseEditing();
         
         // Generate initial mesh
         this.regenerateMesh();
@@ -85,9 +122,21 @@ class AcuteEdgeVoronoiApp {
      * Initialize the Voronoi mesh system and related analyzers
      */
     setupVoronoiSystem() {
+        this.config = { ...Simulation.defaults, ...this.config };
         this.voronoiMesh = new VoronoiMesh(this.scene);
-        this.edgeAnalyzer = new EdgeAnalyzer();
-        this.meshEvolver = new MeshEvolver();
+        this.engine = new EngineWorkerClient('voronoi', this.config, {
+            onFrame: (frame) => this.onFrame(frame),
+            onError: (message) => this.onEngineError(message)
+        });
+    }
+    
+    /**
+     * Change config values here and in the worker's simulation
+     * @param {Object} patch - Config keys to set
+     */
+    setConfig(patch) {
+        Object.assign(this.config, patch);
+        this.engine.configure(patch).catch((error) => this.reportEngineError(error));
     }
     
     /**
@@ -99,12 +148,14 @@ class AcuteEdgeVoronoiApp {
         const cellCountInput = document.getElementById('cellCountValue');
         
         cellCountSlider.addEventListener('input', (e) => {
-            this.config.cellCount = parseInt(e.target.value);
+            this.setConfig({ cellCount: parseInt(e.target.value) });
             cellCountInput.value = e.target.value;
         });
         
         cellCountInput.addEventListener('input', (e) => {
-            this.config.cellCount = parseInt(e.target.value);
+            // Counts below the minimum (e.g. while typing) are not applied
+            if (!(parseInt(e.target.value) >= parseInt(e.target.min))) return;
+            this.setConfig({ cellCount: parseInt(e.target.value) });
             cellCountSlider.value = e.target.value;
         });
         
@@ -113,12 +164,12 @@ class AcuteEdgeVoronoiApp {
         const changeRateInput = document.getElementById('changeRateValue');
         
         changeRateSlider.addEventListener('input', (e) => {
-            this.config.changeRate = parseInt(e.target.value);
+            this.setConfig({ changeRate: parseInt(e.target.value) });
             changeRateInput.value = e.target.value;
         });
         
         changeRateInput.addEventListener('input', (e) => {
-            this.config.changeRate = parseInt(e.target.value);
+            this.setConfig({ changeRate: parseInt(e.target.value) });
             changeRateSlider.value = e.target.value;
         });
         
@@ -127,14 +178,224 @@ class AcuteEdgeVoronoiApp {
         const evolutionSpeedInput = document.getElementById('evolutionSpeedValue');
         
         evolutionSpeedSlider.addEventListener('input', (e) => {
-            this.config.evolutionSpeed = parseInt(e.target.value);
+            this.setEvolutionSpeed(parseInt(e.target.value));
             evolutionSpeedInput.value = e.target.value;
         });
         
         evolutionSpeedInput.addEventListener('input', (e) => {
-            this.config.evolutionSpeed = parseInt(e.target.value);
+            this.setEvolutionSpeed(parseInt(e.target.value));
             evolutionSpeedSlider.value = e.target.value;
         });
+        
+        // Rule table controls - validated before it reaches the simulation
+        const ruleInput = document.getElementById('rule');
+        const ruleError = document.getElementById('ruleError');
+        
+        const applyRule = () => {
+            const text = ruleInput.value.trim();
+            try {
+                this.setConfig({ rule: text === '' ? '' : EdgeRule.parse(text).toString() });
+            } catch (error) {
+                ruleError.textContent = error.message;
+                return;
+            }
+            ruleError.textContent = '';
+            ruleInput.value = this.config.rule;
+            console.log(`📜 Rule ${this.config.rule === '' ? 'cleared' : `set to ${this.config.rule}`}`);
+        };
+        
+        document.getElementById('applyRule').addEventListener('click', applyRule);
+        
+        document.getElementById('ruleFromRate').addEventListener('click', () => {
+            ruleInput.value = EdgeRule.fromPercentages(this.config.changeRate, this.config.changeRate).toString();
+            applyRule();
+        });
+        
+        // Integrator controls
+        const integratorSelect = document.getElementById('integrator');
+        const substepsInput = document.getElementById('substeps');
+        
+        integratorSelect.addEventListener('change', (e) => {
+            this.setConfig({ integrator: e.target.value });
+        });
+        
+        substepsInput.addEventListener('input', (e) => {
+            this.setConfig({ substeps: Math.max(1, parseInt(e.target.value) || 1) });
+        });
+        
+        // Cell mechanics - applied to every cell (per-cell values via engine.setCellMechanics)
+        const areaStiffnessInput = document.getElementById('areaStiffness');
+        const contractilityInput = document.getElementById('perimeterContractility');
+        
+        areaStiffnessInput.addEventListener('input', (e) => {
+            this.setConfig({ areaStiffness: Math.max(0, parseFloat(e.target.value) || 0) });
+            this.engine.setCellMechanics({ areaStiffness: this.config.areaStiffness }).catch((error) => this.reportEngineError(error));
+        });
+        
+        contractilityInput.addEventListener('input', (e) => {
+            this.setConfig({ perimeterContractility: Math.max(0, parseFloat(e.target.value) || 0) });
+            this.engine.setCellMechanics({ perimeterContractility: this.config.perimeterContractility }).catch((error) => this.reportEngineError(error));
+        });
+        
+        // Continuous angle response - the curve editor drives config.angleResponse while enabled
+        const useAngleResponse = document.getElementById('useAngleResponse');
+        
+        this.curveEditor = new CurveEditor(document.getElementById('curveEditor'), this.config.angleResponse, (spec) => {
+            if (this.config.angleResponse) {
+                this.setConfig({ angleResponse: spec });
+            }
+        });
+        
+        useAngleResponse.addEventListener('change', (e) => {
+            this.setConfig({ angleResponse: e.target.checked ? this.curveEditor.getSpec() : null });
+            console.log(`📈 ${this.config.angleResponse ? `Continuous ${this.config.angleResponse.type} angle response` : 'Counting acute corners'}`);
+        });
+        
+        // Mesh validation policy
+        const validationSelect = document.getElementById('validation');
+        
+        validationSelect.addEventListener('change', (e) => {
+            // The worker re-validates and sends a frame with the new report
+            this.setConfig({ validation: e.target.value });
+            console.log(`🩺 Mesh validation: ${this.config.validation}`);
+        });
+        
+        // Auto-pause once the run settles (only states entered from now on pause)
+        document.getElementById('autoPause').addEventListener('change', (e) => {
+            this.setConfig({ autoPause: e.target.checked });
+            console.log(`🎯 Auto-pause ${this.config.autoPause ? 'on' : 'off'}`);
+        });
+        
+        // Hover inspector (display only, not sent to the worker)
+        document.getElementById('inspectOnHover').addEventListener('change', (e) => {
+            this.hover.enabled = e.target.checked;
+            this.showInspected(null);
+            this.inspectHover();
+        });
+        
+        // Dual construction - regenerates from the current seed with the new dual vertices
+        const dualSelect = document.getElementById('dual');
+        const lloydInput = document.getElementById('lloydIterations');
+        const weightSpreadInput = document.getElementById('weightSpread');
+        
+        dualSelect.addEventListener('change', (e) => {
+            this.setConfig({ dual: e.target.value });
+            this.regenerateWithSameSeed();
+        });
+        
+        lloydInput.addEventListener('change', (e) => {
+            this.setConfig({ lloydIterations: Math.max(0, parseInt(e.target.value) || 0) });
+            if (this.config.dual === 'centroidal') this.regenerateWithSameSeed();
+        });
+        
+        weightSpreadInput.addEventListener('change', (e) => {
+            this.setConfig({ weightSpread: Math.max(0, parseFloat(e.target.value) || 0) });
+            if (this.config.dual === 'power') this.regenerateWithSameSeed();
+        });
+        
+        // Boundaries - periodic builds the mesh on a torus (regenerates from the current seed);
+        // otherwise each side of the clipped rectangle has its own condition
+        const boundaryNames = { reflective: 'Reflective', fixed: 'Fixed rim', free: 'Free', elastic: 'Elastic rim' };
+        const boundarySelects = [...document.querySelectorAll('#boundarySides select')];
+        const selectedBoundaries = () => Object.fromEntries(boundarySelects.map(side => [side.dataset.side, side.value]));
+        
+        document.getElementById('periodicBoundaries').addEventListener('change', (e) => {
+            // The side conditions only apply to the clipped rectangle
+            this.setConfig({
+                periodicBoundaries: e.target.checked,
+                boundaries: e.target.checked ? null : selectedBoundaries()
+            });
+            boundarySelects.forEach(select => { select.disabled = this.config.periodicBoundaries; });
+            this.updateCellCountRange();
+            this.regenerateWithSameSeed();
+        });
+        
+        boundarySelects.forEach(select => {
+            select.innerHTML = Object.entries(boundaryNames)
+                .map(([type, name]) => `<option value="${type}">${name}</option>`).join('');
+            select.addEventListener('change', () => {
+                this.setConfig({ boundaries: selectedBoundaries() });
+                console.log(`🧱 Boundaries: ${boundarySelects.map(side => `${side.title} ${side.value}`).join(', ')}`);
+            });
+        });
+        
+        document.getElementById('restitution').addEventListener('change', (e) => {
+            this.setConfig({ restitution: Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)) });
+        });
+        
+        document.getElementById('rimStiffness').addEventListener('change', (e) => {
+            this.setConfig({ rimStiffness: Math.max(0, parseFloat(e.target.value) || 0) });
+        });
+        
+        // T1 threshold controls
+        const t1ThresholdSlider = document.getElementById('t1Threshold');
+        const t1ThresholdInput = document.getElementById('t1ThresholdValue');
+        
+        t1ThresholdSlider.addEventListener('input', (e) => {
+            this.setConfig({ t1Threshold: parseFloat(e.target.value) });
+            t1ThresholdInput.value = e.target.value;
+        });
+        
+        t1ThresholdInput.addEventListener('input', (e) => {
+            this.setConfig({ t1Threshold: parseFloat(e.target.value) });
+            t1ThresholdSlider.value = e.target.value;
+        });
+        
+        this.syncControls();
+    }
+    
+    /**
+     * Show the config values in the controls (at start-up and after loading a snapshot)
+     */
+    syncControls() {
+        const setValue = (id, value) => {
+            document.getElementById(id).value = value;
+        };
+        
+        setValue('cellCount', this.config.cellCount);
+        setValue('cellCountValue', this.config.cellCount);
+        setValue('changeRate', this.config.changeRate);
+        setValue('changeRateValue', this.config.changeRate);
+        setValue('evolutionSpeed', this.config.evolutionSpeed);
+        setValue('evolutionSpeedValue', this.config.evolutionSpeed);
+        setValue('rule', this.config.rule);
+        setValue('integrator', this.config.integrator);
+        setValue('substeps', this.config.substeps);
+        setValue('areaStiffness', this.config.areaStiffness);
+        setValue('perimeterContractility', this.config.perimeterContractility);
+        setValue('validation', this.config.validation);
+        setValue('dual', this.config.dual);
+        setValue('lloydIterations', this.config.lloydIterations);
+        setValue('weightSpread', this.config.weightSpread);
+        setValue('restitution', this.config.restitution);
+        setValue('rimStiffness', this.config.rimStiffness);
+        setValue('t1Threshold', this.config.t1Threshold);
+        setValue('t1ThresholdValue', this.config.t1Threshold);
+        
+        document.getElementById('useAngleResponse').checked = this.config.angleResponse !== null;
+        if (this.config.angleResponse) this.curveEditor.setSpec(this.config.angleResponse);
+        document.getElementById('autoPause').checked = this.config.autoPause;
+        document.getElementById('periodicBoundaries').checked = this.config.periodicBoundaries;
+        const boundaries = this.config.boundaries ?? 'free';
+        document.querySelectorAll('#boundarySides select').forEach(select => {
+            select.value = typeof boundaries === 'string' ? boundaries : boundaries[select.dataset.side] || 'free';
+            select.disabled = this.config.periodicBoundaries;
+        });
+        this.updateCellCountRange();
+    }
+    
+    /**
+     * Raise the cell count minimum while periodic boundaries are on (small periodic
+     * meshes are refused), moving the count up to it if needed
+     */
+    updateCellCountRange() {
+        const min = this.config.periodicBoundaries ? VoronoiMesh.MIN_PERIODIC_CELLS : 10;
+        ['cellCount', 'cellCountValue'].forEach(id => { document.getElementById(id).min = min; });
+        if (this.config.cellCount < min) {
+            this.setConfig({ cellCount: min });
+            document.getElementById('cellCount').value = min;
+            document.getElementById('cellCountValue').value = min;
+        }
     }
     
     /**
@@ -142,6 +403,14 @@ class AcuteEdgeVoronoiApp {
      */
     setupEventListeners() {
         document.getElementById('regenerate').addEventListener('click', () => {
+            // Fresh random seed for every regeneration
+            this.setConfig({ seed: null });
+            this.regenerateMesh();
+        });
+        
+        document.getElementById('applySeed').addEventListener('click', () => {
+            const value = document.getElementById('randomSeed').value.trim();
+            this.setConfig({ seed: value === '' ? null : value });
             this.regenerateMesh();
         });
         
@@ -153,6 +422,65 @@ class AcuteEdgeVoronoiApp {
             this.pauseEvolution();
         });
         
+        // Snapshots - save the run to a file; load one (button or drop) to resume it exactly
+        document.getElementById('saveSnapshot').addEventListener('click', () => {
+            this.saveSnapshot();
+        });
+        
+        document.getElementById('loadSnapshot').addEventListener('click', () => {
+            SnapshotFile.choose((file) => this.loadSnapshot(file));
+        });
+        
+        SnapshotFile.acceptDrops(document.getElementById('canvas-container'), (file) => this.loadSnapshot(file));
+        
+        // SVG export - paper pages measure line widths in mm
+        document.getElementById('exportPage').addEventListener('change', (e) => {
+            const paper = e.target.value !== 'fit';
+            document.getElementById('exportLineWidth').value = SvgExporter.UNIT_DEFAULTS[paper ? 'mm' : 'px'].lineWidth;
+            document.getElementById('exportLineUnit').textContent = paper ? 'mm' : 'px';
+        });
+        
+        document.getElementById('exportSvg').addEventListener('click', () => {
+            this.exportSvg();
+        });
+        
+        // Geometry export - CAD/GIS formats in mesh units, 3D walls in mm
+        document.getElementById('exportGeometry').addEventListener('click', () => {
+            const format = document.getElementById('exportFormat').value;
+            this.exportMesh(format, format === 'obj' || format === 'stl' ? {
+                size: parseFloat(document.getElementById('exportSize').value),
+                wallThickness: parseFloat(document.getElementById('exportWallThickness').value),
+                wallHeight: parseFloat(document.getElementById('exportWallHeight').value)
+            } : {});
+        });
+        
+        // Metrics dashboard - turning measuring back on starts a new history
+        this.dashboard = new MetricsDashboard(document.getElementById('metricsDashboard'), {
+            acuteColors: VoronoiMesh.ACUTE_COLORS,
+            prefix: 'voronoi'
+        });
+        this.engine.trackMetrics(true).catch((error) => this.reportEngineError(error));
+        
+        document.getElementById('trackMetrics').addEventListener('change', (e) => {
+            if (e.target.checked) this.dashboard.clear();
+            this.engine.trackMetrics(e.target.checked).catch((error) => this.reportEngineError(error));
+            document.getElementById('metricsDashboard').style.display = e.target.checked ? '' : 'none';
+            console.log(`📈 Metrics ${e.target.checked ? 'on' : 'off'}`);
+        });
+        
+        // Topology panel - measured on demand, or every shown generation in live mode
+        this.topologyPanel = new TopologyPanel(document.getElementById('topologyPanel'),
+            () => this.engine.call('getTopologyStatistics').then((statistics) => {
+                console.log(`🔬 Topology at generation ${statistics.generation}: ⟨n⟩ ${statistics.sides.mean.toFixed(3)}`);
+                return statistics;
+            }), { prefix: 'voronoi' });
+        
+        // Recording - the worker waits for each planned generation to be captured
+        document.getElementById('toggleRecording').addEventListener('click', () => {
+            if (this.recorder) this.stopRecording();
+            else this.startRecording();
+        });
+        
         // Handle window resize
         window.addEventListener('resize', () => {
             this.onWindowResize();
@@ -163,13 +491,153 @@ class AcuteEdgeVoronoiApp {
      * Generate a new random Voronoi mesh
      */
     regenerateMesh() {
-        this.generation = 0;
-        this.updateInfoDisplay();
+        // Generate new Voronoi mesh with current cell count (and config.seed, if set)
+        this.engine.generate().then((seed) => {
+            // Show the seed so the mesh can be reproduced later
+            document.getElementById('seedDisplay').textContent = seed;
+            document.getElementById('randomSeed').value = seed;
+            
+            console.log(`🔄 Generated new mesh with ${this.config.cellCount} cells (seed ${seed})`);
+        }).catch((error) => this.reportEngineError(error));
+    }
+    
+    /**
+     * Regenerate the mesh from the seed it was generated from (after a dual construction change)
+     */
+    regenerateWithSameSeed() {
+        const frame = this.engine.frame;
+        this.setConfig({ seed: frame ? frame.seed : null });
+        this.regenerateMesh();
+        console.log(`🔷 Dual construction: ${this.config.dual}`);
+    }
+    
+    /**
+     * Download the current generation as a snapshot file
+     */
+    saveSnapshot() {
+        this.engine.save().then((snapshot) => {
+            SnapshotFile.download(snapshot);
+            console.log(`💾 Saved generation ${snapshot.generation} to ${Snapshot.fileName(snapshot)}`);
+        }).catch((error) => this.reportEngineError(error));
+    }
+    
+    /**
+     * Download the current generation as SVG with the export controls' options
+     */
+    exportSvg() {
+        const page = document.getElementById('exportPage').value;
+        const options = {
+            page,
+            margin: page === 'fit' ? 0 : 10,
+            lineWidth: parseFloat(document.getElementById('exportLineWidth').value),
+            colorByAcute: document.getElementById('exportColors').checked,
+            stroke: document.getElementById('exportStroke').value,
+            fill: document.getElementById('exportFill').checked ? '#ffffff' : null,
+            vertices: document.getElementById('exportVertices').checked,
+            delaunay: document.getElementById('exportDelaunay').checked
+        };
         
-        // Generate new Voronoi mesh with current cell count
-        this.voronoiMesh.generate(this.config.cellCount);
+        this.exportMesh('svg', options);
+    }
+    
+    /**
+     * Download the current generation in an export format (see headless.js EXPORTERS)
+     * @param {string} format - 'svg', 'geojson', 'dxf', 'obj' or 'stl'
+     * @param {Object} options - Exporter options
+     */
+    exportMesh(format, options) {
+        this.engine.exportMesh(format, options).then(({ content, fileName, type }) => {
+            FileDownload.save(content, fileName, type);
+            console.log(`🖋️ Exported ${fileName}`);
+        }).catch((error) => this.reportEngineError(error));
+    }
+    
+    /**
+     * Start recording the view with the recording controls' options
+     */
+    startRecording() {
+        const recordStatus = document.getElementById('recordStatus');
+        const size = document.getElementById('recordSize').value;
+        const [width, height] = size ? size.split('x').map(Number) : [null, null];
+        const stop = document.getElementById('recordStop').value;
+        
+        try {
+            this.recorder = new FrameRecorder({
+                format: document.getElementById('recordFormat').value,
+                every: parseInt(document.getElementById('recordEvery').value),
+                start: parseInt(document.getElementById('recordStart').value) || 0,
+                stop: stop === '' ? null : parseInt(stop),
+                width,
+                height,
+                overlay: document.getElementById('recordOverlay').checked,
+                name: this.frame ? `voronoi-seed${this.frame.seed}` : 'voronoi'
+            });
+        } catch (error) {
+            recordStatus.textContent = `Cannot record: ${error.message}`;
+            return;
+        }
+        
+        const { every, start, stop: last } = this.recorder.plan;
+        this.engine.record({ every, start, stop: last }).catch((error) => this.reportEngineError(error));
+        document.getElementById('toggleRecording').textContent = 'Stop Recording';
+        recordStatus.textContent = `Waiting for generation ${start}`;
+        console.log(`🎥 Recording every ${every} generations from ${start}`);
+    }
+    
+    /**
+     * Copy the just-rendered view into the recording
+     */
+    recordFrame(frame) {
+        this.recorder.capture(this.renderer.domElement, frame);
+        document.getElementById('recordStatus').textContent = `${this.recorder.frameCount} frames`;
+        if (this.recorder.plan.isComplete(frame.generation)) this.stopRecording();
+    }
+    
+    /**
+     * Stop recording and download what was captured
+     */
+    stopRecording() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        this.engine.record(null).catch((error) => this.reportEngineError(error));
+        document.getElementById('toggleRecording').textContent = 'Start Recording';
+        
+        recorder.finish().then((result) => {
+            const recordStatus = document.getElementById('recordStatus');
+            if (!result) {
+                recordStatus.textContent = 'Stopped before any frame was captured';
+                return;
+            }
+            FileDownload.save(result.blob, result.fileName);
+            recordStatus.textContent = '';
+            console.log(`🎞️ Recorded ${result.frameCount} frames to ${result.fileName}`);
+        }).catch((error) => this.reportEngineError(error));
+    }
+    
+    /**
+     * Resume a saved run; evolution stays paused until started again
+     * @param {File} file - Snapshot JSON file
+     */
+    loadSnapshot(file) {
+        const snapshotError = document.getElementById('snapshotError');
+        this.pauseEvolution();
         
-        console.log(`🔄 Generated new mesh with ${this.config.cellCount} cells`);
+        file.text()
+            .then((text) => this.engine.load(text))
+            .then(({ config, generation, seed }) => {
+                // Window size and evolution speed belong to this page, not to the run
+                const { canvasWidth, canvasHeight, evolutionSpeed, ...engineConfig } = config;
+                Object.assign(this.config, engineConfig);
+                this.syncControls();
+                
+                document.getElementById('seedDisplay').textContent = seed;
+                document.getElementById('randomSeed').value = seed;
+                snapshotError.textContent = '';
+                console.log(`📂 Loaded ${file.name}: generation ${generation} (seed ${seed})`);
+            })
+            .catch((error) => {
+                snapshotError.textContent = `Could not load ${file.name}: ${error.message}`;
+            });
     }
     
     /**
@@ -177,16 +645,15 @@ class AcuteEdgeVoronoiApp {
      * Step 2: Analyze acute angles and assign expand/shrink values
      * Step 3: Apply physical changes to the mesh
      * Loop back to Step 2
+     * Generations run in the worker at one per evolutionSpeed ms (or as fast as the mesh allows)
      */
     startEvolution() {
         if (this.isEvolutionRunning) return;
         
         this.isEvolutionRunning = true;
+        // Violations present now are accepted; only new ones pause again
+        this.engine.start(1000 / this.config.evolutionSpeed).catch((error) => this.reportEngineError(error));
         console.log('🚀 Starting evolution process...');
-        
-        this.evolutionTimer = setInterval(() => {
-            this.evolveOneGeneration();
-        }, this.config.evolutionSpeed);
     }
     
     /**
@@ -196,65 +663,272 @@ class AcuteEdgeVoronoiApp {
         if (!this.isEvolutionRunning) return;
         
         this.isEvolutionRunning = false;
-        if (this.evolutionTimer) {
-            clearInterval(this.evolutionTimer);
-            this.evolutionTimer = null;
-        }
+        this.engine.stop().catch((error) => this.reportEngineError(error));
         
         console.log('⏸️ Evolution paused');
     }
     
     /**
-     * Evolve the mesh by one generation
-     * This implements your step 2 and 3 process
+     * Change the time between generations, taking effect at once while running
+     * @param {number} milliseconds - Evolution speed
      */
-    evolveOneGeneration() {
-        this.generation++;
+    setEvolutionSpeed(milliseconds) {
+        this.config.evolutionSpeed = milliseconds;
+        if (this.isEvolutionRunning) {
+            this.engine.start(1000 / milliseconds).catch((error) => this.reportEngineError(error));
+        }
+    }
+    
+    /**
+     * Mouse editing in the viewport, running or not: drag a vertex, right-click to pin or
+     * unpin it, shift-click to add a seed, alt-click to delete the nearest seed
+     */
+    setupMouseEditing() {
+        const element = this.renderer.domElement;
+        let drag = null; // {index} while the button is down (index -1 until the vertex is found)
         
-        // Step 2: Analyze edges for acute angles and calculate expand/shrink values
-        const edgeData = this.voronoiMesh.getEdgeData();
-        console.log(`🔍 Starting analysis of ${edgeData.length} edges for generation ${this.generation}`);
+        element.addEventListener('mousedown', (event) => {
+            if (event.button !== 0) return;
+            const { x, y } = this.pointerToMesh(event);
+            
+            if (event.shiftKey) {
+                this.engine.call('addSeed', x, y).then((kept) => {
+                    console.log(`✏️ Added a seed at (${x.toFixed(2)}, ${y.toFixed(2)}) - kept ${kept} vertices`);
+                }).catch((error) => this.reportEngineError(error));
+            } else if (event.altKey) {
+                this.engine.call('removeSeed', x, y).then((kept) => {
+                    console.log(`✏️ Deleted the seed nearest (${x.toFixed(2)}, ${y.toFixed(2)}) - kept ${kept} vertices`);
+                }).catch((error) => this.reportEngineError(error));
+            } else {
+                const current = drag = { index: -1 };
+                this.pickVertex(event).then((index) => {
+                    if (drag !== current || index < 0) return;
+                    current.index = index;
+                    this.engine.call('dragVertex', index, x, y).catch((error) => this.reportEngineError(error));
+                }).catch((error) => this.reportEngineError(error));
+            }
+        });
         
-        // Debug: Check edge connectivity
-        const debugInfo = this.voronoiMesh.getEdgeDebugInfo();
-        console.log('🐛 Edge Debug Info:', debugInfo);
+        element.addEventListener('mousemove', (event) => {
+            const { x, y } = this.pointerToMesh(event);
+            const rect = element.getBoundingClientRect();
+            this.hover.point = [x, y];
+            this.hover.client = [event.clientX, event.clientY];
+            this.hover.radius = 8 * (this.camera.right - this.camera.left) / rect.width;
+            this.inspectHover();
+            
+            if (!drag || drag.index < 0) return;
+            this.engine.call('dragVertex', drag.index, x, y).catch((error) => this.reportEngineError(error));
+        });
         
-        const analysisResults = this.edgeAnalyzer.analyzeAcuteAngles(edgeData);
-        console.log('📊 Analysis Results:', analysisResults);
+        element.addEventListener('mouseleave', () => {
+            this.hover.point = null;
+            this.showInspected(null);
+        });
         
-        const edgeValues = this.edgeAnalyzer.calculateEdgeValues(
-            edgeData,  // Pass the edges directly
-            this.config.changeRate
-        );
-        console.log(`💰 Calculated ${edgeValues.length} edge values`);
+        window.addEventListener('mouseup', () => {
+            if (drag && drag.index >= 0) this.engine.call('releaseVertex').catch((error) => this.reportEngineError(error));
+            drag = null;
+        });
         
-        // Step 3: Apply physical changes using spring-damper system
-        this.meshEvolver.applyEdgeValues(this.voronoiMesh, edgeValues);
+        element.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            this.pickVertex(event).then((index) => {
+                if (index < 0) return;
+                const pinned = !(this.frame && this.frame.pinned.includes(index));
+                this.engine.call('pinVertex', index, pinned).catch((error) => this.reportEngineError(error));
+                console.log(`📌 ${pinned ? 'Pinned' : 'Unpinned'} vertex ${index}`);
+            }).catch((error) => this.reportEngineError(error));
+        });
+    }
+    
+    /**
+     * Ask the worker what is under the pointer: one request at a time, the latest pointer
+     * position wins, and every new frame asks again as the mesh moves
+     */
+    inspectHover() {
+        const hover = this.hover;
+        if (!hover.enabled || !hover.point) return;
+        if (hover.pending) {
+            hover.stale = true;
+            return;
+        }
+        
+        hover.pending = true;
+        hover.stale = false;
+        this.engine.inspect(hover.point[0], hover.point[1], hover.radius).then((result) => {
+            hover.pending = false;
+            this.showInspected(hover.enabled && hover.point ? result : null);
+            if (hover.stale) this.inspectHover();
+        }, () => {
+            hover.pending = false;
+        });
+    }
+    
+    /**
+     * Show an inspect() result: the tooltip next to the pointer and the overlay lines
+     * (a cell outline, a vertex with its edges, or an edge with its connected edges in cyan
+     * and arcs at the corners it makes with them, red when acute)
+     * @param {Object|null} info - See Simulation.inspect
+     */
+    showInspected(info) {
+        this.hover.result = info;
+        
+        const tooltip = document.getElementById('inspectorTooltip');
+        tooltip.style.display = info ? 'block' : 'none';
+        if (info) {
+            tooltip.textContent = MeshInspector.describe(info).join('\n');
+            tooltip.style.left = `${this.hover.client[0] + 14}px`;
+            tooltip.style.top = `${this.hover.client[1] + 14}px`;
+        }
+        
+        if (this.inspectorLines) {
+            this.scene.remove(this.inspectorLines);
+            this.inspectorLines.geometry.dispose();
+            this.inspectorLines.material.dispose();
+            this.inspectorLines = null;
+        }
+        if (!info) return;
+        
+        const z = 0.04; // Above the pin markers
+        const positions = [];
+        const colors = [];
+        const addPolyline = (points, color, closed = false) => {
+            const { r, g, b } = new THREE.Color(color);
+            const count = closed ? points.length : points.length - 1;
+            for (let i = 0; i < count; i++) {
+                const [x1, y1] = points[i];
+                const [x2, y2] = points[(i + 1) % points.length];
+                positions.push(x1, y1, z, x2, y2, z);
+                colors.push(r, g, b, r, g, b);
+            }
+        };
+        const addSegments = (items, color) => {
+            items.forEach(({ segment: [x1, y1, x2, y2] }) => addPolyline([[x1, y1], [x2, y2]], color));
+        };
+        const addArc = (x, y, radius, from, sweep, color, steps = 16) => {
+            const points = [];
+            for (let i = 0; i <= steps; i++) {
+                const angle = from + sweep * i / steps;
+                points.push([x + Math.cos(angle) * radius, y + Math.sin(angle) * radius]);
+            }
+            addPolyline(points, color);
+        };
         
-        // Update mesh visualization
-        this.voronoiMesh.updateMesh();
+        const radius = this.hover.radius * 2;
+        if (info.kind === 'cell') {
+            addPolyline(info.outline, 0xffffff, true);
+        } else if (info.kind === 'vertex') {
+            addSegments(info.edges, 0x00ffff);
+            addArc(info.x, info.y, radius / 2, 0, Math.PI * 2, 0xffffff);
+        } else {
+            addSegments(info.connected, 0x00ffff);
+            addSegments([info], 0xffffff);
+            for (const corner of info.corners) {
+                addArc(corner.x, corner.y, radius, corner.from, corner.sweep, corner.acute ? 0xff3333 : 0xffff66);
+            }
+        }
         
-        // Update info display
-        this.updateInfoDisplay(analysisResults);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        this.inspectorLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+        this.scene.add(this.inspectorLines);
+    }
+    
+    /**
+     * Mouse position in normalized device coordinates and on the mesh plane (z = 0)
+     * @returns {Object} {pointer: THREE.Vector2, x, y}
+     */
+    pointerToMesh(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (event.clientX - rect.left) / rect.width * 2 - 1,
+            -(event.clientY - rect.top) / rect.height * 2 + 1
+        );
+        const point = new THREE.Vector3(pointer.x, pointer.y, 0).unproject(this.camera);
+        return { pointer, x: point.x, y: point.y };
+    }
+    
+    /**
+     * Vertex under the mouse: raycast against the edge lines, then ask the worker for the
+     * vertex nearest to the hit
+     * @returns {Promise<number>} Vertex index, or -1 when the mouse is not on the mesh
+     */
+    pickVertex(event) {
+        const edgeMesh = this.voronoiMesh.edgeMesh;
+        if (!edgeMesh) return Promise.resolve(-1);
         
-        console.log(`🧬 Generation ${this.generation}: ${analysisResults.acuteEdgeCount} acute edges`);
+        this.raycaster.setFromCamera(this.pointerToMesh(event).pointer, this.camera);
+        const [hit] = this.raycaster.intersectObject(edgeMesh);
+        return hit ? this.engine.call('findVertex', hit.point.x, hit.point.y, 0.5) : Promise.resolve(-1);
     }
     
     /**
-     * Update the information display with current statistics
+     * Take a frame from the worker: update the info panel now, upload the buffers on
+     * the next animation frame
+     * The worker may have run several generations since the previous frame.
      */
-    updateInfoDisplay(analysisResults = null) {
-        document.getElementById('generation').textContent = this.generation;
+    onFrame(frame) {
+        const previous = this.frame;
+        this.frame = frame;
+        this.frameDrawn = false;
+        this.updateInfoDisplay(frame);
+        if (frame.metrics) this.dashboard.add(frame.metrics, frame.metricsRestart);
+        this.topologyPanel.update(frame.generation);
         
-        if (analysisResults) {
-            document.getElementById('acuteEdges').textContent = analysisResults.acuteEdgeCount;
-            document.getElementById('expandingEdges').textContent = analysisResults.expandingEdgeCount;
-            document.getElementById('shrinkingEdges').textContent = analysisResults.shrinkingEdgeCount;
-        } else {
-            document.getElementById('acuteEdges').textContent = '0';
-            document.getElementById('expandingEdges').textContent = '0';
-            document.getElementById('shrinkingEdges').textContent = '0';
+        // The mesh moved under the pointer
+        this.inspectHover();
+        
+        if (!previous || frame.generation !== previous.generation) {
+            console.log('📊 Analysis Results:', frame.analysis);
+            console.log(`🧬 Generation ${frame.generation}: ${frame.stats.acuteEdgeCount} acute edges`);
         }
+        
+        if (frame.paused && this.isEvolutionRunning) {
+            this.pauseEvolution();
+            if (frame.pauseReason === 'attractor') {
+                console.log(`🎯 Paused at generation ${frame.generation}: ${AttractorDetector.describe(frame.attractor)}`);
+            } else {
+                console.log(`🛑 Paused on invalid mesh: ${frame.validationSummary}`);
+            }
+        }
+    }
+    
+    /**
+     * Report a request the worker could not carry out (a bad config patch, a call before
+     * the engine exists, ...)
+     */
+    reportEngineError(error) {
+        console.error('❌ Engine error:', error.message);
+    }
+    
+    /**
+     * A generation of the running engine failed; the worker has stopped the run
+     */
+    onEngineError(message) {
+        console.error('❌ Engine error:', message);
+        this.pauseEvolution();
+    }
+    
+    /**
+     * Update the information display from a frame's statistics
+     */
+    updateInfoDisplay(frame) {
+        const { stats } = frame;
+        document.getElementById('generation').textContent = frame.generation;
+        document.getElementById('t1Count').textContent = stats.t1Count;
+        
+        const report = frame.validation;
+        document.getElementById('violations').textContent = !report ? 'off' :
+            report.valid ? '0' : `${report.violationCount} (${frame.validationSummary})`;
+        
+        document.getElementById('dynamics').textContent = AttractorDetector.describe(frame.attractor);
+        document.getElementById('dynamicsReached').textContent = AttractorDetector.describeReached(frame.attractor);
+        
+        document.getElementById('acuteEdges').textContent = stats.acuteEdgeCount;
+        document.getElementById('expandingEdges').textContent = stats.expandingEdgeCount;
+        document.getElementById('shrinkingEdges').textContent = stats.shrinkingEdgeCount;
     }
     
     /**
@@ -278,10 +952,85 @@ class AcuteEdgeVoronoiApp {
     
     /**
      * Main animation loop
+     * Uploads the latest frame's buffers (cell fills, edges, violation and pin overlays), renders,
+     * records the view if the frame is to be captured and asks the worker for the next one
      */
     animate() {
         requestAnimationFrame(() => this.animate());
+        
+        const newFrame = this.frame && !this.frameDrawn;
+        if (newFrame) {
+            this.voronoiMesh.setRenderBuffers(this.frame);
+            this.updateViolationOverlay(this.frame);
+            this.updatePinOverlay(this.frame);
+        }
+        
         this.renderer.render(this.scene, this.camera);
+        
+        if (newFrame) {
+            // Straight after rendering, while the WebGL drawing buffer is still readable
+            if (this.recorder && this.frame.capture) this.recordFrame(this.frame);
+            this.frameDrawn = true;
+            this.engine.frameDone();
+        }
+    }
+    
+    /**
+     * Rebuild the red overlay for a frame's validation report:
+     * flagged edges and inverted cell outlines as lines, flagged vertices as points
+     */
+    updateViolationOverlay(frame) {
+        for (const object of [this.violationLines, this.violationPoints]) {
+            if (!object) continue;
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+        this.violationLines = null;
+        this.violationPoints = null;
+        
+        if (frame.violationSegments && frame.violationSegments.length > 0) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(frame.violationSegments, 3));
+            this.violationLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xff0000 }));
+            this.scene.add(this.violationLines);
+        }
+        
+        if (frame.violationPoints && frame.violationPoints.length > 0) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(frame.violationPoints, 3));
+            this.violationPoints = new THREE.Points(geometry, new THREE.PointsMaterial({ color: 0xff0000, size: 6, sizeAttenuation: false }));
+            this.scene.add(this.violationPoints);
+        }
+    }
+    
+    /**
+     * Rebuild the markers on the pinned vertices and the dragged one
+     * (shared vertices come first in the frame's cell positions)
+     */
+    updatePinOverlay(frame) {
+        if (this.pinPoints) {
+            this.scene.remove(this.pinPoints);
+            this.pinPoints.geometry.dispose();
+            this.pinPoints.material.dispose();
+            this.pinPoints = null;
+        }
+        
+        const held = frame.dragged === null ? [...frame.pinned] : [...frame.pinned, frame.dragged];
+        if (held.length === 0) return;
+        
+        const z = 0.03; // Above the violation overlay
+        const positions = new Float32Array(held.length * 3);
+        held.forEach((index, i) => {
+            positions[i * 3] = frame.cellPositions[index * 3];
+            positions[i * 3 + 1] = frame.cellPositions[index * 3 + 1];
+            positions[i * 3 + 2] = z;
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.pinPoints = new THREE.Points(geometry, new THREE.PointsMaterial({ color: 0xffcc00, size: 8, sizeAttenuation: false }));
+        this.scene.add(this.pinPoints);
     }
 }
 
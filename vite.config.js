@@ -0,0 +1,14 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vite';
+
+// Both pages are build entries: the canvas engine (index.html) and the Three.js app (app.html)
+export default defineConfig({
+    build: {
+        rollupOptions: {
+            input: {
+                main: fileURLToPath(new URL('index.html', import.meta.url)),
+                app: fileURLToPath(new URL('app.html', import.meta.url))
+            }
+        }
+    }
+});